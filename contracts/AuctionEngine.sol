@@ -1,57 +1,32 @@
 //SPDX-License-Identifier: MIT
 pragma solidity ^0.8.7;
 
-import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
-import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
 import "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
-import "@openzeppelin/contracts/interfaces/IERC2981.sol";
-import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
-import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
-import "@openzeppelin/contracts-upgradeable/utils/AddressUpgradeable.sol";
-import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
-import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155Receiver.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/utils/introspection/ERC165Checker.sol";
+import "./AuctionEngineBase.sol";
+import "./IERC4907.sol";
 import "./IFeeProvider.sol";
+import "./Royalties.sol";
 
 /**
  * @title AuctionEngine
  * @notice Will contains all the business logic sale and purchase of tokens on auctions.
- * @dev uses ReentrancyGuard for security
+ * @dev uses ReentrancyGuard for security. Calls to functions it does not implement are delegated to the `extension`
  */
-contract AuctionEngine is Initializable, UUPSUpgradeable, ReentrancyGuardUpgradeable, OwnableUpgradeable, IERC721Receiver {
-    using AddressUpgradeable for address;
+contract AuctionEngine is AuctionEngineBase, IERC721Receiver, IERC1155Receiver {
     using ERC165Checker for address;
+    using SafeERC20 for IERC20;
+    using EnumerableSetUpgradeable for EnumerableSetUpgradeable.UintSet;
+    using UsdPricing for UsdPricing.PriceFeed;
 
-    /// @notice fee destination contract address
-    address payable public feeDestination;
-    /// @notice token contract address
-    address public token;
-    /// @notice marketplace contract address
-    address public marketplace;
-    /// @notice platform fee for Coin in percentage (using 2 decimals: 10000 = 100)
-    uint256 public platformFeeInCoin;
-    /// @notice platform fee for Token in percentage (using 2 decimals: 10000 = 100)
-    uint256 public platformFeeInToken;
-    /// @notice admin address
-    address public admin;
-    /// @notice array with all auctions
-    Auction[] public auctions;
-
-    /// @notice status type for auctions
-    enum Status { pending, active, finished }
-
-    /// @notice structure for auction information
-    struct Auction {
-        address nftContract;
-        uint256 tokenId;
-        address currency;
-        address creator;
-        uint256 startTime;
-        uint256 duration;
-        uint256 currentBidAmount;
-        address currentBidOwner;
-        uint256 bidCount;
-        bool finalized;
+    /**
+     * @dev the implementation can not be initialized: nobody can own it and point its fallback at an extension
+     * @custom:oz-upgrades-unsafe-allow constructor
+     */
+    constructor() {
+        _disableInitializers();
     }
 
     /**
@@ -68,14 +43,11 @@ contract AuctionEngine is Initializable, UUPSUpgradeable, ReentrancyGuardUpgrade
         token = _token;
         marketplace = _marketplace;
         feeDestination = _feeDestination;
-        admin = msg.sender;
         __Ownable_init();
         __ReentrancyGuard_init();
+        auctionsIndexed = true;
     }
 
-    ///@dev function that should revert when `msg.sender` is not authorized to upgrade the contract.
-    function _authorizeUpgrade(address newImplementation) internal override onlyAdmin {}
- 
     /**
      * @notice creates an auction with the given informatin
      * @dev lock NFT on auction contract
@@ -85,6 +57,7 @@ contract AuctionEngine is Initializable, UUPSUpgradeable, ReentrancyGuardUpgrade
      * @param _startTime set start time
      * @param _duration set duration in seconds
      * @param _currency set auction currency address
+     * @param _options set reserve price, minimum increment, buy-now price and anti-sniping window, see {AuctionOptions}
      */
     function createAuction(
         address _nftContract,
@@ -92,15 +65,119 @@ contract AuctionEngine is Initializable, UUPSUpgradeable, ReentrancyGuardUpgrade
         uint256 _startPrice,
         uint256 _startTime,
         uint256 _duration,
-        address _currency
-    ) public onlyNonContracts nonReentrant {
-        IERC721 asset = IERC721(_nftContract);
-        require(asset.ownerOf(_tokenId) == msg.sender, "Only token owner can do this");
+        address _currency,
+        AuctionOptions calldata _options
+    ) public nonReentrant whenNotPaused {
+        uint256 index = _createAuction(_nftContract, _tokenId, 0, _startPrice, _startTime, _duration, _currency, AuctionType.english);
+        _setOptions(index, _options);
+    }
+
+    /**
+     * @notice creates an English auction of several units of an ERC-1155 token, sold together to the winner
+     * @dev lock the units on auction contract
+     * @param _nftContract ERC1155 contract address
+     * @param _tokenId the token identifier
+     * @param _quantity number of units in the lot
+     * @param _startPrice set auction start price
+     * @param _startTime set start time
+     * @param _duration set duration in seconds
+     * @param _currency set auction currency address
+     * @param _options set reserve price, minimum increment, buy-now price and anti-sniping window, see {AuctionOptions}
+     */
+    function createLotAuction(
+        address _nftContract,
+        uint256 _tokenId,
+        uint256 _quantity,
+        uint256 _startPrice,
+        uint256 _startTime,
+        uint256 _duration,
+        address _currency,
+        AuctionOptions calldata _options
+    ) public nonReentrant whenNotPaused {
+        require(_quantity > 0, "Quantity must be positive");
+        require(_nftContract.supportsInterface(type(IERC1155).interfaceId), "Collection must be ERC1155");
+
+        uint256 index = _createAuction(_nftContract, _tokenId, _quantity, _startPrice, _startTime, _duration, _currency, AuctionType.english);
+        _setOptions(index, _options);
+
+        emit NewLot(index, _quantity);
+    }
+
+    /**
+     * @dev checks and stores the options of an English auction
+     */
+    function _setOptions(uint256 index, AuctionOptions calldata _options) internal {
+        Auction storage auction = auctions[index];
+        require(_options.minIncrement <= 10000, "Increment can not exceed 100%");
+        require(
+            _options.buyNowPrice == 0 ||
+                (_options.buyNowPrice >= auction.currentBidAmount && _options.buyNowPrice >= _options.reservePrice),
+            "Buy now price too low"
+        );
+
+        auctionOptions[index] = _options;
+
+        emit NewAuction(index, auction.creator, auction.nftContract, auction.tokenId, auction.currentBidAmount, auction.startTime, auction.duration, auction.currency, _options);
+    }
+
+    /**
+     * @notice creates a Dutch auction, the price falls from the start price to the floor price over the duration
+     * @dev lock NFT on auction contract. The first buyer at the current price wins, see {buy}
+     * @param _nftContract ERC721 contract address
+     * @param _tokenId the NFT identifier
+     * @param _startTime set start time
+     * @param _duration set duration in seconds
+     * @param _currency set auction currency address
+     * @param _curve set start price, floor price and step duration, see {PriceCurve}
+     */
+    function createDutchAuction(
+        address _nftContract,
+        uint256 _tokenId,
+        uint256 _startTime,
+        uint256 _duration,
+        address _currency,
+        PriceCurve calldata _curve
+    ) public nonReentrant whenNotPaused {
+        require(_curve.floorPrice > 0, "Price must be at least 1 wei");
+        require(_curve.startPrice >= _curve.floorPrice, "Start price below floor price");
+        require(_duration > 0, "Duration must be positive");
+
+        uint256 index = _createAuction(_nftContract, _tokenId, 0, _curve.startPrice, _startTime, _duration, _currency, AuctionType.dutch);
+        priceCurves[index] = _curve;
+
+        Auction storage auction = auctions[index];
+        emit NewDutchAuction(index, auction.creator, auction.nftContract, auction.tokenId, auction.startTime, auction.duration, auction.currency, _curve);
+    }
+
+    /**
+     * @dev locks the NFT, or the units of an ERC-1155 lot, and stores a new auction
+     * @param _quantity number of ERC-1155 units, zero for an ERC-721 token
+     * @return index the auction identifier
+     */
+    function _createAuction(
+        address _nftContract,
+        uint256 _tokenId,
+        uint256 _quantity,
+        uint256 _startPrice,
+        uint256 _startTime,
+        uint256 _duration,
+        address _currency,
+        AuctionType _auctionType
+    ) internal returns (uint256 index) {
+        if (_quantity == 0) {
+            require(IERC721(_nftContract).ownerOf(_tokenId) == _msgSender(), "Only token owner can do this");
+            // escrowing a rented token would end the rental the user paid for
+            require(
+                !_nftContract.supportsInterface(type(IERC4907).interfaceId) ||
+                    IERC4907(_nftContract).userOf(_tokenId) == address(0),
+                "Token is rented"
+            );
+        }
 
         if (_startTime == 0) { _startTime = block.timestamp; }
 
         Auction memory auction = Auction({
-            creator: msg.sender,
+            creator: _msgSender(),
             nftContract: _nftContract,
             tokenId: _tokenId,
             currency: _currency,
@@ -109,30 +186,35 @@ contract AuctionEngine is Initializable, UUPSUpgradeable, ReentrancyGuardUpgrade
             currentBidAmount: _startPrice,
             currentBidOwner: address(0),
             bidCount: 0,
-            finalized: false
+            finalized: false,
+            auctionType: _auctionType
         });
 
         auctions.push(auction);
-        uint256 index = auctions.length - 1;
-
-        IERC721(_nftContract).safeTransferFrom(msg.sender, address(this), _tokenId);        
+        index = auctions.length - 1;
+        _openAuctions.add(index);
+        _creatorAuctions[_msgSender()].add(index);
 
-        emit NewAuction(index, auction.creator, auction.nftContract, auction.tokenId, auction.currentBidAmount, auction.startTime, auction.duration, auction.currency);
+        if (_quantity != 0) {
+            lotQuantities[index] = _quantity;
+        }
+        _transferAsset(index, _msgSender(), address(this));
     }
 
     /**
      * @notice remove token from auction
-     * @dev caller must be auction owner. Unlock NFT from the auction
+     * @dev caller must be auction owner, the auction can not be finalized or canceled already. Unlock NFT from the auction
      * @param auctionIndex the auction identifier
      */
     function cancelAuction(uint256 auctionIndex) public {
         Auction storage auction = auctions[auctionIndex];
-        require(auction.creator == msg.sender, "Only auction owner");
+        require(auction.creator == _msgSender(), "Only auction owner");
+        require(!auction.finalized, "Not allowed");
         require(auction.currentBidOwner == address(0), "Auction has a bid");
         
-        auction.finalized = true;
+        _closeAuction(auctionIndex);
 
-        IERC721(auction.nftContract).safeTransferFrom(address(this), msg.sender , auction.tokenId);       
+        _transferAsset(auctionIndex, address(this), _msgSender());
 
         emit AuctionCanceled(auction.nftContract, auction.tokenId, auctionIndex);
     }
@@ -140,48 +222,147 @@ contract AuctionEngine is Initializable, UUPSUpgradeable, ReentrancyGuardUpgrade
     /**
      * @dev bidder sends bid on an auction
      * @dev auction should be active and not ended
-     * @dev refund previous bidder if a new bid is valid and placed.
+     * @dev credit the previous bidder with its bid if a new bid is valid and placed, see {withdrawPayments}
+     * @dev a bid of at least the buy-now price ends the auction, a bid in the extension window extends it
      * @param auctionIndex the auction identifier
      * @param amount number of tokens per bid
      */
-    function bid(uint256 auctionIndex, uint256 amount) public payable onlyNonContracts nonReentrant {
+    function bid(uint256 auctionIndex, uint256 amount) public payable nonReentrant whenNotPaused {
+        _bid(auctionIndex, amount);
+    }
+
+    /**
+     * @notice bids on an ERC20 auction in one transaction, the allowance is given by an EIP-2612 permit
+     * @dev the permit must be signed by the caller for `amount`, see {bid} and {_permit}
+     * @param auctionIndex the auction identifier
+     * @param amount number of tokens per bid
+     * @param deadline permit expiry timestamp
+     * @param v signature recovery id
+     * @param r signature r
+     * @param s signature s
+     */
+    function bidWithPermit(
+        uint256 auctionIndex,
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant whenNotPaused {
+        _permit(auctions[auctionIndex].currency, amount, deadline, v, r, s);
+        _bid(auctionIndex, amount);
+    }
+
+    /**
+     * @dev places a bid of the caller, see {bid}
+     */
+    function _bid(uint256 auctionIndex, uint256 amount) internal {
         Auction storage auction = auctions[auctionIndex];
         require(isActive(auctionIndex), "Auction must be active");
-
+        require(auction.auctionType == AuctionType.english, "Not an English auction");
 
         if (auction.currentBidOwner == address(0)) {
             require(amount >= auction.currentBidAmount, "You bid less then price");
         } else {
-            require(amount > auction.currentBidAmount, "You don't outbid");
+            require(amount >= getMinimumBid(auctionIndex), "You don't outbid");
+        }
+
+        if (auction.currency == address(0)){
+            require(msg.value == amount, "Submit the asking price");
+        } else {
+            _pullPayment(auction.currency, amount);
+        }
+        _escrowBid(auctionIndex, amount);
+
+        // we got a better bid. Credit the previous best bidder with its bid
+        // and register the sender as `currentBidOwner`
+        if (auction.currentBidOwner != address(0)) {
+            // the previous bidder withdraws its funds, a bidder that can not receive them does not block the auction
+            _releaseBid(auctionIndex, auction.currentBidAmount);
+            _credit(auction.currency, auction.currentBidOwner, auction.currentBidAmount);
+            _leadingAuctions[auction.currentBidOwner].remove(auctionIndex);
         }
-            // we got a better bid. Return tokens to the previous best bidder
-            // and register the sender as `currentBidOwner`
-
-            if (auction.currency == address(0)){
-                require(msg.value == amount, "Submit the asking price");
-
-                if (auction.currentBidOwner != address(0)) {
-                    // return funds to the previuos bidder
-                    payable(auction.currentBidOwner).transfer(auction.currentBidAmount);
-                }
-            } else {     
-                require(IERC20(auction.currency).transferFrom(msg.sender, address(this), amount), "Submit the asking price in ECR20");
-            
-                if (auction.currentBidOwner != address(0)) {
-                    // return funds to the previuos bidder
-                    IERC20(auction.currency).transfer(
-                        auction.currentBidOwner,
-                        auction.currentBidAmount
-                    );
-                }
+
+        // register new bidder
+        auction.currentBidAmount = amount;
+        auction.currentBidOwner = _msgSender();
+        auction.bidCount++;
+        _leadingAuctions[_msgSender()].add(auctionIndex);
+        _bidHistory[auctionIndex].push(BidRecord(_msgSender(), amount, block.timestamp));
+
+        uint256 usdReserve = usdReserves[auctionIndex];
+        if (usdReserve != 0) {
+            // valued now, the outcome of the auction does not depend on the rate when it is finalized
+            (, uint256 usdBid) = priceFeeds[auction.currency].tryToUsd(auction.currency, amount);
+            _usdReserveMet[auctionIndex] = usdBid >= usdReserve;
+        }
+
+        AuctionOptions storage options = auctionOptions[auctionIndex];
+        uint256 endTime = auction.startTime + auction.duration;
+        if (options.buyNowPrice != 0 && amount >= options.buyNowPrice) {
+            endTime = block.timestamp;
+        } else if (endTime - block.timestamp < options.extensionWindow) {
+            endTime = block.timestamp + options.extensionWindow;
+        }
+        auction.duration = endTime - auction.startTime;
+
+        emit NewBid(auction.nftContract, auction.tokenId, auctionIndex, _msgSender(), amount, endTime);
+    }
+
+    /**
+     * @notice buys the NFT of a Dutch auction at the current price
+     * @dev the auction ends and is settled right away like {finalize}.
+     * @dev native coin sent above the current price is credited back to the buyer, ERC20 is pulled at the current price
+     * @param auctionIndex the auction identifier
+     */
+    function buy(uint256 auctionIndex) public payable nonReentrant whenNotPaused {
+        Auction storage auction = auctions[auctionIndex];
+        require(auction.auctionType == AuctionType.dutch, "Not a Dutch auction");
+        require(isActive(auctionIndex), "Auction must be active");
+
+        uint256 price = getCurrentPrice(auctionIndex);
+
+        if (auction.currency == address(0)) {
+            require(msg.value >= price, "Submit the asking price");
+            if (msg.value > price) {
+                _credit(address(0), _msgSender(), msg.value - price);
             }
+        } else {
+            _pullPayment(auction.currency, price);
+        }
+        _escrowBid(auctionIndex, price);
 
-            // register new bidder
-            auction.currentBidAmount = amount;
-            auction.currentBidOwner = msg.sender;
-            auction.bidCount++;
+        auction.currentBidAmount = price;
+        auction.currentBidOwner = _msgSender();
+        auction.bidCount++;
+        auction.duration = block.timestamp - auction.startTime;
+        _bidHistory[auctionIndex].push(BidRecord(_msgSender(), price, block.timestamp));
 
-            emit NewBid(auction.nftContract, auction.tokenId, auctionIndex, msg.sender, amount);
+        _finalize(auctionIndex);
+    }
+
+    /**
+     * @dev get the current price of auction: the falling price of a Dutch auction, the current bid of an English auction
+     * @param auctionIndex the auction identifier
+     */
+    function getCurrentPrice(uint256 auctionIndex) public view returns (uint256) {
+        Auction storage auction = auctions[auctionIndex];
+        if (auction.auctionType == AuctionType.english || auction.currentBidOwner != address(0)) {
+            return auction.currentBidAmount;
+        }
+
+        PriceCurve storage curve = priceCurves[auctionIndex];
+        if (block.timestamp <= auction.startTime) {
+            return curve.startPrice;
+        }
+        uint256 elapsed = block.timestamp - auction.startTime;
+        if (elapsed >= auction.duration) {
+            return curve.floorPrice;
+        }
+        if (curve.stepDuration != 0) {
+            elapsed -= elapsed % curve.stepDuration;
+        }
+        return curve.startPrice - ((curve.startPrice - curve.floorPrice) * elapsed) / auction.duration;
     }
 
     /**
@@ -204,22 +385,6 @@ contract AuctionEngine is Initializable, UUPSUpgradeable, ReentrancyGuardUpgrade
      */
     function isFinished(uint256 auctionIndex) public view returns (bool) { return getStatus(auctionIndex) == Status.finished; }
  
-    /**
-     * @dev get the status of auction
-     * @param auctionIndex the auction identifier
-     * @return status type of the auction
-     */
-    function getStatus(uint256 auctionIndex) public view returns (Status) {
-        Auction storage auction = auctions[auctionIndex];
-        if (block.timestamp < auction.startTime) {
-            return Status.pending;
-        } else if (block.timestamp < auction.startTime + auction.duration) {
-            return Status.active;
-        } else {
-            return Status.finished;
-        }
-    }
-
     /**
      * @dev get current bid owner of auction
      * @param auctionIndex the auction identifier
@@ -233,17 +398,50 @@ contract AuctionEngine is Initializable, UUPSUpgradeable, ReentrancyGuardUpgrade
     function getCurrentBidAmount(uint256 auctionIndex) public view returns (uint256) { return auctions[auctionIndex].currentBidAmount; }
 
     /**
-     * @dev get current bid count of auction
+     * @dev get the lowest amount the next bid must have
+     * @param auctionIndex the auction identifier
+     */
+    function getMinimumBid(uint256 auctionIndex) public view returns (uint256) {
+        Auction storage auction = auctions[auctionIndex];
+        if (auction.currentBidOwner == address(0)) {
+            return auction.currentBidAmount;
+        }
+        uint256 increment = (auction.currentBidAmount * auctionOptions[auctionIndex].minIncrement) / 10000;
+        return auction.currentBidAmount + (increment == 0 ? 1 : increment);
+    }
+
+    /**
+     * @dev get end time of auction, including the anti-sniping extensions
+     * @param auctionIndex the auction identifier
+     */
+    function getEndTime(uint256 auctionIndex) public view returns (uint256) {
+        return auctions[auctionIndex].startTime + auctions[auctionIndex].duration;
+    }
+
+    /**
+     * @dev get whether the current bid of auction reaches the reserve price, and the USD reserve at the rate
+     * of the price feed when the bid was placed
+     * @dev a bid placed while the price feed of the currency is removed or stale does not meet a USD reserve,
+     * so the auction can still be finalized and the bid refunded
      * @param auctionIndex the auction identifier
      */
-    function getBidCount(uint256 auctionIndex) public view returns (uint256) { return auctions[auctionIndex].bidCount; }
+    function isReserveMet(uint256 auctionIndex) public view returns (bool) {
+        Auction storage auction = auctions[auctionIndex];
+        if (auction.currentBidOwner == address(0) || auction.currentBidAmount < auctionOptions[auctionIndex].reservePrice) {
+            return false;
+        }
+        return usdReserves[auctionIndex] == 0 || _usdReserveMet[auctionIndex];
+    }
 
     /**
-     * @dev get winner of auction
+     * @dev get winner of auction, zero address when the reserve price is not met
      * @param auctionIndex the auction identifier
      */
     function getWinner(uint256 auctionIndex) public view returns (address) {
         require(isFinished(auctionIndex), "Auction must be finished");
+        if (!isReserveMet(auctionIndex)) {
+            return address(0);
+        }
         return auctions[auctionIndex].currentBidOwner;
     }
 
@@ -252,33 +450,47 @@ contract AuctionEngine is Initializable, UUPSUpgradeable, ReentrancyGuardUpgrade
      * @dev caller must be contract owner
      * @param _feeDestination fee destination contract address
      */
-    function updateFeeDestination(address payable _feeDestination) public onlyOwner { feeDestination = _feeDestination; }
+    function updateFeeDestination(address payable _feeDestination) public onlyRole(FEE_MANAGER_ROLE) { feeDestination = _feeDestination; }
     
     /**
-     * @notice update marketplace address
-     * @dev caller must be contract owner
-     * @param _marketplace marketplace contract address
+     * @notice update fee manager address
+     * @dev caller must be contract owner. The zero address falls back to the platform fees of the marketplace
+     * @param _feeManager fee manager contract address
      */
-    function updateMarketplace(address _marketplace) public onlyOwner { marketplace = _marketplace; }
+    function updateFeeManager(address _feeManager) public onlyRole(FEE_MANAGER_ROLE) { feeManager = _feeManager; }
 
-    /**
-     * @notice update admin address
-     * @dev caller must be admin
-     * @param _admin admin contract address
-     */
-    function updateAdmin(address _admin) public onlyAdmin { admin = _admin; }
- 
     /**
      * @notice update token address
-     * @dev caller must be admin
+     * @dev caller must have the CURRENCY_CURATOR_ROLE
      * @param _token admin contract address
      */
-    function updateToken(address _token) public onlyOwner { token = _token; }
-  
+    function updateToken(address _token) public onlyRole(CURRENCY_CURATOR_ROLE) { token = _token; }
+
+    /**
+     * @notice update extension
+     * @dev Caller must have the UPGRADER_ROLE. The extension must be built on {AuctionEngineBase} to share the storage layout
+     * @param _extension extension contract address, see {AuctionEngineExtension}
+     */
+    function updateExtension(address _extension) public onlyRole(UPGRADER_ROLE) {
+        emit ExtensionChanged(_msgSender(), _extension, extension);
+        extension = _extension;
+    }
+
+    /**
+     * @notice update the ERC-2771 forwarder, the zero address stops accepting meta-transactions
+     * @dev caller must have the UPGRADER_ROLE, the forwarder can act as any account
+     * @param _trustedForwarder forwarder contract address
+     */
+    function updateTrustedForwarder(address _trustedForwarder) public onlyRole(UPGRADER_ROLE) {
+        emit TrustedForwarderChanged(_msgSender(), _trustedForwarder, trustedForwarder);
+        trustedForwarder = _trustedForwarder;
+    }
+
     /**
      * @dev finalized an ended auction
      * @dev the auction should be ended
      * @dev on success asset is transfered to bidder and auction owner gets the amount
+     * @dev when the reserve price is not met the bid is refunded and the asset goes back to the auction owner
      * @param auctionIndex uint256 ID of the created auction
      */
     function finalize(uint256 auctionIndex) public nonReentrant{
@@ -286,83 +498,115 @@ contract AuctionEngine is Initializable, UUPSUpgradeable, ReentrancyGuardUpgrade
         Auction storage auction = auctions[auctionIndex];
         require(auction.currentBidOwner != address(0), "Auction have no bid");
         require(auction.finalized == false, "Auction can be finalized only once");
+        _finalize(auctionIndex);
+    }
+
+    /**
+     * @dev credits platform fee, royalty and auction owner and transfers the asset to the winner
+     * @dev credits the bid back to the bidder and gives the asset back to the auction owner when the reserve price is not met
+     * @param auctionIndex uint256 ID of the finished auction
+     */
+    function _finalize(uint256 auctionIndex) internal {
+        Auction storage auction = auctions[auctionIndex];
         address winner = getWinner(auctionIndex);
-        
-        uint256 platformFeeAmount;
-        address royaltyReceiver;
-        uint256 royaltyAmount;
+        _releaseBid(auctionIndex, auction.currentBidAmount);
+
+        _closeAuction(auctionIndex);
 
-        if (auction.nftContract.supportsInterface(type(IERC2981).interfaceId)) {
-            (royaltyReceiver, royaltyAmount) = IERC2981(auction.nftContract)
-                .royaltyInfo(auction.tokenId, auction.currentBidAmount);
+        if (winner == address(0)) {
+            _credit(auction.currency, auction.currentBidOwner, auction.currentBidAmount);
+            _deliverAsset(auctionIndex, auction.creator);
+
+            emit ReserveNotMet(auction.nftContract, auction.tokenId, auctionIndex, auction.currentBidOwner, auction.currentBidAmount);
+            return;
         }
 
-        auction.finalized = true;
-            
-        if (auction.currency == address(0)) {
-            
-            uint256 platformFee = IFeeProvider(marketplace).platformFeeInCoin();
-
-            platformFeeAmount = (auction.currentBidAmount * platformFee) / 10000;
-
-            if (royaltyAmount != 0 && royaltyReceiver != auction.creator) {
-                if(royaltyAmount == auction.currentBidAmount) {
-                    royaltyAmount = royaltyAmount - platformFeeAmount;
-                }
-                payable(royaltyReceiver).transfer(royaltyAmount);
-            } else {
-                royaltyAmount = 0;
-            }
+        uint256 platformFeeAmount = _quoteFee(auction.nftContract, auction.currency, auction.creator, auction.currentBidAmount);
+        uint256 royaltyAmount = Royalties.pay(
+            Royalties.Sale(auction.nftContract, auction.tokenId, auction.currentBidAmount, auction.currency, auction.creator, winner),
+            auction.currentBidAmount - platformFeeAmount,
+            _credit
+        );
 
-            if (platformFee != 0) {
-                feeDestination.transfer(platformFeeAmount);
-            }
+        if (platformFeeAmount != 0) {
+            _credit(auction.currency, feeDestination, platformFeeAmount);
+        }
 
-            if(auction.currentBidAmount > platformFeeAmount + royaltyAmount) {
-                payable(auction.creator).transfer(
-                    auction.currentBidAmount - platformFeeAmount - royaltyAmount
-                );
-            }
-        } else { 
-            uint256 platformFee;
-            if (auction.currency == token) {
-                platformFee = IFeeProvider(marketplace).platformFeeInToken();
-            } else {
-                platformFee = IFeeProvider(marketplace).platformFeeInCoin();
-            }
+        if(auction.currentBidAmount > platformFeeAmount + royaltyAmount) {
+            _credit(auction.currency, auction.creator, auction.currentBidAmount - platformFeeAmount - royaltyAmount);
+        }
 
-            platformFeeAmount = (auction.currentBidAmount * platformFee) / 10000;
-
-            if (royaltyAmount != 0 && royaltyReceiver != auction.creator) {
-                if(royaltyAmount == auction.currentBidAmount) {
-                    royaltyAmount = royaltyAmount - platformFeeAmount;
-                }
-                IERC20(auction.currency).transfer(
-                    royaltyReceiver,
-                    royaltyAmount
-                );
-            }  else {
-                royaltyAmount = 0;
-            }
+        _deliverAsset(auctionIndex, winner);
 
-            if (platformFee != 0) {
-                IERC20(auction.currency).transfer(
-                    feeDestination,
-                    platformFeeAmount
-                );
-            }
+        emit AuctionFinalized(auction.nftContract, auction.tokenId, winner, auctionIndex, auction.currency, auction.currentBidAmount, platformFeeAmount, royaltyAmount);
+    }
 
-            if(auction.currentBidAmount > platformFeeAmount + royaltyAmount) {
-                IERC20(auction.currency).transfer(
-                    auction.creator,
-                    auction.currentBidAmount - platformFeeAmount - royaltyAmount
-                );
-            }
+    /**
+     * @dev platform fee of a sale, quoted by the fee manager when one is set, otherwise from the marketplace fees
+     */
+    function _quoteFee(address collection, address currency, address seller, uint256 price)
+        internal
+        view
+        returns (uint256)
+    {
+        if (feeManager != address(0)) {
+            return IFeeProvider(feeManager).quoteFee(collection, currency, seller, price);
+        }
+        if (currency != address(0) && currency == token) {
+            return (price * IFeeProvider(marketplace).platformFeeInToken()) / 10000;
         }
+        return (price * IFeeProvider(marketplace).platformFeeInCoin()) / 10000;
+    }
 
-        IERC721(auction.nftContract).safeTransferFrom(address(this), winner, auction.tokenId);
+    /**
+     * @notice withdraw the refunds, proceeds, royalties or fees credited to the caller
+     * @param currency the currency address, zero address for native coin
+     */
+    function withdrawPayments(address currency) public nonReentrant {
+        uint256 amount = pendingPayments[_msgSender()][currency];
+        require(amount != 0, "No payments to withdraw");
 
-        emit AuctionFinalized(auction.nftContract, auction.tokenId, winner, auctionIndex, auction.currency, auction.currentBidAmount, platformFeeAmount, royaltyAmount);
+        pendingPayments[_msgSender()][currency] = 0;
+        totalPendingPayments[currency] -= amount;
+        _transferFunds(currency, _msgSender(), amount);
+
+        emit PaymentWithdrawn(_msgSender(), currency, amount);
+    }
+
+    /**
+     * @dev pulls an ERC20 payment from the caller, no native coin can be sent along
+     */
+    function _pullPayment(address currency, uint256 amount) internal {
+        require(msg.value == 0, "Native coin sent with an ERC20 price");
+        IERC20(currency).safeTransferFrom(_msgSender(), address(this), amount);
+    }
+
+    /**
+     * @dev adds a bid to the escrowed bids. The bids of auctions created before the open auctions were tracked
+     * are added by {AuctionEngineExtension-indexAuctions}
+     */
+    function _escrowBid(uint256 auctionIndex, uint256 amount) internal {
+        if (_openAuctions.contains(auctionIndex)) {
+            totalEscrowedBids[auctions[auctionIndex].currency] += amount;
+        }
+    }
+
+    /**
+     * @dev removes a bid from the escrowed bids, see {_escrowBid}
+     */
+    function _releaseBid(uint256 auctionIndex, uint256 amount) internal {
+        if (_openAuctions.contains(auctionIndex)) {
+            totalEscrowedBids[auctions[auctionIndex].currency] -= amount;
+        }
+    }
+
+    /**
+     * @dev adds `amount` to the pending payments of `payee`, the funds stay in the contract
+     */
+    function _credit(address currency, address payee, uint256 amount) internal {
+        pendingPayments[payee][currency] += amount;
+        totalPendingPayments[currency] += amount;
+        emit PaymentCredited(payee, currency, amount);
     }
 
     /**
@@ -381,96 +625,58 @@ contract AuctionEngine is Initializable, UUPSUpgradeable, ReentrancyGuardUpgrade
     }
 
     /**
-     * @notice It allows the admins to get tokens sent to the contract
-     * @param tokenAddress: the address of the token to withdraw
-     * @param tokenAmount: the number of token amount to withdraw
-     * @dev Only callable by owner
+     * @dev Whenever {IERC1155} tokens are transferred to this contract via {IERC1155-safeTransferFrom},
+     * this function is called
+     * @return its Solidity selector to confirm the token transfer.
      */
-    function recoverTokens(address tokenAddress, uint256 tokenAmount)
-        external
-        onlyOwner
-    {
-        require(tokenAddress != address(0), "Address can not be zero!");
-        IERC20(tokenAddress).transfer(address(msg.sender), tokenAmount);
+    function onERC1155Received(
+        address,
+        address,
+        uint256,
+        uint256,
+        bytes calldata
+    ) public virtual override returns (bytes4) {
+        return this.onERC1155Received.selector;
     }
 
     /**
-     * @notice It allows the admins to get collected coins
-     * @param amount: amount to withdraw
-     * @dev Only callable by owner
+     * @dev Whenever {IERC1155} tokens are transferred to this contract via {IERC1155-safeBatchTransferFrom},
+     * this function is called
+     * @return its Solidity selector to confirm the token transfer.
      */
-    function withdraw(uint256 amount) external onlyOwner {
-        require(
-            payable(msg.sender).send(amount),
-            "Cannot withdraw"
-        );
+    function onERC1155BatchReceived(
+        address,
+        address,
+        uint256[] calldata,
+        uint256[] calldata,
+        bytes calldata
+    ) public virtual override returns (bytes4) {
+        return this.onERC1155BatchReceived.selector;
     }
 
     /**
-     * @notice it allows the admins to get NFT sent to the contract, if there will be any issue with contract
-     * @param auctionIndex: auctionIndex to recover token from auction
-     * @dev Only callable by owner
+     * @dev See {IERC165-supportsInterface}
      */
-    function recoverAsset(uint256 auctionIndex)
-        external
-        onlyOwner
-    {
-        Auction storage auction = auctions[auctionIndex];
-        require(!auction.finalized, "Not allowed");
-        
-        IERC721(auction.nftContract).safeTransferFrom(
-            address(this),
-            auction.creator,
-            auction.tokenId
-        );
+    function supportsInterface(bytes4 interfaceId) public view virtual override returns (bool) {
+        return interfaceId == type(IERC1155Receiver).interfaceId || interfaceId == type(IERC165).interfaceId;
     }
 
-    //---------------Modifiers--------------//
-
-    /// @dev Allows only for Externally-owned accounts (EOAs)
-    modifier onlyNonContracts() {
-        require(!msg.sender.isContract(), "Only non contracts account");
-        _;
-    }
-    
-    /// @dev Allows only admin
-    modifier onlyAdmin() {
-        require(msg.sender == admin, "Only admin");
-        _;
+    /**
+     * @dev delegates the calls to functions this contract does not implement to the extension,
+     * they run on the storage and balance of the auction engine. Only the UPGRADER_ROLE sets the extension
+     * @custom:oz-upgrades-unsafe-allow delegatecall
+     */
+    fallback() external payable {
+        address _extension = extension;
+        require(_extension != address(0), "Function does not exist");
+
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), _extension, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 { revert(0, returndatasize()) }
+            default { return(0, returndatasize()) }
+        }
     }
-
-    //---------------Events-----------------//
-
-    event NewAuction(
-        uint256 auctionIndex,
-        address indexed creator, 
-        address indexed asset,
-        uint256 indexed tokenId, 
-        uint256 price, 
-        uint256 startTime, 
-        uint256 duration, 
-        address currency
-    );
-    event AuctionCanceled(
-        address indexed asset,
-        uint256 indexed tokenId, 
-        uint256 indexed auctionIndex
-    );
-    event NewBid(
-        address indexed asset,
-        uint256 indexed tokenId, 
-        uint256 indexed auctionIndex, 
-        address bidder,
-        uint256 amount
-    );
-    event AuctionFinalized(
-        address indexed asset,
-        uint256 indexed tokenId,
-        address indexed buyer,
-        uint256 auctionIndex,
-        address currency, 
-        uint256 price,
-        uint256 fee,
-        uint256 royalty
-    );
-}
\ No newline at end of file
+}
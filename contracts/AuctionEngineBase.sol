@@ -0,0 +1,372 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.7;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/draft-IERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/structs/EnumerableSetUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import "./UsdPricing.sol";
+
+/**
+ * @title AuctionEngineBase
+ * @notice storage, events and asset transfers shared by the {AuctionEngine} and the {AuctionEngineExtension}
+ * @dev the auction engine delegates the calls it does not implement to the extension, both use this storage layout:
+ * state variables are only appended, after the ones already declared here
+ */
+abstract contract AuctionEngineBase is Initializable, UUPSUpgradeable, ReentrancyGuardUpgradeable, OwnableUpgradeable {
+    using EnumerableSetUpgradeable for EnumerableSetUpgradeable.UintSet;
+
+    /// @notice fee destination contract address
+    address payable public feeDestination;
+    /// @notice token contract address
+    address public token;
+    /// @notice marketplace contract address
+    address public marketplace;
+    /// @notice unused, the fees are read from the fee manager or the marketplace
+    uint256 public platformFeeInCoin;
+    /// @notice unused, the fees are read from the fee manager or the marketplace
+    uint256 public platformFeeInToken;
+    /// @notice unused, upgrades are authorized by the UPGRADER_ROLE, see {hasRole}
+    address public admin;
+    /// @notice array with all auctions
+    Auction[] public auctions;
+
+    /// @notice status type for auctions
+    enum Status { pending, active, finished }
+
+    /// @notice type of auctions
+    enum AuctionType { english, dutch }
+
+    /// @notice structure for auction information
+    struct Auction {
+        address nftContract;
+        uint256 tokenId;
+        address currency;
+        address creator;
+        uint256 startTime;
+        uint256 duration;
+        uint256 currentBidAmount;
+        address currentBidOwner;
+        uint256 bidCount;
+        bool finalized;
+        // packed in the slot of `finalized`, auctions created before Dutch auctions read as english
+        AuctionType auctionType;
+    }
+
+    /// @notice structure for the optional rules of an auction, zero disables a rule
+    struct AuctionOptions {
+        // lowest winning bid, below it the NFT goes back to the creator at finalize
+        uint256 reservePrice;
+        // minimum raise over the current bid in percentage (using 2 decimals: 10000 = 100)
+        uint256 minIncrement;
+        // bid that wins and ends the auction right away
+        uint256 buyNowPrice;
+        // a bid placed less than `extensionWindow` seconds before the end moves the end to `extensionWindow` seconds after the bid
+        uint256 extensionWindow;
+    }
+
+    /// @notice Mapping from auction index to auction options
+    mapping(uint256 => AuctionOptions) public auctionOptions;
+
+    /// @notice structure for the price curve of a Dutch auction
+    struct PriceCurve {
+        // price at the start time
+        uint256 startPrice;
+        // price reached at the end of the auction
+        uint256 floorPrice;
+        // the price drops every `stepDuration` seconds, zero drops it linearly
+        uint256 stepDuration;
+    }
+
+    /// @notice Mapping from auction index to Dutch auction price curve
+    mapping(uint256 => PriceCurve) public priceCurves;
+
+    /// @notice Mapping from account and currency to the refunds, proceeds, royalties and fees it can withdraw
+    mapping(address => mapping(address => uint256)) public pendingPayments;
+    /// @notice Mapping from currency to the sum of all pending payments, held by the contract for their owners
+    mapping(address => uint256) public totalPendingPayments;
+
+    /// @notice fee manager contract address, see {IFeeProvider-quoteFee}
+    /// @dev while it is not set the platform fees of the marketplace apply
+    address public feeManager;
+
+    /// @notice Mapping from auction index to the number of units of an ERC-1155 lot, zero for ERC-721 auctions
+    mapping(uint256 => uint256) public lotQuantities;
+
+    /// @notice role allowed to upgrade the contract
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+    /// @notice role allowed to change the fee manager and the fee destination
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE");
+    /// @notice role allowed to change the platform token
+    bytes32 public constant CURRENCY_CURATOR_ROLE = keccak256("CURRENCY_CURATOR_ROLE");
+    /// @notice role allowed to pause and unpause auctions
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    /// @notice role allowed to recover the tokens sent to the contract by mistake
+    bytes32 public constant ASSET_RECOVERY_ROLE = keccak256("ASSET_RECOVERY_ROLE");
+
+    /// @dev Mapping from role to the accounts granted the role by the owner, see {hasRole}
+    mapping(bytes32 => mapping(address => bool)) internal _roles;
+    /// @notice whether creating auctions, bidding and buying are paused
+    /// @dev auction owners can still cancel, auctions can still be finalized and payments withdrawn
+    bool public paused;
+    /// @notice Mapping from currency to the sum of the current bids, held by the contract until the auctions are finalized
+    /// @dev only counts the bids of the open auctions, see {AuctionEngineExtension-indexAuctions}
+    mapping(address => uint256) public totalEscrowedBids;
+
+    /// @notice structure for a bid of the bid history
+    struct BidRecord {
+        address bidder;
+        uint256 amount;
+        uint256 timestamp;
+    }
+
+    /// @dev Mapping from auction index to its bids, oldest first, including the purchase of a Dutch auction
+    mapping(uint256 => BidRecord[]) internal _bidHistory;
+    /// @dev indexes of the auctions that are not finalized, canceled or recovered yet
+    EnumerableSetUpgradeable.UintSet internal _openAuctions;
+    /// @dev Mapping from creator to the indexes of its auctions
+    mapping(address => EnumerableSetUpgradeable.UintSet) internal _creatorAuctions;
+    /// @dev Mapping from bidder to the indexes of the open auctions where it holds the current bid
+    mapping(address => EnumerableSetUpgradeable.UintSet) internal _leadingAuctions;
+
+    /// @notice contract the auction engine delegates the calls it does not implement to, see {AuctionEngineExtension}
+    address public extension;
+
+    /// @notice ERC-2771 forwarder relaying the meta-transactions signed by the users, see {_msgSender}
+    address public trustedForwarder;
+    /// @notice Mapping from auction index to the account that rejected its asset on settlement, see {_deliverAsset}
+    mapping(uint256 => address) public unclaimedLots;
+
+    /// @notice Mapping from currency address to the feed pricing it in USD, see {AuctionEngineExtension-setPriceFeed}
+    mapping(address => UsdPricing.PriceFeed) public priceFeeds;
+    /// @notice Mapping from auction index to its reserve price in USD, using 8 decimals: 100000000 = 1 USD, zero when it has none
+    mapping(uint256 => uint256) public usdReserves;
+
+    /// @notice number of auctions, from the first one, that {AuctionEngineExtension-indexAuctions} went through
+    uint256 public indexedAuctionCount;
+    /// @notice whether the auctions created before the open auctions were tracked are indexed,
+    /// the escrowed bids are complete and funds can be recovered
+    bool public auctionsIndexed;
+    /// @dev Mapping from auction index to whether its current bid was worth its USD reserve when it was placed
+    mapping(uint256 => bool) internal _usdReserveMet;
+
+    ///@dev function that should revert when `msg.sender` is not authorized to upgrade the contract.
+    function _authorizeUpgrade(address newImplementation) internal override onlyRole(UPGRADER_ROLE) {}
+ 
+
+    /**
+     * @notice whether `account` holds `role`, the owner holds every role
+     * @param role the role identifier, e.g. PAUSER_ROLE
+     * @param account the account address
+     */
+    function hasRole(bytes32 role, address account) public view returns (bool) {
+        return account == owner() || _roles[role][account];
+    }
+
+    /**
+     * @notice whether `forwarder` relays ERC-2771 meta-transactions to this contract
+     * @param forwarder the forwarder address
+     */
+    function isTrustedForwarder(address forwarder) public view returns (bool) {
+        return forwarder == trustedForwarder;
+    }
+
+    /**
+     * @dev sender of the call: the signer that the trusted forwarder appends to the calldata of a relayed call,
+     * otherwise `msg.sender`
+     */
+    function _msgSender() internal view override returns (address sender) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            assembly {
+                sender := shr(96, calldataload(sub(calldatasize(), 20)))
+            }
+        } else {
+            sender = msg.sender;
+        }
+    }
+
+    /// @dev calldata of the call, without the signer appended by the trusted forwarder
+    function _msgData() internal view override returns (bytes calldata) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            return msg.data[:msg.data.length - 20];
+        }
+        return msg.data;
+    }
+
+    /**
+     * @dev get the status of auction
+     * @param auctionIndex the auction identifier
+     * @return status type of the auction
+     */
+    function getStatus(uint256 auctionIndex) public view returns (Status) {
+        Auction storage auction = auctions[auctionIndex];
+        if (block.timestamp < auction.startTime) {
+            return Status.pending;
+        } else if (block.timestamp < auction.startTime + auction.duration) {
+            return Status.active;
+        } else {
+            return Status.finished;
+        }
+    }
+
+    /**
+     * @dev marks an auction as finalized and takes it out of the open auctions and the auctions its bidder leads
+     */
+    function _closeAuction(uint256 auctionIndex) internal {
+        Auction storage auction = auctions[auctionIndex];
+        auction.finalized = true;
+        _openAuctions.remove(auctionIndex);
+        _leadingAuctions[auction.currentBidOwner].remove(auctionIndex);
+    }
+
+    /**
+     * @dev transfers the NFT of an auction, or all the units of an ERC-1155 lot
+     */
+    function _transferAsset(uint256 auctionIndex, address from, address to) internal {
+        Auction storage auction = auctions[auctionIndex];
+        uint256 quantity = lotQuantities[auctionIndex];
+        if (quantity == 0) {
+            IERC721(auction.nftContract).safeTransferFrom(from, to, auction.tokenId);
+        } else {
+            IERC1155(auction.nftContract).safeTransferFrom(from, to, auction.tokenId, quantity, "");
+        }
+    }
+
+    /**
+     * @dev sends the asset of a settled auction. An account that rejects it, e.g. a contract that is not
+     * a token receiver, claims it later with {claimLot} instead of blocking the settlement.
+     * Reverts when this contract no longer holds the asset, only a rejection by `to` records an unclaimed lot
+     */
+    function _deliverAsset(uint256 auctionIndex, address to) internal {
+        Auction storage auction = auctions[auctionIndex];
+        uint256 quantity = lotQuantities[auctionIndex];
+        if (quantity == 0) {
+            require(IERC721(auction.nftContract).ownerOf(auction.tokenId) == address(this), "Lot not escrowed");
+            try IERC721(auction.nftContract).safeTransferFrom(address(this), to, auction.tokenId) {
+                return;
+            } catch {}
+        } else {
+            require(
+                IERC1155(auction.nftContract).balanceOf(address(this), auction.tokenId) >= quantity,
+                "Lot not escrowed"
+            );
+            try IERC1155(auction.nftContract).safeTransferFrom(address(this), to, auction.tokenId, quantity, "") {
+                return;
+            } catch {}
+        }
+        unclaimedLots[auctionIndex] = to;
+        emit LotUnclaimed(auctionIndex, to);
+    }
+
+    /**
+     * @dev submits an EIP-2612 permit of the caller for `amount` of `currency` to this contract,
+     * a failing permit is ignored like in {MarketplaceBase-_permit}
+     */
+    function _permit(address currency, uint256 amount, uint256 deadline, uint8 v, bytes32 r, bytes32 s) internal {
+        require(currency != address(0), "Permit requires an ERC20");
+        try IERC20Permit(currency).permit(_msgSender(), address(this), amount, deadline, v, r, s) {} catch {}
+    }
+
+    /**
+     * @dev sends native coin or ERC20 held by the contract
+     * @dev native coin is sent with all the remaining gas, so the receiver can be a contract
+     * @dev ERC20 transfers are checked like SafeERC20 does, inlined to keep the engine under the size limit
+     */
+    function _transferFunds(address currency, address to, uint256 amount) internal {
+        if (currency == address(0)) {
+            (bool success, ) = payable(to).call{value: amount}("");
+            require(success, "Transfer failed");
+        } else {
+            (bool success, bytes memory data) = currency.call(abi.encodeWithSelector(IERC20.transfer.selector, to, amount));
+            require(success && (data.length == 0 || abi.decode(data, (bool))), "Transfer failed");
+        }
+    }
+
+    //---------------Modifiers--------------//
+
+    /// @dev Allows only the owner and the accounts granted `role`
+    modifier onlyRole(bytes32 role) {
+        require(hasRole(role, _msgSender()), "Caller is missing role");
+        _;
+    }
+
+    /// @dev Allows only while auctions are not paused
+    modifier whenNotPaused() {
+        require(!paused, "Contract is paused");
+        _;
+    }
+
+    //---------------Events-----------------//
+
+    event NewAuction(
+        uint256 auctionIndex,
+        address indexed creator, 
+        address indexed asset,
+        uint256 indexed tokenId, 
+        uint256 price, 
+        uint256 startTime, 
+        uint256 duration, 
+        address currency,
+        AuctionOptions options
+    );
+    event NewLot(uint256 indexed auctionIndex, uint256 quantity);
+    event NewDutchAuction(
+        uint256 auctionIndex,
+        address indexed creator,
+        address indexed asset,
+        uint256 indexed tokenId,
+        uint256 startTime,
+        uint256 duration,
+        address currency,
+        PriceCurve curve
+    );
+    event AuctionCanceled(
+        address indexed asset,
+        uint256 indexed tokenId, 
+        uint256 indexed auctionIndex
+    );
+    event NewBid(
+        address indexed asset,
+        uint256 indexed tokenId, 
+        uint256 indexed auctionIndex, 
+        address bidder,
+        uint256 amount,
+        uint256 endTime
+    );
+    event AuctionFinalized(
+        address indexed asset,
+        uint256 indexed tokenId,
+        address indexed buyer,
+        uint256 auctionIndex,
+        address currency, 
+        uint256 price,
+        uint256 fee,
+        uint256 royalty
+    );
+    event ReserveNotMet(
+        address indexed asset,
+        uint256 indexed tokenId,
+        uint256 indexed auctionIndex,
+        address bidder,
+        uint256 amount
+    );
+    event ExtensionChanged(address indexed account, address newExtension, address oldExtension);
+    event TrustedForwarderChanged(address indexed account, address newForwarder, address oldForwarder);
+    event LotUnclaimed(uint256 indexed auctionIndex, address indexed recipient);
+    event LotClaimed(uint256 indexed auctionIndex, address indexed recipient, address to);
+    event PriceFeedChanged(address indexed currency, address aggregator, uint256 maxAge);
+    event UsdReserveChanged(uint256 indexed auctionIndex, uint256 usdReserve);
+    event PaymentCredited(address indexed payee, address indexed currency, uint256 amount);
+    event PaymentWithdrawn(address indexed payee, address indexed currency, uint256 amount);
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+    event Paused(address account);
+    event Unpaused(address account);
+    event TokensRecovered(address indexed token, address indexed to, uint256 amount);
+    event AssetRecovered(address indexed asset, uint256 indexed tokenId, address indexed to, uint256 auctionIndex);
+}
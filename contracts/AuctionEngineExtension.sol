@@ -0,0 +1,343 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.7;
+
+import "./AuctionEngineBase.sol";
+
+/**
+ * @title AuctionEngineExtension
+ * @notice Auction discovery views and bid history, and the administration of roles, pause and asset recovery
+ * @dev is not deployed behind its own proxy: the {AuctionEngine} delegates the calls it does not implement to it,
+ * so it runs on the storage, the balance and the address of the auction engine
+ */
+contract AuctionEngineExtension is AuctionEngineBase {
+    using EnumerableSetUpgradeable for EnumerableSetUpgradeable.UintSet;
+
+    /**
+     * @notice page of the open auctions in `status`, the finished ones are those not finalized yet
+     * @param status pending, active or finished
+     * @param offset number of matching auctions to skip
+     * @param limit maximum number of auction indexes returned
+     */
+    function getAuctionsByStatus(Status status, uint256 offset, uint256 limit) public view returns (uint256[] memory) {
+        return _findOpenAuctions(status, false, offset, limit);
+    }
+
+    /**
+     * @notice page of the finished auctions with a bid that still need {finalize}
+     * @param offset number of claimable auctions to skip
+     * @param limit maximum number of auction indexes returned
+     */
+    function getClaimableAuctions(uint256 offset, uint256 limit) public view returns (uint256[] memory) {
+        return _findOpenAuctions(Status.finished, true, offset, limit);
+    }
+
+    /**
+     * @notice number of the auctions that are not finalized, canceled or recovered yet
+     */
+    function getOpenAuctionCount() public view returns (uint256) { return _openAuctions.length(); }
+
+    /**
+     * @notice page of the auctions created by `creator`, oldest first
+     */
+    function getAuctionsByCreator(address creator, uint256 offset, uint256 limit) public view returns (uint256[] memory) {
+        return _page(_creatorAuctions[creator], offset, limit);
+    }
+
+    /**
+     * @notice number of the auctions created by `creator`
+     */
+    function getCreatorAuctionCount(address creator) public view returns (uint256) { return _creatorAuctions[creator].length(); }
+
+    /**
+     * @notice page of the open auctions where `bidder` holds the current bid
+     */
+    function getLeadingAuctions(address bidder, uint256 offset, uint256 limit) public view returns (uint256[] memory) {
+        return _page(_leadingAuctions[bidder], offset, limit);
+    }
+
+    /**
+     * @notice number of the open auctions where `bidder` holds the current bid
+     */
+    function getLeadingAuctionCount(address bidder) public view returns (uint256) { return _leadingAuctions[bidder].length(); }
+
+    /**
+     * @dev get current bid count of auction
+     * @param auctionIndex the auction identifier
+     */
+    function getBidCount(uint256 auctionIndex) public view returns (uint256) { return auctions[auctionIndex].bidCount; }
+
+    /**
+     * @notice page of the bids of an auction, oldest first
+     * @dev bids placed before the bid history existed are not recorded, see {getBidCount}
+     * @param auctionIndex the auction identifier
+     */
+    function getBidHistory(uint256 auctionIndex, uint256 offset, uint256 limit) public view returns (BidRecord[] memory page) {
+        BidRecord[] storage bids = _bidHistory[auctionIndex];
+        if (offset >= bids.length) {
+            return page;
+        }
+        if (limit > bids.length - offset) {
+            limit = bids.length - offset;
+        }
+        page = new BidRecord[](limit);
+        for (uint256 i = 0; i < limit; i++) {
+            page[i] = bids[offset + i];
+        }
+    }
+
+    /**
+     * @notice number of the bids recorded for an auction
+     */
+    function getBidHistoryLength(uint256 auctionIndex) public view returns (uint256) { return _bidHistory[auctionIndex].length; }
+
+    /**
+     * @notice add the auctions created before the open auctions were tracked to the auction views,
+     * and the current bids of the open ones to the escrowed bids, going through `limit` auctions from {indexedAuctionCount}
+     * @dev Caller must be contract owner. Funds can be recovered once it went through all the auctions,
+     * see {auctionsIndexed}. Their bids are not recorded in the bid history
+     * @param limit maximum number of auctions to go through
+     */
+    function indexAuctions(uint256 limit) external onlyOwner {
+        uint256 end = indexedAuctionCount + limit;
+        if (end > auctions.length) {
+            end = auctions.length;
+        }
+        for (uint256 i = indexedAuctionCount; i < end; i++) {
+            Auction storage auction = auctions[i];
+            _creatorAuctions[auction.creator].add(i);
+            // auctions created since the upgrade are already open and their bids escrowed
+            if (!auction.finalized && _openAuctions.add(i) && auction.currentBidOwner != address(0)) {
+                _leadingAuctions[auction.currentBidOwner].add(i);
+                totalEscrowedBids[auction.currency] += auction.currentBidAmount;
+            }
+        }
+        indexedAuctionCount = end;
+        if (end == auctions.length) {
+            auctionsIndexed = true;
+        }
+    }
+
+    /**
+     * @dev reads at most `limit` auction indexes of `set` from `offset`
+     */
+    function _page(EnumerableSetUpgradeable.UintSet storage set, uint256 offset, uint256 limit)
+        internal
+        view
+        returns (uint256[] memory page)
+    {
+        uint256 length = set.length();
+        if (offset >= length) {
+            return page;
+        }
+        if (limit > length - offset) {
+            limit = length - offset;
+        }
+        page = new uint256[](limit);
+        for (uint256 i = 0; i < limit; i++) {
+            page[i] = set.at(offset + i);
+        }
+    }
+
+    /**
+     * @dev scans the open auctions for the ones in `status`, with a bid when `withBid` is set
+     */
+    function _findOpenAuctions(Status status, bool withBid, uint256 offset, uint256 limit)
+        internal
+        view
+        returns (uint256[] memory page)
+    {
+        uint256 length = _openAuctions.length();
+        page = new uint256[](limit < length ? limit : length);
+        uint256 count = 0;
+        for (uint256 i = 0; i < length && count < page.length; i++) {
+            uint256 index = _openAuctions.at(i);
+            if (getStatus(index) != status || (withBid && auctions[index].currentBidOwner == address(0))) {
+                continue;
+            }
+            if (offset > 0) {
+                offset--;
+                continue;
+            }
+            page[count++] = index;
+        }
+        // shrink the page to the auctions found
+        assembly {
+            mstore(page, count)
+        }
+    }
+
+    /**
+     * @notice update marketplace address
+     * @dev caller must be contract owner
+     * @param _marketplace marketplace contract address
+     */
+    function updateMarketplace(address _marketplace) public onlyOwner { marketplace = _marketplace; }
+
+    /**
+     * @notice grant `role` to `account`
+     * @dev caller must be contract owner
+     * @param role the role identifier
+     * @param account the account address
+     */
+    function grantRole(bytes32 role, address account) external onlyOwner {
+        if (!_roles[role][account]) {
+            _roles[role][account] = true;
+            emit RoleGranted(role, account, _msgSender());
+        }
+    }
+
+    /**
+     * @notice revoke `role` from `account`
+     * @dev caller must be contract owner. The owner keeps every role, see {hasRole}
+     * @param role the role identifier
+     * @param account the account address
+     */
+    function revokeRole(bytes32 role, address account) external onlyOwner { _revokeRole(role, account); }
+
+    /**
+     * @notice give up `role`, e.g. when the key of the caller is compromised
+     * @param role the role identifier
+     */
+    function renounceRole(bytes32 role) external { _revokeRole(role, _msgSender()); }
+
+    /**
+     * @notice pause creating auctions, bidding and buying
+     * @dev caller must have the PAUSER_ROLE. Auction owners can still cancel the auctions without bid,
+     * finished auctions can still be finalized and payments withdrawn
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        require(!paused, "Contract is paused");
+        paused = true;
+        emit Paused(_msgSender());
+    }
+
+    /**
+     * @notice resume auctions
+     * @dev caller must have the PAUSER_ROLE
+     */
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        require(paused, "Contract is not paused");
+        paused = false;
+        emit Unpaused(_msgSender());
+    }
+
+    /**
+     * @dev removes `role` from the roles granted to `account`
+     */
+    function _revokeRole(bytes32 role, address account) internal {
+        if (_roles[role][account]) {
+            _roles[role][account] = false;
+            emit RoleRevoked(role, account, _msgSender());
+        }
+    }
+  
+
+    /**
+     * @notice sends the asset of a settled auction that its recipient rejected on settlement
+     * @dev caller must be the recipient recorded in {unclaimedLots}
+     * @param auctionIndex the auction identifier
+     * @param to account the asset is sent to, it must accept it
+     */
+    function claimLot(uint256 auctionIndex, address to) external nonReentrant {
+        require(unclaimedLots[auctionIndex] == _msgSender(), "Nothing to claim");
+        delete unclaimedLots[auctionIndex];
+        _transferAsset(auctionIndex, address(this), to);
+        emit LotClaimed(auctionIndex, _msgSender(), to);
+    }
+
+    /**
+     * @notice set a reserve price in USD, the auction fails at finalize unless its winning bid is worth it
+     * @dev caller must be the auction owner, before the first bid. Each bid is valued at the rate of the price feed
+     * of the auction currency when it is placed. It adds to the reserve price in the auction currency
+     * @param auctionIndex the English auction identifier
+     * @param usdReserve reserve price in USD, using 8 decimals: 100000000 = 1 USD, zero to remove it
+     */
+    function setUsdReserve(uint256 auctionIndex, uint256 usdReserve) external {
+        Auction storage auction = auctions[auctionIndex];
+        require(auction.creator == _msgSender(), "Only auction owner");
+        require(auction.currentBidOwner == address(0), "Auction has a bid");
+        require(auction.auctionType == AuctionType.english, "Not an English auction");
+        require(usdReserve == 0 || priceFeeds[auction.currency].aggregator != address(0), "Currency has no price feed");
+
+        usdReserves[auctionIndex] = usdReserve;
+
+        emit UsdReserveChanged(auctionIndex, usdReserve);
+    }
+
+    /**
+     * @notice set the feed pricing a currency in USD, the auctions in this currency can then have a USD reserve
+     * @dev caller must have the CURRENCY_CURATOR_ROLE
+     * @param currency currency address, zero address for native coin
+     * @param aggregator Chainlink-style aggregator quoting the currency in USD, zero to remove the feed
+     * @param maxAge seconds after which an answer of the feed is stale, e.g. its heartbeat
+     */
+    function setPriceFeed(address currency, address aggregator, uint256 maxAge) external onlyRole(CURRENCY_CURATOR_ROLE) {
+        priceFeeds[currency] = UsdPricing.PriceFeed(aggregator, maxAge);
+        emit PriceFeedChanged(currency, aggregator, maxAge);
+    }
+
+    /**
+     * @notice amount of `currency` held by the contract that is neither credited to a payee nor a current bid
+     * @dev the bids of the auctions that are not indexed yet are missing from it, see {indexAuctions}
+     * @param currency the currency address, zero address for native coin
+     */
+    function recoverableBalance(address currency) public view returns (uint256) {
+        uint256 balance = currency == address(0) ? address(this).balance : IERC20(currency).balanceOf(address(this));
+        uint256 held = totalPendingPayments[currency] + totalEscrowedBids[currency];
+        return balance > held ? balance - held : 0;
+    }
+
+    /**
+     * @notice It allows the admins to get tokens sent to the contract
+     * @param tokenAddress: the address of the token to withdraw
+     * @param tokenAmount: the number of token amount to withdraw, at most the {recoverableBalance}
+     * @dev Only callable by the ASSET_RECOVERY_ROLE
+     */
+    function recoverTokens(address tokenAddress, uint256 tokenAmount)
+        external
+        nonReentrant
+        onlyRole(ASSET_RECOVERY_ROLE)
+    {
+        require(tokenAddress != address(0), "Address can not be zero!");
+        _recoverFunds(tokenAddress, tokenAmount);
+    }
+
+    /**
+     * @notice It allows the admins to get the coins sent to the contract
+     * @param amount: amount to withdraw, at most the {recoverableBalance}
+     * @dev Only callable by the ASSET_RECOVERY_ROLE
+     */
+    function withdraw(uint256 amount) external nonReentrant onlyRole(ASSET_RECOVERY_ROLE) {
+        _recoverFunds(address(0), amount);
+    }
+
+    /**
+     * @notice it allows the admins to give the NFT of an auction back to its owner, if there will be any issue with contract
+     * @param auctionIndex: auctionIndex to recover token from auction, it must have no bid
+     * @dev Only callable by the ASSET_RECOVERY_ROLE. The auction ends like {cancelAuction}
+     */
+    function recoverAsset(uint256 auctionIndex)
+        external
+        nonReentrant
+        onlyRole(ASSET_RECOVERY_ROLE)
+    {
+        Auction storage auction = auctions[auctionIndex];
+        require(!auction.finalized, "Not allowed");
+        require(auction.currentBidOwner == address(0), "Auction has a bid");
+
+        _closeAuction(auctionIndex);
+        _transferAsset(auctionIndex, address(this), auction.creator);
+
+        emit AssetRecovered(auction.nftContract, auction.tokenId, auction.creator, auctionIndex);
+    }
+
+    /**
+     * @dev sends `amount` of `currency` that belongs to no one to the caller
+     */
+    function _recoverFunds(address currency, uint256 amount) internal {
+        require(auctionsIndexed, "Auctions are not indexed");
+        require(amount <= recoverableBalance(currency), "Amount exceeds recoverable balance");
+        _transferFunds(currency, _msgSender(), amount);
+        emit TokensRecovered(currency, _msgSender(), amount);
+    }
+}
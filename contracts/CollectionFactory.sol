@@ -0,0 +1,221 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.7;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "./ICollectionRegistry.sol";
+import "./NFT.sol";
+
+/**
+ * @title CollectionFactory
+ * @notice Deploys creator collections: minimal clones of the NFT implementation with their own name, symbol,
+ * contract metadata, owner and default royalties, approved on the Marketplace so they can be traded right away
+ * @dev the factory must hold the COLLECTION_CURATOR_ROLE of the Marketplace. The AuctionEngine auctions any ERC721
+ * and needs no registration. Clones are not upgradeable, changing `implementation` only affects the next ones.
+ * The factory, not the creator, sets the forwarder of the clones: it can act as any account of the collection
+ */
+contract CollectionFactory is Initializable, UUPSUpgradeable, OwnableUpgradeable {
+    /// @notice NFT contract the collections are cloned from
+    address public implementation;
+    /// @notice Marketplace the collections are approved on
+    address public marketplace;
+
+    /// @dev the collections deployed by the factory, oldest first
+    address[] private _collections;
+    /// @dev Mapping from creator to the collections they deployed, oldest first
+    mapping(address => address[]) private _creatorCollections;
+    /// @notice Mapping from collection address to its creator, zero for contracts not deployed by the factory
+    mapping(address => address) public creatorOf;
+
+    /// @notice AuctionEngine allowed to notify the royalties it pays to the collections
+    address public auctionEngine;
+    /// @notice ERC-2771 forwarder trusted by the next collections
+    address public trustedForwarder;
+
+    event CollectionCreated(address indexed collection, address indexed creator, string name, string symbol);
+    event ImplementationChanged(address indexed implementation);
+    event MarketplaceChanged(address indexed marketplace);
+    event AuctionEngineChanged(address indexed auctionEngine);
+    event TrustedForwarderChanged(address indexed forwarder);
+
+    /**
+     * @dev Initializes the contract
+     * @param _implementation NFT contract the collections are cloned from
+     * @param _marketplace Marketplace the collections are approved on
+     * @param _auctionEngine AuctionEngine allowed to notify the royalties it pays to the collections
+     * @param _forwarder ERC-2771 forwarder trusted by the collections, zero for none
+     */
+    function initialize(
+        address _implementation,
+        address _marketplace,
+        address _auctionEngine,
+        address _forwarder
+    ) public initializer {
+        __Ownable_init();
+        setImplementation(_implementation);
+        setMarketplace(_marketplace);
+        setAuctionEngine(_auctionEngine);
+        setTrustedForwarder(_forwarder);
+    }
+
+    ///@dev function that should revert when `msg.sender` is not authorized to upgrade the contract.
+    function _authorizeUpgrade(address newImplementation) internal override onlyOwner {}
+
+    /**
+     * @notice update the NFT contract the next collections are cloned from
+     * @dev Caller must be contract owner. The implementation must not be initializable, see {NFT-constructor}
+     * @param _implementation NFT implementation address
+     */
+    function setImplementation(address _implementation) public onlyOwner {
+        require(_implementation != address(0), "Implementation is the zero address");
+        implementation = _implementation;
+        emit ImplementationChanged(_implementation);
+    }
+
+    /**
+     * @notice update the Marketplace the next collections are approved on, see {setCollectionRoyaltyPayer}
+     * for the deployed collections
+     * @dev Caller must be contract owner
+     * @param _marketplace Marketplace address
+     */
+    function setMarketplace(address _marketplace) public onlyOwner {
+        require(_marketplace != address(0), "Marketplace is the zero address");
+        marketplace = _marketplace;
+        emit MarketplaceChanged(_marketplace);
+    }
+
+    /**
+     * @notice update the AuctionEngine allowed to notify the royalties of the next collections,
+     * see {setCollectionRoyaltyPayer} for the deployed collections
+     * @dev Caller must be contract owner
+     * @param _auctionEngine AuctionEngine address
+     */
+    function setAuctionEngine(address _auctionEngine) public onlyOwner {
+        require(_auctionEngine != address(0), "AuctionEngine is the zero address");
+        auctionEngine = _auctionEngine;
+        emit AuctionEngineChanged(_auctionEngine);
+    }
+
+    /**
+     * @notice update the ERC-2771 forwarder trusted by the next collections
+     * @dev Caller must be contract owner, see {setCollectionForwarder} for the deployed collections
+     * @param forwarder forwarder contract address, zero for none
+     */
+    function setTrustedForwarder(address forwarder) public onlyOwner {
+        trustedForwarder = forwarder;
+        emit TrustedForwarderChanged(forwarder);
+    }
+
+    /**
+     * @notice update the ERC-2771 forwarder of a collection deployed by the factory
+     * @dev Caller must be contract owner
+     * @param collection the collection address
+     * @param forwarder forwarder contract address, zero to stop accepting meta-transactions
+     */
+    function setCollectionForwarder(address collection, address forwarder) external onlyOwner {
+        require(creatorOf[collection] != address(0), "Unknown collection");
+        NFT(collection).setTrustedForwarder(forwarder);
+    }
+
+    /**
+     * @notice allow or revoke a marketplace paying the royalties of a collection deployed by the factory
+     * @dev Caller must be contract owner, e.g. after changing the marketplace or the auction engine
+     * @param collection the collection address
+     * @param payer marketplace or auction engine address
+     * @param allowed false to revoke it
+     */
+    function setCollectionRoyaltyPayer(address collection, address payer, bool allowed) external onlyOwner {
+        require(creatorOf[collection] != address(0), "Unknown collection");
+        NFT(collection).setRoyaltyPayer(payer, allowed);
+    }
+
+    /**
+     * @notice deploy a collection owned by the caller and approve it on the Marketplace, the Marketplace and
+     * the AuctionEngine are allowed to notify the royalties they pay
+     * @param name the name of the collection
+     * @param symbol the symbol of the collection
+     * @param contractUri the URI to the collection metadata
+     * @param royalties default royalties of the collection, recipients and their percentage
+     * (using 2 decimals: 10000 = 100)
+     * @return collection the address of the collection
+     */
+    function createCollection(
+        string calldata name,
+        string calldata symbol,
+        string calldata contractUri,
+        NFT.RoyaltyInfo[] calldata royalties
+    ) external returns (address collection) {
+        collection = Clones.clone(implementation);
+        NFT(collection).initializeCollection(name, symbol, contractUri, msg.sender, royalties, trustedForwarder);
+
+        _collections.push(collection);
+        _creatorCollections[msg.sender].push(collection);
+        creatorOf[collection] = msg.sender;
+
+        ICollectionRegistry(marketplace).addApprovedCollection(collection);
+        NFT(collection).setRoyaltyPayer(marketplace, true);
+        NFT(collection).setRoyaltyPayer(auctionEngine, true);
+
+        emit CollectionCreated(collection, msg.sender, name, symbol);
+    }
+
+    /**
+     * @notice number of the collections deployed by the factory
+     */
+    function getCollectionCount() external view returns (uint256) {
+        return _collections.length;
+    }
+
+    /**
+     * @notice page of the collections deployed by the factory, oldest first
+     * @param offset number of collections to skip
+     * @param limit maximum number of collections returned
+     */
+    function getCollections(uint256 offset, uint256 limit) external view returns (address[] memory) {
+        return _page(_collections, offset, limit);
+    }
+
+    /**
+     * @notice number of the collections deployed by `creator`
+     */
+    function getCreatorCollectionCount(address creator) external view returns (uint256) {
+        return _creatorCollections[creator].length;
+    }
+
+    /**
+     * @notice page of the collections deployed by `creator`, oldest first
+     * @param creator the creator address
+     * @param offset number of collections to skip
+     * @param limit maximum number of collections returned
+     */
+    function getCollectionsByCreator(address creator, uint256 offset, uint256 limit)
+        external
+        view
+        returns (address[] memory)
+    {
+        return _page(_creatorCollections[creator], offset, limit);
+    }
+
+    /**
+     * @dev reads at most `limit` addresses of `list` from `offset`
+     */
+    function _page(address[] storage list, uint256 offset, uint256 limit)
+        internal
+        view
+        returns (address[] memory page)
+    {
+        uint256 length = list.length;
+        if (offset >= length) {
+            return page;
+        }
+        if (limit > length - offset) {
+            limit = length - offset;
+        }
+        page = new address[](limit);
+        for (uint256 i = 0; i < limit; i++) {
+            page[i] = list[offset + i];
+        }
+    }
+}
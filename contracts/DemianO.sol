@@ -2,11 +2,24 @@
 pragma solidity ^0.8.4;
 
 import "@openzeppelin/contracts-upgradeable/token/ERC20/ERC20Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/draft-ERC20PermitUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
 import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
 
-contract DemianO is Initializable, ERC20Upgradeable, OwnableUpgradeable, UUPSUpgradeable {
+/**
+ * @title DemianO
+ * @notice DEMO token with EIP-2612 permits
+ * @dev the permit storage is appended after the storage of the first version. Stake weight is checkpointed
+ * by the {FeeDistributor} holding the staked tokens
+ */
+contract DemianO is
+    Initializable,
+    ERC20Upgradeable,
+    OwnableUpgradeable,
+    UUPSUpgradeable,
+    ERC20PermitUpgradeable
+{
     /// @custom:oz-upgrades-unsafe-allow constructor
     constructor() {
         _disableInitializers();
@@ -16,10 +29,22 @@ contract DemianO is Initializable, ERC20Upgradeable, OwnableUpgradeable, UUPSUpg
         __ERC20_init("DemianO", "DEMO");
         __Ownable_init();
         __UUPSUpgradeable_init();
+        __ERC20Permit_init("DemianO");
 
         _mint(msg.sender, 1000000000 * 10 ** decimals());
     }
 
+    /**
+     * @notice sets up the permits of a proxy deployed with the first version
+     * @dev called when the proxy is upgraded, see migrations/13_upgrade_demiano_permits.js. The other parents
+     * were initialized by {initialize}: calling `__Ownable_init` again would hand the token to the caller
+     * @custom:oz-upgrades-validate-as-initializer
+     * @custom:oz-upgrades-unsafe-allow missing-initializer-call incorrect-initializer-order
+     */
+    function initializeV2() reinitializer(2) public {
+        __ERC20Permit_init("DemianO");
+    }
+
     function mint(address to, uint256 amount) public onlyOwner {
         _mint(to, amount);
     }
@@ -29,4 +54,4 @@ contract DemianO is Initializable, ERC20Upgradeable, OwnableUpgradeable, UUPSUpg
         onlyOwner
         override
     {}
-}
\ No newline at end of file
+}
@@ -0,0 +1,358 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.7;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/CheckpointsUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/utils/SafeERC20Upgradeable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/draft-IERC20Permit.sol";
+import "./IPullPayments.sol";
+import "./IStaking.sol";
+
+/**
+ * @title FeeDistributor
+ * @notice Shares the platform fees of the Marketplace and the AuctionEngine between the DemianO stakers
+ * @dev set as the `feeDestination` of the fee sources. Closing an epoch withdraws the fees credited to this contract
+ * and splits them between the stakers pro rata to their stake at the start of the epoch. Fees of an epoch
+ * without stake roll over to the next one. Unstaked tokens stop counting at once and are withdrawn after `cooldown`,
+ * a cooldown of at least `epochDuration` keeps the tokens locked during the epoch they earn fees for.
+ * The `_stakes` and `_totalStake` checkpoints replace token-level snapshots: DemianO has no ERC20Votes or
+ * ERC20Snapshot, and only the tokens held here count, so balances moved around an epoch start earn nothing
+ */
+contract FeeDistributor is Initializable, UUPSUpgradeable, OwnableUpgradeable, ReentrancyGuardUpgradeable, IStaking {
+    using CheckpointsUpgradeable for CheckpointsUpgradeable.History;
+    using SafeERC20Upgradeable for IERC20Upgradeable;
+
+    /// @notice structure for the start of an epoch
+    struct Epoch {
+        uint256 startTime;
+        // stakes are read at the end of this block
+        uint256 startBlock;
+    }
+
+    /// @notice structure for tokens waiting for the cooldown
+    struct Unstake {
+        uint256 amount;
+        uint256 availableAt;
+    }
+
+    /// @notice DemianO token address, the staked token
+    address public demo;
+    /// @notice shortest duration of an epoch in seconds
+    uint256 public epochDuration;
+    /// @notice seconds between an unstake request and the withdrawal
+    uint256 public cooldown;
+    /// @notice epoch collecting the fees, the previous ones are closed
+    uint256 public currentEpoch;
+    /// @notice Mapping from epoch to its start
+    mapping(uint256 => Epoch) public epochs;
+    /// @notice Mapping from epoch to currency to the fees shared between its stakers
+    mapping(uint256 => mapping(address => uint256)) public epochFees;
+    /// @notice Mapping from currency to the fees shared and not claimed yet
+    mapping(address => uint256) public reserved;
+    /// @notice contracts the fees are withdrawn from
+    address[] public sources;
+    /// @notice currencies the fees are withdrawn in, zero address for native coin
+    address[] public currencies;
+    /// @notice Mapping from contract address to whether it is a fee source
+    mapping(address => bool) public isSource;
+    /// @notice Mapping from currency address to whether it is distributed
+    mapping(address => bool) public isCurrency;
+    /// @notice Mapping from account to its unstake waiting for the cooldown
+    mapping(address => Unstake) public unstakes;
+    /// @notice tokens waiting for the cooldown
+    uint256 public totalUnstaking;
+    /// @notice Mapping from epoch to account to currency to whether its share was claimed
+    mapping(uint256 => mapping(address => mapping(address => bool))) public claimed;
+
+    // stake of each account and total stake by block, read at the start block of an epoch
+    mapping(address => CheckpointsUpgradeable.History) private _stakes;
+    CheckpointsUpgradeable.History private _totalStake;
+
+    event Staked(address indexed account, uint256 amount);
+    event UnstakeRequested(address indexed account, uint256 amount, uint256 availableAt);
+    event Withdrawn(address indexed account, uint256 amount);
+    event EpochClosed(uint256 indexed epoch, uint256 totalStake);
+    event EpochFees(uint256 indexed epoch, address indexed currency, uint256 amount);
+    event FeesClaimed(address indexed account, address indexed currency, uint256 amount);
+    event SourceAdded(address indexed source);
+    event CurrencyAdded(address indexed currency);
+    event EpochDurationChanged(uint256 newDuration, uint256 oldDuration);
+    event CooldownChanged(uint256 newCooldown, uint256 oldCooldown);
+
+    /**
+     * @dev Initializes the contract, the first epoch starts now
+     * @param _demo DemianO token address
+     * @param _epochDuration shortest duration of an epoch in seconds
+     * @param _cooldown seconds between an unstake request and the withdrawal
+     */
+    function initialize(address _demo, uint256 _epochDuration, uint256 _cooldown) public initializer {
+        __Ownable_init();
+        __ReentrancyGuard_init();
+        demo = _demo;
+        setCooldown(_cooldown);
+        setEpochDuration(_epochDuration);
+        epochs[0] = Epoch(block.timestamp, block.number);
+    }
+
+    ///@dev function that should revert when `msg.sender` is not authorized to upgrade the contract.
+    function _authorizeUpgrade(address newImplementation) internal override onlyOwner {}
+
+    /**
+     * @notice receives the native coin fees withdrawn from the sources
+     */
+    receive() external payable {}
+
+    /**
+     * @notice update the shortest duration of an epoch, applies to the current epoch
+     * @dev Caller must be contract owner, the duration can not exceed the cooldown
+     * @param _epochDuration duration in seconds
+     */
+    function setEpochDuration(uint256 _epochDuration) public onlyOwner {
+        require(_epochDuration > 0 && _epochDuration <= cooldown, "Invalid epoch duration");
+        emit EpochDurationChanged(_epochDuration, epochDuration);
+        epochDuration = _epochDuration;
+    }
+
+    /**
+     * @notice update the unstaking cooldown, applies to the next unstake requests
+     * @dev Caller must be contract owner, the cooldown lasts at least one epoch
+     * @param _cooldown cooldown in seconds
+     */
+    function setCooldown(uint256 _cooldown) public onlyOwner {
+        require(_cooldown >= epochDuration, "Cooldown shorter than an epoch");
+        emit CooldownChanged(_cooldown, cooldown);
+        cooldown = _cooldown;
+    }
+
+    /**
+     * @notice withdraw the fees credited by a contract when closing an epoch
+     * @dev Caller must be contract owner
+     * @param source Marketplace or AuctionEngine address, see {IPullPayments}
+     */
+    function addSource(address source) external onlyOwner {
+        require(!isSource[source], "Source already added");
+        isSource[source] = true;
+        sources.push(source);
+        emit SourceAdded(source);
+    }
+
+    /**
+     * @notice distribute the fees paid in a currency
+     * @dev Caller must be contract owner
+     * @param currency currency address, zero address for native coin
+     */
+    function addCurrency(address currency) external onlyOwner {
+        require(!isCurrency[currency], "Currency already added");
+        isCurrency[currency] = true;
+        currencies.push(currency);
+        emit CurrencyAdded(currency);
+    }
+
+    /**
+     * @notice number of fee sources
+     */
+    function getSourceCount() external view returns (uint256) {
+        return sources.length;
+    }
+
+    /**
+     * @notice number of distributed currencies
+     */
+    function getCurrencyCount() external view returns (uint256) {
+        return currencies.length;
+    }
+
+    /**
+     * @notice stake DemianO, it earns fees from the next epoch
+     * @dev the tokens must be approved to this contract
+     * @param amount amount of DemianO
+     */
+    function stake(uint256 amount) public nonReentrant {
+        require(amount > 0, "Amount must be greater than 0");
+        IERC20Upgradeable(demo).safeTransferFrom(msg.sender, address(this), amount);
+        _stakes[msg.sender].push(_stakes[msg.sender].latest() + amount);
+        _totalStake.push(_totalStake.latest() + amount);
+        emit Staked(msg.sender, amount);
+    }
+
+    /**
+     * @notice stake DemianO approved with an EIP-2612 permit signed by the caller
+     * @dev a failing permit is ignored like in {MarketplaceBase-_permit}
+     * @param amount amount of DemianO
+     * @param deadline permit expiry timestamp
+     * @param v signature recovery id
+     * @param r signature r
+     * @param s signature s
+     */
+    function stakeWithPermit(uint256 amount, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external {
+        try IERC20Permit(demo).permit(msg.sender, address(this), amount, deadline, v, r, s) {} catch {}
+        stake(amount);
+    }
+
+    /**
+     * @notice stop earning fees on staked tokens, they can be withdrawn after the cooldown
+     * @dev the cooldown of tokens already waiting restarts
+     * @param amount amount of DemianO
+     */
+    function requestUnstake(uint256 amount) external {
+        uint256 staked = _stakes[msg.sender].latest();
+        require(amount > 0 && amount <= staked, "Invalid amount");
+        _stakes[msg.sender].push(staked - amount);
+        _totalStake.push(_totalStake.latest() - amount);
+
+        Unstake storage request = unstakes[msg.sender];
+        request.amount += amount;
+        request.availableAt = block.timestamp + cooldown;
+        totalUnstaking += amount;
+        emit UnstakeRequested(msg.sender, request.amount, request.availableAt);
+    }
+
+    /**
+     * @notice send back the tokens whose cooldown is over
+     */
+    function withdraw() external nonReentrant {
+        Unstake memory request = unstakes[msg.sender];
+        require(request.amount > 0, "Nothing to withdraw");
+        require(block.timestamp >= request.availableAt, "Cooldown not over");
+
+        delete unstakes[msg.sender];
+        totalUnstaking -= request.amount;
+        IERC20Upgradeable(demo).safeTransfer(msg.sender, request.amount);
+        emit Withdrawn(msg.sender, request.amount);
+    }
+
+    /**
+     * @notice close the current epoch once its duration is over and start the next one
+     * @dev anyone can call it. Withdraws the fees credited by the sources in the distributed currencies,
+     * fees received since the last close are shared between the stakers of the closed epoch
+     */
+    function closeEpoch() external nonReentrant {
+        uint256 epoch = currentEpoch;
+        require(block.timestamp >= epochs[epoch].startTime + epochDuration, "Epoch not over");
+
+        for (uint256 i = 0; i < sources.length; i++) {
+            for (uint256 j = 0; j < currencies.length; j++) {
+                if (IPullPayments(sources[i]).pendingPayments(address(this), currencies[j]) > 0) {
+                    IPullPayments(sources[i]).withdrawPayments(currencies[j]);
+                }
+            }
+        }
+
+        uint256 totalStake = _totalStake.getAtBlock(epochs[epoch].startBlock);
+        if (totalStake > 0) {
+            for (uint256 j = 0; j < currencies.length; j++) {
+                address currency = currencies[j];
+                uint256 fees = _undistributed(currency);
+                if (fees > 0) {
+                    epochFees[epoch][currency] = fees;
+                    reserved[currency] += fees;
+                    emit EpochFees(epoch, currency, fees);
+                }
+            }
+        }
+
+        currentEpoch = epoch + 1;
+        epochs[epoch + 1] = Epoch(block.timestamp, block.number);
+        emit EpochClosed(epoch, totalStake);
+    }
+
+    /**
+     * @notice send the caller's share of the fees of closed epochs
+     * @param epochIds closed epochs, the ones already claimed in `currency` are skipped
+     * @param currency currency address, zero address for native coin
+     */
+    function claim(uint256[] calldata epochIds, address currency) external nonReentrant {
+        uint256 amount;
+        for (uint256 i = 0; i < epochIds.length; i++) {
+            require(epochIds[i] < currentEpoch, "Epoch not closed");
+            if (!claimed[epochIds[i]][msg.sender][currency]) {
+                claimed[epochIds[i]][msg.sender][currency] = true;
+                amount += _share(epochIds[i], msg.sender, currency);
+            }
+        }
+        require(amount > 0, "No fees to claim");
+
+        reserved[currency] -= amount;
+        if (currency == address(0)) {
+            (bool success, ) = payable(msg.sender).call{value: amount}("");
+            require(success, "Transfer failed");
+        } else {
+            IERC20Upgradeable(currency).safeTransfer(msg.sender, amount);
+        }
+        emit FeesClaimed(msg.sender, currency, amount);
+    }
+
+    /**
+     * @notice share of the fees of closed epochs not claimed yet by `account`
+     * @param account staker address
+     * @param epochIds closed epochs, the ones still open count as zero
+     * @param currency currency address, zero address for native coin
+     */
+    function claimable(address account, uint256[] calldata epochIds, address currency) external view returns (uint256 amount) {
+        for (uint256 i = 0; i < epochIds.length; i++) {
+            if (epochIds[i] < currentEpoch && !claimed[epochIds[i]][account][currency]) {
+                amount += _share(epochIds[i], account, currency);
+            }
+        }
+    }
+
+    /**
+     * @notice tokens of `account` currently earning fees
+     */
+    function stakeOf(address account) external view override returns (uint256) {
+        return _stakes[account].latest();
+    }
+
+    /**
+     * @notice tokens currently earning fees
+     */
+    function totalStaked() public view returns (uint256) {
+        return _totalStake.latest();
+    }
+
+    /**
+     * @notice tokens of `account` earning the fees of a closed epoch
+     */
+    function stakeAt(address account, uint256 epoch) external view returns (uint256) {
+        require(epoch < currentEpoch, "Epoch not closed");
+        return _stakes[account].getAtBlock(epochs[epoch].startBlock);
+    }
+
+    /**
+     * @notice tokens earning the fees of a closed epoch
+     */
+    function totalStakeAt(uint256 epoch) external view returns (uint256) {
+        require(epoch < currentEpoch, "Epoch not closed");
+        return _totalStake.getAtBlock(epochs[epoch].startBlock);
+    }
+
+    /**
+     * @dev share of `account` in the fees of a closed epoch, rounding dust stays reserved
+     */
+    function _share(uint256 epoch, address account, address currency) internal view returns (uint256) {
+        uint256 fees = epochFees[epoch][currency];
+        if (fees == 0) {
+            return 0;
+        }
+        uint256 startBlock = epochs[epoch].startBlock;
+        return (fees * _stakes[account].getAtBlock(startBlock)) / _totalStake.getAtBlock(startBlock);
+    }
+
+    /**
+     * @dev balance of a currency not reserved for claims, staked or waiting for the cooldown
+     */
+    function _undistributed(address currency) internal view returns (uint256 balance) {
+        if (currency == address(0)) {
+            balance = address(this).balance;
+        } else {
+            balance = IERC20Upgradeable(currency).balanceOf(address(this));
+        }
+        balance -= reserved[currency];
+        if (currency == demo) {
+            balance -= totalStaked() + totalUnstaking;
+        }
+    }
+}
@@ -0,0 +1,237 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.7;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "./IFeeProvider.sol";
+import "./IStaking.sol";
+
+/**
+ * @title FeeManager
+ * @notice Platform fees of the Marketplace and the AuctionEngine
+ * @dev a sale is charged the fee of its collection if set, otherwise the fee of its currency if set,
+ * otherwise the default fee. Sellers holding or staking DemianO get the discount of the highest tier they reach.
+ * Fees are in percentage (using 2 decimals: 10000 = 100) and never exceed `maxFee`
+ */
+contract FeeManager is Initializable, UUPSUpgradeable, OwnableUpgradeable, IFeeProvider {
+    uint256 public constant FEE_DENOMINATOR = 10000;
+
+    /// @notice structure for a fee that replaces the default fee
+    struct FeeOverride {
+        bool enabled;
+        uint256 fee;
+    }
+
+    /// @notice structure for a discount tier
+    struct Tier {
+        // DemianO balance the seller must hold or stake
+        uint256 minBalance;
+        // discount on the fee in percentage (using 2 decimals: 10000 = 100)
+        uint256 discount;
+    }
+
+    /// @notice platform token address, {platformFeeInToken} returns its fee
+    address public token;
+    /// @notice DemianO token address, holders get the tier discounts
+    address public demo;
+    /// @notice fee of native coin and of the currencies without their own fee
+    uint256 public defaultFee;
+    /// @notice highest fee that can be charged
+    uint256 public maxFee;
+    /// @notice Mapping from currency address to its fee
+    mapping(address => FeeOverride) public currencyFees;
+    /// @notice Mapping from collection address to its fee, takes precedence over the currency fee
+    mapping(address => FeeOverride) public collectionFees;
+    /// @notice discount tiers sorted by `minBalance`
+    Tier[] public tiers;
+    /// @notice FeeDistributor the DemianO is staked in, the staked tokens count toward the tiers
+    address public staking;
+
+    event DefaultFeeChanged(uint256 newFee, uint256 oldFee);
+    event MaxFeeChanged(uint256 newFee, uint256 oldFee);
+    event CurrencyFeeChanged(address indexed currency, bool enabled, uint256 fee);
+    event CollectionFeeChanged(address indexed collection, bool enabled, uint256 fee);
+    event TiersChanged(Tier[] tiers);
+    event StakingChanged(address indexed staking);
+
+    /**
+     * @dev Initializes the contract
+     * @param _token platform token address
+     * @param _demo DemianO token address
+     * @param _defaultFee fee of native coin and of the currencies without their own fee
+     * @param _tokenFee fee of the platform token
+     * @param _maxFee highest fee that can be charged
+     */
+    function initialize(
+        address _token,
+        address _demo,
+        uint256 _defaultFee,
+        uint256 _tokenFee,
+        uint256 _maxFee
+    ) public initializer {
+        __Ownable_init();
+        token = _token;
+        demo = _demo;
+        setMaxFee(_maxFee);
+        setDefaultFee(_defaultFee);
+        setCurrencyFee(_token, true, _tokenFee);
+    }
+
+    ///@dev function that should revert when `msg.sender` is not authorized to upgrade the contract.
+    function _authorizeUpgrade(address newImplementation) internal override onlyOwner {}
+
+    /**
+     * @notice update the highest fee that can be charged
+     * @dev Caller must be contract owner. Fees already set above it are charged at `_maxFee`
+     * @param _maxFee fee in percentage (using 2 decimals: 10000 = 100)
+     */
+    function setMaxFee(uint256 _maxFee) public onlyOwner {
+        require(_maxFee <= FEE_DENOMINATOR, "Fee can not exceed 100%");
+        emit MaxFeeChanged(_maxFee, maxFee);
+        maxFee = _maxFee;
+    }
+
+    /**
+     * @notice update the fee of native coin and of the currencies without their own fee
+     * @dev Caller must be contract owner
+     * @param fee fee in percentage (using 2 decimals: 10000 = 100)
+     */
+    function setDefaultFee(uint256 fee) public onlyOwner {
+        require(fee <= maxFee, "Fee exceeds the cap");
+        emit DefaultFeeChanged(fee, defaultFee);
+        defaultFee = fee;
+    }
+
+    /**
+     * @notice set or remove the fee of a currency
+     * @dev Caller must be contract owner
+     * @param currency currency address, zero address for native coin
+     * @param enabled false to charge the default fee again
+     * @param fee fee in percentage (using 2 decimals: 10000 = 100)
+     */
+    function setCurrencyFee(address currency, bool enabled, uint256 fee) public onlyOwner {
+        require(fee <= maxFee, "Fee exceeds the cap");
+        currencyFees[currency] = FeeOverride(enabled, fee);
+        emit CurrencyFeeChanged(currency, enabled, fee);
+    }
+
+    /**
+     * @notice set or remove the fee of a collection
+     * @dev Caller must be contract owner
+     * @param collection NFT contract address
+     * @param enabled false to charge the currency fee again
+     * @param fee fee in percentage (using 2 decimals: 10000 = 100)
+     */
+    function setCollectionFee(address collection, bool enabled, uint256 fee) public onlyOwner {
+        require(fee <= maxFee, "Fee exceeds the cap");
+        collectionFees[collection] = FeeOverride(enabled, fee);
+        emit CollectionFeeChanged(collection, enabled, fee);
+    }
+
+    /**
+     * @notice replace the discount tiers
+     * @dev Caller must be contract owner
+     * @param _tiers tiers sorted by strictly increasing `minBalance`, an empty list removes the discounts
+     */
+    function setTiers(Tier[] calldata _tiers) external onlyOwner {
+        delete tiers;
+        for (uint256 i = 0; i < _tiers.length; i++) {
+            require(i == 0 || _tiers[i].minBalance > _tiers[i - 1].minBalance, "Tiers must be sorted");
+            require(_tiers[i].discount <= FEE_DENOMINATOR, "Discount can not exceed 100%");
+            tiers.push(_tiers[i]);
+        }
+        emit TiersChanged(_tiers);
+    }
+
+    /**
+     * @notice update the contract the DemianO is staked in
+     * @dev Caller must be contract owner
+     * @param _staking FeeDistributor address, zero to only count the DemianO held
+     */
+    function setStaking(address _staking) external onlyOwner {
+        staking = _staking;
+        emit StakingChanged(_staking);
+    }
+
+    /**
+     * @notice number of discount tiers
+     */
+    function getTierCount() external view returns (uint256) {
+        return tiers.length;
+    }
+
+    /**
+     * @notice discount of the highest tier reached by `account`
+     * @dev the DemianO held by `account` and the DemianO it has staked count toward the tiers
+     * @return discount in percentage (using 2 decimals: 10000 = 100)
+     */
+    function discountOf(address account) public view returns (uint256 discount) {
+        if (demo == address(0) || tiers.length == 0) {
+            return 0;
+        }
+        uint256 balance = IERC20(demo).balanceOf(account);
+        if (staking != address(0)) {
+            balance += IStaking(staking).stakeOf(account);
+        }
+        for (uint256 i = 0; i < tiers.length && tiers[i].minBalance <= balance; i++) {
+            discount = tiers[i].discount;
+        }
+    }
+
+    /**
+     * @notice fee of a sale before the seller discount
+     * @param collection NFT contract address
+     * @param currency sale currency address, zero address for native coin
+     * @return fee in percentage (using 2 decimals: 10000 = 100)
+     */
+    function baseFee(address collection, address currency) public view returns (uint256 fee) {
+        if (collectionFees[collection].enabled) {
+            fee = collectionFees[collection].fee;
+        } else if (currencyFees[currency].enabled) {
+            fee = currencyFees[currency].fee;
+        } else {
+            fee = defaultFee;
+        }
+        if (fee > maxFee) {
+            fee = maxFee;
+        }
+    }
+
+    /**
+     * @notice fee of a sale charged to `seller`
+     * @param collection NFT contract address
+     * @param currency sale currency address, zero address for native coin
+     * @param seller account the fee is deducted from
+     * @return fee in percentage (using 2 decimals: 10000 = 100)
+     */
+    function feeRate(address collection, address currency, address seller) public view returns (uint256) {
+        uint256 fee = baseFee(collection, currency);
+        return fee - (fee * discountOf(seller)) / FEE_DENOMINATOR;
+    }
+
+    /// @inheritdoc IFeeProvider
+    function quoteFee(address collection, address currency, address seller, uint256 price)
+        external
+        view
+        override
+        returns (uint256)
+    {
+        return (price * feeRate(collection, currency, seller)) / FEE_DENOMINATOR;
+    }
+
+    /**
+     * @notice fee of native coin, without collection fees and discounts
+     */
+    function platformFeeInCoin() external view override returns (uint256) {
+        return baseFee(address(0), address(0));
+    }
+
+    /**
+     * @notice fee of the platform token, without collection fees and discounts
+     */
+    function platformFeeInToken() external view override returns (uint256) {
+        return baseFee(address(0), token);
+    }
+}
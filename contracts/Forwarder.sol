@@ -0,0 +1,107 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.7;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/draft-EIP712.sol";
+
+/**
+ * @title Forwarder
+ * @notice Minimal ERC-2771 forwarder: a relayer submits the calls signed off-chain by the users and pays their gas
+ * @dev the signer is appended to the calldata of the call, the Marketplace, the AuctionEngine and the NFT
+ * read it with `_msgSender` once this contract is their trusted forwarder
+ */
+contract Forwarder is EIP712 {
+    /// @notice structure for a call signed by `from`
+    struct ForwardRequest {
+        address from;
+        address to;
+        uint256 value;
+        // gas forwarded to the call
+        uint256 gas;
+        uint256 nonce;
+        // timestamp after which the request can not be executed
+        uint256 deadline;
+        bytes data;
+    }
+
+    bytes32 public constant FORWARD_REQUEST_TYPEHASH = keccak256(
+        "ForwardRequest(address from,address to,uint256 value,uint256 gas,uint256 nonce,uint256 deadline,bytes data)"
+    );
+
+    mapping(address => uint256) private _nonces;
+
+    event RequestExecuted(address indexed from, address indexed to, uint256 nonce, address relayer);
+
+    constructor() EIP712("DemianO Forwarder", "1") {}
+
+    /**
+     * @notice nonce the next request of `from` must be signed with
+     */
+    function getNonce(address from) external view returns (uint256) {
+        return _nonces[from];
+    }
+
+    /**
+     * @notice EIP-712 domain separator of the requests
+     */
+    function domainSeparator() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    /**
+     * @notice whether `request` is signed by its `from`, uses its current nonce and is not expired
+     * @param request the signed call
+     * @param signature EIP-712 signature of `request.from`
+     */
+    function verify(ForwardRequest calldata request, bytes calldata signature) public view returns (bool) {
+        bytes32 digest = _hashTypedDataV4(keccak256(abi.encode(
+            FORWARD_REQUEST_TYPEHASH,
+            request.from,
+            request.to,
+            request.value,
+            request.gas,
+            request.nonce,
+            request.deadline,
+            keccak256(request.data)
+        )));
+        return _nonces[request.from] == request.nonce
+            && request.deadline >= block.timestamp
+            && ECDSA.recover(digest, signature) == request.from;
+    }
+
+    /**
+     * @notice executes a signed call, reverts with the reason of the call when it fails
+     * @dev the relayer sends `request.value` with the transaction
+     * @param request the signed call
+     * @param signature EIP-712 signature of `request.from`
+     * @return the data returned by the call
+     */
+    function execute(ForwardRequest calldata request, bytes calldata signature)
+        external
+        payable
+        returns (bytes memory)
+    {
+        require(verify(request, signature), "Invalid request");
+        require(msg.value == request.value, "Submit the request value");
+        _nonces[request.from] = request.nonce + 1;
+
+        (bool success, bytes memory result) = request.to.call{gas: request.gas, value: request.value}(
+            abi.encodePacked(request.data, request.from)
+        );
+        // the call must have had the gas it was signed with, a relayer could otherwise starve the calls
+        // the target makes and catches, e.g. the asset delivery of an auction settlement. See EIP-150
+        if (gasleft() <= request.gas / 63) {
+            assembly {
+                invalid()
+            }
+        }
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+
+        emit RequestExecuted(request.from, request.to, request.nonce, msg.sender);
+        return result;
+    }
+}
@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.7;
+
+/**
+ * @notice the part of the Chainlink AggregatorV3Interface read by the Marketplace and the AuctionEngine
+ */
+interface IAggregatorV3 {
+    /**
+     * @notice number of decimals of the answers
+     */
+    function decimals() external view returns (uint8);
+
+    /**
+     * @notice the latest answer of the feed
+     * @return roundId the round identifier
+     * @return answer the price
+     * @return startedAt timestamp the round started at
+     * @return updatedAt timestamp the answer was last updated at
+     * @return answeredInRound the round the answer was computed in
+     */
+    function latestRoundData()
+        external
+        view
+        returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound);
+}
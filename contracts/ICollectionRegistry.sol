@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.7;
+
+/**
+ * @notice allowlist of the collections traded on the Marketplace
+ */
+interface ICollectionRegistry {
+    /**
+     * @notice approves an ERC721 collection for trading
+     * @param collection the address of the ERC721 contract to be added
+     */
+    function addApprovedCollection(address collection) external;
+}
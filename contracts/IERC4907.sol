@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.7;
+
+/**
+ * @dev ERC-4907 rental NFTs: the owner grants a user role that expires, e.g. to the renter of the token
+ */
+interface IERC4907 {
+    /// @notice emitted when the user of a token or its expiry changes, the zero address clears the user
+    event UpdateUser(uint256 indexed tokenId, address indexed user, uint64 expires);
+
+    /**
+     * @notice set the user and the expiry of a token
+     * @dev the zero address clears the user. Throws if `tokenId` is not a valid NFT
+     * @param user the new user of the token
+     * @param expires UNIX timestamp until which `user` can use the token
+     */
+    function setUser(uint256 tokenId, address user, uint64 expires) external;
+
+    /**
+     * @notice user of a token, the zero address when there is none or it expired
+     */
+    function userOf(uint256 tokenId) external view returns (address);
+
+    /**
+     * @notice UNIX timestamp until which the user can use a token, zero when there is no user
+     */
+    function userExpires(uint256 tokenId) external view returns (uint256);
+}
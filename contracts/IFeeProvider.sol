@@ -4,4 +4,14 @@ pragma solidity ^0.8.7;
 interface IFeeProvider {
     function platformFeeInCoin() external view returns(uint256);
     function platformFeeInToken() external view returns(uint256);
-}
\ No newline at end of file
+
+    /**
+     * @notice platform fee charged on a sale
+     * @param collection NFT contract address
+     * @param currency sale currency address, zero address for native coin
+     * @param seller account the fee is deducted from
+     * @param price sale price
+     * @return fee amount in `currency`
+     */
+    function quoteFee(address collection, address currency, address seller, uint256 price) external view returns(uint256);
+}
@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.7;
+
+/**
+ * @dev collections the marketplace mints into when a lazy mint voucher is redeemed
+ */
+interface ILazyMintable {
+    /**
+     * @notice mints a token on behalf of its creator
+     * @dev caller must be an allowed minter
+     * @param creator account recorded as creator and royalty receiver
+     * @param to account that gets the token
+     * @param uri metadata URI of the token
+     * @param royaltyValue percentage (using 2 decimals: 10000 = 100)
+     * @return the id of the minted token
+     */
+    function mintFor(address creator, address to, string calldata uri, uint256 royaltyValue) external returns (uint256);
+}
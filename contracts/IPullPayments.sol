@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.7;
+
+/**
+ * @notice payments credited by the Marketplace and the AuctionEngine, withdrawn by their payee
+ */
+interface IPullPayments {
+    /**
+     * @notice amount credited to `payee` and not withdrawn yet
+     * @param payee account the payments are credited to
+     * @param currency currency address, zero address for native coin
+     */
+    function pendingPayments(address payee, address currency) external view returns(uint256);
+
+    /**
+     * @notice sends the payments credited to the caller in `currency`
+     * @param currency currency address, zero address for native coin
+     */
+    function withdrawPayments(address currency) external;
+}
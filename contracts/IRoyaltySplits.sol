@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.7;
+
+import "@openzeppelin/contracts/utils/introspection/IERC165.sol";
+
+/**
+ * @dev royalties shared between several recipients, on top of the single receiver of ERC-2981
+ */
+interface IRoyaltySplits is IERC165 {
+    /**
+     * @notice royalty of each recipient for a sale
+     * @param tokenId the NFT asset queried for royalty information
+     * @param salePrice the sale price of the NFT asset
+     * @return recipients addresses entitled to the royalties
+     * @return amounts royalty payment amount of each recipient
+     */
+    function royaltySplits(uint256 tokenId, uint256 salePrice)
+        external
+        view
+        returns (address[] memory recipients, uint256[] memory amounts);
+
+    /**
+     * @notice called by the marketplace once a royalty is credited to a recipient
+     * @return `bytes4(keccak256("onRoyaltiesReceived(address,address,uint256,address,uint256,bytes32)"))`
+     */
+    function onRoyaltiesReceived(
+        address _royaltyRecipient,
+        address _buyer,
+        uint256 _tokenId,
+        address _tokenPaid,
+        uint256 _amount,
+        bytes32 _metadata
+    ) external returns (bytes4);
+}
@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.7;
+
+/**
+ * @notice DemianO staked in the FeeDistributor, counted with the wallet balance for the fee discount tiers
+ */
+interface IStaking {
+    /**
+     * @notice tokens of `account` currently earning fees
+     * @param account staker address
+     */
+    function stakeOf(address account) external view returns(uint256);
+}
@@ -1,93 +1,23 @@
 //SPDX-License-Identifier: MIT
 pragma solidity ^0.8.7;
 
-import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
-import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
-import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
-import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
-import "@openzeppelin/contracts-upgradeable/utils/AddressUpgradeable.sol";
-import "@openzeppelin/contracts/interfaces/IERC2981.sol";
-import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
 import "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
-import "@openzeppelin/contracts/utils/introspection/ERC165Checker.sol";
-import "@openzeppelin/contracts/utils/Counters.sol";
+import "./MarketplaceBase.sol";
 
 /**
  * @title Marketplace
  * @notice Will contains all the business logic sale and purchase of tokens.
- * @dev uses ReentrancyGuard for security
+ * @dev uses ReentrancyGuard for security. Calls to functions it does not implement are delegated to the extension
+ * routed for their selector, see {selectorExtensions}, and to the `extension` otherwise
  */
-contract Marketplace is Initializable, UUPSUpgradeable, ReentrancyGuardUpgradeable, OwnableUpgradeable, IERC721Receiver {
-    using AddressUpgradeable for address;
-    using ERC165Checker for address;
-
-    /// @notice ERC721 contract address
-    address public nftContract;
-    /// @notice token contract address
-    address public token;
-    /// @notice platform fee for Coin in percentage (using 2 decimals: 10000 = 100)
-    uint256 public platformFeeInCoin;
-    /// @notice platform fee for Token in percentage (using 2 decimals: 10000 = 100)
-    uint256 public platformFeeInToken;
-
-    /// @notice fee destination contract address
-    address payable public feeDestination;
-
-    /// @notice structure for market item information
-    struct MarketItem {
-        uint256 price;
-        address currency;
-        bool forSale;
-    }
-
-    /// @notice Mapping from token ID to Market Item
-    mapping(uint256 => MarketItem) public idToMarketItem;
-    /// @notice Mapping from token ID to token owner address
-    mapping(uint256 => address) public tokenOwner;
-    /// @notice Mapping from ERC20 address to approved tokens
-    mapping(address => bool) public approvedTokens;
-
-    event CoinFeeChanged(
-        address indexed account,
-        uint256 newFee,
-        uint256 oldFee
-    );
-    event TokenFeeChanged(
-        address indexed account,
-        uint256 newFee,
-        uint256 oldFee
-    );
-    event TokenOnSale(
-        address indexed owner,
-        uint256 indexed tokenId,
-        uint256 price,
-        address currency
-    );
-    event SalePriceChanged(uint256 indexed tokenId, uint256 price);
-    event TokenNotOnSale(uint256 indexed tokenId);
-    event TokenBought(
-        uint256 indexed tokenId,
-        address indexed buyer,
-        address currency,
-        uint256 price,
-        uint256 fee,
-        uint256 royalty
-    );
-
-    /// @dev Allows only tokens that belong to the owner
-    modifier onlyTokenOwner(uint256 tokenId) {
-        require(
-            tokenOwner[tokenId] == msg.sender,
-            "Only token owner can do this"
-        );
-        _;
-    }
-
-    /// @dev Allows only for Externally-owned accounts (EOAs)
-    modifier onlyNonContracts() {
-        require(!msg.sender.isContract(), "only non contracts account");
-        _;
+contract Marketplace is MarketplaceBase, IERC721Receiver {
+    /**
+     * @dev the implementation can not be initialized: nobody can own it and point its fallback at an extension
+     * @custom:oz-upgrades-unsafe-allow constructor
+     */
+    constructor() {
+        _disableInitializers();
     }
 
     /**
@@ -109,6 +39,7 @@ contract Marketplace is Initializable, UUPSUpgradeable, ReentrancyGuardUpgradeab
         token = _token;
         approvedTokens[_token] = true;
         approvedTokens[address(0)] = true;
+        approvedCollections[_nft] = true;
         feeDestination = _feeDestination;
         platformFeeInCoin = _feeCoin;
         platformFeeInToken = _feeToken;
@@ -116,12 +47,10 @@ contract Marketplace is Initializable, UUPSUpgradeable, ReentrancyGuardUpgradeab
         __ReentrancyGuard_init();
     }
 
-    ///@dev function that should revert when `msg.sender` is not authorized to upgrade the contract.
-    function _authorizeUpgrade(address newImplementation) internal override onlyOwner {}
- 
     /**
      * @notice update new asset address
-     * @dev Caller must be contract owner
+     * @dev Caller must be contract owner. Only changes the default collection,
+     * listings are keyed by collection and new collections are added with {addApprovedCollection}
      * @param nft ERC721 contract address
      */
     function updateAssetAddress(address nft) public onlyOwner {
@@ -130,231 +59,565 @@ contract Marketplace is Initializable, UUPSUpgradeable, ReentrancyGuardUpgradeab
 
     /**
      * @notice update platform fee
-     * @dev Caller must be contract owner
+     * @dev Caller must have the FEE_MANAGER_ROLE
      * @param feeToken platform fee for Token in percentage (using 2 decimals: 10000 = 100)
      * @param feeCoin platform fee for Coin in percentage (using 2 decimals: 10000 = 100)
      */
-    function updateFee(uint256 feeToken, uint256 feeCoin) public onlyOwner {
+    function updateFee(uint256 feeToken, uint256 feeCoin) public onlyRole(FEE_MANAGER_ROLE) {
         uint256 oldTokenFee = platformFeeInToken;
         uint256 oldCoinFee = platformFeeInCoin;
         if (feeToken != oldTokenFee) {
             platformFeeInToken = feeToken;
-            emit TokenFeeChanged(msg.sender, feeToken, oldTokenFee);
+            emit TokenFeeChanged(_msgSender(), feeToken, oldTokenFee);
         }
         if (feeCoin != oldCoinFee) {
             platformFeeInCoin = feeCoin;
-            emit CoinFeeChanged(msg.sender, feeCoin, oldCoinFee);
+            emit CoinFeeChanged(_msgSender(), feeCoin, oldCoinFee);
         }
     }
 
     /**
-     * @notice update fee destination
+     * @notice update fee manager
+     * @dev Caller must have the FEE_MANAGER_ROLE. The zero address falls back to the platform fees of this contract
+     * @param _feeManager fee manager contract address
+     */
+    function updateFeeManager(address _feeManager) public onlyRole(FEE_MANAGER_ROLE) {
+        emit FeeManagerChanged(_msgSender(), _feeManager, feeManager);
+        feeManager = _feeManager;
+    }
+
+    /**
+     * @notice update extension
+     * @dev Caller must have the UPGRADER_ROLE. The extension must be built on {MarketplaceBase} to share the storage layout
+     * @param _extension extension contract address, see {MarketplaceExtension}
+     */
+    function updateExtension(address _extension) public onlyRole(UPGRADER_ROLE) {
+        emit ExtensionChanged(_msgSender(), _extension, extension);
+        extension = _extension;
+    }
+
+    /**
+     * @notice route the calls of `selectors` to `_extension` instead of the extension
+     * @dev Caller must have the UPGRADER_ROLE. The extension must be built on {MarketplaceBase} to share the storage layout,
+     * the zero address routes the selectors back to the extension. New marketplace features go into their own extension
+     * routed here, instead of growing the marketplace and its extension past the EIP-170 size limit or chaining another
+     * fallback
+     * @param selectors the function selectors
+     * @param _extension extension contract address, e.g. {MarketplaceBundleExtension}
+     */
+    function updateSelectorExtension(bytes4[] calldata selectors, address _extension) external onlyRole(UPGRADER_ROLE) {
+        for (uint256 i = 0; i < selectors.length; i++) {
+            emit SelectorExtensionChanged(_msgSender(), selectors[i], _extension, selectorExtensions[selectors[i]]);
+            selectorExtensions[selectors[i]] = _extension;
+        }
+    }
+
+    /**
+     * @notice update the ERC-2771 forwarder, the zero address stops accepting meta-transactions
+     * @dev caller must have the UPGRADER_ROLE, the forwarder can act as any account
+     * @param _trustedForwarder forwarder contract address
+     */
+    function updateTrustedForwarder(address _trustedForwarder) public onlyRole(UPGRADER_ROLE) {
+        emit TrustedForwarderChanged(_msgSender(), _trustedForwarder, trustedForwarder);
+        trustedForwarder = _trustedForwarder;
+    }
+
+    /**
+     * @notice grant `role` to `account`
      * @dev Caller must be contract owner
+     * @param role the role identifier, e.g. PAUSER_ROLE
+     * @param account the account address
+     */
+    function grantRole(bytes32 role, address account) external onlyOwner {
+        if (!_roles[role][account]) {
+            _roles[role][account] = true;
+            emit RoleGranted(role, account, _msgSender());
+        }
+    }
+
+    /**
+     * @notice revoke `role` from `account`
+     * @dev Caller must be contract owner. The owner keeps every role, see {hasRole}
+     * @param role the role identifier
+     * @param account the account address
+     */
+    function revokeRole(bytes32 role, address account) external onlyOwner {
+        _revokeRole(role, account);
+    }
+
+    /**
+     * @notice give up `role`, e.g. when the key of the caller is compromised
+     * @param role the role identifier
+     */
+    function renounceRole(bytes32 role) external {
+        _revokeRole(role, _msgSender());
+    }
+
+    /**
+     * @notice pause listing, buying and making or accepting offers
+     * @dev Caller must have the PAUSER_ROLE. Sellers and bidders can still take back their listed tokens,
+     * withdraw their offers and their payments
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _requireNotPaused();
+        paused = true;
+        emit Paused(_msgSender());
+    }
+
+    /**
+     * @notice resume trading
+     * @dev Caller must have the PAUSER_ROLE
+     */
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        require(paused, "Contract is not paused");
+        paused = false;
+        emit Unpaused(_msgSender());
+    }
+
+    /**
+     * @notice update fee destination
+     * @dev Caller must have the FEE_MANAGER_ROLE
      * @param _feeDestination fee destination contract address
      */
     function updateFeeDestination(address payable _feeDestination)
         public
-        onlyOwner
+        onlyRole(FEE_MANAGER_ROLE)
     {
         feeDestination = _feeDestination;
     }
  
     /**
      * @notice update token address
-     * @dev caller must be admin
+     * @dev caller must have the CURRENCY_CURATOR_ROLE
      * @param _token admin contract address
      */
     function updateToken(address _token) 
         public 
-        onlyOwner 
+        onlyRole(CURRENCY_CURATOR_ROLE) 
     { 
         token = _token; 
     }
   
     /**
      * @notice Adds an approved contract
+     * @dev caller must have the CURRENCY_CURATOR_ROLE
      * @param _contractAddress the address of the contract to be added
      */
-    function addApprovedToken(address _contractAddress) external onlyOwner {
+    function addApprovedToken(address _contractAddress) external onlyRole(CURRENCY_CURATOR_ROLE) {
         approvedTokens[_contractAddress] = true;
     }
 
     /**
      * @notice Delete an approved contract
+     * @dev caller must have the CURRENCY_CURATOR_ROLE
      * @param _contractAddress the address of the contract to be deleted
      */
-    function deleteApprovedToken(address _contractAddress) external onlyOwner {
+    function deleteApprovedToken(address _contractAddress) external onlyRole(CURRENCY_CURATOR_ROLE) {
         delete approvedTokens[_contractAddress];
     }
 
+    /**
+     * @notice Adds an approved collection
+     * @dev caller must have the COLLECTION_CURATOR_ROLE
+     * @param _contractAddress the address of the ERC721 contract to be added
+     */
+    function addApprovedCollection(address _contractAddress) external onlyRole(COLLECTION_CURATOR_ROLE) {
+        approvedCollections[_contractAddress] = true;
+    }
+
+    /**
+     * @notice Delete an approved collection
+     * @dev caller must have the COLLECTION_CURATOR_ROLE.
+     * Listings and offers already made for the collection can still be bought, accepted or removed
+     * @param _contractAddress the address of the ERC721 contract to be deleted
+     */
+    function deleteApprovedCollection(address _contractAddress) external onlyRole(COLLECTION_CURATOR_ROLE) {
+        delete approvedCollections[_contractAddress];
+    }
+
     /**
      * @notice put NFT for sale
      * @dev lock NFT on marketplace contract
+     * @param collection approved ERC721 contract address
      * @param tokenId the NFT identifier
      * @param price set NFT price
      * @param currency set NFT currency address
      */
     function putTokenForSale(
+        address collection,
         uint256 tokenId,
         uint256 price,
         address currency
-    ) public nonReentrant {
-        require(price > 0, "Price must be at least 1 wei");
-        require(approvedTokens[currency] == true, "Currency must be approved");
-
-        idToMarketItem[tokenId] = MarketItem(price, currency, true);
-        tokenOwner[tokenId] = msg.sender;
+    ) public nonReentrant whenNotPaused {
+        _putTokenForSale(collection, tokenId, price, currency);
+    }
 
-        IERC721(nftContract).safeTransferFrom(
-            msg.sender,
-            address(this),
-            tokenId
+    /**
+     * @notice put several NFTs of a collection for sale
+     * @dev lock the NFTs on marketplace contract, the whole batch reverts if one of them can not be listed
+     * @param collection approved ERC721 contract address
+     * @param tokenIds the NFT identifiers
+     * @param prices set NFT prices, one per token
+     * @param currencies set NFT currency addresses, one per token
+     */
+    function putTokensForSale(
+        address collection,
+        uint256[] calldata tokenIds,
+        uint256[] calldata prices,
+        address[] calldata currencies
+    ) public nonReentrant whenNotPaused {
+        require(
+            tokenIds.length == prices.length && tokenIds.length == currencies.length,
+            "Array lengths mismatch"
         );
 
-        emit TokenOnSale(msg.sender, tokenId, price, currency);
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            _putTokenForSale(collection, tokenIds[i], prices[i], currencies[i]);
+        }
     }
 
     /**
      * @notice update token price
      * @dev caller must be token owner
+     * @param collection ERC721 contract address
      * @param tokenId the NFT identifier
      * @param _price set new price
      */
-    function updateTokenPrice(uint256 tokenId, uint256 _price)
+    function updateTokenPrice(address collection, uint256 tokenId, uint256 _price)
         public
-        onlyTokenOwner(tokenId)
+        onlyTokenOwner(collection, tokenId)
     {
-        MarketItem storage item = idToMarketItem[tokenId];
-        item.price = _price;
-        emit SalePriceChanged(tokenId, _price);
+        _updateTokenPrice(collection, tokenId, _price);
+    }
+
+    /**
+     * @notice update the price of several tokens of a collection
+     * @dev caller must be owner of every token
+     * @param collection ERC721 contract address
+     * @param tokenIds the NFT identifiers
+     * @param prices set new prices, one per token
+     */
+    function updateTokenPrices(address collection, uint256[] calldata tokenIds, uint256[] calldata prices) public {
+        require(tokenIds.length == prices.length, "Array lengths mismatch");
+
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            _checkTokenOwner(collection, tokenIds[i]);
+            _updateTokenPrice(collection, tokenIds[i], prices[i]);
+        }
     }
 
     /**
      * @notice remove token from sale
      * @dev caller must be token owner. Unlock NFT from the marketplace
+     * @param collection ERC721 contract address
      * @param tokenId the NFT identifier
      */
-    function removeTokenFromSale(uint256 tokenId)
+    function removeTokenFromSale(address collection, uint256 tokenId)
         public
-        onlyTokenOwner(tokenId)
+        onlyTokenOwner(collection, tokenId)
     {
-        MarketItem storage item = idToMarketItem[tokenId];
-        item.forSale = false;
-
-        IERC721(nftContract).safeTransferFrom(
-            address(this),
-            msg.sender,
-            tokenId
-        );
-
-        delete tokenOwner[tokenId];
+        _removeTokenFromSale(collection, tokenId);
+    }
 
-        emit TokenNotOnSale(tokenId);
+    /**
+     * @notice remove several tokens of a collection from sale
+     * @dev caller must be owner of every token. Unlock the NFTs from the marketplace
+     * @param collection ERC721 contract address
+     * @param tokenIds the NFT identifiers
+     */
+    function removeTokensFromSale(address collection, uint256[] calldata tokenIds) public {
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            _checkTokenOwner(collection, tokenIds[i]);
+            _removeTokenFromSale(collection, tokenIds[i]);
+        }
     }
 
     /**
      * @notice function to buy token
      * @dev can buy for allowed ERC20 or native currency. Send fee and royalty
+     * @param collection ERC721 contract address
      * @param tokenId the NFT identifier
      */
-    function buyToken(uint256 tokenId)
+    function buyToken(address collection, uint256 tokenId)
         public
         payable
         nonReentrant
-        onlyNonContracts
+        whenNotPaused
     {
-        MarketItem storage item = idToMarketItem[tokenId];
+        _buyListedToken(collection, tokenId);
+    }
 
-        require(item.forSale == true, "Token must be on Sale");
+    /**
+     * @notice buy a token listed in an ERC20 in one transaction, the allowance is given by an EIP-2612 permit
+     * @dev the permit must be signed by the caller for the listing price, see {_permit}
+     * @param collection ERC721 contract address
+     * @param tokenId the NFT identifier
+     * @param deadline permit expiry timestamp
+     * @param v signature recovery id
+     * @param r signature r
+     * @param s signature s
+     */
+    function buyTokenWithPermit(
+        address collection,
+        uint256 tokenId,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant whenNotPaused {
+        MarketItem storage item = marketItems[collection][tokenId];
+        _permit(item.currency, item.price, deadline, v, r, s);
+        _buyListedToken(collection, tokenId);
+    }
 
-        uint256 platformFeeAmount = 0;
-        address royaltyReceiver = address(0);
-        uint256 royaltyAmount = 0;
+    /**
+     * @notice buy several listed tokens at once, the tokens may be of different collections and currencies
+     * @dev send the sum of the native prices as value, ERC20 prices are pulled per token.
+     * @dev by default the whole cart reverts if a token is no longer or not yet on sale, or is priced in USD.
+     * With `skipUnavailable` those tokens are skipped and the native value of the skipped ones is credited
+     * to the buyer, who withdraws it with {withdrawPayments}
+     * @param collections ERC721 contract addresses, one per token
+     * @param tokenIds the NFT identifiers
+     * @param skipUnavailable skip tokens that are no longer on sale or priced in USD instead of reverting
+     */
+    function buyTokens(address[] calldata collections, uint256[] calldata tokenIds, bool skipUnavailable)
+        public
+        payable
+        nonReentrant
+        whenNotPaused
+    {
+        require(collections.length == tokenIds.length, "Array lengths mismatch");
 
-        if (nftContract.supportsInterface(type(IERC2981).interfaceId)) {
-            (royaltyReceiver, royaltyAmount) = IERC2981(nftContract)
-                .royaltyInfo(tokenId, item.price);
-        }
+        uint256 nativeAmount = 0;
 
-        if (item.currency == address(0)) {
-            require(msg.value == item.price, "Submit the asking price");
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            MarketItem storage item = marketItems[collections[i]][tokenIds[i]];
 
-            platformFeeAmount = (item.price * platformFeeInCoin) / 10000;
+            if (!_isOnSale(item)) {
+                require(skipUnavailable, "Token must be on Sale");
+                continue;
+            }
+            // a price in USD is paid with {MarketplaceListingExtension-buyTokenInCurrency}
+            if (skipUnavailable && item.currency == UsdPricing.USD) {
+                continue;
+            }
 
-            if (royaltyAmount != 0 && royaltyReceiver != tokenOwner[tokenId]) {
-                if(royaltyAmount == item.price) {
-                    royaltyAmount = royaltyAmount - platformFeeAmount;
-                }
-                payable(royaltyReceiver).transfer(royaltyAmount);
+            if (item.currency == address(0)) {
+                nativeAmount += item.price;
+                require(nativeAmount <= msg.value, "Submit the asking price");
             } else {
-                royaltyAmount = 0;
+                _pullPayment(item.currency, _msgSender(), item.price);
             }
 
-            if (platformFeeInCoin != 0) {
-                feeDestination.transfer(platformFeeAmount);
-            }
+            _buyToken(collections[i], tokenIds[i]);
+        }
+
+        if (msg.value > nativeAmount) {
+            require(skipUnavailable, "Submit the asking price");
+            _credit(address(0), _msgSender(), msg.value - nativeAmount);
+        }
+    }
 
-            if(item.price > platformFeeAmount + royaltyAmount) {
-                payable(tokenOwner[tokenId]).transfer(
-                    msg.value - platformFeeAmount - royaltyAmount
-                );
+    /**
+     * @notice make an offer on any NFT, listed or not
+     * @dev the amount is escrowed on the marketplace until the offer is accepted or withdrawn
+     * @param collection approved ERC721 contract address
+     * @param tokenId the NFT identifier
+     * @param amount offered amount
+     * @param currency offer currency address
+     * @param expiry timestamp after which the offer can not be accepted
+     */
+    function makeOffer(
+        address collection,
+        uint256 tokenId,
+        uint256 amount,
+        address currency,
+        uint256 expiry
+    ) public payable nonReentrant whenNotPaused {
+        require(amount > 0, "Price must be at least 1 wei");
+        require(approvedTokens[currency] == true, "Currency must be approved");
+        require(approvedCollections[collection] == true, "Collection must be approved");
+        require(expiry > block.timestamp, "Offer expired");
+
+        _collectPayment(currency, _msgSender(), amount);
+        totalEscrowedOffers[currency] += amount;
+
+        uint256 offerId = ++offerCount;
+        offers[offerId] = BuyOffer(_msgSender(), collection, tokenId, amount, currency, expiry, true);
+
+        uint256 bestId = highestOffer[collection][tokenId][currency];
+        BuyOffer storage best = offers[bestId];
+        if (!best.active || best.expiry < block.timestamp || amount > best.amount) {
+            highestOffer[collection][tokenId][currency] = offerId;
+            if (best.active) {
+                emit OfferOutbid(bestId, offerId);
             }
+        }
+
+        emit OfferMade(offerId, _msgSender(), collection, tokenId, amount, currency, expiry);
+    }
+
+    /**
+     * @notice accept an open offer
+     * @dev caller must be token owner, the token can be listed on the marketplace or held in the wallet
+     * @param offerId the offer identifier
+     */
+    function acceptOffer(uint256 offerId) public nonReentrant whenNotPaused {
+        BuyOffer storage offer = offers[offerId];
+        require(offer.active, "Offer is not active");
+        require(offer.expiry >= block.timestamp, "Offer expired");
+
+        offer.active = false;
+        totalEscrowedOffers[offer.currency] -= offer.amount;
+        address collection = offer.collection;
+        uint256 tokenId = offer.tokenId;
+
+        (uint256 platformFeeAmount, uint256 royaltyAmount) = _settle(
+            collection,
+            tokenId,
+            offer.amount,
+            offer.currency,
+            _msgSender(),
+            offer.bidder
+        );
+
+        if (tokenOwners[collection][tokenId] == _msgSender()) {
+            _closeListing(collection, tokenId, _msgSender());
+
+            IERC721(collection).safeTransferFrom(address(this), offer.bidder, tokenId);
+
+            emit TokenNotOnSale(collection, tokenId);
         } else {
-            uint256 platformFee;
-            
-            if (item.currency == token) {
-                platformFee = platformFeeInToken;
-            } else {
-                platformFee = platformFeeInCoin;
-            }
+            _checkNotRented(collection, tokenId);
+            IERC721(collection).safeTransferFrom(_msgSender(), offer.bidder, tokenId);
+        }
 
-            platformFeeAmount = (item.price * platformFee) / 10000;
-
-            IERC20(item.currency).transferFrom(
-                msg.sender,
-                address(this),
-                item.price
-            );
-
-            if (royaltyAmount != 0 && royaltyReceiver != tokenOwner[tokenId]) {
-                if(royaltyAmount == item.price) {
-                    royaltyAmount = royaltyAmount - platformFeeAmount;
-                }
-                IERC20(item.currency).transfer(
-                    royaltyReceiver,
-                    royaltyAmount
-                );
-            }  else {
-                royaltyAmount = 0;
-            }
+        emit OfferAccepted(
+            offerId,
+            _msgSender(),
+            offer.bidder,
+            collection,
+            tokenId,
+            offer.currency,
+            offer.amount,
+            platformFeeAmount,
+            royaltyAmount
+        );
+    }
 
-            if (platformFee != 0) {
-                IERC20(item.currency).transfer(
-                    feeDestination,
-                    platformFeeAmount
-                );
-            }
+    /**
+     * @notice withdraw an offer and get the escrowed amount back
+     * @dev caller must be offer owner. The offer must be expired or outbid by a higher offer in the same currency,
+     * any offer can be withdrawn while the contract is paused
+     * @param offerId the offer identifier
+     */
+    function withdrawOffer(uint256 offerId) public nonReentrant {
+        BuyOffer storage offer = offers[offerId];
+        require(offer.bidder == _msgSender(), "Only offer owner");
+        require(offer.active, "Offer is not active");
+        require(
+            paused || offer.expiry < block.timestamp || highestOffer[offer.collection][offer.tokenId][offer.currency] != offerId,
+            "Offer is still the highest"
+        );
 
-            if(item.price > platformFeeAmount + royaltyAmount) {
-                IERC20(item.currency).transfer(
-                    tokenOwner[tokenId],
-                    item.price - platformFeeAmount - royaltyAmount
-                );
-            }
+        offer.active = false;
+        totalEscrowedOffers[offer.currency] -= offer.amount;
+        _transferFunds(offer.currency, _msgSender(), offer.amount);
+
+        emit OfferWithdrawn(offerId, _msgSender());
+    }
+
+    /**
+     * @notice withdraw the sale proceeds, royalties or fees credited to the caller
+     * @param currency the currency address, zero address for native coin
+     */
+    function withdrawPayments(address currency) public nonReentrant {
+        uint256 amount = pendingPayments[_msgSender()][currency];
+        require(amount != 0, "No payments to withdraw");
+
+        pendingPayments[_msgSender()][currency] = 0;
+        totalPendingPayments[currency] -= amount;
+        _transferFunds(currency, _msgSender(), amount);
+
+        emit PaymentWithdrawn(_msgSender(), currency, amount);
+    }
+
+    /**
+     * @dev changes the price of a listing, the token owner must already be checked
+     */
+    function _updateTokenPrice(address collection, uint256 tokenId, uint256 price) internal {
+        MarketItem storage item = marketItems[collection][tokenId];
+        item.price = price;
+        emit SalePriceChanged(collection, tokenId, price);
+    }
+
+    /**
+     * @dev removes `role` from the roles granted to `account`
+     */
+    function _revokeRole(bytes32 role, address account) internal {
+        if (_roles[role][account]) {
+            _roles[role][account] = false;
+            emit RoleRevoked(role, account, _msgSender());
         }
+    }
+
+    /**
+     * @dev gives a listed token back to the caller, the token owner must already be checked
+     */
+    function _removeTokenFromSale(address collection, uint256 tokenId) internal {
+        _closeListing(collection, tokenId, _msgSender());
 
-        IERC721(nftContract).safeTransferFrom(
+        IERC721(collection).safeTransferFrom(
             address(this),
-            msg.sender,
+            _msgSender(),
             tokenId
         );
 
-        delete tokenOwner[tokenId];
-        item.forSale = false;
+        emit TokenNotOnSale(collection, tokenId);
+    }
+
+    /**
+     * @dev checks that a token is on sale and takes its price from the caller, see {buyToken}
+     */
+    function _buyListedToken(address collection, uint256 tokenId) internal {
+        MarketItem storage item = marketItems[collection][tokenId];
+
+        require(item.forSale == true, "Token must be on Sale");
+        require(item.startTime <= block.timestamp, "Sale has not started");
+        require(item.expiry == 0 || item.expiry >= block.timestamp, "Sale expired");
+
+        _collectPayment(item.currency, _msgSender(), item.price);
+        _buyToken(collection, tokenId);
+    }
+
+    /**
+     * @dev settles a listed token and transfers it to the caller
+     * @dev the payment must already be held by the contract
+     */
+    function _buyToken(address collection, uint256 tokenId) internal {
+        MarketItem storage item = marketItems[collection][tokenId];
+
+        (uint256 platformFeeAmount, uint256 royaltyAmount) = _settle(
+            collection,
+            tokenId,
+            item.price,
+            item.currency,
+            tokenOwners[collection][tokenId],
+            _msgSender()
+        );
+
+        _closeListing(collection, tokenId, tokenOwners[collection][tokenId]);
+
+        IERC721(collection).safeTransferFrom(
+            address(this),
+            _msgSender(),
+            tokenId
+        );
 
         emit TokenBought(
+            collection,
             tokenId,
-            msg.sender,
+            _msgSender(),
             item.currency,
             item.price,
             platformFeeAmount,
@@ -378,45 +641,24 @@ contract Marketplace is Initializable, UUPSUpgradeable, ReentrancyGuardUpgradeab
     }
 
     /**
-     * @notice It allows the admins to get tokens sent to the contract
-     * @param tokenAddress: the address of the token to withdraw
-     * @param tokenAmount: the number of token amount to withdraw
-     * @dev Only callable by owner
-     */
-    function recoverTokens(address tokenAddress, uint256 tokenAmount)
-        external
-        onlyOwner
-    {
-        require(tokenAddress != address(0), "address can not be zero!");
-        IERC20(tokenAddress).transfer(address(msg.sender), tokenAmount);
-    }
-
-    /**
-     * @notice It allows the admins to get collected coins
-     * @dev Only callable by owner
+     * @dev delegates the calls to functions this contract does not implement to the extension routed for their selector,
+     * or to the extension. They run on the storage and balance of the marketplace. Only the UPGRADER_ROLE sets the extensions
+     * @custom:oz-upgrades-unsafe-allow delegatecall
      */
-    function withdraw() external onlyOwner {
-        require(
-            payable(msg.sender).send(address(this).balance),
-            "cannot withdraw"
-        );
-    }
-
-    /**
-     * @notice It allows the admins to get NFT sent to the contract, if there will be any issue with contract
-     * @param tokenAddress: the address of the token to withdraw
-     * @param tokenId: tokenId to withdraw
-     * @dev Only callable by owner
-     */
-    function recoverAsset(address tokenAddress, uint256 tokenId)
-        external
-        onlyOwner
-    {
-        require(tokenAddress != address(0), "address can not be zero!");
-        IERC721(tokenAddress).safeTransferFrom(
-            address(this),
-            tokenOwner[tokenId],
-            tokenId
-        );
+    fallback() external payable {
+        address _extension = selectorExtensions[msg.sig];
+        if (_extension == address(0)) {
+            _extension = extension;
+        }
+        require(_extension != address(0), "Function does not exist");
+
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), _extension, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 { revert(0, returndatasize()) }
+            default { return(0, returndatasize()) }
+        }
     }
 }
@@ -0,0 +1,637 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.7;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/structs/EnumerableSetUpgradeable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/draft-IERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/utils/introspection/ERC165Checker.sol";
+import "./IERC4907.sol";
+import "./IFeeProvider.sol";
+import "./Royalties.sol";
+import "./UsdPricing.sol";
+
+/**
+ * @title MarketplaceBase
+ * @notice storage, events and payment logic shared by the {Marketplace} and its extensions
+ * @dev the marketplace delegates the calls it does not implement to the extensions, they all use this storage layout:
+ * state variables are only appended, after the ones already declared here
+ */
+abstract contract MarketplaceBase is Initializable, UUPSUpgradeable, ReentrancyGuardUpgradeable, OwnableUpgradeable {
+    using ERC165Checker for address;
+    using EnumerableSetUpgradeable for EnumerableSetUpgradeable.Bytes32Set;
+    using SafeERC20 for IERC20;
+
+    /// @notice default ERC721 contract address, collection of the listings made before multi-collection support
+    address public nftContract;
+    /// @notice token contract address
+    address public token;
+    /// @notice platform fee for Coin in percentage (using 2 decimals: 10000 = 100)
+    uint256 public platformFeeInCoin;
+    /// @notice platform fee for Token in percentage (using 2 decimals: 10000 = 100)
+    uint256 public platformFeeInToken;
+
+    /// @notice fee destination contract address
+    address payable public feeDestination;
+
+    /// @notice structure for market item information
+    struct MarketItem {
+        uint256 price;
+        address currency;
+        bool forSale;
+        // the listing can not be bought before this timestamp
+        uint256 startTime;
+        // the listing can not be bought after this timestamp, zero when it never expires
+        uint256 expiry;
+        // native coin deposited by the seller, paid to whoever reclaims the listing once it expired
+        uint256 bounty;
+    }
+
+    /// @notice Mapping from token ID to Market Item
+    /// @dev legacy listings of `nftContract`, moved to `marketItems` by {MarketplaceListingExtension-migrateListings}
+    mapping(uint256 => MarketItem) public idToMarketItem;
+    /// @notice Mapping from token ID to token owner address
+    /// @dev legacy listings of `nftContract`, moved to `tokenOwners` by {MarketplaceListingExtension-migrateListings}
+    mapping(uint256 => address) public tokenOwner;
+    /// @notice Mapping from ERC20 address to approved tokens
+    mapping(address => bool) public approvedTokens;
+
+    /// @notice structure for signed off-chain orders, used for both sell orders and offers
+    struct Order {
+        address maker;
+        address nftContract;
+        uint256 tokenId;
+        uint256 price;
+        address currency;
+        uint256 nonce;
+        uint256 expiry;
+    }
+
+    /// @notice EIP-712 type hash of the domain
+    bytes32 public constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    /// @notice EIP-712 type hash of a sell order signed by the seller
+    bytes32 public constant SELL_ORDER_TYPEHASH =
+        keccak256("SellOrder(address seller,address nftContract,uint256 tokenId,uint256 price,address currency,uint256 nonce,uint256 expiry)");
+    /// @notice EIP-712 type hash of an offer signed by the buyer
+    bytes32 public constant OFFER_TYPEHASH =
+        keccak256("Offer(address buyer,address nftContract,uint256 tokenId,uint256 price,address currency,uint256 nonce,uint256 expiry)");
+
+    /// @notice structure for lazy mint vouchers signed off-chain by the creator, the token is minted when redeemed
+    struct MintVoucher {
+        address creator;
+        address nftContract;
+        string uri;
+        uint256 royalty;
+        uint256 price;
+        address currency;
+        uint256 nonce;
+        uint256 expiry;
+    }
+
+    /// @notice EIP-712 type hash of a lazy mint voucher signed by the creator
+    bytes32 public constant MINT_VOUCHER_TYPEHASH =
+        keccak256("MintVoucher(address creator,address nftContract,string uri,uint256 royalty,uint256 price,address currency,uint256 nonce,uint256 expiry)");
+
+    /// @notice Mapping from order maker to cancelled or filled nonces
+    mapping(address => mapping(uint256 => bool)) public isNonceUsed;
+    /// @notice Mapping from order maker to the lowest nonce that is still valid
+    mapping(address => uint256) public minNonce;
+
+    /// @notice structure for escrowed buyer offers
+    struct BuyOffer {
+        address bidder;
+        address collection;
+        uint256 tokenId;
+        uint256 amount;
+        address currency;
+        uint256 expiry;
+        bool active;
+    }
+
+    /// @notice number of offers made, offer IDs start at 1
+    uint256 public offerCount;
+    /// @notice Mapping from offer ID to escrowed offer
+    mapping(uint256 => BuyOffer) public offers;
+    /// @notice Mapping from collection address, token ID and currency to the highest offer ID
+    mapping(address => mapping(uint256 => mapping(address => uint256))) public highestOffer;
+
+    /// @notice Mapping from ERC721 address to approved collections
+    mapping(address => bool) public approvedCollections;
+    /// @notice Mapping from collection address and token ID to Market Item
+    mapping(address => mapping(uint256 => MarketItem)) public marketItems;
+    /// @notice Mapping from collection address and token ID to token owner address
+    mapping(address => mapping(uint256 => address)) public tokenOwners;
+
+    /// @notice Mapping from account and currency to the proceeds, royalties and fees it can withdraw
+    mapping(address => mapping(address => uint256)) public pendingPayments;
+    /// @notice Mapping from currency to the sum of all pending payments, held by the contract for their owners
+    mapping(address => uint256) public totalPendingPayments;
+
+    /// @notice fee manager contract address, see {IFeeProvider-quoteFee}
+    /// @dev while it is not set the platform fees of this contract apply
+    address public feeManager;
+
+    /// @notice contract the marketplace delegates the calls it does not implement to, see {MarketplaceExtension}
+    address public extension;
+
+    /// @notice structure for ERC-1155 listings, the units are sold one by one or several at once
+    struct EditionListing {
+        address seller;
+        address collection;
+        uint256 tokenId;
+        // units left for sale, escrowed on the marketplace
+        uint256 quantity;
+        uint256 pricePerUnit;
+        address currency;
+    }
+
+    /// @notice number of ERC-1155 listings made, listing IDs start at 1
+    uint256 public editionListingCount;
+    /// @notice Mapping from listing ID to ERC-1155 listing
+    mapping(uint256 => EditionListing) public editionListings;
+
+    /// @notice role allowed to upgrade the contract and change its extension
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+    /// @notice role allowed to change the platform fees, the fee manager and the fee destination
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE");
+    /// @notice role allowed to approve the currencies and change the platform token
+    bytes32 public constant CURRENCY_CURATOR_ROLE = keccak256("CURRENCY_CURATOR_ROLE");
+    /// @notice role allowed to approve the collections, e.g. the collection factory registering its clones
+    bytes32 public constant COLLECTION_CURATOR_ROLE = keccak256("COLLECTION_CURATOR_ROLE");
+    /// @notice role allowed to pause and unpause trading
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    /// @notice role allowed to recover the tokens and NFTs sent to the contract by mistake
+    bytes32 public constant ASSET_RECOVERY_ROLE = keccak256("ASSET_RECOVERY_ROLE");
+
+    /// @dev Mapping from role to the accounts granted the role by the owner, see {hasRole}
+    mapping(bytes32 => mapping(address => bool)) internal _roles;
+    /// @notice whether listing, buying and making or accepting offers are paused
+    /// @dev sellers and bidders can still take back their listed tokens, offers and payments
+    bool public paused;
+    /// @notice Mapping from currency to the sum of the escrowed offers, held by the contract for their bidders
+    mapping(address => uint256) public totalEscrowedOffers;
+
+    /// @notice native coin the seller deposits with a listing that expires, see {putTokenForSaleTimed}
+    uint256 public reclaimBounty;
+    /// @notice sum of the bounties deposited with the listings, held by the contract for their sellers or reclaimers
+    uint256 public totalReclaimBounties;
+
+    /// @notice collection and token of a listing, keyed by {_listingKey} in the listing sets
+    struct ListingKey {
+        address collection;
+        uint256 tokenId;
+    }
+
+    /// @dev Mapping from listing key to the collection and token it stands for
+    mapping(bytes32 => ListingKey) internal _listingKeys;
+    /// @dev keys of the listings on sale, expired ones stay until they are reclaimed
+    EnumerableSetUpgradeable.Bytes32Set internal _activeListings;
+    /// @dev Mapping from seller to the keys of its listings on sale
+    mapping(address => EnumerableSetUpgradeable.Bytes32Set) internal _sellerListings;
+    /// @dev Mapping from currency to the keys of the listings on sale in this currency
+    mapping(address => EnumerableSetUpgradeable.Bytes32Set) internal _currencyListings;
+
+    /// @notice ERC-2771 forwarder relaying the meta-transactions signed by the users, see {_msgSender}
+    address public trustedForwarder;
+
+    /// @notice contract the {MarketplaceExtension} used to delegate the calls it does not implement to
+    /// @dev unused since the extensions are routed by selector, see {selectorExtensions}. Kept for the storage layout
+    address public listingExtension;
+
+    /// @notice structure for bundle listings, several ERC721 tokens sold at once for one price
+    struct Bundle {
+        address seller;
+        uint256 price;
+        address currency;
+        bool forSale;
+    }
+
+    /// @notice structure for a token of a bundle
+    struct BundleItem {
+        address collection;
+        uint256 tokenId;
+        // part of the bundle price the token stands for, using 2 decimals: 10000 = 100
+        uint256 share;
+    }
+
+    /// @notice number of bundles listed, bundle IDs start at 1
+    uint256 public bundleCount;
+    /// @notice Mapping from bundle ID to bundle listing
+    mapping(uint256 => Bundle) public bundles;
+    /// @dev Mapping from bundle ID to its tokens, see {MarketplaceBundleExtension-getBundleItems}
+    mapping(uint256 => BundleItem[]) internal _bundleItems;
+    /// @notice Mapping from collection address and token ID to the bundle escrowing the token, zero when none does
+    mapping(address => mapping(uint256 => uint256)) public tokenBundles;
+
+    /// @notice structure for rental listings, the token stays in the wallet of its owner while it is rented
+    struct RentalListing {
+        address owner;
+        uint256 pricePerDay;
+        address currency;
+        // shortest and longest rentals, in days
+        uint256 minDays;
+        uint256 maxDays;
+        bool active;
+    }
+
+    /// @dev Mapping from collection address and token ID to rental listing,
+    /// see {MarketplaceRentalExtension-getRentalListing}
+    mapping(address => mapping(uint256 => RentalListing)) internal _rentalListings;
+
+    /// @dev Mapping from currency address to the feed pricing it in USD, see {MarketplaceListingExtension-setPriceFeed}
+    mapping(address => UsdPricing.PriceFeed) internal _priceFeeds;
+
+    /// @dev Mapping from ERC1155 contract address and token ID to the units escrowed by the edition listings
+    mapping(address => mapping(uint256 => uint256)) internal _escrowedUnits;
+
+    /// @notice Mapping from function selector to the extension the {Marketplace} delegates its calls to,
+    /// the calls of the selectors without one are delegated to the `extension`
+    mapping(bytes4 => address) public selectorExtensions;
+
+    event CoinFeeChanged(
+        address indexed account,
+        uint256 newFee,
+        uint256 oldFee
+    );
+    event TokenFeeChanged(
+        address indexed account,
+        uint256 newFee,
+        uint256 oldFee
+    );
+    event FeeManagerChanged(
+        address indexed account,
+        address newFeeManager,
+        address oldFeeManager
+    );
+    event ExtensionChanged(
+        address indexed account,
+        address newExtension,
+        address oldExtension
+    );
+    event TrustedForwarderChanged(
+        address indexed account,
+        address newForwarder,
+        address oldForwarder
+    );
+    event SelectorExtensionChanged(
+        address indexed account,
+        bytes4 indexed selector,
+        address newExtension,
+        address oldExtension
+    );
+    event TokenOnSale(
+        address indexed owner,
+        address indexed collection,
+        uint256 indexed tokenId,
+        uint256 price,
+        address currency
+    );
+    event SalePriceChanged(address indexed collection, uint256 indexed tokenId, uint256 price);
+    event TokenNotOnSale(address indexed collection, uint256 indexed tokenId);
+    event TokenBought(
+        address indexed collection,
+        uint256 indexed tokenId,
+        address indexed buyer,
+        address currency,
+        uint256 price,
+        uint256 fee,
+        uint256 royalty
+    );
+
+    event OrderFilled(
+        bytes32 indexed orderHash,
+        address indexed seller,
+        address indexed buyer,
+        address collection,
+        uint256 tokenId,
+        address currency,
+        uint256 price,
+        uint256 fee,
+        uint256 royalty
+    );
+    event VoucherRedeemed(
+        bytes32 indexed voucherHash,
+        address indexed creator,
+        address indexed buyer,
+        address nftContract,
+        uint256 tokenId,
+        address currency,
+        uint256 price,
+        uint256 fee
+    );
+    event OrderCancelled(address indexed maker, uint256 nonce);
+    event NoncesInvalidated(address indexed maker, uint256 minNonce);
+    event OfferMade(
+        uint256 indexed offerId,
+        address indexed bidder,
+        address indexed collection,
+        uint256 tokenId,
+        uint256 amount,
+        address currency,
+        uint256 expiry
+    );
+    event OfferOutbid(uint256 indexed offerId, uint256 indexed newOfferId);
+    event OfferAccepted(
+        uint256 indexed offerId,
+        address indexed seller,
+        address indexed bidder,
+        address collection,
+        uint256 tokenId,
+        address currency,
+        uint256 amount,
+        uint256 fee,
+        uint256 royalty
+    );
+    event OfferWithdrawn(uint256 indexed offerId, address indexed bidder);
+    event ListingMigrated(address indexed collection, uint256 indexed tokenId, address indexed owner);
+    event PaymentCredited(address indexed payee, address indexed currency, uint256 amount);
+    event PaymentWithdrawn(address indexed payee, address indexed currency, uint256 amount);
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+    event Paused(address account);
+    event Unpaused(address account);
+    event TokensRecovered(address indexed token, address indexed to, uint256 amount);
+    event AssetRecovered(address indexed collection, uint256 indexed tokenId, address indexed to);
+
+    /// @dev Allows only tokens that belong to the owner
+    modifier onlyTokenOwner(address collection, uint256 tokenId) {
+        _checkTokenOwner(collection, tokenId);
+        _;
+    }
+
+    /// @dev Allows only the owner and the accounts granted `role`
+    modifier onlyRole(bytes32 role) {
+        require(hasRole(role, _msgSender()), "Caller is missing role");
+        _;
+    }
+
+    /// @dev Allows only while trading is not paused
+    modifier whenNotPaused() {
+        _requireNotPaused();
+        _;
+    }
+
+    ///@dev function that should revert when `msg.sender` is not authorized to upgrade the contract.
+    function _authorizeUpgrade(address newImplementation) internal override onlyRole(UPGRADER_ROLE) {}
+
+    /**
+     * @notice whether `account` holds `role`, the owner holds every role
+     * @param role the role identifier, e.g. PAUSER_ROLE
+     * @param account the account address
+     */
+    function hasRole(bytes32 role, address account) public view returns (bool) {
+        return account == owner() || _roles[role][account];
+    }
+
+    /**
+     * @notice whether `forwarder` relays ERC-2771 meta-transactions to this contract
+     * @param forwarder the forwarder address
+     */
+    function isTrustedForwarder(address forwarder) public view returns (bool) {
+        return forwarder == trustedForwarder;
+    }
+
+    /**
+     * @dev sender of the call: the signer that the trusted forwarder appends to the calldata of a relayed call,
+     * otherwise `msg.sender`
+     */
+    function _msgSender() internal view override returns (address sender) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            assembly {
+                sender := shr(96, calldataload(sub(calldatasize(), 20)))
+            }
+        } else {
+            sender = msg.sender;
+        }
+    }
+
+    /// @dev calldata of the call, without the signer appended by the trusted forwarder
+    function _msgData() internal view override returns (bytes calldata) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            return msg.data[:msg.data.length - 20];
+        }
+        return msg.data;
+    }
+
+    /**
+     * @dev reverts while trading is paused
+     */
+    function _requireNotPaused() internal view {
+        require(!paused, "Contract is paused");
+    }
+
+    /**
+     * @dev reverts unless the caller listed `tokenId` of `collection`
+     */
+    function _checkTokenOwner(address collection, uint256 tokenId) internal view {
+        require(
+            tokenOwners[collection][tokenId] == _msgSender(),
+            "Only token owner can do this"
+        );
+    }
+
+    /**
+     * @dev reverts while an ERC-4907 token has a user: escrowing or selling it would end the rental the user paid for
+     */
+    function _checkNotRented(address collection, uint256 tokenId) internal view {
+        require(
+            !collection.supportsInterface(type(IERC4907).interfaceId) || IERC4907(collection).userOf(tokenId) == address(0),
+            "Token is rented"
+        );
+    }
+
+    /**
+     * @dev lists a token of the caller, see {putTokenForSale}
+     */
+    function _putTokenForSale(
+        address collection,
+        uint256 tokenId,
+        uint256 price,
+        address currency
+    ) internal {
+        require(price > 0, "Price must be at least 1 wei");
+        require(approvedTokens[currency] == true, "Currency must be approved");
+        require(approvedCollections[collection] == true, "Collection must be approved");
+        _checkNotRented(collection, tokenId);
+
+        marketItems[collection][tokenId] = MarketItem(price, currency, true, 0, 0, 0);
+        tokenOwners[collection][tokenId] = _msgSender();
+        _indexListing(collection, tokenId);
+
+        IERC721(collection).safeTransferFrom(
+            _msgSender(),
+            address(this),
+            tokenId
+        );
+
+        emit TokenOnSale(_msgSender(), collection, tokenId, price, currency);
+    }
+
+    /**
+     * @dev whether a listed token can be bought now, between the start time and the expiry of the listing
+     */
+    function _isOnSale(MarketItem storage item) internal view returns (bool) {
+        return item.forSale && item.startTime <= block.timestamp && (item.expiry == 0 || item.expiry >= block.timestamp);
+    }
+
+    /**
+     * @dev key of a listing in the listing sets
+     */
+    function _listingKey(address collection, uint256 tokenId) internal pure returns (bytes32) {
+        return keccak256(abi.encode(collection, tokenId));
+    }
+
+    /**
+     * @dev adds a listing to the sets, its owner and currency must already be stored
+     */
+    function _indexListing(address collection, uint256 tokenId) internal {
+        bytes32 key = _listingKey(collection, tokenId);
+        _listingKeys[key] = ListingKey(collection, tokenId);
+        _activeListings.add(key);
+        _sellerListings[tokenOwners[collection][tokenId]].add(key);
+        _currencyListings[marketItems[collection][tokenId].currency].add(key);
+    }
+
+    /**
+     * @dev takes a token off sale and out of the listing sets, and credits the bounty of the listing to `bountyPayee`
+     * @dev the caller moves the token
+     */
+    function _closeListing(address collection, uint256 tokenId, address bountyPayee) internal {
+        MarketItem storage item = marketItems[collection][tokenId];
+        bytes32 key = _listingKey(collection, tokenId);
+        _activeListings.remove(key);
+        _sellerListings[tokenOwners[collection][tokenId]].remove(key);
+        _currencyListings[item.currency].remove(key);
+
+        item.forSale = false;
+        delete tokenOwners[collection][tokenId];
+
+        uint256 bounty = item.bounty;
+        if (bounty != 0) {
+            item.bounty = 0;
+            totalReclaimBounties -= bounty;
+            _credit(address(0), bountyPayee, bounty);
+        }
+    }
+
+    /**
+     * @dev marks a nonce of `maker` as used, reverts when it is cancelled or already used
+     */
+    function _useNonce(address maker, uint256 nonce) internal {
+        require(!isNonceUsed[maker][nonce] && nonce >= minNonce[maker], "Order cancelled or filled");
+        isNonceUsed[maker][nonce] = true;
+    }
+
+    /**
+     * @dev approves this contract for `amount` of the caller's `currency` with an EIP-2612 permit.
+     * A failing permit is ignored: when it was already submitted by someone else the allowance is there,
+     * otherwise pulling the payment reverts
+     */
+    function _permit(address currency, uint256 amount, uint256 deadline, uint8 v, bytes32 r, bytes32 s) internal {
+        require(currency != address(0), "Permit requires an ERC20");
+        try IERC20Permit(currency).permit(_msgSender(), address(this), amount, deadline, v, r, s) {} catch {}
+    }
+
+    /**
+     * @dev takes the payment of a sale: checks the native coin sent or pulls the ERC20 from `payer`.
+     * A price in USD is paid with {MarketplaceListingExtension-buyTokenInCurrency}
+     */
+    function _collectPayment(address currency, address payer, uint256 amount) internal {
+        require(currency != UsdPricing.USD, "USD is not a payment currency");
+        if (currency == address(0)) {
+            require(msg.value == amount, "Submit the asking price");
+        } else {
+            require(msg.value == 0, "Native coin sent with an ERC20 price");
+            _pullPayment(currency, payer, amount);
+        }
+    }
+
+    /**
+     * @dev pulls an ERC20 payment from `payer`, the native coin sent along is checked by the caller
+     */
+    function _pullPayment(address currency, address payer, uint256 amount) internal {
+        require(currency != UsdPricing.USD, "USD is not a payment currency");
+        IERC20(currency).safeTransferFrom(payer, address(this), amount);
+    }
+
+    /**
+     * @dev credits platform fee, royalty and seller for a sale, they withdraw with {withdrawPayments}
+     * @dev the payment must already be held by the contract
+     * @param collection ERC721 contract address, royalty is paid when it supports ERC-2981
+     * @param tokenId the NFT identifier
+     * @param price the sale price
+     * @param currency the sale currency address
+     * @param seller address that gets the sale proceeds
+     * @param buyer address that gets the NFT
+     * @return platformFeeAmount fee credited to the fee destination
+     * @return royaltyAmount royalty credited to the royalty recipients
+     */
+    function _settle(
+        address collection,
+        uint256 tokenId,
+        uint256 price,
+        address currency,
+        address seller,
+        address buyer
+    ) internal returns (uint256 platformFeeAmount, uint256 royaltyAmount) {
+        platformFeeAmount = _quoteFee(collection, currency, seller, price);
+        royaltyAmount = Royalties.pay(
+            Royalties.Sale(collection, tokenId, price, currency, seller, buyer),
+            price - platformFeeAmount,
+            _credit
+        );
+
+        if (platformFeeAmount != 0) {
+            _credit(currency, feeDestination, platformFeeAmount);
+        }
+
+        if(price > platformFeeAmount + royaltyAmount) {
+            _credit(currency, seller, price - platformFeeAmount - royaltyAmount);
+        }
+    }
+
+    /**
+     * @dev platform fee of a sale, quoted by the fee manager when one is set
+     */
+    function _quoteFee(address collection, address currency, address seller, uint256 price)
+        internal
+        view
+        returns (uint256)
+    {
+        if (feeManager != address(0)) {
+            return IFeeProvider(feeManager).quoteFee(collection, currency, seller, price);
+        }
+        if (currency != address(0) && currency == token) {
+            return (price * platformFeeInToken) / 10000;
+        }
+        return (price * platformFeeInCoin) / 10000;
+    }
+
+    /**
+     * @dev adds `amount` to the pending payments of `payee`, the funds stay in the contract
+     */
+    function _credit(address currency, address payee, uint256 amount) internal {
+        pendingPayments[payee][currency] += amount;
+        totalPendingPayments[currency] += amount;
+        emit PaymentCredited(payee, currency, amount);
+    }
+
+    /**
+     * @dev sends native coin or ERC20 held by the contract
+     * @dev native coin is sent with all the remaining gas, so the receiver can be a contract
+     */
+    function _transferFunds(address currency, address to, uint256 amount) internal {
+        if (currency == address(0)) {
+            (bool success, ) = payable(to).call{value: amount}("");
+            require(success, "Transfer failed");
+        } else {
+            IERC20(currency).safeTransfer(to, amount);
+        }
+    }
+}
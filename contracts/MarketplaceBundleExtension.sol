@@ -0,0 +1,174 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.7;
+
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "./MarketplaceBase.sol";
+
+/**
+ * @title MarketplaceBundleExtension
+ * @notice Bundle listings: several NFTs, possibly of different collections, sold at once for one price
+ * @dev is not deployed behind its own proxy: the {Marketplace} delegates the calls of its selectors to it,
+ * see {Marketplace-updateSelectorExtension}, so it runs on the storage, the balance and the address of the marketplace
+ */
+contract MarketplaceBundleExtension is MarketplaceBase {
+    /// @notice lowest share of the bundle price a token can stand for, 1%: its fee and royalty are quoted on it
+    uint256 public constant MIN_BUNDLE_SHARE = 100;
+
+    event BundleOnSale(
+        uint256 indexed bundleId,
+        address indexed seller,
+        uint256 price,
+        address currency,
+        BundleItem[] items
+    );
+    event BundlePriceChanged(uint256 indexed bundleId, uint256 price);
+    event BundleNotOnSale(uint256 indexed bundleId);
+    event BundleBought(
+        uint256 indexed bundleId,
+        address indexed buyer,
+        address currency,
+        uint256 price,
+        uint256 fee,
+        uint256 royalty
+    );
+
+    /**
+     * @notice put several NFTs for sale as one bundle
+     * @dev lock the NFTs on marketplace contract until the bundle is bought or removed from sale.
+     * Each token declares the share of the price it stands for, its fee and royalty are quoted on this share
+     * @param collections approved ERC721 contract addresses, one per token
+     * @param tokenIds the NFT identifiers
+     * @param shares part of the price of each token, using 2 decimals: 10000 = 100, they add up to 10000
+     * and each is at least {MIN_BUNDLE_SHARE}
+     * @param price set the bundle price
+     * @param currency set the bundle currency address
+     * @return bundleId the bundle identifier
+     */
+    function putBundleForSale(
+        address[] calldata collections,
+        uint256[] calldata tokenIds,
+        uint256[] calldata shares,
+        uint256 price,
+        address currency
+    ) public nonReentrant whenNotPaused returns (uint256 bundleId) {
+        require(
+            collections.length == tokenIds.length && collections.length == shares.length,
+            "Array lengths mismatch"
+        );
+        require(collections.length > 1, "Bundle needs several tokens");
+        require(price > 0, "Price must be at least 1 wei");
+        require(approvedTokens[currency] == true, "Currency must be approved");
+        require(currency != UsdPricing.USD, "USD is not a payment currency");
+
+        bundleId = ++bundleCount;
+        bundles[bundleId] = Bundle(_msgSender(), price, currency, true);
+
+        uint256 totalShares;
+        for (uint256 i = 0; i < collections.length; i++) {
+            require(approvedCollections[collections[i]] == true, "Collection must be approved");
+            _checkNotRented(collections[i], tokenIds[i]);
+            require(shares[i] >= MIN_BUNDLE_SHARE, "Share below the minimum");
+            totalShares += shares[i];
+            _bundleItems[bundleId].push(BundleItem(collections[i], tokenIds[i], shares[i]));
+            tokenBundles[collections[i]][tokenIds[i]] = bundleId;
+
+            IERC721(collections[i]).safeTransferFrom(_msgSender(), address(this), tokenIds[i]);
+        }
+        require(totalShares == 10000, "Shares must add up to 100%");
+
+        emit BundleOnSale(bundleId, _msgSender(), price, currency, _bundleItems[bundleId]);
+    }
+
+    /**
+     * @notice update the price of a bundle, the shares of its tokens stay the same
+     * @dev caller must be the seller
+     * @param bundleId the bundle identifier
+     * @param price set new bundle price
+     */
+    function updateBundlePrice(uint256 bundleId, uint256 price) public {
+        Bundle storage bundle = _sellerBundle(bundleId);
+        require(price > 0, "Price must be at least 1 wei");
+
+        bundle.price = price;
+
+        emit BundlePriceChanged(bundleId, price);
+    }
+
+    /**
+     * @notice remove a bundle from sale
+     * @dev caller must be the seller. Unlock the NFTs from the marketplace
+     * @param bundleId the bundle identifier
+     */
+    function removeBundleFromSale(uint256 bundleId) public nonReentrant {
+        _sellerBundle(bundleId);
+        _closeBundle(bundleId, _msgSender());
+
+        emit BundleNotOnSale(bundleId);
+    }
+
+    /**
+     * @notice buy all the tokens of a bundle
+     * @dev can buy for allowed ERC20 or native currency. The price is split between the tokens by their shares:
+     * the fee and the royalty of each token are quoted on its part, the last token gets the rounding remainder
+     * @param bundleId the bundle identifier
+     */
+    function buyBundle(uint256 bundleId) public payable nonReentrant whenNotPaused {
+        Bundle storage bundle = bundles[bundleId];
+        require(bundle.forSale == true, "Token must be on Sale");
+
+        _collectPayment(bundle.currency, _msgSender(), bundle.price);
+
+        BundleItem[] storage items = _bundleItems[bundleId];
+        uint256 platformFeeAmount;
+        uint256 royaltyAmount;
+        uint256 settled;
+        for (uint256 i = 0; i < items.length; i++) {
+            uint256 part = i == items.length - 1 ? bundle.price - settled : (bundle.price * items[i].share) / 10000;
+            settled += part;
+            (uint256 fee, uint256 royalty) = _settle(
+                items[i].collection,
+                items[i].tokenId,
+                part,
+                bundle.currency,
+                bundle.seller,
+                _msgSender()
+            );
+            platformFeeAmount += fee;
+            royaltyAmount += royalty;
+        }
+
+        _closeBundle(bundleId, _msgSender());
+
+        emit BundleBought(bundleId, _msgSender(), bundle.currency, bundle.price, platformFeeAmount, royaltyAmount);
+    }
+
+    /**
+     * @notice the tokens of a bundle and their shares of its price
+     * @param bundleId the bundle identifier
+     */
+    function getBundleItems(uint256 bundleId) external view returns (BundleItem[] memory) {
+        return _bundleItems[bundleId];
+    }
+
+    /**
+     * @dev reads a bundle on sale, reverts unless the caller listed it
+     */
+    function _sellerBundle(uint256 bundleId) internal view returns (Bundle storage bundle) {
+        bundle = bundles[bundleId];
+        require(bundle.seller == _msgSender(), "Only token owner can do this");
+        require(bundle.forSale == true, "Token must be on Sale");
+    }
+
+    /**
+     * @dev takes a bundle off sale and sends its tokens to `to`
+     */
+    function _closeBundle(uint256 bundleId, address to) internal {
+        bundles[bundleId].forSale = false;
+
+        BundleItem[] storage items = _bundleItems[bundleId];
+        for (uint256 i = 0; i < items.length; i++) {
+            delete tokenBundles[items[i].collection][items[i].tokenId];
+            IERC721(items[i].collection).safeTransferFrom(address(this), to, items[i].tokenId);
+        }
+    }
+}
@@ -0,0 +1,668 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.7;
+
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/ECDSAUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/SignatureCheckerUpgradeable.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155Receiver.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "./ILazyMintable.sol";
+import "./MarketplaceBase.sol";
+
+/**
+ * @title MarketplaceExtension
+ * @notice Sale and purchase of ERC-1155 tokens, each listing sells several units of a token, signed orders and
+ * lazy mint vouchers, timed listings and the listing views, and the administration of roles, pause and asset recovery
+ * @dev is not deployed behind its own proxy: the {Marketplace} delegates the calls it does not implement to it,
+ * so it runs on the storage, the balance and the address of the marketplace
+ */
+contract MarketplaceExtension is MarketplaceBase, IERC1155Receiver {
+    using ERC165Checker for address;
+    using EnumerableSetUpgradeable for EnumerableSetUpgradeable.Bytes32Set;
+
+    /// @notice structure returned by the listing views
+    struct Listing {
+        address collection;
+        uint256 tokenId;
+        address seller;
+        uint256 price;
+        address currency;
+        uint256 startTime;
+        uint256 expiry;
+    }
+
+    event EditionOnSale(
+        uint256 indexed listingId,
+        address indexed seller,
+        address indexed collection,
+        uint256 tokenId,
+        uint256 quantity,
+        uint256 pricePerUnit,
+        address currency
+    );
+    event EditionPriceChanged(uint256 indexed listingId, uint256 pricePerUnit);
+    event EditionNotOnSale(uint256 indexed listingId, uint256 quantity);
+    event SaleScheduled(
+        address indexed collection,
+        uint256 indexed tokenId,
+        uint256 startTime,
+        uint256 expiry,
+        uint256 bounty
+    );
+    event ListingReclaimed(
+        address indexed collection,
+        uint256 indexed tokenId,
+        address indexed reclaimer,
+        address seller,
+        uint256 bounty
+    );
+    event ReclaimBountyChanged(address indexed account, uint256 newBounty, uint256 oldBounty);
+    event EditionBought(
+        uint256 indexed listingId,
+        address indexed buyer,
+        uint256 quantity,
+        address currency,
+        uint256 price,
+        uint256 fee,
+        uint256 royalty
+    );
+
+    /**
+     * @notice put NFT for sale between `startTime` and `expiry`
+     * @dev lock NFT on marketplace contract. A listing that expires takes a deposit of {reclaimBounty} in native coin:
+     * it goes back to the seller when the token is bought or removed, and to the caller of {reclaimExpired} otherwise
+     * @param collection approved ERC721 contract address
+     * @param tokenId the NFT identifier
+     * @param price set NFT price
+     * @param currency set NFT currency address
+     * @param startTime timestamp before which the token can not be bought, zero to start now
+     * @param expiry timestamp after which the token can not be bought, zero to never expire
+     */
+    function putTokenForSaleTimed(
+        address collection,
+        uint256 tokenId,
+        uint256 price,
+        address currency,
+        uint256 startTime,
+        uint256 expiry
+    ) public payable nonReentrant whenNotPaused {
+        require(expiry == 0 || (expiry > block.timestamp && expiry > startTime), "Invalid sale period");
+        uint256 bounty = expiry == 0 ? 0 : reclaimBounty;
+        require(msg.value == bounty, "Submit the reclaim bounty");
+
+        _putTokenForSale(collection, tokenId, price, currency);
+
+        MarketItem storage item = marketItems[collection][tokenId];
+        item.startTime = startTime;
+        item.expiry = expiry;
+        item.bounty = bounty;
+        totalReclaimBounties += bounty;
+
+        emit SaleScheduled(collection, tokenId, startTime, expiry, bounty);
+    }
+
+    /**
+     * @notice give an expired listing back to its seller
+     * @dev anyone can call it, the caller gets the bounty deposited by the seller.
+     * The token is sent with `transferFrom`, so a seller contract can not block it
+     * @param collection ERC721 contract address
+     * @param tokenId the NFT identifier
+     */
+    function reclaimExpired(address collection, uint256 tokenId) public nonReentrant {
+        MarketItem storage item = marketItems[collection][tokenId];
+        require(item.forSale == true, "Token must be on Sale");
+        require(item.expiry != 0 && item.expiry < block.timestamp, "Sale not expired");
+
+        address seller = tokenOwners[collection][tokenId];
+        uint256 bounty = item.bounty;
+        _closeListing(collection, tokenId, _msgSender());
+
+        IERC721(collection).transferFrom(address(this), seller, tokenId);
+
+        emit TokenNotOnSale(collection, tokenId);
+        emit ListingReclaimed(collection, tokenId, _msgSender(), seller, bounty);
+    }
+
+    /**
+     * @notice update the bounty deposited with the listings that expire
+     * @dev Caller must have the FEE_MANAGER_ROLE. Listings already made keep their deposit
+     * @param bounty amount of native coin
+     */
+    function updateReclaimBounty(uint256 bounty) external onlyRole(FEE_MANAGER_ROLE) {
+        emit ReclaimBountyChanged(_msgSender(), bounty, reclaimBounty);
+        reclaimBounty = bounty;
+    }
+
+    /**
+     * @notice add listings made before the listing sets existed to the listing views
+     * @dev Caller must be contract owner. Tokens that are not on sale are skipped
+     * @param collection ERC721 contract address
+     * @param tokenIds the NFT identifiers
+     */
+    function indexListings(address collection, uint256[] calldata tokenIds) external onlyOwner {
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            if (marketItems[collection][tokenIds[i]].forSale && tokenOwners[collection][tokenIds[i]] != address(0)) {
+                _indexListing(collection, tokenIds[i]);
+            }
+        }
+    }
+
+    /**
+     * @notice number of listings on sale, expired ones count until they are reclaimed
+     */
+    function activeListingCount() external view returns (uint256) {
+        return _activeListings.length();
+    }
+
+    /**
+     * @notice number of listings on sale of `seller`
+     */
+    function sellerListingCount(address seller) external view returns (uint256) {
+        return _sellerListings[seller].length();
+    }
+
+    /**
+     * @notice number of listings on sale in `currency`
+     */
+    function currencyListingCount(address currency) external view returns (uint256) {
+        return _currencyListings[currency].length();
+    }
+
+    /**
+     * @notice page of the listings on sale
+     * @dev the order is not stable: a listing that is closed is replaced by the last one
+     * @param offset index of the first listing
+     * @param limit maximum number of listings returned
+     */
+    function getActiveListings(uint256 offset, uint256 limit) external view returns (Listing[] memory) {
+        return _getListings(_activeListings, offset, limit);
+    }
+
+    /**
+     * @notice page of the listings on sale of `seller`, see {getActiveListings}
+     */
+    function getListingsBySeller(address seller, uint256 offset, uint256 limit)
+        external
+        view
+        returns (Listing[] memory)
+    {
+        return _getListings(_sellerListings[seller], offset, limit);
+    }
+
+    /**
+     * @notice page of the listings on sale in `currency`, see {getActiveListings}
+     */
+    function getListingsByCurrency(address currency, uint256 offset, uint256 limit)
+        external
+        view
+        returns (Listing[] memory)
+    {
+        return _getListings(_currencyListings[currency], offset, limit);
+    }
+
+    /**
+     * @dev reads at most `limit` listings of `set` from `offset`
+     */
+    function _getListings(EnumerableSetUpgradeable.Bytes32Set storage set, uint256 offset, uint256 limit)
+        internal
+        view
+        returns (Listing[] memory page)
+    {
+        uint256 length = set.length();
+        if (offset >= length) {
+            return page;
+        }
+        if (limit > length - offset) {
+            limit = length - offset;
+        }
+
+        page = new Listing[](limit);
+        for (uint256 i = 0; i < limit; i++) {
+            ListingKey storage key = _listingKeys[set.at(offset + i)];
+            MarketItem storage item = marketItems[key.collection][key.tokenId];
+            page[i] = Listing(
+                key.collection,
+                key.tokenId,
+                tokenOwners[key.collection][key.tokenId],
+                item.price,
+                item.currency,
+                item.startTime,
+                item.expiry
+            );
+        }
+    }
+
+    /**
+     * @notice put units of an ERC-1155 token for sale
+     * @dev lock the units on marketplace contract, they are bought one by one or several at once, see {buyEdition}
+     * @param collection approved ERC1155 contract address
+     * @param tokenId the token identifier
+     * @param quantity number of units for sale
+     * @param pricePerUnit set the price of one unit
+     * @param currency set currency address
+     * @return listingId the listing identifier
+     */
+    function putEditionForSale(
+        address collection,
+        uint256 tokenId,
+        uint256 quantity,
+        uint256 pricePerUnit,
+        address currency
+    ) public nonReentrant whenNotPaused returns (uint256 listingId) {
+        require(quantity > 0, "Quantity must be positive");
+        require(pricePerUnit > 0, "Price must be at least 1 wei");
+        require(approvedTokens[currency] == true, "Currency must be approved");
+        require(currency != UsdPricing.USD, "USD is not a payment currency");
+        require(approvedCollections[collection] == true, "Collection must be approved");
+        require(collection.supportsInterface(type(IERC1155).interfaceId), "Collection must be ERC1155");
+
+        listingId = ++editionListingCount;
+        editionListings[listingId] = EditionListing(_msgSender(), collection, tokenId, quantity, pricePerUnit, currency);
+        _escrowedUnits[collection][tokenId] += quantity;
+
+        IERC1155(collection).safeTransferFrom(_msgSender(), address(this), tokenId, quantity, "");
+
+        emit EditionOnSale(listingId, _msgSender(), collection, tokenId, quantity, pricePerUnit, currency);
+    }
+
+    /**
+     * @notice update the unit price of an ERC-1155 listing
+     * @dev caller must be the seller
+     * @param listingId the listing identifier
+     * @param pricePerUnit set new price of one unit
+     */
+    function updateEditionPrice(uint256 listingId, uint256 pricePerUnit) public {
+        EditionListing storage listing = editionListings[listingId];
+        require(listing.seller == _msgSender(), "Only token owner can do this");
+        require(listing.quantity > 0, "Token must be on Sale");
+        require(pricePerUnit > 0, "Price must be at least 1 wei");
+
+        listing.pricePerUnit = pricePerUnit;
+
+        emit EditionPriceChanged(listingId, pricePerUnit);
+    }
+
+    /**
+     * @notice remove an ERC-1155 listing from sale
+     * @dev caller must be the seller. Unlock the units left from the marketplace
+     * @param listingId the listing identifier
+     */
+    function removeEditionFromSale(uint256 listingId) public nonReentrant {
+        EditionListing storage listing = editionListings[listingId];
+        require(listing.seller == _msgSender(), "Only token owner can do this");
+        uint256 quantity = listing.quantity;
+        require(quantity > 0, "Token must be on Sale");
+
+        listing.quantity = 0;
+
+        _releaseUnits(listing, quantity);
+
+        emit EditionNotOnSale(listingId, quantity);
+    }
+
+    /**
+     * @notice buy units of an ERC-1155 listing, the listing stays on sale until all its units are bought
+     * @dev can buy for allowed ERC20 or native currency. Send fee and royalty, the royalty is quoted
+     * with ERC-2981 on the price of all the units bought
+     * @param listingId the listing identifier
+     * @param quantity number of units to buy
+     */
+    function buyEdition(uint256 listingId, uint256 quantity)
+        public
+        payable
+        nonReentrant
+        whenNotPaused
+    {
+        EditionListing storage listing = editionListings[listingId];
+        require(quantity > 0, "Quantity must be positive");
+        require(listing.quantity >= quantity, "Not enough units on sale");
+
+        uint256 price = listing.pricePerUnit * quantity;
+        listing.quantity -= quantity;
+
+        _collectPayment(listing.currency, _msgSender(), price);
+
+        (uint256 platformFeeAmount, uint256 royaltyAmount) = _settle(
+            listing.collection,
+            listing.tokenId,
+            price,
+            listing.currency,
+            listing.seller,
+            _msgSender()
+        );
+
+        _releaseUnits(listing, quantity);
+
+        emit EditionBought(listingId, _msgSender(), quantity, listing.currency, price, platformFeeAmount, royaltyAmount);
+    }
+
+    /**
+     * @dev sends `quantity` escrowed units of an ERC-1155 listing to the caller
+     */
+    function _releaseUnits(EditionListing storage listing, uint256 quantity) internal {
+        _escrowedUnits[listing.collection][listing.tokenId] -= quantity;
+        IERC1155(listing.collection).safeTransferFrom(address(this), _msgSender(), listing.tokenId, quantity, "");
+    }
+
+    /**
+     * @notice buy a token with a sell order signed off-chain by its owner
+     * @dev the NFT stays in the seller wallet until the order is filled, the marketplace must be approved for it
+     * @param order the sell order, `maker` is the seller
+     * @param signature EIP-712 signature of the seller, or its ERC-1271 signature if the seller is a contract
+     */
+    function fulfillSellOrder(Order calldata order, bytes calldata signature)
+        public
+        payable
+        nonReentrant
+        whenNotPaused
+    {
+        bytes32 orderHash = _useOrder(order, SELL_ORDER_TYPEHASH, signature);
+
+        _collectPayment(order.currency, _msgSender(), order.price);
+
+        (uint256 platformFeeAmount, uint256 royaltyAmount) = _settle(
+            order.nftContract,
+            order.tokenId,
+            order.price,
+            order.currency,
+            order.maker,
+            _msgSender()
+        );
+
+        _checkNotRented(order.nftContract, order.tokenId);
+        IERC721(order.nftContract).safeTransferFrom(
+            order.maker,
+            _msgSender(),
+            order.tokenId
+        );
+
+        emit OrderFilled(
+            orderHash,
+            order.maker,
+            _msgSender(),
+            order.nftContract,
+            order.tokenId,
+            order.currency,
+            order.price,
+            platformFeeAmount,
+            royaltyAmount
+        );
+    }
+
+    /**
+     * @notice accept an offer signed off-chain by a buyer
+     * @dev caller must be token owner. Offers are paid in ERC20 pulled from the buyer
+     * @param order the offer, `maker` is the buyer
+     * @param signature EIP-712 signature of the buyer, or its ERC-1271 signature if the buyer is a contract
+     */
+    function fulfillOffer(Order calldata order, bytes calldata signature)
+        public
+        nonReentrant
+        whenNotPaused
+    {
+        require(order.currency != address(0), "Offer currency must be ERC20");
+        bytes32 orderHash = _useOrder(order, OFFER_TYPEHASH, signature);
+
+        _collectPayment(order.currency, order.maker, order.price);
+
+        (uint256 platformFeeAmount, uint256 royaltyAmount) = _settle(
+            order.nftContract,
+            order.tokenId,
+            order.price,
+            order.currency,
+            _msgSender(),
+            order.maker
+        );
+
+        _checkNotRented(order.nftContract, order.tokenId);
+        IERC721(order.nftContract).safeTransferFrom(
+            _msgSender(),
+            order.maker,
+            order.tokenId
+        );
+
+        emit OrderFilled(
+            orderHash,
+            _msgSender(),
+            order.maker,
+            order.nftContract,
+            order.tokenId,
+            order.currency,
+            order.price,
+            platformFeeAmount,
+            royaltyAmount
+        );
+    }
+
+    /**
+     * @notice buy a token that is minted to the caller, with a voucher signed off-chain by its creator
+     * @dev the collection must let the marketplace mint, see {ILazyMintable}. The price is split between the creator
+     * and the platform fee. Vouchers share the nonces of orders, {cancelOrder} also cancels them
+     * @param voucher the voucher
+     * @param signature EIP-712 signature of the creator, or its ERC-1271 signature if the creator is a contract
+     */
+    function redeemVoucher(MintVoucher calldata voucher, bytes calldata signature)
+        public
+        payable
+        nonReentrant
+        whenNotPaused
+    {
+        require(voucher.expiry >= block.timestamp, "Order expired");
+        require(approvedCollections[voucher.nftContract] == true, "Collection must be approved");
+        require(approvedTokens[voucher.currency] == true, "Currency must be approved");
+        require(voucher.currency != UsdPricing.USD, "USD is not a payment currency");
+        _useNonce(voucher.creator, voucher.nonce);
+
+        bytes32 voucherHash = hashVoucher(voucher);
+        require(SignatureCheckerUpgradeable.isValidSignatureNow(voucher.creator, voucherHash, signature), "Invalid signature");
+
+        _collectPayment(voucher.currency, _msgSender(), voucher.price);
+
+        uint256 tokenId = ILazyMintable(voucher.nftContract).mintFor(
+            voucher.creator,
+            _msgSender(),
+            voucher.uri,
+            voucher.royalty
+        );
+
+        uint256 platformFeeAmount = _quoteFee(voucher.nftContract, voucher.currency, voucher.creator, voucher.price);
+        if (platformFeeAmount != 0) {
+            _credit(voucher.currency, feeDestination, platformFeeAmount);
+        }
+        if (voucher.price > platformFeeAmount) {
+            _credit(voucher.currency, voucher.creator, voucher.price - platformFeeAmount);
+        }
+
+        emit VoucherRedeemed(
+            voucherHash,
+            voucher.creator,
+            _msgSender(),
+            voucher.nftContract,
+            tokenId,
+            voucher.currency,
+            voucher.price,
+            platformFeeAmount
+        );
+    }
+
+    /**
+     * @notice cancel a signed order or offer
+     * @dev caller must be order maker
+     * @param nonce the nonce of the order
+     */
+    function cancelOrder(uint256 nonce) public {
+        isNonceUsed[_msgSender()][nonce] = true;
+        emit OrderCancelled(_msgSender(), nonce);
+    }
+
+    /**
+     * @notice cancel all signed orders and offers with a nonce lower than `_minNonce`
+     * @dev caller must be order maker
+     * @param _minNonce the lowest nonce that stays valid
+     */
+    function invalidateNonces(uint256 _minNonce) public {
+        require(_minNonce > minNonce[_msgSender()], "Nonce too low");
+        minNonce[_msgSender()] = _minNonce;
+        emit NoncesInvalidated(_msgSender(), _minNonce);
+    }
+
+    /**
+     * @notice EIP-712 domain separator used to sign orders
+     */
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(
+            abi.encode(
+                DOMAIN_TYPEHASH,
+                keccak256("DemianO Marketplace"),
+                keccak256("1"),
+                block.chainid,
+                address(this)
+            )
+        );
+    }
+
+    /**
+     * @notice EIP-712 digest of an order
+     * @param order the order
+     * @param typeHash SELL_ORDER_TYPEHASH or OFFER_TYPEHASH
+     * @return the digest the maker signs
+     */
+    function hashOrder(Order calldata order, bytes32 typeHash) public view returns (bytes32) {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                typeHash,
+                order.maker,
+                order.nftContract,
+                order.tokenId,
+                order.price,
+                order.currency,
+                order.nonce,
+                order.expiry
+            )
+        );
+        return ECDSAUpgradeable.toTypedDataHash(domainSeparator(), structHash);
+    }
+
+    /**
+     * @notice EIP-712 digest of a lazy mint voucher
+     * @param voucher the voucher
+     * @return the digest the creator signs
+     */
+    function hashVoucher(MintVoucher calldata voucher) public view returns (bytes32) {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                MINT_VOUCHER_TYPEHASH,
+                voucher.creator,
+                voucher.nftContract,
+                keccak256(bytes(voucher.uri)),
+                voucher.royalty,
+                voucher.price,
+                voucher.currency,
+                voucher.nonce,
+                voucher.expiry
+            )
+        );
+        return ECDSAUpgradeable.toTypedDataHash(domainSeparator(), structHash);
+    }
+
+    /**
+     * @dev checks a signed order and marks its nonce as used.
+     * A contract maker, e.g. a smart wallet, approves the order through ERC-1271
+     * @return orderHash the EIP-712 digest of the order
+     */
+    function _useOrder(Order calldata order, bytes32 typeHash, bytes calldata signature)
+        internal
+        returns (bytes32 orderHash)
+    {
+        require(order.expiry >= block.timestamp, "Order expired");
+        require(approvedCollections[order.nftContract] == true, "Collection must be approved");
+        require(approvedTokens[order.currency] == true, "Currency must be approved");
+        _useNonce(order.maker, order.nonce);
+
+        orderHash = hashOrder(order, typeHash);
+        require(SignatureCheckerUpgradeable.isValidSignatureNow(order.maker, orderHash, signature), "Invalid signature");
+    }
+
+    /**
+     * @notice amount of `currency` held by the marketplace that is neither credited to a payee
+     * nor escrowed for an offer or a reclaim bounty
+     * @param currency the currency address, zero address for native coin
+     */
+    function recoverableBalance(address currency) public view returns (uint256) {
+        uint256 balance = currency == address(0) ? address(this).balance : IERC20(currency).balanceOf(address(this));
+        uint256 held = totalPendingPayments[currency] + totalEscrowedOffers[currency];
+        if (currency == address(0)) {
+            held += totalReclaimBounties;
+        }
+        return balance > held ? balance - held : 0;
+    }
+
+    /**
+     * @notice It allows the admins to get tokens sent to the contract
+     * @param tokenAddress: the address of the token to withdraw
+     * @param tokenAmount: the number of token amount to withdraw, at most the {recoverableBalance}
+     * @dev Only callable by the ASSET_RECOVERY_ROLE
+     */
+    function recoverTokens(address tokenAddress, uint256 tokenAmount)
+        external
+        nonReentrant
+        onlyRole(ASSET_RECOVERY_ROLE)
+    {
+        require(tokenAddress != address(0), "address can not be zero!");
+        _recoverFunds(tokenAddress, tokenAmount);
+    }
+
+    /**
+     * @notice It allows the admins to get the coins sent to the contract
+     * @dev Only callable by the ASSET_RECOVERY_ROLE. Withdraws the {recoverableBalance}, the payments and offers stay
+     */
+    function withdraw() external nonReentrant onlyRole(ASSET_RECOVERY_ROLE) {
+        _recoverFunds(address(0), recoverableBalance(address(0)));
+    }
+
+    /**
+     * @dev sends `amount` of `currency` that belongs to no one to the caller
+     */
+    function _recoverFunds(address currency, uint256 amount) internal {
+        require(amount <= recoverableBalance(currency), "Amount exceeds recoverable balance");
+        _transferFunds(currency, _msgSender(), amount);
+        emit TokensRecovered(currency, _msgSender(), amount);
+    }
+
+    /**
+     * @dev Whenever {IERC1155} tokens are transferred to this contract via {IERC1155-safeTransferFrom},
+     * this function is called
+     * @return its Solidity selector to confirm the token transfer.
+     */
+    function onERC1155Received(
+        address,
+        address,
+        uint256,
+        uint256,
+        bytes calldata
+    ) public virtual override returns (bytes4) {
+        return this.onERC1155Received.selector;
+    }
+
+    /**
+     * @dev Whenever {IERC1155} tokens are transferred to this contract via {IERC1155-safeBatchTransferFrom},
+     * this function is called
+     * @return its Solidity selector to confirm the token transfer.
+     */
+    function onERC1155BatchReceived(
+        address,
+        address,
+        uint256[] calldata,
+        uint256[] calldata,
+        bytes calldata
+    ) public virtual override returns (bytes4) {
+        return this.onERC1155BatchReceived.selector;
+    }
+
+    /**
+     * @dev See {IERC165-supportsInterface}, answered for the marketplace
+     */
+    function supportsInterface(bytes4 interfaceId) public view virtual override returns (bool) {
+        return interfaceId == type(IERC1155Receiver).interfaceId || interfaceId == type(IERC165).interfaceId;
+    }
+}
@@ -0,0 +1,162 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.7;
+
+import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "./MarketplaceBase.sol";
+
+/**
+ * @title MarketplaceListingExtension
+ * @notice The payment of listings priced in USD in any approved currency with a price feed,
+ * the migration of the listings made before multi-collection support,
+ * and the recovery of the NFTs and ERC-1155 units sent to the marketplace by mistake
+ * @dev is not deployed behind its own proxy: the {Marketplace} delegates the calls of its selectors to it,
+ * see {Marketplace-updateSelectorExtension}, so it runs on the storage, the balance and the address of the marketplace
+ */
+contract MarketplaceListingExtension is MarketplaceBase {
+    using ERC165Checker for address;
+    using UsdPricing for UsdPricing.PriceFeed;
+
+    event PriceFeedChanged(address indexed currency, address aggregator, uint256 maxAge);
+
+    /**
+     * @notice buy a token listed in USD, paying its price in `currency` at the rate of the price feed of the currency
+     * @dev a token is priced in USD when it is listed with the USD denomination, address(840), as currency.
+     * The buyer bounds the amount paid since the rate can move before the transaction is mined: with native coin
+     * `maxAmount` is sent as value and the surplus credited to the buyer, see {withdrawPayments}.
+     * Fee and royalty are paid in `currency`
+     * @param collection ERC721 contract address
+     * @param tokenId the NFT identifier
+     * @param currency approved currency address with a price feed, zero address for native coin
+     * @param maxAmount highest amount of `currency` the buyer pays
+     */
+    function buyTokenInCurrency(address collection, uint256 tokenId, address currency, uint256 maxAmount)
+        public
+        payable
+        nonReentrant
+        whenNotPaused
+    {
+        MarketItem storage item = marketItems[collection][tokenId];
+        require(_isOnSale(item), "Token must be on Sale");
+        require(item.currency == UsdPricing.USD, "Price is not in USD");
+        require(approvedTokens[currency] == true, "Currency must be approved");
+
+        uint256 price = _priceFeeds[currency].toCurrency(currency, item.price);
+        require(price <= maxAmount, "Price exceeds the maximum amount");
+        if (currency == address(0)) {
+            require(msg.value == maxAmount, "Submit the asking price");
+        } else {
+            _collectPayment(currency, _msgSender(), price);
+        }
+
+        address seller = tokenOwners[collection][tokenId];
+        (uint256 platformFeeAmount, uint256 royaltyAmount) = _settle(
+            collection,
+            tokenId,
+            price,
+            currency,
+            seller,
+            _msgSender()
+        );
+        _closeListing(collection, tokenId, seller);
+        if (currency == address(0) && maxAmount > price) {
+            _credit(address(0), _msgSender(), maxAmount - price);
+        }
+
+        IERC721(collection).safeTransferFrom(address(this), _msgSender(), tokenId);
+
+        emit TokenBought(collection, tokenId, _msgSender(), currency, price, platformFeeAmount, royaltyAmount);
+    }
+
+    /**
+     * @notice amount of `currency` a price in USD is worth now, see {buyTokenInCurrency}
+     * @param currency currency address with a price feed, zero address for native coin
+     * @param usdAmount price in USD, using 8 decimals: 100000000 = 1 USD
+     */
+    function convertUsdPrice(address currency, uint256 usdAmount) external view returns (uint256) {
+        return _priceFeeds[currency].toCurrency(currency, usdAmount);
+    }
+
+    /**
+     * @notice set the feed pricing a currency in USD, tokens listed in USD can then be bought in this currency
+     * @dev caller must have the CURRENCY_CURATOR_ROLE
+     * @param currency currency address, zero address for native coin
+     * @param aggregator Chainlink-style aggregator quoting the currency in USD, zero to remove the feed
+     * @param maxAge seconds after which an answer of the feed is stale, e.g. its heartbeat
+     */
+    function setPriceFeed(address currency, address aggregator, uint256 maxAge)
+        external
+        onlyRole(CURRENCY_CURATOR_ROLE)
+    {
+        _priceFeeds[currency] = UsdPricing.PriceFeed(aggregator, maxAge);
+
+        emit PriceFeedChanged(currency, aggregator, maxAge);
+    }
+
+    /**
+     * @notice the feed pricing a currency in USD, its aggregator is zero when it has none
+     * @param currency currency address, zero address for native coin
+     */
+    function getPriceFeed(address currency) external view returns (UsdPricing.PriceFeed memory) {
+        return _priceFeeds[currency];
+    }
+
+    /**
+     * @notice move listings made before multi-collection support to the per collection mappings
+     * @dev Caller must be contract owner. Tokens without a legacy listing or not held by the marketplace are skipped
+     * @param collection the ERC721 contract the legacy listings belong to
+     * @param tokenIds the NFT identifiers to migrate
+     */
+    function migrateListings(address collection, uint256[] calldata tokenIds) external onlyOwner {
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            uint256 tokenId = tokenIds[i];
+            address owner = tokenOwner[tokenId];
+            if (owner == address(0) || IERC721(collection).ownerOf(tokenId) != address(this)) {
+                continue;
+            }
+
+            marketItems[collection][tokenId] = idToMarketItem[tokenId];
+            tokenOwners[collection][tokenId] = owner;
+            delete idToMarketItem[tokenId];
+            delete tokenOwner[tokenId];
+            _indexListing(collection, tokenId);
+
+            emit ListingMigrated(collection, tokenId, owner);
+        }
+    }
+
+    /**
+     * @notice It allows the admins to get NFT sent to the contract, if there will be any issue with contract
+     * @param tokenAddress: the address of the token to withdraw
+     * @param tokenId: tokenId to withdraw, it must not be listed
+     * @dev Only callable by the ASSET_RECOVERY_ROLE. For an ERC1155 contract, withdraws the units that are not
+     * escrowed by an edition listing
+     */
+    function recoverAsset(address tokenAddress, uint256 tokenId)
+        external
+        nonReentrant
+        onlyRole(ASSET_RECOVERY_ROLE)
+    {
+        require(tokenAddress != address(0), "address can not be zero!");
+        bool edition = tokenAddress.supportsInterface(type(IERC1155).interfaceId);
+        uint256 units;
+        if (edition) {
+            units = IERC1155(tokenAddress).balanceOf(address(this), tokenId) - _escrowedUnits[tokenAddress][tokenId];
+        } else if (
+            tokenOwners[tokenAddress][tokenId] == address(0) &&
+            tokenBundles[tokenAddress][tokenId] == 0 &&
+            (tokenAddress != nftContract || tokenOwner[tokenId] == address(0))
+        ) {
+            units = 1;
+        }
+        require(units > 0, "Token is escrowed");
+
+        if (edition) {
+            IERC1155(tokenAddress).safeTransferFrom(address(this), _msgSender(), tokenId, units, "");
+        } else {
+            IERC721(tokenAddress).safeTransferFrom(address(this), _msgSender(), tokenId);
+        }
+
+        emit AssetRecovered(tokenAddress, tokenId, _msgSender());
+    }
+}
@@ -0,0 +1,143 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.7;
+
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "./IERC4907.sol";
+import "./MarketplaceBase.sol";
+
+/**
+ * @title MarketplaceRentalExtension
+ * @notice Rental listings of ERC-4907 tokens: the renter becomes the user of the token for a number of days
+ * @dev is not deployed behind its own proxy: the {Marketplace} delegates the calls of its selectors to it,
+ * see {Marketplace-updateSelectorExtension}, so it runs on the storage, the balance and the address of the marketplace
+ */
+contract MarketplaceRentalExtension is MarketplaceBase {
+    using ERC165Checker for address;
+
+    event TokenForRent(
+        address indexed collection,
+        uint256 indexed tokenId,
+        address indexed owner,
+        uint256 pricePerDay,
+        address currency,
+        uint256 minDays,
+        uint256 maxDays
+    );
+    event TokenNotForRent(address indexed collection, uint256 indexed tokenId);
+    event TokenRented(
+        address indexed collection,
+        uint256 indexed tokenId,
+        address indexed renter,
+        address owner,
+        uint64 expires,
+        address currency,
+        uint256 price,
+        uint256 fee,
+        uint256 royalty
+    );
+
+    /**
+     * @notice put an ERC-4907 token up for rent, listing it again replaces its terms
+     * @dev the token stays in the wallet of the caller, who must approve the marketplace to set its user.
+     * The listing lapses when the token changes owner
+     * @param collection approved ERC721 contract address, it must support ERC-4907
+     * @param tokenId the NFT identifier
+     * @param pricePerDay set the price of one day of rental
+     * @param currency set the rental currency address
+     * @param minDays shortest rental, in days
+     * @param maxDays longest rental, in days
+     */
+    function putTokenForRent(
+        address collection,
+        uint256 tokenId,
+        uint256 pricePerDay,
+        address currency,
+        uint256 minDays,
+        uint256 maxDays
+    ) public whenNotPaused {
+        require(IERC721(collection).ownerOf(tokenId) == _msgSender(), "Only token owner can do this");
+        require(pricePerDay > 0, "Price must be at least 1 wei");
+        require(approvedTokens[currency] == true, "Currency must be approved");
+        require(currency != UsdPricing.USD, "USD is not a payment currency");
+        require(approvedCollections[collection] == true, "Collection must be approved");
+        require(collection.supportsInterface(type(IERC4907).interfaceId), "Collection must be ERC4907");
+        require(minDays > 0 && minDays <= maxDays, "Invalid rental duration");
+
+        _rentalListings[collection][tokenId] = RentalListing(_msgSender(), pricePerDay, currency, minDays, maxDays, true);
+
+        emit TokenForRent(collection, tokenId, _msgSender(), pricePerDay, currency, minDays, maxDays);
+    }
+
+    /**
+     * @notice take a token off rent, a current rental runs until it expires
+     * @dev caller must be the owner who listed it
+     * @param collection ERC721 contract address
+     * @param tokenId the NFT identifier
+     */
+    function removeTokenFromRent(address collection, uint256 tokenId) public {
+        RentalListing storage listing = _rentalListings[collection][tokenId];
+        require(listing.owner == _msgSender(), "Only token owner can do this");
+        require(listing.active == true, "Token must be for rent");
+
+        listing.active = false;
+
+        emit TokenNotForRent(collection, tokenId);
+    }
+
+    /**
+     * @notice rent a token for `rentalDays` days, the caller becomes its ERC-4907 user
+     * @dev can pay with allowed ERC20 or native currency. The owner is credited the rent minus the fee and royalty
+     * quoted on it, like the proceeds of a sale. The token must not have a user already
+     * @param collection ERC721 contract address
+     * @param tokenId the NFT identifier
+     * @param rentalDays rental duration in days, between the minimum and the maximum of the listing
+     */
+    function rentToken(address collection, uint256 tokenId, uint256 rentalDays)
+        public
+        payable
+        nonReentrant
+        whenNotPaused
+    {
+        RentalListing storage listing = _rentalListings[collection][tokenId];
+        address lender = listing.owner;
+        require(listing.active == true && IERC721(collection).ownerOf(tokenId) == lender, "Token must be for rent");
+        require(rentalDays >= listing.minDays && rentalDays <= listing.maxDays, "Invalid rental duration");
+        require(IERC4907(collection).userOf(tokenId) == address(0), "Token is rented");
+
+        uint256 price = listing.pricePerDay * rentalDays;
+        _collectPayment(listing.currency, _msgSender(), price);
+
+        (uint256 platformFeeAmount, uint256 royaltyAmount) = _settle(
+            collection,
+            tokenId,
+            price,
+            listing.currency,
+            lender,
+            _msgSender()
+        );
+
+        uint64 expires = uint64(block.timestamp + rentalDays * 1 days);
+        IERC4907(collection).setUser(tokenId, _msgSender(), expires);
+
+        emit TokenRented(
+            collection,
+            tokenId,
+            _msgSender(),
+            lender,
+            expires,
+            listing.currency,
+            price,
+            platformFeeAmount,
+            royaltyAmount
+        );
+    }
+
+    /**
+     * @notice the rental listing of a token, `active` is false when it was never listed or taken off rent
+     * @param collection ERC721 contract address
+     * @param tokenId the NFT identifier
+     */
+    function getRentalListing(address collection, uint256 tokenId) external view returns (RentalListing memory) {
+        return _rentalListings[collection][tokenId];
+    }
+}
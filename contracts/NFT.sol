@@ -9,13 +9,28 @@ import "@openzeppelin/contracts/interfaces/IERC2981.sol";
 import "@openzeppelin/contracts/utils/Counters.sol";
 import "@openzeppelin/contracts/utils/math/SafeMath.sol";
 import "@openzeppelin/contracts/utils/Strings.sol";
+import "./IRoyaltySplits.sol";
+import "./ILazyMintable.sol";
+import "./IERC4907.sol";
 
 /**
  * @title NFT
  * @notice Implementation of [ERC721Upgradeable] including Enumerable extension
  * @dev IERC2981 - Interface for the NFT Royalty Standard.
+ * @dev IRoyaltySplits - royalties shared between several recipients, tokens without their own royalties
+ * pay the default royalties of the collection
+ * @dev IERC4907 - user role that expires, granted to renters without moving the token
  */
-contract NFT is Initializable, UUPSUpgradeable, ERC721EnumerableUpgradeable, IERC2981, OwnableUpgradeable {
+contract NFT is
+    Initializable,
+    UUPSUpgradeable,
+    ERC721EnumerableUpgradeable,
+    IERC2981,
+    IRoyaltySplits,
+    ILazyMintable,
+    OwnableUpgradeable,
+    IERC4907
+{
     using Counters for Counters.Counter;
     using Strings for uint256;
     using SafeMath for uint256;
@@ -40,9 +55,40 @@ contract NFT is Initializable, UUPSUpgradeable, ERC721EnumerableUpgradeable, IER
         uint256 amount;
     }
 
-    /// @notice Mapping from token ID to royalty information
+    /// @notice Mapping from token ID to royalty information of the tokens minted before royalty splits
     mapping(uint256 => RoyaltyInfo) private _royalties;
 
+    /// @notice highest number of royalty recipients of a token
+    uint256 public constant MAX_ROYALTY_RECIPIENTS = 10;
+
+    /// @notice Mapping from token ID to royalty recipients, `amount` is their share of the sale price
+    mapping(uint256 => RoyaltyInfo[]) private _tokenRoyalties;
+    /// @notice Mapping from token ID to whether its royalties replace the default royalties
+    mapping(uint256 => bool) private _hasTokenRoyalties;
+    /// @notice royalty recipients of the tokens without their own royalties
+    RoyaltyInfo[] private _defaultRoyalties;
+
+    /// @notice Mapping from address to whether it can mint on behalf of creators, e.g. the marketplace redeeming vouchers
+    mapping(address => bool) public minters;
+    /// @notice ERC-2771 forwarder relaying the meta-transactions signed by the users, see {_msgSender}
+    address public trustedForwarder;
+
+    /// @notice structure for the ERC-4907 user of a token
+    struct UserInfo {
+        address user;
+        // UNIX timestamp until which `user` can use the token
+        uint64 expires;
+    }
+
+    /// @notice Mapping from token ID to its ERC-4907 user, cleared when the token is transferred
+    mapping(uint256 => UserInfo) private _users;
+
+    /// @notice CollectionFactory that deployed this collection, zero for the shared collection.
+    /// It sets the forwarder of its collections, see {setTrustedForwarder}
+    address public collectionFactory;
+    /// @notice Mapping from address to whether it pays royalties and can notify them, see {onRoyaltiesReceived}
+    mapping(address => bool) public royaltyPayers;
+
     /// @dev This event MUST be emitted by `onRoyaltiesReceived()`.
     event RoyaltiesReceived(
         address indexed _royaltyRecipient,
@@ -52,6 +98,16 @@ contract NFT is Initializable, UUPSUpgradeable, ERC721EnumerableUpgradeable, IER
         uint256 _amount,
         bytes32 _metadata
     );
+    event TokenRoyaltiesUpdated(uint256 indexed tokenId, RoyaltyInfo[] royalties);
+    event DefaultRoyaltiesUpdated(RoyaltyInfo[] royalties);
+    event MinterUpdated(address indexed minter, bool allowed);
+    event TrustedForwarderUpdated(address indexed forwarder);
+    event RoyaltyPayerUpdated(address indexed payer, bool allowed);
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
 
     /**
      * @dev Initializes the contract
@@ -64,6 +120,42 @@ contract NFT is Initializable, UUPSUpgradeable, ERC721EnumerableUpgradeable, IER
         string memory _symbol,
         string memory _contractUri
     ) public initializer {
+        __NFT_init(_name, _symbol, _contractUri);
+    }
+
+    /**
+     * @dev Initializes a creator collection, a clone of this contract deployed by the CollectionFactory.
+     * Clones are not upgradeable: they have no ERC1967 implementation slot of their own. The caller becomes
+     * the `collectionFactory`
+     * @param _name setting a `name` to the token collection.
+     * @param _symbol setting a `symbol` to the token collection.
+     * @param _contractUri setting the URI to the contract metadata
+     * @param collectionOwner the creator owning the collection
+     * @param royalties default royalties of the collection, see {setDefaultRoyalties}
+     * @param forwarder ERC-2771 forwarder of the platform, zero to accept no meta-transactions
+     */
+    function initializeCollection(
+        string memory _name,
+        string memory _symbol,
+        string memory _contractUri,
+        address collectionOwner,
+        RoyaltyInfo[] memory royalties,
+        address forwarder
+    ) public initializer {
+        __NFT_init(_name, _symbol, _contractUri);
+        _transferOwnership(collectionOwner);
+        _setDefaultRoyalties(royalties);
+        collectionFactory = msg.sender;
+        trustedForwarder = forwarder;
+        emit TrustedForwarderUpdated(forwarder);
+    }
+
+    /// @dev sets up the collection, the caller becomes its owner
+    function __NFT_init(
+        string memory _name,
+        string memory _symbol,
+        string memory _contractUri
+    ) internal onlyInitializing {
         __ERC721_init(_name, _symbol);
         __Ownable_init();
         baseExtension = ".json";
@@ -75,6 +167,7 @@ contract NFT is Initializable, UUPSUpgradeable, ERC721EnumerableUpgradeable, IER
  
     /**
      * @notice function that mint NFT with URI and Royalty
+     * @dev Caller must be the owner or a minter of a creator collection
      * @param uri that we want to assign to NFT
      * @param royaltyValue that we want to assign to NFT
      * @return an id of created NFT
@@ -83,21 +176,230 @@ contract NFT is Initializable, UUPSUpgradeable, ERC721EnumerableUpgradeable, IER
         public
         returns (uint256)
     {
+        return _mintWithRoyalty(_msgSender(), _msgSender(), uri, royaltyValue);
+    }
+
+    /**
+     * @notice function that mint several NFTs with URI and Royalty in one transaction
+     * @dev Caller must be the owner or a minter of a creator collection
+     * @param uris the URIs to assign to the NFTs
+     * @param royaltyValues the royalties to assign to the NFTs, one per URI
+     * @return ids of created NFTs, in the order of `uris`
+     */
+    function mintBatch(string[] memory uris, uint256[] memory royaltyValues)
+        public
+        returns (uint256[] memory ids)
+    {
+        require(uris.length == royaltyValues.length, "Array lengths mismatch");
+
+        ids = new uint256[](uris.length);
+        for (uint256 i = 0; i < uris.length; i++) {
+            ids[i] = _mintWithRoyalty(_msgSender(), _msgSender(), uris[i], royaltyValues[i]);
+        }
+    }
+
+    /**
+     * @notice function that mint NFT with URI and royalties shared between several recipients
+     * @dev Caller must be the owner or a minter of a creator collection
+     * @param uri that we want to assign to NFT
+     * @param royalties recipients and their percentage (using 2 decimals: 10000 = 100)
+     * @return an id of created NFT
+     */
+    function mintWithRoyalties(string memory uri, RoyaltyInfo[] memory royalties)
+        public
+        returns (uint256)
+    {
+        uint256 newItemId = _mintWithRoyalty(_msgSender(), _msgSender(), uri, 0);
+        _setTokenRoyalties(newItemId, royalties);
+        return newItemId;
+    }
+
+    /**
+     * @inheritdoc ILazyMintable
+     * @dev caller must be a minter. A creator collection only mints for its owner and its minters,
+     * so a voucher signed by anyone else can not mint into it
+     */
+    function mintFor(address creator, address to, string calldata uri, uint256 royaltyValue)
+        external
+        override
+        returns (uint256)
+    {
+        require(minters[_msgSender()], "Caller is not a minter");
+        require(collectionFactory == address(0) || owner() == creator || minters[creator], "Creator can not mint");
+        return _mintWithRoyalty(creator, to, uri, royaltyValue);
+    }
+
+    /**
+     * @notice allow or disallow an address to mint on behalf of creators
+     * @dev Caller must be contract owner
+     * @param minter address of the minter, e.g. the marketplace
+     * @param allowed false to revoke it
+     */
+    function setMinter(address minter, bool allowed) public onlyOwner {
+        minters[minter] = allowed;
+        emit MinterUpdated(minter, allowed);
+    }
+
+    /**
+     * @notice set the ERC-2771 forwarder, the zero address stops accepting meta-transactions
+     * @dev Caller must be the `collectionFactory` of a creator collection, the contract owner otherwise:
+     * the forwarder can act as any account
+     * @param forwarder forwarder contract address
+     */
+    function setTrustedForwarder(address forwarder) public {
+        _checkPlatform();
+        trustedForwarder = forwarder;
+        emit TrustedForwarderUpdated(forwarder);
+    }
+
+    /**
+     * @notice allow or revoke a marketplace paying the royalties of the collection, see {onRoyaltiesReceived}
+     * @dev Caller must be the `collectionFactory` of a creator collection, the contract owner otherwise
+     * @param payer marketplace or auction engine address
+     * @param allowed false to revoke it
+     */
+    function setRoyaltyPayer(address payer, bool allowed) public {
+        _checkPlatform();
+        royaltyPayers[payer] = allowed;
+        emit RoyaltyPayerUpdated(payer, allowed);
+    }
+
+    /**
+     * @dev reverts unless the caller is the `collectionFactory` of a creator collection,
+     * or the contract owner of the shared collection
+     */
+    function _checkPlatform() internal view {
+        if (collectionFactory == address(0)) {
+            _checkOwner();
+        } else {
+            require(msg.sender == collectionFactory, "Caller is not the collection factory");
+        }
+    }
+
+    /**
+     * @notice whether `forwarder` relays ERC-2771 meta-transactions to this contract
+     */
+    function isTrustedForwarder(address forwarder) public view returns (bool) {
+        return forwarder == trustedForwarder;
+    }
+
+    /**
+     * @notice set the user of a token until `expires`, see {IERC4907}
+     * @dev caller must be the token owner or approved for the token, e.g. the marketplace renting it out.
+     * While the token has a user only that user can change it, e.g. to end its rental early, without extending it
+     * The user is cleared when the token is transferred
+     * @param tokenId the NFT identifier
+     * @param user the user address, zero to clear it
+     * @param expires UNIX timestamp until which `user` can use the token
+     */
+    function setUser(uint256 tokenId, address user, uint64 expires) public override {
+        address currentUser = userOf(tokenId);
+        if (currentUser == address(0)) {
+            require(_isApprovedOrOwner(_msgSender(), tokenId), "ERC721: caller is not token owner nor approved");
+        } else {
+            require(currentUser == _msgSender() && expires <= _users[tokenId].expires, "Token is rented");
+        }
+        _users[tokenId] = UserInfo(user, expires);
+        emit UpdateUser(tokenId, user, expires);
+    }
+
+    /**
+     * @notice user of a token, the zero address when there is none or it expired
+     */
+    function userOf(uint256 tokenId) public view override returns (address) {
+        UserInfo storage info = _users[tokenId];
+        return info.expires >= block.timestamp ? info.user : address(0);
+    }
+
+    /**
+     * @notice UNIX timestamp until which the user of a token can use it
+     */
+    function userExpires(uint256 tokenId) public view override returns (uint256) {
+        return _users[tokenId].expires;
+    }
+
+    /**
+     * @dev mints the next token ID to `to`, `creator` becomes its creator and royalty receiver.
+     * Only the owner and the minters mint into a creator collection, anyone mints into the shared collection
+     */
+    function _mintWithRoyalty(address creator, address to, string memory uri, uint256 royaltyValue)
+        internal
+        returns (uint256)
+    {
+        require(
+            collectionFactory == address(0) || owner() == _msgSender() || minters[_msgSender()],
+            "Caller can not mint"
+        );
         _tokenIds.increment();
         uint256 newItemId = _tokenIds.current();
 
-        creators[newItemId] = msg.sender;
+        creators[newItemId] = creator;
         tokenUri[newItemId] = uri;
 
-        _mint(msg.sender, newItemId);
+        _mint(to, newItemId);
 
         if (royaltyValue > 0) {
-            _setTokenRoyalty(newItemId, msg.sender, royaltyValue);
+            _setTokenRoyalty(newItemId, creator, royaltyValue);
         }
 
         return newItemId;
     }
 
+    /**
+     * @notice lower or reassign the royalties of a token
+     * @dev Caller must be the creator of a token with its own royalties, or the contract owner for a token
+     * paying the default royalties. The total percentage can not be raised
+     * @param tokenId the NFT identifier
+     * @param royalties recipients and their percentage (using 2 decimals: 10000 = 100), empty to remove the royalties
+     */
+    function updateTokenRoyalties(uint256 tokenId, RoyaltyInfo[] memory royalties) public {
+        if (_hasTokenRoyalties[tokenId] || _royalties[tokenId].recipient != address(0)) {
+            require(creators[tokenId] == _msgSender(), "Only token creator can do this");
+        } else {
+            require(_exists(tokenId), "ERC721: invalid token ID");
+            require(owner() == _msgSender(), "Only owner can override default royalties");
+        }
+        require(
+            _totalAmount(royalties) <= _totalAmount(getTokenRoyalties(tokenId)),
+            "Royalties can only be lowered"
+        );
+
+        _setTokenRoyalties(tokenId, royalties);
+    }
+
+    /**
+     * @notice Set the royalties of the tokens without their own royalties
+     * @dev Caller must be contract owner
+     * @param royalties recipients and their percentage (using 2 decimals: 10000 = 100), empty to remove them
+     */
+    function setDefaultRoyalties(RoyaltyInfo[] memory royalties) public onlyOwner {
+        _setDefaultRoyalties(royalties);
+    }
+
+    /**
+     * @notice royalty recipients of a token, the default royalties when it has none of its own
+     * @param tokenId the NFT identifier
+     * @return royalties recipients and their percentage (using 2 decimals: 10000 = 100)
+     */
+    function getTokenRoyalties(uint256 tokenId) public view returns (RoyaltyInfo[] memory royalties) {
+        if (_hasTokenRoyalties[tokenId]) {
+            return _tokenRoyalties[tokenId];
+        }
+        if (_royalties[tokenId].recipient != address(0)) {
+            royalties = new RoyaltyInfo[](1);
+            royalties[0] = _royalties[tokenId];
+            return royalties;
+        }
+        return _defaultRoyalties;
+    }
+
+    /**
+     * @notice royalty recipients of the tokens without their own royalties
+     */
+    function getDefaultRoyalties() external view returns (RoyaltyInfo[] memory) {
+        return _defaultRoyalties;
+    }
+
     /**
      * @notice A distinct Uniform Resource Identifier (URI) for a given asset.
      * @dev Throws if `tokenId` is not exist
@@ -200,8 +502,91 @@ contract NFT is Initializable, UUPSUpgradeable, ERC721EnumerableUpgradeable, IER
         address recipient,
         uint256 value
     ) internal {
-        require(value <= 10000, "ERC2981Royalties: Too high");
-        _royalties[tokenId] = RoyaltyInfo(recipient, uint24(value));
+        RoyaltyInfo[] memory royalties = new RoyaltyInfo[](1);
+        royalties[0] = RoyaltyInfo(recipient, value);
+        _setTokenRoyalties(tokenId, royalties);
+    }
+
+    /**
+     * @dev replaces the royalties of the tokens without their own royalties
+     */
+    function _setDefaultRoyalties(RoyaltyInfo[] memory royalties) internal {
+        _checkRoyalties(royalties);
+
+        delete _defaultRoyalties;
+        for (uint256 i = 0; i < royalties.length; i++) {
+            _defaultRoyalties.push(royalties[i]);
+        }
+
+        emit DefaultRoyaltiesUpdated(royalties);
+    }
+
+    /**
+     * @dev replaces the royalty recipients of `tokenId`, the default royalties no longer apply to it
+     */
+    function _setTokenRoyalties(uint256 tokenId, RoyaltyInfo[] memory royalties) internal {
+        _checkRoyalties(royalties);
+
+        delete _tokenRoyalties[tokenId];
+        for (uint256 i = 0; i < royalties.length; i++) {
+            _tokenRoyalties[tokenId].push(royalties[i]);
+        }
+        _hasTokenRoyalties[tokenId] = true;
+
+        emit TokenRoyaltiesUpdated(tokenId, royalties);
+    }
+
+    /**
+     * @dev reverts when the royalties have too many recipients, a zero address recipient or exceed 100%
+     */
+    function _checkRoyalties(RoyaltyInfo[] memory royalties) internal pure {
+        require(royalties.length <= MAX_ROYALTY_RECIPIENTS, "Too many royalty recipients");
+        for (uint256 i = 0; i < royalties.length; i++) {
+            require(royalties[i].recipient != address(0), "Royalty recipient is the zero address");
+        }
+        require(_totalAmount(royalties) <= 10000, "ERC2981Royalties: Too high");
+    }
+
+    /**
+     * @dev sum of the percentages of `royalties`
+     */
+    function _totalAmount(RoyaltyInfo[] memory royalties) internal pure returns (uint256 total) {
+        for (uint256 i = 0; i < royalties.length; i++) {
+            total += royalties[i].amount;
+        }
+    }
+
+    /**
+     * @dev clears the ERC-4907 user of a token that changes owner
+     */
+    function _beforeTokenTransfer(address from, address to, uint256 tokenId) internal override {
+        super._beforeTokenTransfer(from, to, tokenId);
+
+        if (from != to && _users[tokenId].user != address(0)) {
+            delete _users[tokenId];
+            emit UpdateUser(tokenId, address(0), 0);
+        }
+    }
+
+    /**
+     * @dev the signer appended to the calldata by the trusted forwarder, `msg.sender` for direct calls
+     */
+    function _msgSender() internal view override returns (address sender) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            assembly {
+                sender := shr(96, calldataload(sub(calldatasize(), 20)))
+            }
+        } else {
+            sender = msg.sender;
+        }
+    }
+
+    /// @dev calldata without the signer appended by the trusted forwarder
+    function _msgData() internal view override returns (bytes calldata) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            return msg.data[:msg.data.length - 20];
+        }
+        return msg.data;
     }
 
     /**
@@ -218,11 +603,15 @@ contract NFT is Initializable, UUPSUpgradeable, ERC721EnumerableUpgradeable, IER
     {
         return
             interfaceId == type(IERC2981).interfaceId ||
+            interfaceId == type(IRoyaltySplits).interfaceId ||
+            interfaceId == type(IERC4907).interfaceId ||
             super.supportsInterface(interfaceId);
     }
 
     /**
      * @notice Called to return both the creator's address and the royalty percentage
+     * @dev with several recipients, the whole royalty goes to the first one. Marketplaces supporting
+     * {IRoyaltySplits} pay each recipient its share with {royaltySplits}
      * @param tokenId - the NFT asset queried for royalty information
      * @param value - the sale price of the NFT asset specified by _tokenId
      * @return receiver - address of who should be sent the royalty payment
@@ -234,13 +623,32 @@ contract NFT is Initializable, UUPSUpgradeable, ERC721EnumerableUpgradeable, IER
         override
         returns (address receiver, uint256 royaltyAmount)
     {
-        RoyaltyInfo memory royalties = _royalties[tokenId];
-        receiver = royalties.recipient;
-        royaltyAmount = (value * royalties.amount) / 10000;
+        RoyaltyInfo[] memory royalties = getTokenRoyalties(tokenId);
+        if (royalties.length != 0) {
+            receiver = royalties[0].recipient;
+            royaltyAmount = (value * _totalAmount(royalties)) / 10000;
+        }
+    }
+
+    /// @inheritdoc IRoyaltySplits
+    function royaltySplits(uint256 tokenId, uint256 salePrice)
+        external
+        view
+        override
+        returns (address[] memory recipients, uint256[] memory amounts)
+    {
+        RoyaltyInfo[] memory royalties = getTokenRoyalties(tokenId);
+        recipients = new address[](royalties.length);
+        amounts = new uint256[](royalties.length);
+        for (uint256 i = 0; i < royalties.length; i++) {
+            recipients[i] = royalties[i].recipient;
+            amounts[i] = (salePrice * royalties[i].amount) / 10000;
+        }
     }
 
     /**
      * @notice Called when royalty is transferred to the receiver
+     * @dev Caller must be an allowed royalty payer, see {setRoyaltyPayer}
      * @param _royaltyRecipient The address of who is entitled to the royalties
      * @param _buyer If known, the address buying the NFT on a secondary sale
      * @param _tokenId the ID of the ERC-721 token that was sold
@@ -256,7 +664,8 @@ contract NFT is Initializable, UUPSUpgradeable, ERC721EnumerableUpgradeable, IER
         address _tokenPaid,
         uint256 _amount,
         bytes32 _metadata
-    ) external returns (bytes4) {
+    ) external override returns (bytes4) {
+        require(royaltyPayers[msg.sender], "Caller is not a royalty payer");
         emit RoyaltiesReceived(
             _royaltyRecipient,
             _buyer,
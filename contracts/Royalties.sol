@@ -0,0 +1,66 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.7;
+
+import "@openzeppelin/contracts/interfaces/IERC2981.sol";
+import "@openzeppelin/contracts/utils/introspection/ERC165Checker.sol";
+import "./IRoyaltySplits.sol";
+
+/**
+ * @title Royalties
+ * @notice Splits the royalty of a sale between its recipients, shared by the marketplace and the auction settlements
+ */
+library Royalties {
+    using ERC165Checker for address;
+
+    /// @notice structure for a sale whose royalties are paid
+    struct Sale {
+        // ERC721 contract address, royalty is paid when it supports ERC-2981 or {IRoyaltySplits}
+        address collection;
+        uint256 tokenId;
+        uint256 price;
+        address currency;
+        // gets the proceeds, its own share of the royalties stays in them
+        address seller;
+        address buyer;
+    }
+
+    /**
+     * @dev credits the royalty recipients of a sale with `credit`: every split when the collection supports
+     * {IRoyaltySplits}, and notifies it with `onRoyaltiesReceived`, otherwise the ERC-2981 receiver
+     * @dev the royalties never exceed `maxAmount`
+     * @param credit adds an amount of a currency to the pending payments of a payee
+     * @return royaltyAmount royalty credited to the recipients
+     */
+    function pay(
+        Sale memory sale,
+        uint256 maxAmount,
+        function(address, address, uint256) internal credit
+    ) internal returns (uint256 royaltyAmount) {
+        address[] memory recipients;
+        uint256[] memory amounts;
+        bool splits = sale.collection.supportsInterface(type(IRoyaltySplits).interfaceId);
+
+        if (splits) {
+            (recipients, amounts) = IRoyaltySplits(sale.collection).royaltySplits(sale.tokenId, sale.price);
+        } else if (sale.collection.supportsInterface(type(IERC2981).interfaceId)) {
+            recipients = new address[](1);
+            amounts = new uint256[](1);
+            (recipients[0], amounts[0]) = IERC2981(sale.collection).royaltyInfo(sale.tokenId, sale.price);
+        }
+
+        for (uint256 i = 0; i < recipients.length; i++) {
+            uint256 amount = amounts[i] < maxAmount - royaltyAmount ? amounts[i] : maxAmount - royaltyAmount;
+            if (amount == 0 || recipients[i] == sale.seller) {
+                continue;
+            }
+            royaltyAmount += amount;
+            credit(sale.currency, recipients[i], amount);
+            if (splits) {
+                // best effort, a collection that does not accept the notification does not block the settlement
+                try IRoyaltySplits(sale.collection).onRoyaltiesReceived(
+                    recipients[i], sale.buyer, sale.tokenId, sale.currency, amount, bytes32(0)
+                ) {} catch {}
+            }
+        }
+    }
+}
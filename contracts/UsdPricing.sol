@@ -0,0 +1,95 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.7;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "./IAggregatorV3.sol";
+
+/**
+ * @title UsdPricing
+ * @notice Converts USD prices to and from currency amounts at the rate of Chainlink-style price feeds
+ * @dev USD amounts use 8 decimals: 100000000 = 1 USD, the native coin has 18 decimals
+ */
+library UsdPricing {
+    /// @notice the Chainlink denomination of USD, listings in this currency are priced in USD
+    address internal constant USD = address(840);
+    uint256 internal constant USD_DECIMALS = 8;
+
+    /// @notice structure for the feed quoting a currency in USD
+    struct PriceFeed {
+        // Chainlink-style aggregator, zero when the currency has no feed
+        address aggregator;
+        // the answer is stale once it is older than `maxAge` seconds
+        uint256 maxAge;
+    }
+
+    /**
+     * @dev amount of `currency` worth `usdAmount`, rounded up so the seller gets at least the USD price
+     */
+    function toCurrency(PriceFeed storage feed, address currency, uint256 usdAmount) internal view returns (uint256) {
+        require(feed.aggregator != address(0), "Currency has no price feed");
+        (bool fresh, uint256 rate, uint256 aggregatorDecimals) = _latestRate(feed);
+        require(fresh, "Stale price");
+
+        (uint256 up, uint256 down) = _scale(currency, aggregatorDecimals);
+        return (usdAmount * down + rate * up - 1) / (rate * up);
+    }
+
+    /**
+     * @dev USD value of `amount` of `currency`, rounded down. Does not revert when the currency has no feed
+     * or its answer is stale, `available` is false instead
+     */
+    function tryToUsd(PriceFeed storage feed, address currency, uint256 amount)
+        internal
+        view
+        returns (bool available, uint256 usdAmount)
+    {
+        if (feed.aggregator == address(0)) {
+            return (false, 0);
+        }
+        (bool fresh, uint256 rate, uint256 aggregatorDecimals) = _latestRate(feed);
+        if (!fresh) {
+            return (false, 0);
+        }
+
+        (uint256 up, uint256 down) = _scale(currency, aggregatorDecimals);
+        return (true, (amount * rate * up) / down);
+    }
+
+    /**
+     * @dev reads the latest answer of the feed, `fresh` is false when it is not positive, stale,
+     * or the aggregator does not answer
+     */
+    function _latestRate(PriceFeed storage feed)
+        private
+        view
+        returns (bool fresh, uint256 rate, uint256 aggregatorDecimals)
+    {
+        try IAggregatorV3(feed.aggregator).latestRoundData() returns (
+            uint80 roundId,
+            int256 answer,
+            uint256,
+            uint256 updatedAt,
+            uint80 answeredInRound
+        ) {
+            if (answer <= 0 || answeredInRound < roundId || updatedAt + feed.maxAge < block.timestamp) {
+                return (false, 0, 0);
+            }
+            rate = uint256(answer);
+        } catch {
+            return (false, 0, 0);
+        }
+        return (true, rate, IAggregatorV3(feed.aggregator).decimals());
+    }
+
+    /**
+     * @dev `amount * rate * up / down` is the USD value of an amount of `currency`, one of `up` and `down` is 1
+     * as the decimals of the currency and of the feed can add up to less than the 8 USD decimals
+     */
+    function _scale(address currency, uint256 aggregatorDecimals) private view returns (uint256 up, uint256 down) {
+        uint256 decimals = (currency == address(0) ? 18 : IERC20Metadata(currency).decimals()) + aggregatorDecimals;
+        if (decimals >= USD_DECIMALS) {
+            return (1, 10**(decimals - USD_DECIMALS));
+        }
+        return (10**(USD_DECIMALS - decimals), 1);
+    }
+}
@@ -0,0 +1,22 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.7;
+
+import "../AuctionEngine.sol";
+
+/**
+ * @title AuctionEngineLegacyMock
+ * @notice AuctionEngine with auctions created before the open auctions and the escrowed bids were tracked
+ * @dev used by the tests of {AuctionEngineExtension-indexAuctions}
+ */
+contract AuctionEngineLegacyMock is AuctionEngine {
+    using EnumerableSetUpgradeable for EnumerableSetUpgradeable.UintSet;
+
+    function setLegacyAuction(uint256 auctionIndex) external {
+        Auction storage auction = auctions[auctionIndex];
+        _releaseBid(auctionIndex, auction.currentBidAmount);
+        _openAuctions.remove(auctionIndex);
+        _creatorAuctions[auction.creator].remove(auctionIndex);
+        _leadingAuctions[auction.currentBidOwner].remove(auctionIndex);
+        auctionsIndexed = false;
+    }
+}
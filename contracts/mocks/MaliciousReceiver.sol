@@ -0,0 +1,52 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.7;
+
+import "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
+
+/**
+ * @title MaliciousReceiver
+ * @notice Contract account used by the tests as a seller, royalty receiver or fee destination
+ * @dev rejects native coin until `acceptPayments` is set, then needs more than 2300 gas to receive it.
+ * Rejects ERC721 tokens while `rejectTokens` is set
+ */
+contract MaliciousReceiver is IERC721Receiver {
+    bool public acceptPayments;
+    bool public rejectTokens;
+    uint256 public received;
+
+    function setAcceptPayments(bool _acceptPayments) external {
+        acceptPayments = _acceptPayments;
+    }
+
+    function setRejectTokens(bool _rejectTokens) external {
+        rejectTokens = _rejectTokens;
+    }
+
+    /**
+     * @notice calls `target` with `data` as this contract, reverts with the reason of a failed call
+     */
+    function execute(address target, bytes calldata data) external payable returns (bytes memory) {
+        (bool success, bytes memory result) = target.call{value: msg.value}(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+
+    receive() external payable {
+        require(acceptPayments, "Payments rejected");
+        received += msg.value;
+    }
+
+    function onERC721Received(
+        address,
+        address,
+        uint256,
+        bytes memory
+    ) public virtual override returns (bytes4) {
+        require(!rejectTokens, "Tokens rejected");
+        return this.onERC721Received.selector;
+    }
+}
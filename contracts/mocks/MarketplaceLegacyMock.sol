@@ -0,0 +1,21 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.7;
+
+import "../Marketplace.sol";
+
+/**
+ * @title MarketplaceLegacyMock
+ * @notice Marketplace with listings in the storage used before multi-collection support
+ * @dev used by the tests of {MarketplaceListingExtension-migrateListings}
+ */
+contract MarketplaceLegacyMock is Marketplace {
+    function setLegacyListing(
+        uint256 tokenId,
+        address owner,
+        uint256 price,
+        address currency
+    ) external {
+        idToMarketItem[tokenId] = MarketItem(price, currency, true, 0, 0, 0);
+        tokenOwner[tokenId] = owner;
+    }
+}
@@ -0,0 +1,42 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.7;
+
+import "../IAggregatorV3.sol";
+
+/**
+ * @title MockAggregator
+ * @notice Chainlink-style price feed used by the tests
+ * @dev anyone can post an answer, {setUpdatedAt} backdates it to make it stale
+ */
+contract MockAggregator is IAggregatorV3 {
+    uint8 public override decimals;
+
+    uint80 private _roundId;
+    int256 private _answer;
+    uint256 private _updatedAt;
+
+    constructor(uint8 _decimals, int256 answer) {
+        decimals = _decimals;
+        setAnswer(answer);
+    }
+
+    /// @notice starts a new round with `answer`, updated now
+    function setAnswer(int256 answer) public {
+        _roundId++;
+        _answer = answer;
+        _updatedAt = block.timestamp;
+    }
+
+    function setUpdatedAt(uint256 updatedAt) external {
+        _updatedAt = updatedAt;
+    }
+
+    function latestRoundData()
+        external
+        view
+        override
+        returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)
+    {
+        return (_roundId, _answer, _updatedAt, _updatedAt, _roundId);
+    }
+}
@@ -0,0 +1,22 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.7;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockDecimalsERC20
+ * @notice ERC20 currency with custom decimals used by the tests of the USD prices
+ * @dev mints the whole supply to the deployer
+ */
+contract MockDecimalsERC20 is ERC20 {
+    uint8 private _decimals;
+
+    constructor(uint8 decimals_) ERC20("Mock Decimals ERC20", "MDERC20") {
+        _decimals = decimals_;
+        _mint(msg.sender, 1000000 * 10**decimals_);
+    }
+
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+}
@@ -0,0 +1,47 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.7;
+
+import "@openzeppelin/contracts/interfaces/IERC1271.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/**
+ * @title MockERC1271Wallet
+ * @notice Smart wallet used by the tests as the maker of signed orders
+ * @dev accepts the signatures of its owner through ERC-1271 and runs the calls its owner asks for
+ */
+contract MockERC1271Wallet is IERC1271, IERC721Receiver {
+    address public owner;
+
+    constructor(address _owner) {
+        owner = _owner;
+    }
+
+    /**
+     * @notice calls `target` with `data` as this contract, reverts with the reason of a failed call
+     */
+    function execute(address target, bytes calldata data) external returns (bytes memory) {
+        require(msg.sender == owner, "Not the owner");
+        (bool success, bytes memory result) = target.call(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+
+    function isValidSignature(bytes32 hash, bytes memory signature) public view override returns (bytes4) {
+        (address signer, ECDSA.RecoverError error) = ECDSA.tryRecover(hash, signature);
+        return error == ECDSA.RecoverError.NoError && signer == owner ? this.isValidSignature.selector : bytes4(0);
+    }
+
+    function onERC721Received(
+        address,
+        address,
+        uint256,
+        bytes memory
+    ) public virtual override returns (bytes4) {
+        return this.onERC721Received.selector;
+    }
+}
@@ -0,0 +1,15 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.7;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockERC20
+ * @notice ERC20 currency used by the tests
+ * @dev mints the whole supply to the deployer
+ */
+contract MockERC20 is ERC20 {
+    constructor() ERC20("Mock ERC20", "MERC20") {
+        _mint(msg.sender, 1000000 * 10**decimals());
+    }
+}
@@ -0,0 +1,17 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.7;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+
+/**
+ * @title MockERC721
+ * @notice ERC721 collection without royalties used by the tests
+ * @dev anyone can mint
+ */
+contract MockERC721 is ERC721 {
+    constructor() ERC721("Mock ERC721", "MERC721") {}
+
+    function mint(address to, uint256 tokenId) external {
+        _mint(to, tokenId);
+    }
+}
@@ -0,0 +1,35 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.7;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockFalseERC20
+ * @notice ERC20 currency that can fail its transfers by returning false instead of reverting
+ * @dev mints the whole supply to the deployer
+ */
+contract MockFalseERC20 is ERC20 {
+    bool public failTransfers;
+
+    constructor() ERC20("Mock False ERC20", "MFERC20") {
+        _mint(msg.sender, 1000000 * 10**decimals());
+    }
+
+    function setFailTransfers(bool fail) external {
+        failTransfers = fail;
+    }
+
+    function transfer(address to, uint256 amount) public override returns (bool) {
+        if (failTransfers) {
+            return false;
+        }
+        return super.transfer(to, amount);
+    }
+
+    function transferFrom(address from, address to, uint256 amount) public override returns (bool) {
+        if (failTransfers) {
+            return false;
+        }
+        return super.transferFrom(from, to, amount);
+    }
+}
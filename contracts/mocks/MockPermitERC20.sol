@@ -0,0 +1,16 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.8.7;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/draft-ERC20Permit.sol";
+
+/**
+ * @title MockPermitERC20
+ * @notice ERC20 currency accepting EIP-2612 permits used by the tests
+ * @dev mints the whole supply to the deployer
+ */
+contract MockPermitERC20 is ERC20Permit {
+    constructor() ERC20("Mock Permit ERC20", "MPERC20") ERC20Permit("Mock Permit ERC20") {
+        _mint(msg.sender, 1000000 * 10**decimals());
+    }
+}
@@ -0,0 +1,86 @@
+const http = require('http');
+
+// period names accepted by `/stats/fees`, in seconds
+const PERIODS = { hour: 3600, day: 86400, week: 604800 };
+
+/**
+ * @notice Creates the HTTP/JSON query API over a {Store}
+ * @dev routes:
+ *   GET /status                          last indexed block
+ *   GET /listings?asset&currency&minPrice&maxPrice  listings buyable at the last indexed block, cheapest first
+ *   GET /tokens/:tokenId/sales?asset     sales history of a token
+ *   GET /auctions/ending?within          open auctions ending within `within` seconds
+ *   GET /stats/fees?period&from&to       volume, fee and royalty totals per period and currency
+ * @param {Store} store indexed data
+ * @return {http.Server} server that is not listening yet
+ */
+function createServer(store) {
+  const routes = [
+    [/^\/status$/, () => ({ lastBlock: store.lastBlock, lastTimestamp: store.lastTimestamp })],
+    [/^\/listings$/, (params, query) => store.activeListings({
+      asset: query.get('asset') || undefined,
+      currency: query.get('currency') || undefined,
+      minPrice: amount(query, 'minPrice'),
+      maxPrice: amount(query, 'maxPrice'),
+      now: store.lastTimestamp,
+    })],
+    [/^\/tokens\/(\d+)\/sales$/, ([tokenId], query) => store.salesOf(tokenId, query.get('asset') || undefined)],
+    [/^\/auctions\/ending$/, (params, query) => store.auctionsEndingSoon(
+      store.lastTimestamp,
+      integer(query, 'within'),
+    )],
+    [/^\/stats\/fees$/, (params, query) => store.feeTotals(
+      period(query.get('period') || 'day'),
+      integer(query, 'from'),
+      integer(query, 'to'),
+    )],
+  ];
+
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const route = routes.find(([pattern]) => pattern.test(url.pathname));
+
+    if (req.method !== 'GET' || !route) {
+      return reply(res, 404, { error: 'Not found' });
+    }
+    try {
+      const params = url.pathname.match(route[0]).slice(1);
+      reply(res, 200, route[1](params, url.searchParams));
+    } catch (error) {
+      reply(res, error instanceof BadRequest ? 400 : 500, { error: error.message });
+    }
+  });
+}
+
+class BadRequest extends Error {}
+
+function reply(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function amount(query, name) {
+  const value = query.get(name);
+  if (value === null) {
+    return undefined;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new BadRequest(`${name} must be an amount in wei`);
+  }
+  return value;
+}
+
+function integer(query, name) {
+  const value = amount(query, name);
+  return value === undefined ? undefined : Number(value);
+}
+
+function period(value) {
+  const seconds = PERIODS[value] || Number(value);
+  if (!Number.isInteger(seconds) || seconds <= 0) {
+    throw new BadRequest(`period must be one of ${Object.keys(PERIODS).join(', ')} or a number of seconds`);
+  }
+  return seconds;
+}
+
+module.exports = { createServer, PERIODS };
@@ -0,0 +1,46 @@
+const Web3 = require('web3');
+
+const { Indexer, EVENTS, MARKETPLACE_EXTENSIONS } = require('./indexer');
+const { Store } = require('./store');
+const { createServer, PERIODS } = require('./api');
+
+/**
+ * @notice Runs the indexer and the query API
+ * @dev configured through the environment:
+ *   RPC_URL, MARKETPLACE_ADDRESS, AUCTION_ENGINE_ADDRESS, DB_PATH, PORT, CONFIRMATIONS, FROM_BLOCK, POLL_INTERVAL
+ */
+async function main(env = process.env) {
+  const web3 = new Web3(env.RPC_URL || 'http://127.0.0.1:7545');
+  const store = Store.open(env.DB_PATH || 'indexer.db.json');
+  const indexer = new Indexer(
+    web3,
+    { marketplace: env.MARKETPLACE_ADDRESS, auctionEngine: env.AUCTION_ENGINE_ADDRESS },
+    {
+      store,
+      confirmations: Number(env.CONFIRMATIONS || 12),
+      fromBlock: Number(env.FROM_BLOCK || 0),
+    },
+  );
+  const server = createServer(store);
+  const port = Number(env.PORT || 3000);
+
+  server.listen(port, () => console.log(`Indexer API listening on port ${port}`));
+  indexer.start(Number(env.POLL_INTERVAL || 5000));
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  Indexer,
+  Store,
+  createServer,
+  EVENTS,
+  MARKETPLACE_EXTENSIONS,
+  PERIODS,
+  main,
+};
@@ -0,0 +1,176 @@
+const { loadAbi, mergeAbis } = require('../sdk/contracts');
+
+// events that feed the store, everything else emitted by the contracts is skipped
+const EVENTS = {
+  Marketplace: [
+    'TokenOnSale', 'SaleScheduled', 'SalePriceChanged', 'TokenNotOnSale', 'TokenBought', 'OrderFilled', 'OfferAccepted',
+    'VoucherRedeemed', 'EditionOnSale', 'EditionBought', 'BundleOnSale', 'BundleBought', 'TokenRented',
+  ],
+  AuctionEngine: [
+    'NewAuction', 'NewDutchAuction', 'NewBid', 'AuctionCanceled', 'AuctionFinalized', 'ReserveNotMet', 'AssetRecovered',
+  ],
+};
+
+// contracts the Marketplace delegates calls to, their events are emitted at the marketplace address
+const MARKETPLACE_EXTENSIONS = [
+  'MarketplaceExtension', 'MarketplaceListingExtension', 'MarketplaceBundleExtension', 'MarketplaceRentalExtension',
+];
+
+/**
+ * @title Indexer
+ * @notice Follows the Marketplace and AuctionEngine events into a {Store}
+ * @dev the hashes of the last `confirmations` blocks are kept. When one of them no longer
+ * matches the chain, everything from the first mismatching block on is rolled back and indexed again.
+ */
+class Indexer {
+  /**
+   * @param {Web3} web3 connected web3 instance
+   * @param {object} addresses deployed contract addresses
+   * @param {string} addresses.marketplace Marketplace contract address
+   * @param {string} addresses.auctionEngine AuctionEngine contract address
+   * @param {object} options
+   * @param {Store} options.store database to index into
+   * @param {number} [options.confirmations] depth after which blocks are considered final
+   * @param {number} [options.fromBlock] first block to index on an empty store
+   * @param {number} [options.batchSize] number of blocks per `getPastEvents` request
+   * @param {object} [options.abis] ABIs by contract name, loaded from the build directory if omitted.
+   * The {MARKETPLACE_EXTENSIONS} are merged into `Marketplace`, whose delegated calls emit their events
+   */
+  constructor(web3, { marketplace, auctionEngine }, {
+    store, confirmations = 12, fromBlock = 0, batchSize = 2000, abis = {},
+  }) {
+    this.web3 = web3;
+    this.store = store;
+    this.confirmations = confirmations;
+    this.fromBlock = fromBlock;
+    this.batchSize = batchSize;
+    this.contracts = {
+      Marketplace: new web3.eth.Contract(mergeAbis(
+        abis.Marketplace || loadAbi('Marketplace'),
+        ...MARKETPLACE_EXTENSIONS.map((name) => abis[name] || loadAbi(name)),
+      ), marketplace),
+      AuctionEngine: new web3.eth.Contract(abis.AuctionEngine || loadAbi('AuctionEngine'), auctionEngine),
+    };
+  }
+
+  /**
+   * @notice Indexes all the blocks up to the chain head
+   * @return {Promise<{from: number, to: number, events: number, rollback: number|undefined}>}
+   */
+  async sync() {
+    const rollback = await this._checkReorg();
+    const head = await this.web3.eth.getBlockNumber();
+    const from = Math.max(this.store.lastBlock + 1, this.fromBlock);
+    if (from > head) {
+      return { from, to: head, events: 0, rollback };
+    }
+
+    const events = await this._fetchEvents(from, head);
+    const timestamps = {};
+    for (const event of events) {
+      timestamps[event.blockNumber] = timestamps[event.blockNumber] || await this._timestamp(event.blockNumber);
+      this.store.addEvent({ ...event, timestamp: timestamps[event.blockNumber] });
+    }
+
+    const firstTracked = Math.max(from, head - this.confirmations + 1);
+    for (let number = firstTracked; number <= head; number++) {
+      const block = await this.web3.eth.getBlock(number);
+      this.store.setBlock(number, block.hash, Number(block.timestamp));
+    }
+    this.store.pruneBlocks(head - this.confirmations + 1);
+    this.store.save();
+
+    return { from, to: head, events: events.length, rollback };
+  }
+
+  /**
+   * @notice Syncs every `interval` milliseconds until {stop} is called
+   * @param {number} [interval] polling interval
+   * @param {function} [onError] called with sync errors, the polling goes on
+   */
+  start(interval = 5000, onError = console.error) {
+    const poll = async () => {
+      try {
+        await this.sync();
+      } catch (error) {
+        onError(error);
+      }
+      if (this._running) {
+        this._timer = setTimeout(poll, interval);
+      }
+    };
+    this._running = true;
+    return poll();
+  }
+
+  stop() {
+    this._running = false;
+    clearTimeout(this._timer);
+  }
+
+  // rolls back to the oldest tracked block whose hash changed, returns that block number
+  async _checkReorg() {
+    const tracked = Object.keys(this.store.blocks).map(Number).sort((a, b) => b - a);
+    let forkBlock;
+    for (const number of tracked) {
+      const block = await this.web3.eth.getBlock(number);
+      if (block && block.hash === this.store.blocks[number]) {
+        break;
+      }
+      forkBlock = number;
+    }
+    if (forkBlock !== undefined) {
+      this.store.rollback(forkBlock);
+    }
+    return forkBlock;
+  }
+
+  // reads the events of both contracts ordered as they were emitted
+  async _fetchEvents(from, to) {
+    const events = [];
+    for (let start = from; start <= to; start += this.batchSize) {
+      const end = Math.min(start + this.batchSize - 1, to);
+      for (const [name, contract] of Object.entries(this.contracts)) {
+        const logs = await contract.getPastEvents('allEvents', { fromBlock: start, toBlock: end });
+        logs
+          .filter((log) => EVENTS[name].includes(log.event))
+          .forEach((log) => events.push({
+            contract: name,
+            event: log.event,
+            args: namedValues(log.returnValues),
+            asset: name === 'Marketplace' ? log.returnValues.collection : log.returnValues.asset,
+            blockNumber: log.blockNumber,
+            blockHash: log.blockHash,
+            logIndex: log.logIndex,
+            transactionHash: log.transactionHash,
+          }));
+      }
+    }
+    return events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  }
+
+  async _timestamp(number) {
+    return Number((await this.web3.eth.getBlock(number)).timestamp);
+  }
+}
+
+// web3 returns every event argument and struct field by position and by name, only the names are stored
+function namedValues(returnValues) {
+  return Object.fromEntries(Object.entries(returnValues)
+    .filter(([key]) => Number.isNaN(Number(key)))
+    .map(([key, value]) => [key, normalize(value)]));
+}
+
+// structs, also inside arrays, become plain objects
+function normalize(value) {
+  if (isStruct(value)) {
+    return namedValues(value);
+  }
+  return Array.isArray(value) ? value.map(normalize) : value;
+}
+
+function isStruct(value) {
+  return Array.isArray(value) && Object.keys(value).some((key) => Number.isNaN(Number(key)));
+}
+
+module.exports = { Indexer, EVENTS, MARKETPLACE_EXTENSIONS };
@@ -0,0 +1,463 @@
+const fs = require('fs');
+
+const { sameAddress } = require('../sdk/fees');
+
+/**
+ * @title Store
+ * @notice Local database of the indexed marketplace and auction events
+ * @dev keeps the raw events as the source of truth and the listings, auctions and sales
+ * derived from them. A rollback drops the events of the orphaned blocks and replays the rest.
+ */
+class Store {
+  /**
+   * @param {string} [file] JSON file to persist into, in memory only if omitted
+   */
+  constructor(file) {
+    this.file = file;
+    this.lastBlock = -1;
+    this.lastTimestamp = 0;
+    this.blocks = {};
+    this.events = [];
+    this._reset();
+  }
+
+  /**
+   * @notice Opens a store, loading the events saved in `file` if it exists
+   * @param {string} [file] JSON file to persist into
+   */
+  static open(file) {
+    const store = new Store(file);
+    if (file && fs.existsSync(file)) {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      store.lastBlock = data.lastBlock;
+      store.lastTimestamp = data.lastTimestamp;
+      store.blocks = data.blocks;
+      data.events.forEach((event) => store.addEvent(event));
+    }
+    return store;
+  }
+
+  // writes through a temporary file so a crash never leaves a half written database
+  save() {
+    if (!this.file) {
+      return;
+    }
+    const data = {
+      lastBlock: this.lastBlock,
+      lastTimestamp: this.lastTimestamp,
+      blocks: this.blocks,
+      events: this.events,
+    };
+    fs.writeFileSync(`${this.file}.tmp`, JSON.stringify(data));
+    fs.renameSync(`${this.file}.tmp`, this.file);
+  }
+
+  /**
+   * @notice Records the hash of a processed block, used to detect reorgs
+   */
+  setBlock(number, hash, timestamp) {
+    this.blocks[number] = hash;
+    if (number > this.lastBlock) {
+      this.lastBlock = number;
+      this.lastTimestamp = timestamp;
+    }
+  }
+
+  /**
+   * @notice Forgets the hashes of blocks below `number`, they are deeper than the confirmation depth
+   */
+  pruneBlocks(number) {
+    Object.keys(this.blocks)
+      .filter((block) => Number(block) < number)
+      .forEach((block) => delete this.blocks[block]);
+  }
+
+  /**
+   * @notice Drops everything indexed from block `number` on and rebuilds the derived state
+   */
+  rollback(number) {
+    const events = this.events.filter((event) => event.blockNumber < number);
+    Object.keys(this.blocks)
+      .filter((block) => Number(block) >= number)
+      .forEach((block) => delete this.blocks[block]);
+    this.lastBlock = number - 1;
+    this.events = [];
+    this._reset();
+    events.forEach((event) => this.addEvent(event));
+  }
+
+  /**
+   * @notice Stores an event and applies it to the derived state
+   * @param {object} event normalized event: `{contract, event, args, blockNumber, blockHash, logIndex, transactionHash, timestamp}`
+   */
+  addEvent(event) {
+    this.events.push(event);
+    const handler = HANDLERS[event.event];
+    if (handler) {
+      handler(this, event);
+    }
+  }
+
+  /**
+   * @notice Active listings, cheapest first
+   * @dev listings scheduled with `putTokenForSaleTimed` are only active between their start time and expiry
+   * @param {object} [filter]
+   * @param {string} [filter.asset] only listings of this collection
+   * @param {string} [filter.currency] only listings in this currency
+   * @param {string} [filter.minPrice] lowest price in wei
+   * @param {string} [filter.maxPrice] highest price in wei
+   * @param {number} [filter.now] chain timestamp the listings must be buyable at, the last indexed block if omitted
+   */
+  activeListings({ asset, currency, minPrice, maxPrice, now = this.lastTimestamp } = {}) {
+    return Object.values(this.listings)
+      .filter((listing) => listing.forSale)
+      .filter((listing) => listing.startTime <= now && (listing.expiry === 0 || listing.expiry >= now))
+      .filter((listing) => !asset || sameAddress(listing.asset, asset))
+      .filter((listing) => !currency || sameAddress(listing.currency, currency))
+      .filter((listing) => minPrice === undefined || BigInt(listing.price) >= BigInt(minPrice))
+      .filter((listing) => maxPrice === undefined || BigInt(listing.price) <= BigInt(maxPrice))
+      .sort((a, b) => compare(BigInt(a.price), BigInt(b.price)));
+  }
+
+  /**
+   * @notice Sales of a token, oldest first
+   * @dev the sale of a bundle counts for each of its tokens
+   * @param {string} tokenId the NFT identifier
+   * @param {string} [asset] only sales of this collection
+   */
+  salesOf(tokenId, asset) {
+    return this.sales.filter((sale) => (sale.items || [sale]).some((item) => (
+      item.tokenId === String(tokenId) && (!asset || sameAddress(item.asset, asset))
+    )));
+  }
+
+  /**
+   * @notice Auctions that are open at `now` and end within `within` seconds, ending first
+   * @param {number} now current chain timestamp
+   * @param {number} [within] seconds from `now`, all open auctions if omitted
+   */
+  auctionsEndingSoon(now, within) {
+    return Object.values(this.auctions)
+      .filter((auction) => auction.status === 'open')
+      .filter((auction) => auction.startTime <= now && auction.endTime > now)
+      .filter((auction) => within === undefined || auction.endTime <= now + within)
+      .sort((a, b) => a.endTime - b.endTime);
+  }
+
+  /**
+   * @notice Volume, platform fees and royalties per currency and period
+   * @param {number} period bucket length in seconds
+   * @param {number} [from] first timestamp to include
+   * @param {number} [to] last timestamp to include
+   */
+  feeTotals(period, from = 0, to = Infinity) {
+    const totals = {};
+    this.sales
+      .filter((sale) => sale.timestamp >= from && sale.timestamp <= to)
+      .forEach((sale) => {
+        const start = Math.floor(sale.timestamp / period) * period;
+        const key = `${start}:${sale.currency}`;
+        const total = totals[key] || (totals[key] = {
+          periodStart: start, currency: sale.currency, sales: 0, volume: 0n, fees: 0n, royalties: 0n,
+        });
+        total.sales += 1;
+        total.volume += BigInt(sale.price);
+        total.fees += BigInt(sale.fee);
+        total.royalties += BigInt(sale.royalty);
+      });
+    return Object.values(totals)
+      .sort((a, b) => a.periodStart - b.periodStart || a.currency.localeCompare(b.currency))
+      .map((total) => ({
+        ...total,
+        volume: total.volume.toString(),
+        fees: total.fees.toString(),
+        royalties: total.royalties.toString(),
+      }));
+  }
+
+  _reset() {
+    this.listings = {};
+    this.auctions = {};
+    // ERC-1155 listings by ID, their sale events only name the listing
+    this.editions = {};
+    // bundle listings by ID, their sale events only name the bundle
+    this.bundles = {};
+    this.sales = [];
+  }
+}
+
+// derived state updates per event name
+const HANDLERS = {
+  TokenOnSale(store, { args, asset, blockNumber }) {
+    store.listings[listingKey(asset, args.tokenId)] = {
+      asset,
+      tokenId: args.tokenId,
+      owner: args.owner,
+      price: args.price,
+      currency: args.currency,
+      forSale: true,
+      startTime: 0,
+      expiry: 0,
+      listedAt: blockNumber,
+    };
+  },
+  SaleScheduled(store, { args, asset }) {
+    const listing = store.listings[listingKey(asset, args.tokenId)];
+    if (listing) {
+      listing.startTime = Number(args.startTime);
+      listing.expiry = Number(args.expiry);
+    }
+  },
+  SalePriceChanged(store, { args, asset }) {
+    const listing = store.listings[listingKey(asset, args.tokenId)];
+    if (listing) {
+      listing.price = args.price;
+    }
+  },
+  TokenNotOnSale(store, { args, asset }) {
+    const listing = store.listings[listingKey(asset, args.tokenId)];
+    if (listing) {
+      listing.forSale = false;
+    }
+  },
+  TokenBought(store, event) {
+    const { args } = event;
+    const listing = store.listings[listingKey(event.asset, args.tokenId)];
+    if (listing) {
+      listing.forSale = false;
+    }
+    store.sales.push({
+      source: 'marketplace',
+      asset: event.asset,
+      tokenId: args.tokenId,
+      seller: listing ? listing.owner : undefined,
+      buyer: args.buyer,
+      currency: args.currency,
+      price: args.price,
+      fee: args.fee,
+      royalty: args.royalty,
+      ...location(event),
+    });
+  },
+  OrderFilled(store, event) {
+    const { args } = event;
+    store.sales.push({
+      source: 'order',
+      asset: event.asset,
+      tokenId: args.tokenId,
+      seller: args.seller,
+      buyer: args.buyer,
+      currency: args.currency,
+      price: args.price,
+      fee: args.fee,
+      royalty: args.royalty,
+      ...location(event),
+    });
+  },
+  OfferAccepted(store, event) {
+    const { args } = event;
+    store.sales.push({
+      source: 'offer',
+      asset: event.asset,
+      tokenId: args.tokenId,
+      offerId: args.offerId,
+      seller: args.seller,
+      buyer: args.bidder,
+      currency: args.currency,
+      price: args.amount,
+      fee: args.fee,
+      royalty: args.royalty,
+      ...location(event),
+    });
+  },
+  EditionOnSale(store, { args }) {
+    store.editions[args.listingId] = {
+      listingId: args.listingId,
+      asset: args.collection,
+      tokenId: args.tokenId,
+      seller: args.seller,
+    };
+  },
+  EditionBought(store, event) {
+    const { args } = event;
+    const edition = store.editions[args.listingId] || {};
+    store.sales.push({
+      source: 'edition',
+      asset: edition.asset,
+      tokenId: edition.tokenId,
+      listingId: args.listingId,
+      quantity: args.quantity,
+      seller: edition.seller,
+      buyer: args.buyer,
+      currency: args.currency,
+      price: args.price,
+      fee: args.fee,
+      royalty: args.royalty,
+      ...location(event),
+    });
+  },
+  BundleOnSale(store, { args }) {
+    store.bundles[args.bundleId] = {
+      bundleId: args.bundleId,
+      seller: args.seller,
+      items: args.items.map((item) => ({ asset: item.collection, tokenId: item.tokenId, share: item.share })),
+    };
+  },
+  BundleBought(store, event) {
+    const { args } = event;
+    const bundle = store.bundles[args.bundleId] || {};
+    store.sales.push({
+      source: 'bundle',
+      bundleId: args.bundleId,
+      items: bundle.items || [],
+      seller: bundle.seller,
+      buyer: args.buyer,
+      currency: args.currency,
+      price: args.price,
+      fee: args.fee,
+      royalty: args.royalty,
+      ...location(event),
+    });
+  },
+  VoucherRedeemed(store, event) {
+    const { args } = event;
+    store.sales.push({
+      source: 'voucher',
+      asset: args.nftContract,
+      tokenId: args.tokenId,
+      seller: args.creator,
+      buyer: args.buyer,
+      currency: args.currency,
+      price: args.price,
+      fee: args.fee,
+      // the creator is paid the price minus the fee, a lazy minted token has no royalty on its first sale
+      royalty: '0',
+      ...location(event),
+    });
+  },
+  TokenRented(store, event) {
+    const { args } = event;
+    // the token stays with its owner, the renter only becomes its ERC-4907 user until `expires`
+    store.sales.push({
+      source: 'rental',
+      asset: event.asset,
+      tokenId: args.tokenId,
+      seller: args.owner,
+      buyer: args.renter,
+      expires: args.expires,
+      currency: args.currency,
+      price: args.price,
+      fee: args.fee,
+      royalty: args.royalty,
+      ...location(event),
+    });
+  },
+  NewAuction(store, { args }) {
+    const options = args.options || {};
+    store.auctions[args.auctionIndex] = {
+      auctionIndex: args.auctionIndex,
+      type: 'english',
+      creator: args.creator,
+      asset: args.asset,
+      tokenId: args.tokenId,
+      currency: args.currency,
+      startPrice: args.price,
+      startTime: Number(args.startTime),
+      endTime: Number(args.startTime) + Number(args.duration),
+      reservePrice: options.reservePrice || '0',
+      buyNowPrice: options.buyNowPrice || '0',
+      currentBidAmount: args.price,
+      currentBidOwner: undefined,
+      bidCount: 0,
+      status: 'open',
+    };
+  },
+  NewDutchAuction(store, { args }) {
+    const curve = args.curve || {};
+    store.auctions[args.auctionIndex] = {
+      auctionIndex: args.auctionIndex,
+      type: 'dutch',
+      creator: args.creator,
+      asset: args.asset,
+      tokenId: args.tokenId,
+      currency: args.currency,
+      startPrice: curve.startPrice,
+      floorPrice: curve.floorPrice,
+      stepDuration: Number(curve.stepDuration),
+      startTime: Number(args.startTime),
+      endTime: Number(args.startTime) + Number(args.duration),
+      currentBidAmount: curve.startPrice,
+      currentBidOwner: undefined,
+      bidCount: 0,
+      status: 'open',
+    };
+  },
+  NewBid(store, { args }) {
+    const auction = store.auctions[args.auctionIndex];
+    if (auction) {
+      auction.currentBidAmount = args.amount;
+      auction.currentBidOwner = args.bidder;
+      auction.bidCount += 1;
+      if (args.endTime !== undefined) {
+        auction.endTime = Number(args.endTime);
+      }
+    }
+  },
+  AuctionCanceled(store, { args }) {
+    const auction = store.auctions[args.auctionIndex];
+    if (auction) {
+      auction.status = 'canceled';
+    }
+  },
+  AssetRecovered(store, { args }) {
+    // the asset of an auction without bid is given back to its creator, the auction ends like a cancel
+    const auction = store.auctions[args.auctionIndex];
+    if (auction) {
+      auction.status = 'recovered';
+    }
+  },
+  ReserveNotMet(store, { args }) {
+    const auction = store.auctions[args.auctionIndex];
+    if (auction) {
+      auction.status = 'unsold';
+    }
+  },
+  AuctionFinalized(store, event) {
+    const { args } = event;
+    const auction = store.auctions[args.auctionIndex];
+    if (auction) {
+      auction.status = 'finalized';
+      auction.currentBidOwner = args.buyer;
+      auction.currentBidAmount = args.price;
+    }
+    store.sales.push({
+      source: 'auction',
+      asset: args.asset,
+      tokenId: args.tokenId,
+      auctionIndex: args.auctionIndex,
+      auctionType: auction ? auction.type : undefined,
+      seller: auction ? auction.creator : undefined,
+      buyer: args.buyer,
+      currency: args.currency,
+      price: args.price,
+      fee: args.fee,
+      royalty: args.royalty,
+      ...location(event),
+    });
+  },
+};
+
+// listings are keyed by collection and token ID
+function listingKey(asset, tokenId) {
+  return `${asset.toLowerCase()}:${tokenId}`;
+}
+
+function location({ blockNumber, transactionHash, timestamp }) {
+  return { blockNumber, transactionHash, timestamp };
+}
+
+function compare(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+module.exports = { Store };
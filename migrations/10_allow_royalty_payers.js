@@ -0,0 +1,12 @@
+const NFT = artifacts.require("NFT");
+
+const Marketplace = artifacts.require("Marketplace");
+
+const AuctionEngine = artifacts.require("AuctionEngine");
+
+module.exports = async function(deployer) {
+  const nft = await NFT.deployed();
+  // only the marketplace and the auction engine notify the collection of the royalties they pay
+  await nft.setRoyaltyPayer(Marketplace.address, true);
+  await nft.setRoyaltyPayer(AuctionEngine.address, true);
+};
@@ -0,0 +1,16 @@
+const { extensionSelectors } = require("../sdk/contracts");
+
+const Marketplace = artifacts.require("Marketplace");
+
+const MarketplaceBundleExtension = artifacts.require("MarketplaceBundleExtension");
+
+module.exports = async function(deployer) {
+  // the marketplace delegates the calls of the functions this extension adds to it
+  await deployer.deploy(MarketplaceBundleExtension);
+  const bundleExtension = await MarketplaceBundleExtension.deployed();
+  const marketplace = await Marketplace.deployed();
+  await marketplace.updateSelectorExtension(
+    extensionSelectors(web3, MarketplaceBundleExtension.abi, Marketplace.abi),
+    bundleExtension.address
+  );
+};
@@ -0,0 +1,16 @@
+const { extensionSelectors } = require("../sdk/contracts");
+
+const Marketplace = artifacts.require("Marketplace");
+
+const MarketplaceRentalExtension = artifacts.require("MarketplaceRentalExtension");
+
+module.exports = async function(deployer) {
+  // the marketplace delegates the calls of the functions this extension adds to it
+  await deployer.deploy(MarketplaceRentalExtension);
+  const rentalExtension = await MarketplaceRentalExtension.deployed();
+  const marketplace = await Marketplace.deployed();
+  await marketplace.updateSelectorExtension(
+    extensionSelectors(web3, MarketplaceRentalExtension.abi, Marketplace.abi),
+    rentalExtension.address
+  );
+};
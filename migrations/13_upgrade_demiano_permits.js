@@ -0,0 +1,10 @@
+const { upgradeProxy } = require("@openzeppelin/truffle-upgrades");
+
+const DemianO = artifacts.require("DemianO");
+
+module.exports = async function(deployer) {
+  // a proxy deployed with the first version has no permit domain until `initializeV2` runs,
+  // the permits signed with the "DemianO" domain would fail and fall back to an allowance there is not
+  const demo = await DemianO.deployed();
+  await upgradeProxy(demo.address, DemianO, { deployer, kind: 'uups', call: 'initializeV2' });
+};
@@ -17,7 +17,7 @@ const {
   platformFeeInCoin, 
   platformFeeInToken, 
   token 
-} = require('../secrets.json');
+} = require('../secrets');
 
 module.exports = async function(deployer) {
   await deployProxy(NFT, [name, symbol, contractURI], { deployer, kind: 'uups' });
@@ -0,0 +1,28 @@
+const { deployProxy } = require("@openzeppelin/truffle-upgrades");
+
+const Marketplace = artifacts.require("Marketplace");
+
+const AuctionEngine = artifacts.require("AuctionEngine");
+
+const DemianO = artifacts.require("DemianO");
+
+const FeeManager = artifacts.require("FeeManager");
+
+const {
+  platformFeeInCoin,
+  platformFeeInToken,
+  token
+} = require('../secrets');
+
+// highest platform fee the fee manager accepts, 10%
+const maxFee = 1000;
+
+module.exports = async function(deployer) {
+  const demo = await DemianO.deployed();
+  await deployProxy(FeeManager, [token, demo.address, platformFeeInCoin, platformFeeInToken, maxFee], { deployer, kind: 'uups' });
+  const feeManager = await FeeManager.deployed();
+  const marketplace = await Marketplace.deployed();
+  const auctionEngine = await AuctionEngine.deployed();
+  await marketplace.updateFeeManager(feeManager.address);
+  await auctionEngine.updateFeeManager(feeManager.address);
+};
@@ -0,0 +1,10 @@
+const NFT = artifacts.require("NFT");
+
+const Marketplace = artifacts.require("Marketplace");
+
+module.exports = async function(deployer) {
+  const nft = await NFT.deployed();
+  const marketplace = await Marketplace.deployed();
+  // the marketplace mints the tokens of the lazy mint vouchers it redeems
+  await nft.setMinter(marketplace.address, true);
+};
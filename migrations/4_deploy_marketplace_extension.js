@@ -0,0 +1,11 @@
+const Marketplace = artifacts.require("Marketplace");
+
+const MarketplaceExtension = artifacts.require("MarketplaceExtension");
+
+module.exports = async function(deployer) {
+  // the extension is not a proxy: the marketplace delegates the calls it does not implement to it
+  await deployer.deploy(MarketplaceExtension);
+  const extension = await MarketplaceExtension.deployed();
+  const marketplace = await Marketplace.deployed();
+  await marketplace.updateExtension(extension.address);
+};
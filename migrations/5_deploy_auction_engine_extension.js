@@ -0,0 +1,11 @@
+const AuctionEngine = artifacts.require("AuctionEngine");
+
+const AuctionEngineExtension = artifacts.require("AuctionEngineExtension");
+
+module.exports = async function(deployer) {
+  // the extension is not a proxy: the auction engine delegates the calls it does not implement to it
+  await deployer.deploy(AuctionEngineExtension);
+  const extension = await AuctionEngineExtension.deployed();
+  const auctionEngine = await AuctionEngine.deployed();
+  await auctionEngine.updateExtension(extension.address);
+};
@@ -0,0 +1,35 @@
+const { deployProxy } = require("@openzeppelin/truffle-upgrades");
+
+const Marketplace = artifacts.require("Marketplace");
+
+const AuctionEngine = artifacts.require("AuctionEngine");
+
+const DemianO = artifacts.require("DemianO");
+
+const FeeDistributor = artifacts.require("FeeDistributor");
+
+const FeeManager = artifacts.require("FeeManager");
+
+const { token } = require('../secrets');
+
+// fees are shared between the stakers once a week
+const epochDuration = 7 * 24 * 60 * 60;
+// unstaked tokens stay locked for a full epoch
+const cooldown = epochDuration;
+
+module.exports = async function(deployer) {
+  const demo = await DemianO.deployed();
+  await deployProxy(FeeDistributor, [demo.address, epochDuration, cooldown], { deployer, kind: 'uups' });
+  const distributor = await FeeDistributor.deployed();
+  const marketplace = await Marketplace.deployed();
+  const auctionEngine = await AuctionEngine.deployed();
+  await distributor.addSource(marketplace.address);
+  await distributor.addSource(auctionEngine.address);
+  await distributor.addCurrency('0x0000000000000000000000000000000000000000');
+  await distributor.addCurrency(token);
+  await marketplace.updateFeeDestination(distributor.address);
+  await auctionEngine.updateFeeDestination(distributor.address);
+  // the staked DemianO keeps counting toward the fee discount tiers
+  const feeManager = await FeeManager.deployed();
+  await feeManager.setStaking(distributor.address);
+};
@@ -0,0 +1,19 @@
+const Marketplace = artifacts.require("Marketplace");
+
+const AuctionEngine = artifacts.require("AuctionEngine");
+
+const NFT = artifacts.require("NFT");
+
+const Forwarder = artifacts.require("Forwarder");
+
+module.exports = async function(deployer) {
+  // the forwarder is not a proxy: a new one is deployed and trusted instead of upgrading it
+  await deployer.deploy(Forwarder);
+  const forwarder = await Forwarder.deployed();
+  const marketplace = await Marketplace.deployed();
+  const auctionEngine = await AuctionEngine.deployed();
+  const nft = await NFT.deployed();
+  await marketplace.updateTrustedForwarder(forwarder.address);
+  await auctionEngine.updateTrustedForwarder(forwarder.address);
+  await nft.setTrustedForwarder(forwarder.address);
+};
@@ -0,0 +1,16 @@
+const { extensionSelectors } = require("../sdk/contracts");
+
+const Marketplace = artifacts.require("Marketplace");
+
+const MarketplaceListingExtension = artifacts.require("MarketplaceListingExtension");
+
+module.exports = async function(deployer) {
+  // the marketplace delegates the calls of the functions this extension adds to it
+  await deployer.deploy(MarketplaceListingExtension);
+  const listingExtension = await MarketplaceListingExtension.deployed();
+  const marketplace = await Marketplace.deployed();
+  await marketplace.updateSelectorExtension(
+    extensionSelectors(web3, MarketplaceListingExtension.abi, Marketplace.abi),
+    listingExtension.address
+  );
+};
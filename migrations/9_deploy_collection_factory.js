@@ -0,0 +1,28 @@
+const { deployProxy } = require("@openzeppelin/truffle-upgrades");
+
+const NFT = artifacts.require("NFT");
+
+const Marketplace = artifacts.require("Marketplace");
+
+const AuctionEngine = artifacts.require("AuctionEngine");
+
+const Forwarder = artifacts.require("Forwarder");
+
+const CollectionFactory = artifacts.require("CollectionFactory");
+
+module.exports = async function(deployer) {
+  // the creator collections are clones of this implementation, it is not deployed with `deployer`
+  // so that NFT.deployed() keeps pointing to the shared collection
+  const implementation = await NFT.new();
+  const marketplace = await Marketplace.deployed();
+  const auctionEngine = await AuctionEngine.deployed();
+  const forwarder = await Forwarder.deployed();
+  await deployProxy(
+    CollectionFactory,
+    [implementation.address, marketplace.address, auctionEngine.address, forwarder.address],
+    { deployer, kind: 'uups' }
+  );
+  const factory = await CollectionFactory.deployed();
+  // the factory approves the collections it deploys
+  await marketplace.grantRole(await marketplace.COLLECTION_CURATOR_ROLE(), factory.address);
+};
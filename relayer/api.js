@@ -0,0 +1,74 @@
+const http = require('http');
+
+const { RelayError } = require('./relayer');
+
+// largest accepted request body, in bytes
+const MAX_BODY_SIZE = 64 * 1024;
+
+/**
+ * @notice Creates the HTTP/JSON API of a {Relayer}
+ * @dev routes:
+ *   GET  /status                 relayer account, its balance and the relayed targets
+ *   GET  /nonce/:address         nonce the next request of `address` must be signed with
+ *   POST /relay                  body `{ request, signature }`, answers `{ transactionHash }`
+ * @param {Relayer} relayer relayer submitting the requests
+ * @return {http.Server} server that is not listening yet
+ */
+function createServer(relayer) {
+  const routes = [
+    ['GET', /^\/status$/, async () => ({
+      relayer: relayer.from,
+      balance: await relayer.web3.eth.getBalance(relayer.from),
+      forwarder: relayer.forwarder.address,
+      targets: relayer.targets,
+      maxGas: relayer.maxGas,
+    })],
+    ['GET', /^\/nonce\/(0x[0-9a-fA-F]{40})$/, async ([address]) => ({ nonce: await relayer.getNonce(address) })],
+    ['POST', /^\/relay$/, async (params, body) => relayer.relay(body.request, body.signature)],
+  ];
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const route = routes.find(([method, pattern]) => method === req.method && pattern.test(url.pathname));
+
+    if (!route) {
+      return reply(res, 404, { error: 'Not found' });
+    }
+    try {
+      const params = url.pathname.match(route[1]).slice(1);
+      const body = req.method === 'POST' ? await readJson(req) : undefined;
+      reply(res, 200, await route[2](params, body));
+    } catch (error) {
+      reply(res, error instanceof RelayError ? 400 : 500, { error: error.message });
+    }
+  });
+}
+
+function reply(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(new RelayError('Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch (error) {
+        reject(new RelayError('Body must be JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,40 @@
+const Web3 = require('web3');
+
+const { Relayer, RelayError, DEFAULT_MAX_GAS } = require('./relayer');
+const { createServer } = require('./api');
+
+/**
+ * @notice Runs the relayer API
+ * @dev configured through the environment:
+ *   RPC_URL, FORWARDER_ADDRESS, RELAYER_ADDRESS or RELAYER_PRIVATE_KEY, TARGETS (comma separated), MAX_GAS, PORT
+ */
+async function main(env = process.env) {
+  const web3 = new Web3(env.RPC_URL || 'http://127.0.0.1:7545');
+  let from = env.RELAYER_ADDRESS;
+  if (env.RELAYER_PRIVATE_KEY) {
+    ({ address: from } = web3.eth.accounts.wallet.add(env.RELAYER_PRIVATE_KEY));
+  }
+  const relayer = new Relayer(web3, env.FORWARDER_ADDRESS, {
+    from,
+    targets: (env.TARGETS || '').split(',').map((target) => target.trim()).filter(Boolean),
+    maxGas: Number(env.MAX_GAS || DEFAULT_MAX_GAS),
+  });
+  const server = createServer(relayer);
+  const port = Number(env.PORT || 3001);
+
+  server.listen(port, () => console.log(`Relayer API listening on port ${port}`));
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  Relayer,
+  RelayError,
+  createServer,
+  main,
+};
@@ -0,0 +1,78 @@
+const { ForwarderClient, verifyRequest } = require('../sdk/forwarder');
+const { sameAddress } = require('../sdk/fees');
+
+// gas limit of a relayed call when none is configured
+const DEFAULT_MAX_GAS = 1000000;
+
+/**
+ * @notice Error of a request the relayer refuses to submit, the API answers it with a 400
+ */
+class RelayError extends Error {}
+
+/**
+ * @title Relayer
+ * @notice Submits the requests signed by the users through the `Forwarder` and pays their gas
+ * @dev only calls to the allowed targets without native value are relayed, each request is checked
+ * against the forwarder and simulated before it is sent
+ */
+class Relayer {
+  /**
+   * @param {Web3} web3 connected web3 instance, `from` must be unlocked or added to its wallet
+   * @param {string} forwarder Forwarder contract address
+   * @param {object} options
+   * @param {string} options.from relayer account paying the gas
+   * @param {string[]} options.targets contracts the relayer calls, usually the Marketplace, the AuctionEngine and the NFT
+   * @param {number} [options.maxGas] highest gas a request can be signed with
+   * @param {Array} [options.abi] Forwarder ABI, loaded from the build directory if omitted
+   */
+  constructor(web3, forwarder, { from, targets = [], maxGas = DEFAULT_MAX_GAS, abi } = {}) {
+    this.web3 = web3;
+    this.from = from;
+    this.targets = targets;
+    this.maxGas = maxGas;
+    this.forwarder = new ForwarderClient(web3, forwarder, { from, abi });
+  }
+
+  /**
+   * @notice Reads the nonce the next request of `account` must be signed with
+   * @return {Promise<string>}
+   */
+  getNonce(account) {
+    return this.forwarder.getNonce(account);
+  }
+
+  /**
+   * @notice Checks a signed request and submits it
+   * @param {object} request request in the shape of the `Forwarder.ForwardRequest` struct
+   * @param {string} signature EIP-712 signature of `request.from`
+   * @return {Promise<{transactionHash: string}>} hash of the mined transaction
+   */
+  async relay(request, signature) {
+    if (!request || typeof signature !== 'string') {
+      throw new RelayError('A request and its signature are required');
+    }
+    if (!this.targets.some((target) => sameAddress(target, request.to))) {
+      throw new RelayError(`Target ${request.to} is not relayed`);
+    }
+    if (!this.web3.utils.toBN(request.value || 0).isZero()) {
+      throw new RelayError('Requests with value are not relayed');
+    }
+    if (this.web3.utils.toBN(request.gas || 0).gtn(this.maxGas)) {
+      throw new RelayError(`Gas exceeds ${this.maxGas}`);
+    }
+    // the signature is checked locally first, the forwarder then checks the nonce and the deadline
+    if (!verifyRequest(this.web3, request, signature, await this.forwarder.getDomain())
+      || !(await this.forwarder.verify(request, signature).catch(() => false))) {
+      throw new RelayError('Invalid request');
+    }
+
+    try {
+      const { transactionHash } = await this.forwarder.execute(request, signature);
+      return { transactionHash };
+    } catch (error) {
+      throw new RelayError(error.reason || error.message);
+    }
+  }
+}
+
+module.exports = { Relayer, RelayError, DEFAULT_MAX_GAS };
@@ -0,0 +1,391 @@
+const {
+  ContractClient, FEE_PROVIDER_ABI, loadAbi, mergeAbis,
+} = require('./contracts');
+const { ZERO_ADDRESS, platformFeeFor, quoteSplit } = require('./fees');
+const {
+  AuctionNoBidError, NoBuyNowError, PermitCurrencyError, ReserveNotMetError,
+} = require('./errors');
+
+// matches the `AuctionEngine.Status` enum
+const AuctionStatus = Object.freeze({ PENDING: '0', ACTIVE: '1', FINISHED: '2' });
+
+// matches the `AuctionEngine.AuctionType` enum
+const AuctionType = Object.freeze({ ENGLISH: '0', DUTCH: '1' });
+
+/**
+ * @title AuctionEngineClient
+ * @notice Wrapper around `AuctionEngine` English and Dutch auctions
+ * @dev takes care of the NFT and ERC20 approvals before creating auctions and bidding. The functions of the
+ * `AuctionEngineExtension` are called on the auction engine address, which delegates them to the extension
+ */
+class AuctionEngineClient extends ContractClient {
+  static artifact = 'AuctionEngine';
+
+  static extensionArtifact = 'AuctionEngineExtension';
+
+  /**
+   * @param {Web3} web3 connected web3 instance
+   * @param {string} address deployed auction engine address
+   * @param {object} [options]
+   * @param {Array} [options.abi] auction engine ABI, loaded from the build directory if omitted
+   * @param {Array} [options.extensionAbi] extension ABI, loaded from the build directory if omitted
+   * @param {string} [options.from] default sender address
+   */
+  constructor(web3, address, { abi, extensionAbi, from } = {}) {
+    super(web3, address, {
+      abi: mergeAbis(
+        abi || loadAbi(AuctionEngineClient.artifact),
+        extensionAbi || loadAbi(AuctionEngineClient.extensionArtifact),
+      ),
+      from,
+    });
+  }
+
+  getAuction(auctionIndex) {
+    return this._call('auctions', auctionIndex);
+  }
+
+  getOptions(auctionIndex) {
+    return this._call('auctionOptions', auctionIndex);
+  }
+
+  getMinimumBid(auctionIndex) {
+    return this._call('getMinimumBid', auctionIndex);
+  }
+
+  getPriceCurve(auctionIndex) {
+    return this._call('priceCurves', auctionIndex);
+  }
+
+  getCurrentPrice(auctionIndex) {
+    return this._call('getCurrentPrice', auctionIndex);
+  }
+
+  async getEndTime(auctionIndex) {
+    return Number(await this._call('getEndTime', auctionIndex));
+  }
+
+  getStatus(auctionIndex) {
+    return this._call('getStatus', auctionIndex);
+  }
+
+  /**
+   * @notice Reads whether creating auctions and bidding are paused, auctions can still be cancelled and finalized
+   */
+  isPaused() {
+    return this._call('paused');
+  }
+
+  async getTotalAuctions() {
+    return Number(await this._call('getTotalAuctions'));
+  }
+
+  /**
+   * @notice Reads a page of the auctions that are not finalized, canceled or recovered
+   * @param {object} [params]
+   * @param {string} [params.status] one of {AuctionStatus}, active if omitted
+   * @param {number} [params.offset] number of matching auctions to skip
+   * @param {number} [params.limit] maximum number of auctions
+   * @return {Promise<Array<string>>} the auction indexes
+   */
+  getAuctions({ status = AuctionStatus.ACTIVE, offset = 0, limit = 100 } = {}) {
+    return this._call('getAuctionsByStatus', status, offset, limit);
+  }
+
+  /**
+   * @notice Reads a page of the finished auctions with a bid that still need `finalize`
+   * @return {Promise<Array<string>>} the auction indexes
+   */
+  getClaimableAuctions({ offset = 0, limit = 100 } = {}) {
+    return this._call('getClaimableAuctions', offset, limit);
+  }
+
+  /**
+   * @notice Reads a page of the auctions created by `creator`, oldest first
+   * @return {Promise<Array<string>>} the auction indexes
+   */
+  getAuctionsByCreator(creator, { offset = 0, limit = 100 } = {}) {
+    return this._call('getAuctionsByCreator', creator, offset, limit);
+  }
+
+  /**
+   * @notice Reads a page of the open auctions where `bidder` holds the current bid
+   * @return {Promise<Array<string>>} the auction indexes
+   */
+  getLeadingAuctions(bidder, { offset = 0, limit = 100 } = {}) {
+    return this._call('getLeadingAuctions', bidder, offset, limit);
+  }
+
+  /**
+   * @notice Reads a page of the bids of an auction, oldest first
+   * @return {Promise<Array<{bidder: string, amount: string, timestamp: number}>>}
+   */
+  async getBidHistory(auctionIndex, { offset = 0, limit = 100 } = {}) {
+    const bids = await this._call('getBidHistory', auctionIndex, offset, limit);
+    return bids.map(({ bidder, amount, timestamp }) => ({ bidder, amount, timestamp: Number(timestamp) }));
+  }
+
+  /**
+   * @notice Reads the platform fee that applies to `currency`
+   * @dev only charged while no fee manager is set: the auction engine then charges the fees configured on the marketplace
+   * @return {Promise<BN>} fee in percentage (using 2 decimals: 10000 = 100)
+   */
+  async platformFee(currency) {
+    const [token, marketplace] = await Promise.all([this._call('token'), this._call('marketplace')]);
+    const provider = new this.web3.eth.Contract(FEE_PROVIDER_ABI, marketplace);
+    const [feeInCoin, feeInToken] = await Promise.all([
+      provider.methods.platformFeeInCoin().call(),
+      provider.methods.platformFeeInToken().call(),
+    ]);
+    return platformFeeFor(currency, token, feeInCoin, feeInToken);
+  }
+
+  /**
+   * @notice Creates an auction, approving the engine for the collection first if needed
+   * @param {object} params
+   * @param {string} params.nftContract ERC721 contract address
+   * @param {string|number} params.tokenId the NFT identifier
+   * @param {string|BN} params.startPrice auction start price
+   * @param {string|number} [params.startTime] start timestamp, 0 starts right away
+   * @param {string|number} params.duration duration in seconds
+   * @param {string} [params.currency] ERC20 address, zero address for native coin
+   * @param {string|BN} [params.reservePrice] lowest winning bid, the NFT goes back to the creator below it
+   * @param {string|number} [params.minIncrement] minimum raise over the current bid (using 2 decimals: 10000 = 100)
+   * @param {string|BN} [params.buyNowPrice] bid that wins and ends the auction right away
+   * @param {string|number} [params.extensionWindow] seconds before the end in which a bid extends the auction
+   * @param {object} [options] transaction options
+   * @return {Promise<string>} the auction index
+   */
+  async createAuction({
+    nftContract, tokenId, startPrice, startTime = 0, duration, currency = ZERO_ADDRESS,
+    reservePrice = 0, minIncrement = 0, buyNowPrice = 0, extensionWindow = 0,
+  }, options) {
+    await this._ensureApprovalForAll(nftContract, this.address, options);
+    const auctionOptions = {
+      reservePrice: reservePrice.toString(),
+      minIncrement: minIncrement.toString(),
+      buyNowPrice: buyNowPrice.toString(),
+      extensionWindow: extensionWindow.toString(),
+    };
+    const receipt = await this._send(
+      'createAuction',
+      [nftContract, tokenId, startPrice.toString(), startTime, duration, currency, auctionOptions],
+      options,
+    );
+    return receipt.events.NewAuction.returnValues.auctionIndex;
+  }
+
+  /**
+   * @notice Creates an English auction of several units of an ERC-1155 token, approving the engine first if needed
+   * @param {object} params the parameters of {createAuction}, `nftContract` is an ERC1155 contract address
+   * @param {string|number} params.quantity number of units in the lot, all of them go to the winner
+   * @param {object} [options] transaction options
+   * @return {Promise<string>} the auction index
+   */
+  async createLotAuction({
+    nftContract, tokenId, quantity, startPrice, startTime = 0, duration, currency = ZERO_ADDRESS,
+    reservePrice = 0, minIncrement = 0, buyNowPrice = 0, extensionWindow = 0,
+  }, options) {
+    await this._ensureApprovalForAll(nftContract, this.address, options);
+    const auctionOptions = {
+      reservePrice: reservePrice.toString(),
+      minIncrement: minIncrement.toString(),
+      buyNowPrice: buyNowPrice.toString(),
+      extensionWindow: extensionWindow.toString(),
+    };
+    const receipt = await this._send(
+      'createLotAuction',
+      [nftContract, tokenId, quantity.toString(), startPrice.toString(), startTime, duration, currency, auctionOptions],
+      options,
+    );
+    return receipt.events.NewAuction.returnValues.auctionIndex;
+  }
+
+  getLotQuantity(auctionIndex) {
+    return this._call('lotQuantities', auctionIndex);
+  }
+
+  /**
+   * @notice Creates a Dutch auction, approving the engine for the collection first if needed
+   * @param {object} params
+   * @param {string} params.nftContract ERC721 contract address
+   * @param {string|number} params.tokenId the NFT identifier
+   * @param {string|BN} params.startPrice price at the start time
+   * @param {string|BN} params.floorPrice price reached at the end of the auction
+   * @param {string|number} [params.stepDuration] seconds between price drops, 0 drops the price linearly
+   * @param {string|number} [params.startTime] start timestamp, 0 starts right away
+   * @param {string|number} params.duration duration in seconds
+   * @param {string} [params.currency] ERC20 address, zero address for native coin
+   * @param {object} [options] transaction options
+   * @return {Promise<string>} the auction index
+   */
+  async createDutchAuction({
+    nftContract, tokenId, startPrice, floorPrice, stepDuration = 0, startTime = 0, duration, currency = ZERO_ADDRESS,
+  }, options) {
+    await this._ensureApprovalForAll(nftContract, this.address, options);
+    const curve = {
+      startPrice: startPrice.toString(),
+      floorPrice: floorPrice.toString(),
+      stepDuration: stepDuration.toString(),
+    };
+    const receipt = await this._send(
+      'createDutchAuction',
+      [nftContract, tokenId, startTime, duration, currency, curve],
+      options,
+    );
+    return receipt.events.NewDutchAuction.returnValues.auctionIndex;
+  }
+
+  cancelAuction(auctionIndex, options) {
+    return this._send('cancelAuction', [auctionIndex], options);
+  }
+
+  /**
+   * @notice Bids on an auction, sending the native amount or approving the ERC20 amount first
+   * @param {string|number} auctionIndex the auction identifier
+   * @param {string|BN} amount bid amount in wei
+   * @param {object} [options] transaction options
+   */
+  async bid(auctionIndex, amount, options = {}) {
+    const { currency } = await this.getAuction(auctionIndex);
+    if (currency === ZERO_ADDRESS) {
+      return this._send('bid', [auctionIndex, amount.toString()], { ...options, value: amount.toString() });
+    }
+    await this._ensureAllowance(currency, this.address, amount, options);
+    return this._send('bid', [auctionIndex, amount.toString()], options);
+  }
+
+  /**
+   * @notice Bids on an ERC20 auction in one transaction, the allowance is given by a permit signed by the sender
+   * @dev the currency must support EIP-2612 permits
+   * @param {string|number} auctionIndex the auction identifier
+   * @param {string|BN} amount bid amount in wei
+   * @param {object} [params]
+   * @param {string|number} [params.deadline] permit expiry timestamp, one hour after the latest block by default
+   * @param {object} [options] transaction options
+   */
+  async bidWithPermit(auctionIndex, amount, { deadline } = {}, options = {}) {
+    const { currency } = await this.getAuction(auctionIndex);
+    if (currency === ZERO_ADDRESS) {
+      throw new PermitCurrencyError('Permit requires an ERC20');
+    }
+    const { v, r, s, ...permit } = await this._signPermit(currency, this.address, amount, deadline, options);
+    return this._send('bidWithPermit', [auctionIndex, amount.toString(), permit.deadline, v, r, s], options);
+  }
+
+  /**
+   * @notice Bids the buy-now price, which ends the auction
+   */
+  async buyNow(auctionIndex, options) {
+    const { buyNowPrice } = await this.getOptions(auctionIndex);
+    if (buyNowPrice === '0') {
+      throw new NoBuyNowError('Auction has no buy now price');
+    }
+    return this.bid(auctionIndex, buyNowPrice, options);
+  }
+
+  /**
+   * @notice Buys a Dutch auction at its current price, sending native coin or approving ERC20 up to `maxPrice` first
+   * @dev the price may drop before the transaction is mined, native coin sent above it is credited back, see {withdrawPayments}
+   * @param {string|number} auctionIndex the auction identifier
+   * @param {object} [options] transaction options, `maxPrice` defaults to the current price
+   */
+  async buy(auctionIndex, { maxPrice, ...options } = {}) {
+    const [{ currency }, currentPrice] = await Promise.all([
+      this.getAuction(auctionIndex),
+      this.getCurrentPrice(auctionIndex),
+    ]);
+    const amount = (maxPrice || currentPrice).toString();
+    if (currency === ZERO_ADDRESS) {
+      return this._send('buy', [auctionIndex], { ...options, value: amount });
+    }
+    await this._ensureAllowance(currency, this.address, amount, options);
+    return this._send('buy', [auctionIndex], options);
+  }
+
+  /**
+   * @notice Quotes how `finalize` splits the winning bid
+   * @return {Promise<{price: BN, currency: string, seller: string, winner: string, fee: BN, royalty: BN, royaltyReceiver: string, royalties: Array<{recipient: string, amount: BN}>, sellerProceeds: BN}>}
+   */
+  async quoteFinalize(auctionIndex) {
+    const auction = await this.getAuction(auctionIndex);
+    if (auction.currentBidOwner === ZERO_ADDRESS) {
+      throw new AuctionNoBidError('Auction have no bid', 'Auction have no bid');
+    }
+    if (!(await this._call('isReserveMet', auctionIndex))) {
+      throw new ReserveNotMetError('Reserve price is not met');
+    }
+    const [fee, royalty] = await Promise.all([
+      this._quoteFee(auction.nftContract, auction.currency, auction.creator, auction.currentBidAmount),
+      this._royalties(auction.nftContract, auction.tokenId, auction.currentBidAmount),
+    ]);
+    return {
+      currency: auction.currency,
+      seller: auction.creator,
+      winner: auction.currentBidOwner,
+      ...quoteSplit({ price: auction.currentBidAmount, fee, seller: auction.creator, ...royalty }),
+    };
+  }
+
+  finalize(auctionIndex, options) {
+    return this._send('finalize', [auctionIndex], options);
+  }
+
+  /**
+   * @notice Reads who can claim the lot of a finalized auction the engine could not deliver
+   * @return {Promise<string>} the winner or the creator, zero address when nothing is left to claim
+   */
+  getUnclaimedLot(auctionIndex) {
+    return this._call('unclaimedLots', auctionIndex);
+  }
+
+  /**
+   * @notice Claims an undelivered lot of the sender, e.g. won by a contract wallet that rejected it
+   * @param {number|string} auctionIndex
+   * @param {string} to recipient of the lot
+   * @param {object} [options] transaction options
+   */
+  claimLot(auctionIndex, to, options) {
+    return this._send('claimLot', [auctionIndex, to], options);
+  }
+
+  /**
+   * @notice Sets a reserve price in USD, each bid is valued at the rate of the price feed of the auction currency when placed
+   * @dev the sender must be the auction owner and the auction must have no bid yet
+   * @param {number|string} auctionIndex the English auction identifier
+   * @param {string|BN} usdReserve reserve price in USD, using 8 decimals: 100000000 = 1 USD, zero to remove it
+   * @param {object} [options] transaction options
+   */
+  setUsdReserve(auctionIndex, usdReserve, options) {
+    return this._send('setUsdReserve', [auctionIndex, usdReserve.toString()], options);
+  }
+
+  /**
+   * @notice Reads the reserve price in USD of an auction, zero when it has none
+   * @return {Promise<string>} reserve price in USD, using 8 decimals: 100000000 = 1 USD
+   */
+  getUsdReserve(auctionIndex) {
+    return this._call('usdReserves', auctionIndex);
+  }
+
+  /**
+   * @notice Reads the refunds, proceeds, royalties and fees `account` can withdraw
+   * @param {string} account payee address
+   * @param {string} [currency] ERC20 address, zero address for native coin
+   * @return {Promise<string>} amount in wei
+   */
+  pendingPayments(account, currency = ZERO_ADDRESS) {
+    return this._call('pendingPayments', account, currency);
+  }
+
+  /**
+   * @notice Withdraws the payments credited to the sender in `currency`
+   * @param {string} [currency] ERC20 address, zero address for native coin
+   * @param {object} [options] transaction options
+   */
+  withdrawPayments(currency = ZERO_ADDRESS, options) {
+    return this._send('withdrawPayments', [currency], options);
+  }
+}
+
+module.exports = { AuctionEngineClient, AuctionStatus, AuctionType };
@@ -0,0 +1,74 @@
+const { ContractClient } = require('./contracts');
+const { NFTClient, toRoyaltyInfos } = require('./nft');
+
+/**
+ * @title CollectionFactoryClient
+ * @notice Wrapper around the `CollectionFactory` that deploys the creator collections
+ */
+class CollectionFactoryClient extends ContractClient {
+  static artifact = 'CollectionFactory';
+
+  /**
+   * @notice Deploys a collection owned by the sender, approved on the marketplace
+   * @param {object} params
+   * @param {string} params.name name of the collection
+   * @param {string} params.symbol symbol of the collection
+   * @param {string} [params.contractURI] URI to the collection metadata
+   * @param {Array<{recipient: string, amount: string|number}>} [params.royalties] default royalties of the
+   * collection, percentages (using 2 decimals: 10000 = 100)
+   * @param {object} [options] transaction options
+   * @return {Promise<string>} the address of the collection
+   */
+  async createCollection({
+    name, symbol, contractURI = '', royalties = [],
+  }, options) {
+    const receipt = await this._send('createCollection', [name, symbol, contractURI, toRoyaltyInfos(royalties)], options);
+    return receipt.events.CollectionCreated.returnValues.collection;
+  }
+
+  /**
+   * @notice Creates a client for a collection, e.g. one deployed by the factory
+   * @param {string} address collection address
+   * @param {object} [options] client options, see {NFTClient}
+   * @return {NFTClient}
+   */
+  collection(address, options = {}) {
+    return new NFTClient(this.web3, address, { from: this.defaultFrom, ...options });
+  }
+
+  /**
+   * @notice Reads a page of the collections deployed by `creator`, oldest first
+   * @param {string} creator creator address
+   * @param {object} [params]
+   * @param {number} [params.offset] number of collections to skip
+   * @param {number} [params.limit] maximum number of collections
+   * @return {Promise<Array<string>>} the collection addresses
+   */
+  getCollectionsByCreator(creator, { offset = 0, limit = 100 } = {}) {
+    return this._call('getCollectionsByCreator', creator, offset, limit);
+  }
+
+  /**
+   * @notice Reads a page of the collections deployed by the factory, oldest first
+   * @return {Promise<Array<string>>} the collection addresses
+   */
+  getCollections({ offset = 0, limit = 100 } = {}) {
+    return this._call('getCollections', offset, limit);
+  }
+
+  /**
+   * @notice Reads the number of collections deployed by the factory
+   */
+  async getCollectionCount() {
+    return Number(await this._call('getCollectionCount'));
+  }
+
+  /**
+   * @notice Reads the creator of a collection, the zero address when the factory did not deploy it
+   */
+  creatorOf(collection) {
+    return this._call('creatorOf', collection);
+  }
+}
+
+module.exports = { CollectionFactoryClient };
@@ -0,0 +1,306 @@
+const path = require('path');
+
+const { BN } = require('web3').utils;
+
+const { withRevertErrors } = require('./errors');
+const { ZERO_ADDRESS, feeOf } = require('./fees');
+const { signPermit } = require('./orders');
+
+// truffle writes the compiled artifacts here on `truffle compile`
+const ARTIFACTS_DIR = path.join(__dirname, '..', 'build', 'contracts');
+
+const ERC20_ABI = [
+  {
+    type: 'function', name: 'allowance', stateMutability: 'view',
+    inputs: [{ name: 'owner', type: 'address' }, { name: 'spender', type: 'address' }],
+    outputs: [{ name: '', type: 'uint256' }],
+  },
+  {
+    type: 'function', name: 'approve', stateMutability: 'nonpayable',
+    inputs: [{ name: 'spender', type: 'address' }, { name: 'amount', type: 'uint256' }],
+    outputs: [{ name: '', type: 'bool' }],
+  },
+  {
+    type: 'function', name: 'balanceOf', stateMutability: 'view',
+    inputs: [{ name: 'account', type: 'address' }],
+    outputs: [{ name: '', type: 'uint256' }],
+  },
+];
+
+// EIP-2612 getters of a token that accepts permits
+const ERC20_PERMIT_ABI = [
+  {
+    type: 'function', name: 'name', stateMutability: 'view',
+    inputs: [], outputs: [{ name: '', type: 'string' }],
+  },
+  {
+    type: 'function', name: 'nonces', stateMutability: 'view',
+    inputs: [{ name: 'owner', type: 'address' }],
+    outputs: [{ name: '', type: 'uint256' }],
+  },
+];
+
+const ERC721_ABI = [
+  {
+    type: 'function', name: 'isApprovedForAll', stateMutability: 'view',
+    inputs: [{ name: 'owner', type: 'address' }, { name: 'operator', type: 'address' }],
+    outputs: [{ name: '', type: 'bool' }],
+  },
+  {
+    type: 'function', name: 'setApprovalForAll', stateMutability: 'nonpayable',
+    inputs: [{ name: 'operator', type: 'address' }, { name: 'approved', type: 'bool' }],
+    outputs: [],
+  },
+  {
+    type: 'function', name: 'supportsInterface', stateMutability: 'view',
+    inputs: [{ name: 'interfaceId', type: 'bytes4' }],
+    outputs: [{ name: '', type: 'bool' }],
+  },
+  {
+    type: 'function', name: 'royaltyInfo', stateMutability: 'view',
+    inputs: [{ name: 'tokenId', type: 'uint256' }, { name: 'value', type: 'uint256' }],
+    outputs: [{ name: 'receiver', type: 'address' }, { name: 'royaltyAmount', type: 'uint256' }],
+  },
+  {
+    type: 'function', name: 'royaltySplits', stateMutability: 'view',
+    inputs: [{ name: 'tokenId', type: 'uint256' }, { name: 'salePrice', type: 'uint256' }],
+    outputs: [{ name: 'recipients', type: 'address[]' }, { name: 'amounts', type: 'uint256[]' }],
+  },
+];
+
+// signature check of a contract account, e.g. a smart wallet
+const ERC1271_ABI = [
+  {
+    type: 'function', name: 'isValidSignature', stateMutability: 'view',
+    inputs: [{ name: 'hash', type: 'bytes32' }, { name: 'signature', type: 'bytes' }],
+    outputs: [{ name: '', type: 'bytes4' }],
+  },
+];
+
+// fee getters shared by the marketplace and the fee manager, see `IFeeProvider`
+const FEE_PROVIDER_ABI = [
+  {
+    type: 'function', name: 'platformFeeInCoin', stateMutability: 'view',
+    inputs: [], outputs: [{ name: '', type: 'uint256' }],
+  },
+  {
+    type: 'function', name: 'platformFeeInToken', stateMutability: 'view',
+    inputs: [], outputs: [{ name: '', type: 'uint256' }],
+  },
+  {
+    type: 'function', name: 'quoteFee', stateMutability: 'view',
+    inputs: [
+      { name: 'collection', type: 'address' },
+      { name: 'currency', type: 'address' },
+      { name: 'seller', type: 'address' },
+      { name: 'price', type: 'uint256' },
+    ],
+    outputs: [{ name: '', type: 'uint256' }],
+  },
+];
+
+// seconds a permit signed without deadline stays valid
+const PERMIT_VALIDITY = 3600;
+
+// type(IERC2981).interfaceId
+const ERC2981_INTERFACE_ID = '0x2a55205a';
+// IERC1271.isValidSignature.selector, returned for a valid signature
+const ERC1271_MAGIC_VALUE = '0x1626ba7e';
+// type(IRoyaltySplits).interfaceId
+const ROYALTY_SPLITS_INTERFACE_ID = '0x5caf9f56';
+
+/**
+ * @notice Loads a contract ABI from the truffle build directory
+ * @param {string} name contract name
+ * @return {Array} the contract ABI
+ */
+function loadAbi(name) {
+  try {
+    return require(path.join(ARTIFACTS_DIR, `${name}.json`)).abi;
+  } catch (error) {
+    throw new Error(`Missing ${name} artifact, run \`truffle compile\` or pass the ABI in the options`);
+  }
+}
+
+/**
+ * @notice Merges the ABI of a contract with the ABIs of the extensions it delegates calls to
+ * @dev entries declared by several of them, e.g. the shared events, are kept once
+ * @param {Array} abi contract ABI
+ * @param {...Array} extensionAbis extension ABIs
+ * @return {Array} the merged ABI
+ */
+function mergeAbis(abi, ...extensionAbis) {
+  const key = (entry) => `${entry.type}:${entry.name}(${(entry.inputs || []).map((input) => input.type).join(',')})`;
+  const keys = new Set(abi.map(key));
+  const merged = [...abi];
+  extensionAbis.flat().forEach((entry) => {
+    if (!keys.has(key(entry))) {
+      keys.add(key(entry));
+      merged.push(entry);
+    }
+  });
+  return merged;
+}
+
+/**
+ * @notice Selectors of the functions an extension implements and the contract it extends does not
+ * @dev these are the calls the contract routes to the extension, see `Marketplace.updateSelectorExtension`
+ * @param {Web3} web3 web3 instance
+ * @param {Array} extensionAbi extension ABI
+ * @param {Array} abi ABI of the extended contract
+ * @return {string[]} the function selectors
+ */
+function extensionSelectors(web3, extensionAbi, abi) {
+  const selectors = (entries) => entries
+    .filter((entry) => entry.type === 'function')
+    .map((entry) => web3.eth.abi.encodeFunctionSignature(entry));
+  const own = new Set(selectors(abi));
+  return selectors(extensionAbi).filter((selector) => !own.has(selector));
+}
+
+// extra gas over the estimate, in percent. The state can change before the transaction is mined,
+// e.g. the price of a Dutch auction drops and an allowance is no longer fully spent
+const GAS_MARGIN = 20;
+
+/**
+ * @notice Sends a web3 transaction, estimating gas when it is not given
+ * @dev estimation runs the call first, so reverts surface as typed errors before anything is sent
+ * @param {object} tx web3 contract method
+ * @param {object} params transaction parameters
+ */
+async function sendTransaction(tx, { from, value, gas }) {
+  if (!gas) {
+    const estimate = await withRevertErrors(tx.estimateGas({ from, value }));
+    gas = Math.ceil((estimate * (100 + GAS_MARGIN)) / 100);
+  }
+  return withRevertErrors(tx.send({ from, value, gas }));
+}
+
+/**
+ * @title ContractClient
+ * @notice Base class for the contract wrappers
+ * @dev sends transactions with the options given per call, falling back to `defaultFrom`
+ */
+class ContractClient {
+  /**
+   * @param {Web3} web3 connected web3 instance
+   * @param {string} address deployed contract address
+   * @param {object} [options]
+   * @param {Array} [options.abi] contract ABI, loaded from the build directory if omitted
+   * @param {string} [options.from] default sender address
+   */
+  constructor(web3, address, { abi, from } = {}) {
+    this.web3 = web3;
+    this.address = address;
+    this.defaultFrom = from;
+    this.contract = new web3.eth.Contract(abi || loadAbi(this.constructor.artifact), address);
+  }
+
+  /**
+   * @notice Encodes a call of the contract, e.g. the `data` of a request relayed through the forwarder
+   * @param {string} method function name
+   * @param {Array} args function arguments
+   * @return {string} the calldata
+   */
+  encodeCall(method, args = []) {
+    return this.contract.methods[method](...args).encodeABI();
+  }
+
+  // resolves the sender of a transaction
+  _from(options = {}) {
+    const from = options.from || this.defaultFrom;
+    if (!from) {
+      throw new Error('No sender: pass `from` in the options');
+    }
+    return from;
+  }
+
+  // calls a view function
+  _call(method, ...args) {
+    return withRevertErrors(this.contract.methods[method](...args).call());
+  }
+
+  // sends a transaction, known revert reasons are thrown as typed errors
+  _send(method, args, options = {}) {
+    return sendTransaction(this.contract.methods[method](...args), { ...options, from: this._from(options) });
+  }
+
+  // approves `spender` for an ERC20 `amount` unless the allowance already covers it
+  async _ensureAllowance(currency, spender, amount, options) {
+    const owner = this._from(options);
+    const erc20 = new this.web3.eth.Contract(ERC20_ABI, currency);
+    const allowance = await erc20.methods.allowance(owner, spender).call();
+    if (this.web3.utils.toBN(allowance).lt(this.web3.utils.toBN(amount))) {
+      await sendTransaction(erc20.methods.approve(spender, amount.toString()), { from: owner });
+    }
+  }
+
+  // signs an EIP-2612 permit of `amount` for `spender`, the token must use the version '1' of its name as domain.
+  // Without `deadline` the permit expires one hour after the latest block
+  async _signPermit(currency, spender, amount, deadline, options) {
+    const owner = this._from(options);
+    const erc20 = new this.web3.eth.Contract(ERC20_PERMIT_ABI, currency);
+    const [name, nonce, chainId, block] = await Promise.all([
+      erc20.methods.name().call(),
+      erc20.methods.nonces(owner).call(),
+      this.web3.eth.getChainId(),
+      this.web3.eth.getBlock('latest'),
+    ]);
+    const expiry = (deadline || Number(block.timestamp) + PERMIT_VALIDITY).toString();
+    const domain = { name, version: '1', chainId: Number(chainId), verifyingContract: currency };
+    const signature = await signPermit(this.web3, { owner, spender, value: amount, nonce, deadline: expiry }, domain);
+    return { deadline: expiry, ...signature };
+  }
+
+  // approves `operator` for all tokens of `nftContract` unless already approved
+  async _ensureApprovalForAll(nftContract, operator, options) {
+    const owner = this._from(options);
+    const erc721 = new this.web3.eth.Contract(ERC721_ABI, nftContract);
+    if (!(await erc721.methods.isApprovedForAll(owner, operator).call())) {
+      await sendTransaction(erc721.methods.setApprovalForAll(operator, true), { from: owner });
+    }
+  }
+
+  // platform fee amount of a sale: quoted by the fee manager of the contract when it has one,
+  // otherwise computed from the legacy rate returned by the `platformFee(currency)` of the client
+  async _quoteFee(collection, currency, seller, price) {
+    const feeManager = await this._call('feeManager');
+    if (feeManager === ZERO_ADDRESS) {
+      return feeOf(price, await this.platformFee(currency));
+    }
+    const provider = new this.web3.eth.Contract(FEE_PROVIDER_ABI, feeManager);
+    const fee = await provider.methods.quoteFee(collection, currency, seller, price.toString()).call();
+    return new BN(fee);
+  }
+
+  // reads the royalty splits of a sale, or the single ERC-2981 royalty, none when the collection supports neither
+  async _royalties(nftContract, tokenId, price) {
+    const erc721 = new this.web3.eth.Contract(ERC721_ABI, nftContract);
+    if (await erc721.methods.supportsInterface(ROYALTY_SPLITS_INTERFACE_ID).call()) {
+      const { recipients, amounts } = await erc721.methods.royaltySplits(tokenId, price.toString()).call();
+      return { royalties: recipients.map((recipient, index) => ({ recipient, amount: amounts[index] })) };
+    }
+    if (!(await erc721.methods.supportsInterface(ERC2981_INTERFACE_ID).call())) {
+      return { royalties: [] };
+    }
+    const { receiver, royaltyAmount } = await erc721.methods.royaltyInfo(tokenId, price.toString()).call();
+    return { royalties: [{ recipient: receiver, amount: royaltyAmount }] };
+  }
+}
+
+module.exports = {
+  ARTIFACTS_DIR,
+  ERC20_ABI,
+  ERC20_PERMIT_ABI,
+  ERC721_ABI,
+  ERC1271_ABI,
+  ERC1271_MAGIC_VALUE,
+  ERC2981_INTERFACE_ID,
+  ROYALTY_SPLITS_INTERFACE_ID,
+  FEE_PROVIDER_ABI,
+  ContractClient,
+  extensionSelectors,
+  loadAbi,
+  mergeAbis,
+  sendTransaction,
+};
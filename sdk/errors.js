@@ -0,0 +1,217 @@
+/**
+ * @notice Typed errors for the known revert reasons of the DemianO contracts
+ * @dev every error keeps the original web3 error as `cause`
+ */
+class MarketplaceError extends Error {
+  /**
+   * @param {string} message human readable description
+   * @param {string} [reason] revert reason returned by the contract
+   * @param {Error} [cause] original error thrown by web3
+   */
+  constructor(message, reason, cause) {
+    super(message);
+    this.name = this.constructor.name;
+    this.reason = reason;
+    this.cause = cause;
+  }
+}
+
+class NotTokenOwnerError extends MarketplaceError {}
+class InvalidPriceError extends MarketplaceError {}
+class CurrencyNotApprovedError extends MarketplaceError {}
+class NotForSaleError extends MarketplaceError {}
+class WrongPaymentError extends MarketplaceError {}
+class NotAuctionOwnerError extends MarketplaceError {}
+class AuctionHasBidError extends MarketplaceError {}
+class AuctionNotActiveError extends MarketplaceError {}
+class AuctionNotFinishedError extends MarketplaceError {}
+class AuctionNoBidError extends MarketplaceError {}
+class AuctionFinalizedError extends MarketplaceError {}
+class ReserveNotMetError extends MarketplaceError {}
+class NoBuyNowError extends MarketplaceError {}
+class InvalidAuctionOptionsError extends MarketplaceError {}
+class WrongAuctionTypeError extends MarketplaceError {}
+class BidTooLowError extends MarketplaceError {}
+class OutbidError extends MarketplaceError {}
+class InsufficientAllowanceError extends MarketplaceError {}
+class InsufficientBalanceError extends MarketplaceError {}
+class OrderExpiredError extends MarketplaceError {}
+class OrderUsedError extends MarketplaceError {}
+class InvalidSignatureError extends MarketplaceError {}
+class CollectionNotApprovedError extends MarketplaceError {}
+class NonceTooLowError extends MarketplaceError {}
+class InvalidOfferCurrencyError extends MarketplaceError {}
+class OfferNotActiveError extends MarketplaceError {}
+class OfferExpiredError extends MarketplaceError {}
+class NotOfferOwnerError extends MarketplaceError {}
+class OfferStillHighestError extends MarketplaceError {}
+class NoPaymentsError extends MarketplaceError {}
+class InvalidQuantityError extends MarketplaceError {}
+class UnsupportedCollectionError extends MarketplaceError {}
+class MissingRoleError extends MarketplaceError {}
+class ContractPausedError extends MarketplaceError {}
+class InvalidSalePeriodError extends MarketplaceError {}
+class ListingNotExpiredError extends MarketplaceError {}
+class EpochNotOverError extends MarketplaceError {}
+class CooldownNotOverError extends MarketplaceError {}
+class NoFeesToClaimError extends MarketplaceError {}
+class PermitCurrencyError extends MarketplaceError {}
+class InvalidRequestError extends MarketplaceError {}
+class NothingToClaimError extends MarketplaceError {}
+class InvalidBundleError extends MarketplaceError {}
+class NotForRentError extends MarketplaceError {}
+class InvalidRentalDurationError extends MarketplaceError {}
+class TokenRentedError extends MarketplaceError {}
+class PriceFeedError extends MarketplaceError {}
+class SlippageError extends MarketplaceError {}
+class UsdPriceError extends MarketplaceError {}
+
+// more specific reasons must come before the reasons they contain
+const REVERT_REASONS = [
+  ['Only token owner can do this', NotTokenOwnerError],
+  ['Price must be at least 1 wei', InvalidPriceError],
+  ['Currency must be approved', CurrencyNotApprovedError],
+  ['Collection must be approved', CollectionNotApprovedError],
+  ['Token must be on Sale', NotForSaleError],
+  ['Sale has not started', NotForSaleError],
+  ['Sale expired', NotForSaleError],
+  ['Sale not expired', ListingNotExpiredError],
+  ['Invalid sale period', InvalidSalePeriodError],
+  ['Submit the reclaim bounty', WrongPaymentError],
+  ['Submit the asking price', WrongPaymentError],
+  ['Native coin sent with an ERC20 price', WrongPaymentError],
+  ['Only auction owner', NotAuctionOwnerError],
+  ['Auction has a bid', AuctionHasBidError],
+  ['Auction must be active', AuctionNotActiveError],
+  ['Auction must be finished', AuctionNotFinishedError],
+  ['Auction have no bid', AuctionNoBidError],
+  ['Auction can be finalized only once', AuctionFinalizedError],
+  ['You bid less then price', BidTooLowError],
+  ["You don't outbid", OutbidError],
+  ['Increment can not exceed 100%', InvalidAuctionOptionsError],
+  ['Buy now price too low', InvalidAuctionOptionsError],
+  ['Start price below floor price', InvalidAuctionOptionsError],
+  ['Duration must be positive', InvalidAuctionOptionsError],
+  ['Not an English auction', WrongAuctionTypeError],
+  ['Not a Dutch auction', WrongAuctionTypeError],
+  ['ERC20: insufficient allowance', InsufficientAllowanceError],
+  ['ERC20: transfer amount exceeds allowance', InsufficientAllowanceError],
+  ['ERC20: transfer amount exceeds balance', InsufficientBalanceError],
+  ['Order expired', OrderExpiredError],
+  ['Order cancelled or filled', OrderUsedError],
+  ['Invalid signature', InvalidSignatureError],
+  ['Nonce too low', NonceTooLowError],
+  ['Offer currency must be ERC20', InvalidOfferCurrencyError],
+  ['Offer is not active', OfferNotActiveError],
+  ['Offer expired', OfferExpiredError],
+  ['Only offer owner', NotOfferOwnerError],
+  ['Offer is still the highest', OfferStillHighestError],
+  ['No payments to withdraw', NoPaymentsError],
+  ['Quantity must be positive', InvalidQuantityError],
+  ['Not enough units on sale', InvalidQuantityError],
+  ['Collection must be ERC1155', UnsupportedCollectionError],
+  ['Caller is missing role', MissingRoleError],
+  ['Contract is paused', ContractPausedError],
+  ['Epoch not over', EpochNotOverError],
+  ['Cooldown not over', CooldownNotOverError],
+  ['No fees to claim', NoFeesToClaimError],
+  ['Permit requires an ERC20', PermitCurrencyError],
+  ['Invalid request', InvalidRequestError],
+  ['Submit the request value', WrongPaymentError],
+  ['Nothing to claim', NothingToClaimError],
+  ['Bundle needs several tokens', InvalidBundleError],
+  ['Shares must add up to 100%', InvalidBundleError],
+  ['Share below the minimum', InvalidBundleError],
+  ['Collection must be ERC4907', UnsupportedCollectionError],
+  ['Token must be for rent', NotForRentError],
+  ['Invalid rental duration', InvalidRentalDurationError],
+  ['Token is rented', TokenRentedError],
+  ['Currency has no price feed', PriceFeedError],
+  ['Stale price', PriceFeedError],
+  ['Price exceeds the maximum amount', SlippageError],
+  ['Price is not in USD', UsdPriceError],
+  ['USD is not a payment currency', UsdPriceError],
+];
+
+/**
+ * @notice Converts an error thrown by a contract call into a typed error
+ * @param {Error} error error thrown by web3
+ * @return {Error} a {MarketplaceError} subclass for known reasons, otherwise `error` itself
+ */
+function parseRevert(error) {
+  const text = [error && error.reason, error && error.message].filter(Boolean).join(' ');
+  for (const [reason, ErrorType] of REVERT_REASONS) {
+    if (text.includes(reason)) {
+      return new ErrorType(reason, reason, error);
+    }
+  }
+  return error;
+}
+
+/**
+ * @notice Runs a contract call and rethrows known reverts as typed errors
+ * @param {Promise} promise pending web3 call or transaction
+ */
+async function withRevertErrors(promise) {
+  try {
+    return await promise;
+  } catch (error) {
+    throw parseRevert(error);
+  }
+}
+
+module.exports = {
+  MarketplaceError,
+  NotTokenOwnerError,
+  InvalidPriceError,
+  CurrencyNotApprovedError,
+  NotForSaleError,
+  WrongPaymentError,
+  NotAuctionOwnerError,
+  AuctionHasBidError,
+  AuctionNotActiveError,
+  AuctionNotFinishedError,
+  AuctionNoBidError,
+  AuctionFinalizedError,
+  ReserveNotMetError,
+  NoBuyNowError,
+  InvalidAuctionOptionsError,
+  WrongAuctionTypeError,
+  BidTooLowError,
+  OutbidError,
+  InsufficientAllowanceError,
+  InsufficientBalanceError,
+  OrderExpiredError,
+  OrderUsedError,
+  InvalidSignatureError,
+  CollectionNotApprovedError,
+  NonceTooLowError,
+  InvalidOfferCurrencyError,
+  OfferNotActiveError,
+  OfferExpiredError,
+  NotOfferOwnerError,
+  OfferStillHighestError,
+  NoPaymentsError,
+  InvalidQuantityError,
+  UnsupportedCollectionError,
+  MissingRoleError,
+  ContractPausedError,
+  InvalidSalePeriodError,
+  ListingNotExpiredError,
+  EpochNotOverError,
+  CooldownNotOverError,
+  NoFeesToClaimError,
+  PermitCurrencyError,
+  InvalidRequestError,
+  NothingToClaimError,
+  InvalidBundleError,
+  NotForRentError,
+  InvalidRentalDurationError,
+  TokenRentedError,
+  PriceFeedError,
+  SlippageError,
+  UsdPriceError,
+  REVERT_REASONS,
+  parseRevert,
+  withRevertErrors,
+};
@@ -0,0 +1,94 @@
+const { ContractClient } = require('./contracts');
+
+/**
+ * @title FeeDistributorClient
+ * @notice Wrapper around the `FeeDistributor` that stakes DemianO and claims the platform fees
+ */
+class FeeDistributorClient extends ContractClient {
+  static artifact = 'FeeDistributor';
+
+  /**
+   * @notice Stakes DemianO, approving the distributor first if needed
+   * @param {string|BN} amount amount of DemianO in wei
+   */
+  async stake(amount, options = {}) {
+    const demo = await this._call('demo');
+    await this._ensureAllowance(demo, this.address, amount, options);
+    return this._send('stake', [amount.toString()], options);
+  }
+
+  /**
+   * @notice Stakes DemianO in one transaction, the allowance is given by a permit signed by the sender
+   * @param {string|BN} amount amount of DemianO in wei
+   * @param {object} [params]
+   * @param {string|number} [params.deadline] permit expiry timestamp, one hour after the latest block by default
+   */
+  async stakeWithPermit(amount, { deadline } = {}, options = {}) {
+    const demo = await this._call('demo');
+    const permit = await this._signPermit(demo, this.address, amount, deadline, options);
+    return this._send('stakeWithPermit', [amount.toString(), permit.deadline, permit.v, permit.r, permit.s], options);
+  }
+
+  /**
+   * @notice Stops earning fees on staked DemianO, withdrawable after the cooldown
+   * @param {string|BN} amount amount of DemianO in wei
+   */
+  requestUnstake(amount, options = {}) {
+    return this._send('requestUnstake', [amount.toString()], options);
+  }
+
+  /**
+   * @notice Withdraws the unstaked DemianO whose cooldown is over
+   */
+  withdraw(options = {}) {
+    return this._send('withdraw', [], options);
+  }
+
+  /**
+   * @notice Closes the current epoch once its duration is over
+   */
+  closeEpoch(options = {}) {
+    return this._send('closeEpoch', [], options);
+  }
+
+  /**
+   * @notice Reads the stake of `account`
+   * @return {Promise<{staked: string, unstaking: string, availableAt: string}>} tokens earning fees,
+   * tokens waiting for the cooldown and the timestamp they can be withdrawn at
+   */
+  async getStake(account) {
+    const [staked, { amount, availableAt }] = await Promise.all([
+      this._call('stakeOf', account),
+      this._call('unstakes', account),
+    ]);
+    return { staked, unstaking: amount, availableAt };
+  }
+
+  /**
+   * @notice Finds the closed epochs where `account` has fees left to claim
+   * @param {string} account staker address
+   * @param {string} currency ERC20 address, zero address for native coin
+   * @param {object} [params]
+   * @param {number} [params.fromEpoch] first epoch to look at
+   * @return {Promise<{epochIds: number[], amount: string}>} epochs to pass to {claim} and the total claimable
+   */
+  async getClaimable(account, currency, { fromEpoch = 0 } = {}) {
+    const currentEpoch = Number(await this._call('currentEpoch'));
+    const epochs = [...Array(Math.max(currentEpoch - fromEpoch, 0)).keys()].map((index) => fromEpoch + index);
+    const amounts = await Promise.all(epochs.map((epoch) => this._call('claimable', account, [epoch], currency)));
+    const epochIds = epochs.filter((epoch, index) => amounts[index] !== '0');
+    const amount = epochIds.length > 0 ? await this._call('claimable', account, epochIds, currency) : '0';
+    return { epochIds, amount };
+  }
+
+  /**
+   * @notice Claims the fees of closed epochs
+   * @param {Array<number|string>} epochIds closed epochs, see {getClaimable}
+   * @param {string} currency ERC20 address, zero address for native coin
+   */
+  claim(epochIds, currency, options = {}) {
+    return this._send('claim', [epochIds.map(String), currency], options);
+  }
+}
+
+module.exports = { FeeDistributorClient };
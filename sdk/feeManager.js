@@ -0,0 +1,49 @@
+const { ContractClient } = require('./contracts');
+
+/**
+ * @title FeeManagerClient
+ * @notice Wrapper around the `FeeManager` that quotes the platform fees of the marketplace and the auction engine
+ */
+class FeeManagerClient extends ContractClient {
+  static artifact = 'FeeManager';
+
+  /**
+   * @notice Reads the fee charged to `seller` for a sale of `collection` in `currency`
+   * @return {Promise<string>} fee in percentage (using 2 decimals: 10000 = 100)
+   */
+  feeRate(collection, currency, seller) {
+    return this._call('feeRate', collection, currency, seller);
+  }
+
+  /**
+   * @notice Quotes the fee amount of a sale
+   * @param {string} collection NFT contract address
+   * @param {string} currency ERC20 address, zero address for native coin
+   * @param {string} seller account the fee is deducted from
+   * @param {string|BN} price sale price in wei
+   * @return {Promise<string>} fee in wei
+   */
+  quoteFee(collection, currency, seller, price) {
+    return this._call('quoteFee', collection, currency, seller, price.toString());
+  }
+
+  /**
+   * @notice Reads the discount `account` gets from the DemianO it holds and stakes
+   * @return {Promise<string>} discount in percentage (using 2 decimals: 10000 = 100)
+   */
+  discountOf(account) {
+    return this._call('discountOf', account);
+  }
+
+  /**
+   * @notice Reads the discount tiers, sorted by minimum balance
+   * @return {Promise<Array<{minBalance: string, discount: string}>>}
+   */
+  async getTiers() {
+    const count = Number(await this._call('getTierCount'));
+    const tiers = await Promise.all([...Array(count).keys()].map((index) => this._call('tiers', index)));
+    return tiers.map(({ minBalance, discount }) => ({ minBalance, discount }));
+  }
+}
+
+module.exports = { FeeManagerClient };
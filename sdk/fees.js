@@ -0,0 +1,93 @@
+const { BN } = require('web3').utils;
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+// the Chainlink denomination of USD, address(840): listings in this currency are priced in USD
+const USD = '0x0000000000000000000000000000000000000348';
+// USD prices use 8 decimals: 100000000 = 1 USD
+const USD_DECIMALS = 8;
+// fees are percentages with 2 decimals: 10000 = 100%
+const FEE_DENOMINATOR = new BN(10000);
+
+/**
+ * @notice Picks the platform fee that applies to a currency
+ * @dev mirrors `buyToken`/`finalize`: the platform token has its own fee, native coin and every other ERC20 use the coin fee
+ * @param {string} currency payment currency address, zero address for native coin
+ * @param {string} token platform token address
+ * @param {string|BN} feeInCoin platform fee for Coin
+ * @param {string|BN} feeInToken platform fee for Token
+ * @return {BN} platform fee in percentage (using 2 decimals: 10000 = 100)
+ */
+function platformFeeFor(currency, token, feeInCoin, feeInToken) {
+  if (currency !== ZERO_ADDRESS && sameAddress(currency, token)) {
+    return new BN(feeInToken.toString());
+  }
+  return new BN(feeInCoin.toString());
+}
+
+/**
+ * @notice Platform fee amount of a sale
+ * @param {string|BN} price sale price in wei
+ * @param {string|BN} platformFee platform fee in percentage (using 2 decimals: 10000 = 100)
+ * @return {BN} fee in wei
+ */
+function feeOf(price, platformFee) {
+  return new BN(price.toString()).mul(new BN(platformFee.toString())).div(FEE_DENOMINATOR);
+}
+
+/**
+ * @notice Splits a sale price between platform, royalty recipients and seller
+ * @dev same math as `Marketplace.buyToken` and `AuctionEngine.finalize`: the share of the seller stays in
+ * the proceeds and the royalties never exceed the price left after the fee
+ * @param {object} params
+ * @param {string|BN} params.price sale price in wei
+ * @param {string|BN} [params.platformFee] platform fee in percentage (using 2 decimals: 10000 = 100)
+ * @param {string|BN} [params.fee] platform fee amount in wei, e.g. quoted by the fee manager, takes precedence over `platformFee`
+ * @param {string} params.seller address that receives the proceeds
+ * @param {Array<{recipient: string, amount: string|BN}>} [params.royalties] royalty splits for `price`
+ * @param {string} [params.royaltyReceiver] ERC-2981 royalty receiver, when `royalties` is not given
+ * @param {string|BN} [params.royaltyAmount] ERC-2981 royalty amount for `price`, when `royalties` is not given
+ * @return {{price: BN, fee: BN, royalty: BN, royaltyReceiver: string, royalties: Array<{recipient: string, amount: BN}>, sellerProceeds: BN}}
+ */
+function quoteSplit({ price, platformFee, fee, seller, royalties, royaltyReceiver = ZERO_ADDRESS, royaltyAmount = 0 }) {
+  price = new BN(price.toString());
+  fee = fee === undefined ? feeOf(price, platformFee) : new BN(fee.toString());
+  royalties = royalties || [{ recipient: royaltyReceiver, amount: royaltyAmount }];
+
+  let royalty = new BN(0);
+  const paid = [];
+  for (const { recipient, amount } of royalties) {
+    const available = price.sub(fee).sub(royalty);
+    const capped = BN.min(new BN(amount.toString()), available);
+    if (capped.isZero() || sameAddress(recipient, seller)) {
+      continue;
+    }
+    royalty = royalty.add(capped);
+    paid.push({ recipient, amount: capped });
+  }
+
+  const sellerProceeds = price.sub(fee).sub(royalty);
+
+  return {
+    price,
+    fee,
+    royalty,
+    royaltyReceiver: paid.length ? paid[0].recipient : undefined,
+    royalties: paid,
+    sellerProceeds,
+  };
+}
+
+function sameAddress(a, b) {
+  return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+module.exports = {
+  ZERO_ADDRESS,
+  USD,
+  USD_DECIMALS,
+  FEE_DENOMINATOR,
+  feeOf,
+  platformFeeFor,
+  quoteSplit,
+  sameAddress,
+};
@@ -0,0 +1,147 @@
+const { ContractClient } = require('./contracts');
+const { DOMAIN_TYPE, hashTypedData, signTypedData } = require('./orders');
+const { sameAddress } = require('./fees');
+
+// name and version of the `Forwarder` EIP-712 domain
+const FORWARDER_DOMAIN_NAME = 'DemianO Forwarder';
+const FORWARDER_DOMAIN_VERSION = '1';
+
+// EIP-712 type of a call signed by `from` and submitted by a relayer
+const FORWARD_REQUEST_TYPE = [
+  { name: 'from', type: 'address' },
+  { name: 'to', type: 'address' },
+  { name: 'value', type: 'uint256' },
+  { name: 'gas', type: 'uint256' },
+  { name: 'nonce', type: 'uint256' },
+  { name: 'deadline', type: 'uint256' },
+  { name: 'data', type: 'bytes' },
+];
+
+// extra gas over the estimate of a relayed call, in percent
+const REQUEST_GAS_MARGIN = 20;
+// seconds a request signed without deadline stays valid
+const REQUEST_VALIDITY = 3600;
+
+/**
+ * @notice EIP-712 domain of a `Forwarder` deployment
+ * @param {string|number} chainId chain the forwarder is deployed on
+ * @param {string} verifyingContract forwarder address
+ */
+function forwarderDomain(chainId, verifyingContract) {
+  return {
+    name: FORWARDER_DOMAIN_NAME, version: FORWARDER_DOMAIN_VERSION, chainId: Number(chainId), verifyingContract,
+  };
+}
+
+/**
+ * @notice EIP-712 typed data of a forward request, as accepted by `eth_signTypedData_v4`
+ * @param {object} request request in the shape of the `Forwarder.ForwardRequest` struct
+ * @param {object} domain domain built with {forwarderDomain}
+ */
+function requestTypedData(request, domain) {
+  return {
+    types: { EIP712Domain: DOMAIN_TYPE, ForwardRequest: FORWARD_REQUEST_TYPE },
+    primaryType: 'ForwardRequest',
+    domain,
+    message: request,
+  };
+}
+
+/**
+ * @notice Checks that a forward request is signed by its `from`
+ * @return {boolean} true if the signature recovers to `request.from`
+ */
+function verifyRequest(web3, request, signature, domain) {
+  try {
+    const digest = hashTypedData(web3, requestTypedData(request, domain));
+    return sameAddress(web3.eth.accounts.recover(digest, signature, true), request.from);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * @title ForwarderClient
+ * @notice Wrapper around the ERC-2771 `Forwarder`: signs calls to the DemianO contracts that a relayer submits
+ */
+class ForwarderClient extends ContractClient {
+  static artifact = 'Forwarder';
+
+  /**
+   * @notice Reads the nonce the next request of `from` must be signed with
+   * @return {Promise<string>}
+   */
+  getNonce(from) {
+    return this._call('getNonce', from);
+  }
+
+  /**
+   * @notice Reads the EIP-712 domain of the forwarder
+   */
+  async getDomain() {
+    return forwarderDomain(await this.web3.eth.getChainId(), this.address);
+  }
+
+  /**
+   * @notice Signs a call with the sender account of the connected provider
+   * @dev the gas is estimated as if the forwarder made the call, build `data` with {ContractClient.encodeCall}
+   * @param {object} params
+   * @param {string} params.to target contract, it must trust this forwarder
+   * @param {string} params.data calldata of the call
+   * @param {string|BN} [params.value] native coin sent with the call, paid by the relayer
+   * @param {string|number} [params.gas] gas of the call, estimated if omitted
+   * @param {string|number} [params.deadline] expiry timestamp, one hour after the latest block by default
+   * @param {object} [options] `from` signs the request
+   * @return {Promise<{request: object, signature: string}>} the request and signature to relay
+   */
+  async signRequest({ to, data, value = 0, gas, deadline }, options = {}) {
+    const from = this._from(options);
+    const [nonce, block, domain] = await Promise.all([
+      this.getNonce(from),
+      this.web3.eth.getBlock('latest'),
+      this.getDomain(),
+    ]);
+    if (!gas) {
+      const estimate = await this.web3.eth.estimateGas({
+        from: this.address, to, value: value.toString(), data: `${data}${from.slice(2).toLowerCase()}`,
+      });
+      gas = Math.ceil((estimate * (100 + REQUEST_GAS_MARGIN)) / 100);
+    }
+    const request = {
+      from,
+      to,
+      value: value.toString(),
+      gas: gas.toString(),
+      nonce: nonce.toString(),
+      deadline: (deadline || Number(block.timestamp) + REQUEST_VALIDITY).toString(),
+      data,
+    };
+    const signature = await signTypedData(this.web3, from, requestTypedData(request, domain));
+    return { request, signature };
+  }
+
+  /**
+   * @notice Checks a request against the forwarder: signer, nonce and deadline
+   * @return {Promise<boolean>}
+   */
+  verify(request, signature) {
+    return this._call('verify', request, signature);
+  }
+
+  /**
+   * @notice Submits a signed request, the sender pays the gas and the request value
+   */
+  execute(request, signature, options = {}) {
+    return this._send('execute', [request, signature], { ...options, value: request.value });
+  }
+}
+
+module.exports = {
+  FORWARDER_DOMAIN_NAME,
+  FORWARDER_DOMAIN_VERSION,
+  FORWARD_REQUEST_TYPE,
+  forwarderDomain,
+  requestTypedData,
+  verifyRequest,
+  ForwarderClient,
+};
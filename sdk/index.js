@@ -0,0 +1,77 @@
+const { NFTClient } = require('./nft');
+const { MarketplaceClient } = require('./marketplace');
+const { AuctionEngineClient, AuctionStatus, AuctionType } = require('./auction');
+const { FeeManagerClient } = require('./feeManager');
+const { FeeDistributorClient } = require('./feeDistributor');
+const { CollectionFactoryClient } = require('./collectionFactory');
+const { ForwarderClient, ...forwarding } = require('./forwarder');
+const fees = require('./fees');
+const errors = require('./errors');
+const orders = require('./orders');
+
+/**
+ * @notice Creates the clients for a DemianO deployment
+ * @param {Web3} web3 connected web3 instance
+ * @param {object} addresses deployed contract addresses
+ * @param {string} addresses.nft NFT contract address
+ * @param {string} addresses.marketplace Marketplace contract address
+ * @param {string} addresses.auctionEngine AuctionEngine contract address
+ * @param {string} [addresses.feeManager] FeeManager contract address, no `feeManager` client is created if omitted
+ * @param {string} [addresses.feeDistributor] FeeDistributor contract address, no `feeDistributor` client is created if omitted
+ * @param {string} [addresses.forwarder] Forwarder contract address, no `forwarder` client is created if omitted
+ * @param {string} [addresses.collectionFactory] CollectionFactory contract address, no `collectionFactory` client
+ * is created if omitted
+ * @param {object} [options]
+ * @param {string} [options.from] default sender address
+ * @param {object} [options.abis] ABIs by contract name, loaded from the build directory if omitted
+ */
+function connect(web3, {
+  nft, marketplace, auctionEngine, feeManager, feeDistributor, forwarder, collectionFactory,
+}, { from, abis = {} } = {}) {
+  const clients = {
+    nft: new NFTClient(web3, nft, { from, abi: abis.NFT }),
+    marketplace: new MarketplaceClient(web3, marketplace, {
+      from,
+      abi: abis.Marketplace,
+      extensionAbi: abis.MarketplaceExtension,
+      listingExtensionAbi: abis.MarketplaceListingExtension,
+      bundleExtensionAbi: abis.MarketplaceBundleExtension,
+      rentalExtensionAbi: abis.MarketplaceRentalExtension,
+    }),
+    auctionEngine: new AuctionEngineClient(web3, auctionEngine, {
+      from, abi: abis.AuctionEngine, extensionAbi: abis.AuctionEngineExtension,
+    }),
+  };
+  if (feeManager) {
+    clients.feeManager = new FeeManagerClient(web3, feeManager, { from, abi: abis.FeeManager });
+  }
+  if (feeDistributor) {
+    clients.feeDistributor = new FeeDistributorClient(web3, feeDistributor, { from, abi: abis.FeeDistributor });
+  }
+  if (forwarder) {
+    clients.forwarder = new ForwarderClient(web3, forwarder, { from, abi: abis.Forwarder });
+  }
+  if (collectionFactory) {
+    clients.collectionFactory = new CollectionFactoryClient(web3, collectionFactory, {
+      from, abi: abis.CollectionFactory,
+    });
+  }
+  return clients;
+}
+
+module.exports = {
+  connect,
+  NFTClient,
+  MarketplaceClient,
+  AuctionEngineClient,
+  FeeManagerClient,
+  FeeDistributorClient,
+  ForwarderClient,
+  CollectionFactoryClient,
+  AuctionStatus,
+  AuctionType,
+  ...fees,
+  ...errors,
+  ...orders,
+  ...forwarding,
+};
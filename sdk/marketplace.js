@@ -0,0 +1,792 @@
+const {
+  ContractClient, ERC1271_ABI, ERC1271_MAGIC_VALUE, loadAbi, mergeAbis,
+} = require('./contracts');
+const {
+  ZERO_ADDRESS, USD, FEE_DENOMINATOR, platformFeeFor, quoteSplit, sameAddress,
+} = require('./fees');
+const {
+  CurrencyNotApprovedError, CollectionNotApprovedError, NotForSaleError, InvalidSignatureError, InvalidQuantityError,
+  PermitCurrencyError, NotForRentError, UsdPriceError,
+} = require('./errors');
+const {
+  buildOrder, buildVoucher, hashOrder, hashVoucher, marketplaceDomain, signOrder, signVoucher, verifyOrder, verifyVoucher,
+} = require('./orders');
+
+/**
+ * @title MarketplaceClient
+ * @notice Wrapper around `Marketplace` fixed price sales
+ * @dev takes care of the NFT and ERC20 approvals before listing and buying. The functions of the
+ * `MarketplaceExtension`, the `MarketplaceListingExtension`, the `MarketplaceBundleExtension` and the
+ * `MarketplaceRentalExtension` are called on the marketplace address, which delegates them to the extensions
+ */
+class MarketplaceClient extends ContractClient {
+  static artifact = 'Marketplace';
+
+  static extensionArtifact = 'MarketplaceExtension';
+
+  static listingExtensionArtifact = 'MarketplaceListingExtension';
+
+  static bundleExtensionArtifact = 'MarketplaceBundleExtension';
+
+  static rentalExtensionArtifact = 'MarketplaceRentalExtension';
+
+  /**
+   * @param {Web3} web3 connected web3 instance
+   * @param {string} address deployed marketplace address
+   * @param {object} [options]
+   * @param {Array} [options.abi] marketplace ABI, loaded from the build directory if omitted
+   * @param {Array} [options.extensionAbi] extension ABI, loaded from the build directory if omitted
+   * @param {Array} [options.listingExtensionAbi] listing extension ABI, loaded from the build directory if omitted
+   * @param {Array} [options.bundleExtensionAbi] bundle extension ABI, loaded from the build directory if omitted
+   * @param {Array} [options.rentalExtensionAbi] rental extension ABI, loaded from the build directory if omitted
+   * @param {string} [options.from] default sender address
+   */
+  constructor(web3, address, {
+    abi, extensionAbi, listingExtensionAbi, bundleExtensionAbi, rentalExtensionAbi, from,
+  } = {}) {
+    super(web3, address, {
+      abi: mergeAbis(
+        abi || loadAbi(MarketplaceClient.artifact),
+        extensionAbi || loadAbi(MarketplaceClient.extensionArtifact),
+        listingExtensionAbi || loadAbi(MarketplaceClient.listingExtensionArtifact),
+        bundleExtensionAbi || loadAbi(MarketplaceClient.bundleExtensionArtifact),
+        rentalExtensionAbi || loadAbi(MarketplaceClient.rentalExtensionArtifact),
+      ),
+      from,
+    });
+  }
+
+  /**
+   * @notice Reads a market item
+   * @param {string} collection ERC721 contract address
+   * @param {string|number} tokenId the NFT identifier
+   * @return {Promise<{price: string, currency: string, forSale: boolean, startTime: string, expiry: string, owner: string}>}
+   */
+  async getItem(collection, tokenId) {
+    const [item, owner] = await Promise.all([
+      this._call('marketItems', collection, tokenId),
+      this._call('tokenOwners', collection, tokenId),
+    ]);
+    return {
+      price: item.price,
+      currency: item.currency,
+      forSale: item.forSale,
+      startTime: item.startTime,
+      expiry: item.expiry,
+      owner,
+    };
+  }
+
+  /**
+   * @notice Reads the platform fee of this contract that applies to `currency`
+   * @dev only charged while no fee manager is set, see {quoteBuy}
+   * @return {Promise<BN>} fee in percentage (using 2 decimals: 10000 = 100)
+   */
+  async platformFee(currency) {
+    const [token, feeInCoin, feeInToken] = await Promise.all([
+      this._call('token'),
+      this._call('platformFeeInCoin'),
+      this._call('platformFeeInToken'),
+    ]);
+    return platformFeeFor(currency, token, feeInCoin, feeInToken);
+  }
+
+  /**
+   * @notice Reads whether trading is paused, listed tokens, offers and payments can still be withdrawn
+   */
+  isPaused() {
+    return this._call('paused');
+  }
+
+  /**
+   * @notice Reads the default collection of the marketplace
+   */
+  defaultCollection() {
+    return this._call('nftContract');
+  }
+
+  /**
+   * @notice Puts a token on sale, approving the marketplace for the collection first if needed
+   * @param {string} collection approved ERC721 contract address
+   * @param {string|number} tokenId the NFT identifier
+   * @param {string|BN} price price in wei
+   * @param {string} [currency] approved ERC20 address, zero address for native coin
+   * @param {object} [options] transaction options
+   */
+  async putTokenForSale(collection, tokenId, price, currency = ZERO_ADDRESS, options) {
+    await this._checkListing(collection, [currency]);
+    await this._ensureApprovalForAll(collection, this.address, options);
+    return this._send('putTokenForSale', [collection, tokenId, price.toString(), currency], options);
+  }
+
+  /**
+   * @notice Puts several tokens of a collection on sale in one transaction
+   * @param {string} collection approved ERC721 contract address
+   * @param {Array<{tokenId: string|number, price: string|BN, currency: string}>} items listings, `currency` defaults to native coin
+   * @param {object} [options] transaction options
+   */
+  async putTokensForSale(collection, items, options) {
+    const currencies = items.map((item) => item.currency || ZERO_ADDRESS);
+    await this._checkListing(collection, currencies);
+    await this._ensureApprovalForAll(collection, this.address, options);
+    return this._send('putTokensForSale', [
+      collection,
+      items.map((item) => item.tokenId.toString()),
+      items.map((item) => item.price.toString()),
+      currencies,
+    ], options);
+  }
+
+  /**
+   * @notice Puts a token on sale between `startTime` and `expiry`, sending the reclaim bounty when it expires
+   * @param {object} params
+   * @param {string} params.collection approved ERC721 contract address
+   * @param {string|number} params.tokenId the NFT identifier
+   * @param {string|BN} params.price price in wei
+   * @param {string} [params.currency] approved ERC20 address, zero address for native coin
+   * @param {string|number} [params.startTime] timestamp before which the token can not be bought, now if omitted
+   * @param {string|number} [params.expiry] timestamp after which the token can not be bought, never if omitted
+   * @param {object} [options] transaction options
+   */
+  async putTokenForSaleTimed({
+    collection, tokenId, price, currency = ZERO_ADDRESS, startTime = 0, expiry = 0,
+  }, options = {}) {
+    await this._checkListing(collection, [currency]);
+    await this._ensureApprovalForAll(collection, this.address, options);
+    const bounty = Number(expiry) === 0 ? '0' : await this._call('reclaimBounty');
+    return this._send(
+      'putTokenForSaleTimed',
+      [collection, tokenId, price.toString(), currency, startTime.toString(), expiry.toString()],
+      { ...options, value: bounty },
+    );
+  }
+
+  /**
+   * @notice Gives an expired listing back to its seller, the sender is credited the bounty of the listing
+   */
+  reclaimExpired(collection, tokenId, options) {
+    return this._send('reclaimExpired', [collection, tokenId], options);
+  }
+
+  /**
+   * @notice Reads a page of the listings on sale, expired ones are included until they are reclaimed
+   * @param {object} [params]
+   * @param {string} [params.seller] only the listings of this seller
+   * @param {string} [params.currency] only the listings in this currency, ignored when `seller` is set
+   * @param {number} [params.offset] index of the first listing
+   * @param {number} [params.limit] maximum number of listings
+   * @return {Promise<Array<{collection: string, tokenId: string, seller: string, price: string, currency: string, startTime: string, expiry: string}>>}
+   */
+  async getListings({
+    seller, currency, offset = 0, limit = 100,
+  } = {}) {
+    let listings;
+    if (seller) {
+      listings = await this._call('getListingsBySeller', seller, offset, limit);
+    } else if (currency) {
+      listings = await this._call('getListingsByCurrency', currency, offset, limit);
+    } else {
+      listings = await this._call('getActiveListings', offset, limit);
+    }
+    return listings.map(({
+      collection, tokenId, seller: owner, price, currency: listingCurrency, startTime, expiry,
+    }) => ({
+      collection, tokenId, seller: owner, price, currency: listingCurrency, startTime, expiry,
+    }));
+  }
+
+  updateTokenPrice(collection, tokenId, price, options) {
+    return this._send('updateTokenPrice', [collection, tokenId, price.toString()], options);
+  }
+
+  /**
+   * @notice Changes the price of several listed tokens of a collection
+   * @param {string} collection ERC721 contract address
+   * @param {Array<{tokenId: string|number, price: string|BN}>} items new prices
+   * @param {object} [options] transaction options
+   */
+  updateTokenPrices(collection, items, options) {
+    return this._send('updateTokenPrices', [
+      collection,
+      items.map((item) => item.tokenId.toString()),
+      items.map((item) => item.price.toString()),
+    ], options);
+  }
+
+  removeTokenFromSale(collection, tokenId, options) {
+    return this._send('removeTokenFromSale', [collection, tokenId], options);
+  }
+
+  removeTokensFromSale(collection, tokenIds, options) {
+    return this._send('removeTokensFromSale', [collection, tokenIds.map(String)], options);
+  }
+
+  /**
+   * @notice Quotes how `buyToken` splits the price of a listed token
+   * @return {Promise<{price: BN, currency: string, seller: string, fee: BN, royalty: BN, royaltyReceiver: string, royalties: Array<{recipient: string, amount: BN}>, sellerProceeds: BN}>}
+   */
+  async quoteBuy(collection, tokenId) {
+    const item = await this._listedItem(collection, tokenId);
+    const [fee, royalty] = await Promise.all([
+      this._quoteFee(collection, item.currency, item.owner, item.price),
+      this._royalties(collection, tokenId, item.price),
+    ]);
+    return {
+      currency: item.currency,
+      seller: item.owner,
+      ...quoteSplit({ price: item.price, fee, seller: item.owner, ...royalty }),
+    };
+  }
+
+  /**
+   * @notice Buys a listed token, sending the native price or approving the ERC20 price first
+   * @param {string} collection ERC721 contract address
+   * @param {string|number} tokenId the NFT identifier
+   * @param {object} [options] transaction options
+   */
+  async buyToken(collection, tokenId, options = {}) {
+    const item = await this._listedItem(collection, tokenId);
+    if (sameAddress(item.currency, USD)) {
+      throw new UsdPriceError('Pay USD prices with buyTokenInCurrency', 'USD is not a payment currency');
+    }
+    if (item.currency === ZERO_ADDRESS) {
+      return this._send('buyToken', [collection, tokenId], { ...options, value: item.price });
+    }
+    await this._ensureAllowance(item.currency, this.address, item.price, options);
+    return this._send('buyToken', [collection, tokenId], options);
+  }
+
+  /**
+   * @notice Buys a token listed in an ERC20 in one transaction, the allowance is given by a permit signed by the sender
+   * @dev the currency must support EIP-2612 permits
+   * @param {string} collection ERC721 contract address
+   * @param {string|number} tokenId the NFT identifier
+   * @param {object} [params]
+   * @param {string|number} [params.deadline] permit expiry timestamp, one hour after the latest block by default
+   * @param {object} [options] transaction options
+   */
+  async buyTokenWithPermit(collection, tokenId, { deadline } = {}, options = {}) {
+    const item = await this._listedItem(collection, tokenId);
+    if (item.currency === ZERO_ADDRESS) {
+      throw new PermitCurrencyError('Permit requires an ERC20');
+    }
+    const { v, r, s, ...permit } = await this._signPermit(item.currency, this.address, item.price, deadline, options);
+    return this._send('buyTokenWithPermit', [collection, tokenId, permit.deadline, v, r, s], options);
+  }
+
+  /**
+   * @notice Buys a token listed in USD, paying its price in `currency` at the rate of the price feed of the currency
+   * @dev the amount paid is bounded by the current quote plus `slippage`, the native coin surplus is credited
+   * to the buyer, see {withdrawPayments}
+   * @param {string} collection ERC721 contract address
+   * @param {string|number} tokenId the NFT identifier
+   * @param {string} [currency] approved ERC20 address with a price feed, zero address for native coin
+   * @param {object} [params]
+   * @param {number} [params.slippage] tolerated rate move in percentage (using 2 decimals: 10000 = 100), 1% by default
+   * @param {object} [options] transaction options
+   */
+  async buyTokenInCurrency(collection, tokenId, currency = ZERO_ADDRESS, { slippage = 100 } = {}, options = {}) {
+    const item = await this._listedItem(collection, tokenId);
+    if (!sameAddress(item.currency, USD)) {
+      throw new UsdPriceError('Price is not in USD', 'Price is not in USD');
+    }
+    const quote = this.web3.utils.toBN(await this.convertUsdPrice(currency, item.price));
+    const maxAmount = quote.mul(FEE_DENOMINATOR.addn(slippage)).div(FEE_DENOMINATOR).toString();
+    const args = [collection, tokenId, currency, maxAmount];
+    if (currency === ZERO_ADDRESS) {
+      return this._send('buyTokenInCurrency', args, { ...options, value: maxAmount });
+    }
+    await this._ensureAllowance(currency, this.address, maxAmount, options);
+    return this._send('buyTokenInCurrency', args, options);
+  }
+
+  /**
+   * @notice Quotes the amount of `currency` a price in USD is worth at the rate of its price feed
+   * @param {string} currency currency address, zero address for native coin
+   * @param {string|BN} usdAmount price in USD, using 8 decimals: 100000000 = 1 USD
+   * @return {Promise<string>} amount in wei of the currency
+   */
+  convertUsdPrice(currency, usdAmount) {
+    return this._call('convertUsdPrice', currency, usdAmount.toString());
+  }
+
+  /**
+   * @notice Reads the feed pricing a currency in USD, `aggregator` is the zero address when it has none
+   * @return {Promise<{aggregator: string, maxAge: string}>}
+   */
+  async getPriceFeed(currency) {
+    const { aggregator, maxAge } = await this._call('getPriceFeed', currency);
+    return { aggregator, maxAge };
+  }
+
+  /**
+   * @notice Buys several listed tokens at once, sending the native total and approving each ERC20 total first
+   * @dev tokens that are already sold throw {NotForSaleError} and tokens priced in USD throw {UsdPriceError}
+   * unless `skipUnavailable` is set, in which case they are left out of the value sent. Tokens sold while the
+   * transaction is pending are skipped and their value is credited to the buyer, see {withdrawPayments}
+   * @param {Array<{collection: string, tokenId: string|number}>} items tokens to buy
+   * @param {object} [options] transaction options
+   * @param {boolean} [options.skipUnavailable] skip tokens that are no longer on sale or priced in USD instead of failing
+   */
+  async buyTokens(items, { skipUnavailable = false, ...options } = {}) {
+    const listed = await Promise.all(items.map(({ collection, tokenId }) => this.getItem(collection, tokenId)));
+    if (!skipUnavailable && listed.some((item) => !item.forSale)) {
+      throw new NotForSaleError('Token must be on Sale', 'Token must be on Sale');
+    }
+    if (!skipUnavailable && listed.some((item) => sameAddress(item.currency, USD))) {
+      throw new UsdPriceError('Pay USD prices with buyTokenInCurrency', 'USD is not a payment currency');
+    }
+
+    const { toBN } = this.web3.utils;
+    const totals = {};
+    listed.filter((item) => item.forSale && !sameAddress(item.currency, USD)).forEach((item) => {
+      totals[item.currency] = (totals[item.currency] || toBN(0)).add(toBN(item.price));
+    });
+    for (const [currency, total] of Object.entries(totals)) {
+      if (currency !== ZERO_ADDRESS) {
+        await this._ensureAllowance(currency, this.address, total, options);
+      }
+    }
+
+    const value = (totals[ZERO_ADDRESS] || toBN(0)).toString();
+    return this._send('buyTokens', [
+      items.map((item) => item.collection),
+      items.map((item) => item.tokenId.toString()),
+      skipUnavailable,
+    ], { ...options, value });
+  }
+
+  /**
+   * @notice Reads an ERC-1155 listing
+   * @return {Promise<{seller: string, collection: string, tokenId: string, quantity: string, pricePerUnit: string, currency: string}>}
+   */
+  getEditionListing(listingId) {
+    return this._call('editionListings', listingId);
+  }
+
+  /**
+   * @notice Puts units of an ERC-1155 token on sale, approving the marketplace for the collection first if needed
+   * @param {object} params
+   * @param {string} params.collection approved ERC1155 contract address
+   * @param {string|number} params.tokenId the token identifier
+   * @param {string|number} params.quantity number of units for sale
+   * @param {string|BN} params.pricePerUnit price of one unit in wei
+   * @param {string} [params.currency] approved ERC20 address, zero address for native coin
+   * @param {object} [options] transaction options
+   * @return {Promise<string>} the listing id
+   */
+  async putEditionForSale({ collection, tokenId, quantity, pricePerUnit, currency = ZERO_ADDRESS }, options) {
+    await this._checkListing(collection, [currency]);
+    await this._ensureApprovalForAll(collection, this.address, options);
+    const receipt = await this._send(
+      'putEditionForSale',
+      [collection, tokenId, quantity.toString(), pricePerUnit.toString(), currency],
+      options,
+    );
+    return receipt.events.EditionOnSale.returnValues.listingId;
+  }
+
+  updateEditionPrice(listingId, pricePerUnit, options) {
+    return this._send('updateEditionPrice', [listingId, pricePerUnit.toString()], options);
+  }
+
+  removeEditionFromSale(listingId, options) {
+    return this._send('removeEditionFromSale', [listingId], options);
+  }
+
+  /**
+   * @notice Quotes how `buyEdition` splits the price of `quantity` units of a listing
+   * @return {Promise<{price: BN, currency: string, seller: string, fee: BN, royalty: BN, royaltyReceiver: string, royalties: Array<{recipient: string, amount: BN}>, sellerProceeds: BN}>}
+   */
+  async quoteEditionBuy(listingId, quantity) {
+    const listing = await this._availableEdition(listingId, quantity);
+    const price = this.web3.utils.toBN(listing.pricePerUnit).muln(Number(quantity));
+    const [fee, royalty] = await Promise.all([
+      this._quoteFee(listing.collection, listing.currency, listing.seller, price),
+      this._royalties(listing.collection, listing.tokenId, price),
+    ]);
+    return {
+      currency: listing.currency,
+      seller: listing.seller,
+      ...quoteSplit({ price, fee, seller: listing.seller, ...royalty }),
+    };
+  }
+
+  /**
+   * @notice Buys units of an ERC-1155 listing, sending the native price or approving the ERC20 price first
+   * @param {string|number} listingId the listing identifier
+   * @param {string|number} quantity number of units to buy
+   * @param {object} [options] transaction options
+   */
+  async buyEdition(listingId, quantity, options = {}) {
+    const listing = await this._availableEdition(listingId, quantity);
+    const price = this.web3.utils.toBN(listing.pricePerUnit).muln(Number(quantity)).toString();
+    if (listing.currency === ZERO_ADDRESS) {
+      return this._send('buyEdition', [listingId, quantity.toString()], { ...options, value: price });
+    }
+    await this._ensureAllowance(listing.currency, this.address, price, options);
+    return this._send('buyEdition', [listingId, quantity.toString()], options);
+  }
+
+  /**
+   * @notice Reads a bundle listing and its tokens
+   * @return {Promise<{seller: string, price: string, currency: string, forSale: boolean, items: Array<{collection: string, tokenId: string, share: string}>}>}
+   */
+  async getBundle(bundleId) {
+    const [bundle, items] = await Promise.all([
+      this._call('bundles', bundleId),
+      this._call('getBundleItems', bundleId),
+    ]);
+    return {
+      seller: bundle.seller,
+      price: bundle.price,
+      currency: bundle.currency,
+      forSale: bundle.forSale,
+      items: items.map(({ collection, tokenId, share }) => ({ collection, tokenId, share })),
+    };
+  }
+
+  /**
+   * @notice Puts several NFTs on sale as one bundle, approving the marketplace for each collection first if needed
+   * @param {object} params
+   * @param {Array<{collection: string, tokenId: string|number, share: string|number}>} params.items tokens of the bundle,
+   * `share` is the part of the price the token stands for, using 2 decimals: the shares add up to 10000, each at least 100
+   * @param {string|BN} params.price bundle price in wei
+   * @param {string} [params.currency] approved ERC20 address, zero address for native coin
+   * @param {object} [options] transaction options
+   * @return {Promise<string>} the bundle id
+   */
+  async putBundleForSale({ items, price, currency = ZERO_ADDRESS }, options) {
+    const collections = [...new Set(items.map((item) => item.collection))];
+    for (const collection of collections) {
+      await this._checkListing(collection, [currency]);
+      await this._ensureApprovalForAll(collection, this.address, options);
+    }
+    const receipt = await this._send('putBundleForSale', [
+      items.map((item) => item.collection),
+      items.map((item) => item.tokenId.toString()),
+      items.map((item) => item.share.toString()),
+      price.toString(),
+      currency,
+    ], options);
+    return receipt.events.BundleOnSale.returnValues.bundleId;
+  }
+
+  updateBundlePrice(bundleId, price, options) {
+    return this._send('updateBundlePrice', [bundleId, price.toString()], options);
+  }
+
+  removeBundleFromSale(bundleId, options) {
+    return this._send('removeBundleFromSale', [bundleId], options);
+  }
+
+  /**
+   * @notice Buys all the tokens of a bundle, sending the native price or approving the ERC20 price first
+   * @param {string|number} bundleId the bundle identifier
+   * @param {object} [options] transaction options
+   */
+  async buyBundle(bundleId, options = {}) {
+    const bundle = await this._call('bundles', bundleId);
+    if (!bundle.forSale) {
+      throw new NotForSaleError('Token must be on Sale', 'Token must be on Sale');
+    }
+    if (bundle.currency === ZERO_ADDRESS) {
+      return this._send('buyBundle', [bundleId], { ...options, value: bundle.price });
+    }
+    await this._ensureAllowance(bundle.currency, this.address, bundle.price, options);
+    return this._send('buyBundle', [bundleId], options);
+  }
+
+  /**
+   * @notice Reads the rental listing of a token
+   * @return {Promise<{owner: string, pricePerDay: string, currency: string, minDays: string, maxDays: string, active: boolean}>}
+   */
+  async getRentalListing(collection, tokenId) {
+    const listing = await this._call('getRentalListing', collection, tokenId);
+    return {
+      owner: listing.owner,
+      pricePerDay: listing.pricePerDay,
+      currency: listing.currency,
+      minDays: listing.minDays,
+      maxDays: listing.maxDays,
+      active: listing.active,
+    };
+  }
+
+  /**
+   * @notice Puts an ERC-4907 token up for rent, approving the marketplace for the collection first if needed
+   * @dev the token stays in the wallet of the sender, the marketplace sets the renter as its user
+   * @param {object} params
+   * @param {string} params.collection approved ERC721 contract address supporting ERC-4907
+   * @param {string|number} params.tokenId the NFT identifier
+   * @param {string|BN} params.pricePerDay price of one day of rental in wei
+   * @param {string} [params.currency] approved ERC20 address, zero address for native coin
+   * @param {string|number} params.minDays shortest rental, in days
+   * @param {string|number} params.maxDays longest rental, in days
+   * @param {object} [options] transaction options
+   */
+  async putTokenForRent({
+    collection, tokenId, pricePerDay, currency = ZERO_ADDRESS, minDays, maxDays,
+  }, options) {
+    await this._checkListing(collection, [currency]);
+    await this._ensureApprovalForAll(collection, this.address, options);
+    return this._send('putTokenForRent', [
+      collection, tokenId, pricePerDay.toString(), currency, minDays.toString(), maxDays.toString(),
+    ], options);
+  }
+
+  removeTokenFromRent(collection, tokenId, options) {
+    return this._send('removeTokenFromRent', [collection, tokenId], options);
+  }
+
+  /**
+   * @notice Rents a token for `rentalDays` days, sending the native rent or approving the ERC20 rent first
+   * @param {string} collection ERC721 contract address
+   * @param {string|number} tokenId the NFT identifier
+   * @param {string|number} rentalDays rental duration in days
+   * @param {object} [options] transaction options
+   */
+  async rentToken(collection, tokenId, rentalDays, options = {}) {
+    const listing = await this.getRentalListing(collection, tokenId);
+    if (!listing.active) {
+      throw new NotForRentError('Token must be for rent', 'Token must be for rent');
+    }
+    const price = this.web3.utils.toBN(listing.pricePerDay).muln(Number(rentalDays)).toString();
+    const args = [collection, tokenId, rentalDays.toString()];
+    if (listing.currency === ZERO_ADDRESS) {
+      return this._send('rentToken', args, { ...options, value: price });
+    }
+    await this._ensureAllowance(listing.currency, this.address, price, options);
+    return this._send('rentToken', args, options);
+  }
+
+  getOffer(offerId) {
+    return this._call('offers', offerId);
+  }
+
+  /**
+   * @notice Escrows an offer on a token, sending the native amount or approving the ERC20 amount first
+   * @param {object} params
+   * @param {string} params.collection approved ERC721 contract address
+   * @param {string|number} params.tokenId the NFT identifier
+   * @param {string|BN} params.amount offered amount in wei
+   * @param {string} [params.currency] approved ERC20 address, zero address for native coin
+   * @param {string|number} params.expiry timestamp after which the offer can not be accepted
+   * @param {object} [options] transaction options
+   * @return {Promise<string>} the offer id
+   */
+  async makeOffer({ collection, tokenId, amount, currency = ZERO_ADDRESS, expiry }, options = {}) {
+    const args = [collection, tokenId, amount.toString(), currency, expiry.toString()];
+    let receipt;
+    if (currency === ZERO_ADDRESS) {
+      receipt = await this._send('makeOffer', args, { ...options, value: amount.toString() });
+    } else {
+      await this._ensureAllowance(currency, this.address, amount, options);
+      receipt = await this._send('makeOffer', args, options);
+    }
+    return receipt.events.OfferMade.returnValues.offerId;
+  }
+
+  /**
+   * @notice Accepts an offer, approving the marketplace for the collection first if the token is not listed
+   */
+  async acceptOffer(offerId, options = {}) {
+    const { collection, tokenId } = await this.getOffer(offerId);
+    const { owner } = await this.getItem(collection, tokenId);
+    if (!sameAddress(owner, this._from(options))) {
+      await this._ensureApprovalForAll(collection, this.address, options);
+    }
+    return this._send('acceptOffer', [offerId], options);
+  }
+
+  withdrawOffer(offerId, options) {
+    return this._send('withdrawOffer', [offerId], options);
+  }
+
+  /**
+   * @notice Reads the sale proceeds, royalties and fees `account` can withdraw
+   * @param {string} account payee address
+   * @param {string} [currency] ERC20 address, zero address for native coin
+   * @return {Promise<string>} amount in wei
+   */
+  pendingPayments(account, currency = ZERO_ADDRESS) {
+    return this._call('pendingPayments', account, currency);
+  }
+
+  /**
+   * @notice Withdraws the payments credited to the sender in `currency`
+   * @param {string} [currency] ERC20 address, zero address for native coin
+   * @param {object} [options] transaction options
+   */
+  withdrawPayments(currency = ZERO_ADDRESS, options) {
+    return this._send('withdrawPayments', [currency], options);
+  }
+
+  /**
+   * @notice EIP-712 domain the orders of this marketplace are signed for
+   */
+  async domain() {
+    return marketplaceDomain(await this.web3.eth.getChainId(), this.address);
+  }
+
+  /**
+   * @notice Signs a sell order, approving the marketplace for the collection first if needed
+   * @dev the token stays in the seller wallet, no transaction is sent besides the approval
+   * @param {object} params order fields, see {buildOrder}. `nftContract` defaults to the marketplace default collection
+   * @param {object} [options] `from` is the seller
+   * @return {Promise<{order: object, signature: string}>}
+   */
+  async createSellOrder(params, options = {}) {
+    const order = await this._buildOrder(params, options);
+    await this._ensureApprovalForAll(order.nftContract, this.address, options);
+    return { order, signature: await signOrder(this.web3, 'SellOrder', order, await this.domain()) };
+  }
+
+  /**
+   * @notice Signs an offer, approving the marketplace for the ERC20 price first if needed
+   * @param {object} params order fields, see {buildOrder}. `currency` must be an ERC20
+   * @param {object} [options] `from` is the buyer
+   * @return {Promise<{order: object, signature: string}>}
+   */
+  async createOffer(params, options = {}) {
+    const order = await this._buildOrder(params, options);
+    await this._ensureAllowance(order.currency, this.address, order.price, options);
+    return { order, signature: await signOrder(this.web3, 'Offer', order, await this.domain()) };
+  }
+
+  /**
+   * @notice Buys a token with a signed sell order, sending the native price or approving the ERC20 price first
+   */
+  async fulfillSellOrder(order, signature, options = {}) {
+    await this._checkSignature('SellOrder', order, signature);
+    if (order.currency === ZERO_ADDRESS) {
+      return this._send('fulfillSellOrder', [order, signature], { ...options, value: order.price });
+    }
+    await this._ensureAllowance(order.currency, this.address, order.price, options);
+    return this._send('fulfillSellOrder', [order, signature], options);
+  }
+
+  /**
+   * @notice Accepts a signed offer, approving the marketplace for the collection first if needed
+   */
+  async fulfillOffer(order, signature, options = {}) {
+    await this._checkSignature('Offer', order, signature);
+    await this._ensureApprovalForAll(order.nftContract, this.address, options);
+    return this._send('fulfillOffer', [order, signature], options);
+  }
+
+  /**
+   * @notice Signs a lazy mint voucher, nothing is minted until a buyer redeems it
+   * @param {object} params voucher fields, see {buildVoucher}. `nftContract` defaults to the marketplace default collection
+   * @param {object} [options] `from` is the creator
+   * @return {Promise<{voucher: object, signature: string}>}
+   */
+  async createVoucher(params, options = {}) {
+    const voucher = buildVoucher({
+      ...params,
+      nftContract: params.nftContract || await this.defaultCollection(),
+      creator: this._from(options),
+    });
+    await this._checkListing(voucher.nftContract, [voucher.currency]);
+    return { voucher, signature: await signVoucher(this.web3, voucher, await this.domain()) };
+  }
+
+  /**
+   * @notice Buys the token of a lazy mint voucher, sending the native price or approving the ERC20 price first
+   * @return {Promise<object>} the receipt, `events.VoucherRedeemed.returnValues.tokenId` is the minted token
+   */
+  async redeemVoucher(voucher, signature, options = {}) {
+    const domain = await this.domain();
+    if (!verifyVoucher(this.web3, voucher, signature, domain)
+      && !(await this._isValidContractSignature(voucher.creator, hashVoucher(this.web3, voucher, domain), signature))) {
+      throw new InvalidSignatureError('Invalid signature', 'Invalid signature');
+    }
+    if (voucher.currency === ZERO_ADDRESS) {
+      return this._send('redeemVoucher', [voucher, signature], { ...options, value: voucher.price });
+    }
+    await this._ensureAllowance(voucher.currency, this.address, voucher.price, options);
+    return this._send('redeemVoucher', [voucher, signature], options);
+  }
+
+  cancelOrder(nonce, options) {
+    return this._send('cancelOrder', [nonce.toString()], options);
+  }
+
+  invalidateNonces(minNonce, options) {
+    return this._send('invalidateNonces', [minNonce.toString()], options);
+  }
+
+  // checks the collection and every listing currency are approved
+  async _checkListing(collection, currencies) {
+    const unique = [...new Set(currencies)];
+    const [collectionApproved, ...currenciesApproved] = await Promise.all([
+      this._call('approvedCollections', collection),
+      ...unique.map((currency) => this._call('approvedTokens', currency)),
+    ]);
+    if (currenciesApproved.includes(false)) {
+      throw new CurrencyNotApprovedError('Currency must be approved', 'Currency must be approved');
+    }
+    if (!collectionApproved) {
+      throw new CollectionNotApprovedError('Collection must be approved', 'Collection must be approved');
+    }
+  }
+
+  // reads a market item and checks it can be bought now
+  async _listedItem(collection, tokenId) {
+    const item = await this.getItem(collection, tokenId);
+    if (!item.forSale) {
+      throw new NotForSaleError('Token must be on Sale', 'Token must be on Sale');
+    }
+    const { timestamp: now } = await this.web3.eth.getBlock('latest');
+    if (Number(item.startTime) > Number(now)) {
+      throw new NotForSaleError('Sale has not started', 'Sale has not started');
+    }
+    if (Number(item.expiry) !== 0 && Number(item.expiry) < Number(now)) {
+      throw new NotForSaleError('Sale expired', 'Sale expired');
+    }
+    return item;
+  }
+
+  // reads a listing and checks it still has `quantity` units on sale
+  async _availableEdition(listingId, quantity) {
+    const listing = await this.getEditionListing(listingId);
+    if (this.web3.utils.toBN(listing.quantity).isZero()) {
+      throw new NotForSaleError('Token must be on Sale', 'Token must be on Sale');
+    }
+    if (this.web3.utils.toBN(listing.quantity).lt(this.web3.utils.toBN(quantity))) {
+      throw new InvalidQuantityError('Not enough units on sale', 'Not enough units on sale');
+    }
+    return listing;
+  }
+
+  async _buildOrder(params, options) {
+    return buildOrder({
+      ...params,
+      nftContract: params.nftContract || await this.defaultCollection(),
+      maker: this._from(options),
+    });
+  }
+
+  async _checkSignature(kind, order, signature) {
+    const domain = await this.domain();
+    if (!verifyOrder(this.web3, kind, order, signature, domain)
+      && !(await this._isValidContractSignature(order.maker, hashOrder(this.web3, kind, order, domain), signature))) {
+      throw new InvalidSignatureError('Invalid signature', 'Invalid signature');
+    }
+  }
+
+  // asks a contract signer, e.g. a smart wallet, whether it approves `hash` through ERC-1271
+  async _isValidContractSignature(account, hash, signature) {
+    if ((await this.web3.eth.getCode(account)) === '0x') {
+      return false;
+    }
+    try {
+      const wallet = new this.web3.eth.Contract(ERC1271_ABI, account);
+      return (await wallet.methods.isValidSignature(hash, signature).call()) === ERC1271_MAGIC_VALUE;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = { MarketplaceClient };
@@ -0,0 +1,111 @@
+const { ContractClient } = require('./contracts');
+
+/**
+ * @title NFTClient
+ * @notice Wrapper around the `NFT` collection contract
+ */
+class NFTClient extends ContractClient {
+  static artifact = 'NFT';
+
+  /**
+   * @notice Mints a new NFT to the sender
+   * @param {string} uri metadata URI of the token
+   * @param {string|number} royalty percentage (using 2 decimals: 10000 = 100)
+   * @param {object} [options] transaction options
+   * @return {Promise<string>} the id of the minted token
+   */
+  async mint(uri, royalty, options) {
+    const receipt = await this._send('mint', [uri, royalty.toString()], options);
+    return receipt.events.Transfer.returnValues.tokenId;
+  }
+
+  /**
+   * @notice Mints several NFTs to the sender in one transaction
+   * @param {string[]} uris metadata URIs of the tokens
+   * @param {Array<string|number>} royalties percentages (using 2 decimals: 10000 = 100), one per URI
+   * @param {object} [options] transaction options
+   * @return {Promise<string[]>} the ids of the minted tokens, in the order of `uris`
+   */
+  async mintBatch(uris, royalties, options) {
+    const receipt = await this._send('mintBatch', [uris, royalties.map(String)], options);
+    // web3 gives a single event object, not an array, when only one token is minted
+    return [].concat(receipt.events.Transfer).map((event) => event.returnValues.tokenId);
+  }
+
+  /**
+   * @notice Mints a new NFT to the sender with royalties shared between several recipients
+   * @param {string} uri metadata URI of the token
+   * @param {Array<{recipient: string, amount: string|number}>} royalties percentages (using 2 decimals: 10000 = 100)
+   * @param {object} [options] transaction options
+   * @return {Promise<string>} the id of the minted token
+   */
+  async mintWithRoyalties(uri, royalties, options) {
+    const receipt = await this._send('mintWithRoyalties', [uri, toRoyaltyInfos(royalties)], options);
+    return receipt.events.Transfer.returnValues.tokenId;
+  }
+
+  /**
+   * @notice Lowers or reassigns the royalties of a token, the sender must be its creator
+   * @param {string|number} tokenId the NFT identifier
+   * @param {Array<{recipient: string, amount: string|number}>} royalties percentages (using 2 decimals: 10000 = 100)
+   * @param {object} [options] transaction options
+   */
+  updateTokenRoyalties(tokenId, royalties, options) {
+    return this._send('updateTokenRoyalties', [tokenId, toRoyaltyInfos(royalties)], options);
+  }
+
+  /**
+   * @notice Reads the royalty recipients of a token, the default royalties when it has none of its own
+   * @return {Promise<Array<{recipient: string, amount: string}>>} percentages (using 2 decimals: 10000 = 100)
+   */
+  async getTokenRoyalties(tokenId) {
+    const royalties = await this._call('getTokenRoyalties', tokenId);
+    return royalties.map(({ recipient, amount }) => ({ recipient, amount }));
+  }
+
+  /**
+   * @notice Reads the royalty for a sale of `tokenId` at `price`
+   * @return {Promise<{receiver: string, royaltyAmount: string}>}
+   */
+  royaltyInfo(tokenId, price) {
+    return this._call('royaltyInfo', tokenId, price.toString());
+  }
+
+  ownerOf(tokenId) {
+    return this._call('ownerOf', tokenId);
+  }
+
+  creatorOf(tokenId) {
+    return this._call('creators', tokenId);
+  }
+
+  /**
+   * @notice Lends a token: `user` can use it until `expires`, the sender must own the token or be approved for it
+   * @param {string|number} tokenId the NFT identifier
+   * @param {string} user the user address, zero address to clear it
+   * @param {string|number} expires UNIX timestamp until which `user` can use the token
+   * @param {object} [options] transaction options
+   */
+  setUser(tokenId, user, expires, options) {
+    return this._send('setUser', [tokenId, user, expires.toString()], options);
+  }
+
+  /**
+   * @notice Reads the ERC-4907 user of a token and until when it can use it
+   * @return {Promise<{user: string, expires: string}>} zero address as `user` when there is none or it expired
+   */
+  async getUser(tokenId) {
+    const [user, expires] = await Promise.all([
+      this._call('userOf', tokenId),
+      this._call('userExpires', tokenId),
+    ]);
+    return { user, expires };
+  }
+}
+
+// web3 encodes tuples from arrays in field order
+function toRoyaltyInfos(royalties) {
+  return royalties.map(({ recipient, amount }) => [recipient, amount.toString()]);
+}
+
+module.exports = { NFTClient, toRoyaltyInfos };
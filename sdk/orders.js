@@ -0,0 +1,302 @@
+const { ZERO_ADDRESS, sameAddress } = require('./fees');
+
+// name and version of the `Marketplace` EIP-712 domain
+const DOMAIN_NAME = 'DemianO Marketplace';
+const DOMAIN_VERSION = '1';
+
+const ORDER_FIELDS = [
+  { name: 'nftContract', type: 'address' },
+  { name: 'tokenId', type: 'uint256' },
+  { name: 'price', type: 'uint256' },
+  { name: 'currency', type: 'address' },
+  { name: 'nonce', type: 'uint256' },
+  { name: 'expiry', type: 'uint256' },
+];
+
+// EIP-712 types by order kind, the maker is the seller of a sell order and the buyer of an offer
+const ORDER_TYPES = {
+  SellOrder: [{ name: 'seller', type: 'address' }, ...ORDER_FIELDS],
+  Offer: [{ name: 'buyer', type: 'address' }, ...ORDER_FIELDS],
+};
+
+// EIP-712 type of a lazy mint voucher, the creator signs it and the token is minted when a buyer redeems it
+const VOUCHER_TYPE = [
+  { name: 'creator', type: 'address' },
+  { name: 'nftContract', type: 'address' },
+  { name: 'uri', type: 'string' },
+  { name: 'royalty', type: 'uint256' },
+  { name: 'price', type: 'uint256' },
+  { name: 'currency', type: 'address' },
+  { name: 'nonce', type: 'uint256' },
+  { name: 'expiry', type: 'uint256' },
+];
+
+// EIP-712 type of an EIP-2612 permit, the owner signs it and the spender submits it with its transaction
+const PERMIT_TYPE = [
+  { name: 'owner', type: 'address' },
+  { name: 'spender', type: 'address' },
+  { name: 'value', type: 'uint256' },
+  { name: 'nonce', type: 'uint256' },
+  { name: 'deadline', type: 'uint256' },
+];
+
+const DOMAIN_TYPE = [
+  { name: 'name', type: 'string' },
+  { name: 'version', type: 'string' },
+  { name: 'chainId', type: 'uint256' },
+  { name: 'verifyingContract', type: 'address' },
+];
+
+/**
+ * @notice Builds an order in the shape of the `Marketplace.Order` struct
+ * @param {object} params
+ * @param {string} params.maker seller of a sell order, buyer of an offer
+ * @param {string} params.nftContract ERC721 contract address
+ * @param {string|number} params.tokenId the NFT identifier
+ * @param {string|BN} params.price price in wei
+ * @param {string} [params.currency] approved ERC20 address, zero address for native coin (sell orders only)
+ * @param {string|number} params.nonce maker nonce, see `Marketplace.isNonceUsed` and `Marketplace.minNonce`
+ * @param {string|number} params.expiry timestamp after which the order can not be filled
+ */
+function buildOrder({ maker, nftContract, tokenId, price, currency = ZERO_ADDRESS, nonce, expiry }) {
+  return {
+    maker,
+    nftContract,
+    tokenId: tokenId.toString(),
+    price: price.toString(),
+    currency,
+    nonce: nonce.toString(),
+    expiry: expiry.toString(),
+  };
+}
+
+/**
+ * @notice Builds a lazy mint voucher in the shape of the `Marketplace.MintVoucher` struct
+ * @param {object} params
+ * @param {string} params.creator creator that signs the voucher and gets the proceeds
+ * @param {string} params.nftContract collection the token is minted in, it must let the marketplace mint
+ * @param {string} params.uri metadata URI of the token
+ * @param {string|number} [params.royalty] royalty of the creator in percentage (using 2 decimals: 10000 = 100)
+ * @param {string|BN} params.price price in wei
+ * @param {string} [params.currency] approved ERC20 address, zero address for native coin
+ * @param {string|number} params.nonce creator nonce, shared with the orders of the creator
+ * @param {string|number} params.expiry timestamp after which the voucher can not be redeemed
+ */
+function buildVoucher({ creator, nftContract, uri, royalty = 0, price, currency = ZERO_ADDRESS, nonce, expiry }) {
+  return {
+    creator,
+    nftContract,
+    uri,
+    royalty: royalty.toString(),
+    price: price.toString(),
+    currency,
+    nonce: nonce.toString(),
+    expiry: expiry.toString(),
+  };
+}
+
+/**
+ * @notice EIP-712 domain of a `Marketplace` deployment
+ * @param {string|number} chainId chain the marketplace is deployed on
+ * @param {string} verifyingContract marketplace address
+ */
+function marketplaceDomain(chainId, verifyingContract) {
+  return { name: DOMAIN_NAME, version: DOMAIN_VERSION, chainId: Number(chainId), verifyingContract };
+}
+
+/**
+ * @notice EIP-712 typed data of an order, as accepted by `eth_signTypedData_v4`
+ * @param {string} kind `SellOrder` or `Offer`
+ * @param {object} order order built with {buildOrder}
+ * @param {object} domain domain built with {marketplaceDomain}
+ */
+function typedData(kind, order, domain) {
+  const { maker, ...fields } = order;
+  return {
+    types: { EIP712Domain: DOMAIN_TYPE, [kind]: ORDER_TYPES[kind] },
+    primaryType: kind,
+    domain,
+    message: { [kind === 'SellOrder' ? 'seller' : 'buyer']: maker, ...fields },
+  };
+}
+
+/**
+ * @notice EIP-712 typed data of a lazy mint voucher, as accepted by `eth_signTypedData_v4`
+ * @param {object} voucher voucher built with {buildVoucher}
+ * @param {object} domain domain built with {marketplaceDomain}
+ */
+function voucherTypedData(voucher, domain) {
+  return {
+    types: { EIP712Domain: DOMAIN_TYPE, MintVoucher: VOUCHER_TYPE },
+    primaryType: 'MintVoucher',
+    domain,
+    message: voucher,
+  };
+}
+
+/**
+ * @notice EIP-712 typed data of an EIP-2612 permit, as accepted by `eth_signTypedData_v4`
+ * @param {object} permit
+ * @param {string} permit.owner token holder that signs the permit
+ * @param {string} permit.spender account the allowance is given to
+ * @param {string|BN} permit.value allowance in wei
+ * @param {string|number} permit.nonce current `nonces(owner)` of the token
+ * @param {string|number} permit.deadline timestamp after which the permit can not be used
+ * @param {object} domain domain of the token: its name, version '1', chain id and address
+ */
+function permitTypedData({ owner, spender, value, nonce, deadline }, domain) {
+  return {
+    types: { EIP712Domain: DOMAIN_TYPE, Permit: PERMIT_TYPE },
+    primaryType: 'Permit',
+    domain,
+    message: { owner, spender, value: value.toString(), nonce: nonce.toString(), deadline: deadline.toString() },
+  };
+}
+
+/**
+ * @notice EIP-712 digest of an order, the same as `Marketplace.hashOrder`
+ * @param {Web3} web3 web3 instance, only its utils are used
+ * @param {string} kind `SellOrder` or `Offer`
+ * @param {object} order order built with {buildOrder}
+ * @param {object} domain domain built with {marketplaceDomain}
+ */
+function hashOrder(web3, kind, order, domain) {
+  return hashTypedData(web3, typedData(kind, order, domain));
+}
+
+/**
+ * @notice EIP-712 digest of a lazy mint voucher, the same as `Marketplace.hashVoucher`
+ * @param {Web3} web3 web3 instance, only its utils are used
+ * @param {object} voucher voucher built with {buildVoucher}
+ * @param {object} domain domain built with {marketplaceDomain}
+ */
+function hashVoucher(web3, voucher, domain) {
+  return hashTypedData(web3, voucherTypedData(voucher, domain));
+}
+
+/**
+ * @notice Signs an order with the maker account of the connected provider
+ * @param {Web3} web3 web3 instance connected to a provider that holds the maker key
+ * @param {string} kind `SellOrder` or `Offer`
+ * @param {object} order order built with {buildOrder}
+ * @param {object} domain domain built with {marketplaceDomain}
+ * @return {Promise<string>} the signature
+ */
+function signOrder(web3, kind, order, domain) {
+  return signTypedData(web3, order.maker, typedData(kind, order, domain));
+}
+
+/**
+ * @notice Signs a lazy mint voucher with the creator account of the connected provider
+ * @param {Web3} web3 web3 instance connected to a provider that holds the creator key
+ * @param {object} voucher voucher built with {buildVoucher}
+ * @param {object} domain domain built with {marketplaceDomain}
+ * @return {Promise<string>} the signature
+ */
+function signVoucher(web3, voucher, domain) {
+  return signTypedData(web3, voucher.creator, voucherTypedData(voucher, domain));
+}
+
+/**
+ * @notice Signs an EIP-2612 permit with the owner account of the connected provider
+ * @param {Web3} web3 web3 instance connected to a provider that holds the owner key
+ * @param {object} permit permit fields, see {permitTypedData}
+ * @param {object} domain domain of the token
+ * @return {Promise<{v: number, r: string, s: string}>} the signature split as the `permit` arguments
+ */
+async function signPermit(web3, permit, domain) {
+  const signature = await signTypedData(web3, permit.owner, permitTypedData(permit, domain));
+  return {
+    r: signature.slice(0, 66),
+    s: `0x${signature.slice(66, 130)}`,
+    // some providers return the recovery id as 0 or 1
+    v: parseInt(signature.slice(130, 132), 16) % 27 + 27,
+  };
+}
+
+/**
+ * @notice Checks that an order is signed by its maker
+ * @return {boolean} true if the signature recovers to `order.maker`
+ */
+function verifyOrder(web3, kind, order, signature, domain) {
+  try {
+    const signer = web3.eth.accounts.recover(hashOrder(web3, kind, order, domain), signature, true);
+    return sameAddress(signer, order.maker);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * @notice Checks that a lazy mint voucher is signed by its creator
+ * @return {boolean} true if the signature recovers to `voucher.creator`
+ */
+function verifyVoucher(web3, voucher, signature, domain) {
+  try {
+    const signer = web3.eth.accounts.recover(hashVoucher(web3, voucher, domain), signature, true);
+    return sameAddress(signer, voucher.creator);
+  } catch (error) {
+    return false;
+  }
+}
+
+function signTypedData(web3, signer, data) {
+  return new Promise((resolve, reject) => {
+    web3.currentProvider.send({
+      jsonrpc: '2.0',
+      id: Date.now(),
+      method: 'eth_signTypedData_v4',
+      params: [signer, data],
+    }, (error, res) => {
+      if (error || (res && res.error)) {
+        return reject(error || new Error(res.error.message));
+      }
+      resolve(res.result);
+    });
+  });
+}
+
+function hashTypedData(web3, { types, primaryType, domain, message }) {
+  const domainSeparator = hashStruct(web3, 'EIP712Domain', types.EIP712Domain, domain);
+  const structHash = hashStruct(web3, primaryType, types[primaryType], message);
+  return web3.utils.keccak256(`0x1901${domainSeparator.slice(2)}${structHash.slice(2)}`);
+}
+
+// hashStruct of EIP-712 for structs whose fields are all atomic, string or bytes types
+function hashStruct(web3, name, fields, values) {
+  const typeString = `${name}(${fields.map((field) => `${field.type} ${field.name}`).join(',')})`;
+  const dynamic = (field) => field.type === 'string' || field.type === 'bytes';
+  const types = ['bytes32', ...fields.map((field) => (dynamic(field) ? 'bytes32' : field.type))];
+  const encoded = web3.eth.abi.encodeParameters(
+    types,
+    [
+      web3.utils.keccak256(typeString),
+      ...fields.map((field) => (dynamic(field) ? web3.utils.keccak256(values[field.name]) : values[field.name])),
+    ],
+  );
+  return web3.utils.keccak256(encoded);
+}
+
+module.exports = {
+  DOMAIN_NAME,
+  DOMAIN_VERSION,
+  ORDER_TYPES,
+  VOUCHER_TYPE,
+  PERMIT_TYPE,
+  DOMAIN_TYPE,
+  buildOrder,
+  buildVoucher,
+  marketplaceDomain,
+  typedData,
+  voucherTypedData,
+  permitTypedData,
+  hashOrder,
+  hashVoucher,
+  signOrder,
+  signVoucher,
+  signPermit,
+  verifyOrder,
+  verifyVoucher,
+  signTypedData,
+  hashTypedData,
+};
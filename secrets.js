@@ -0,0 +1,24 @@
+const fs = require('fs');
+const path = require('path');
+
+const SECRETS_FILE = path.join(__dirname, 'secrets.json');
+
+// placeholders used when there is no secrets.json, enough to deploy on ganache and run the tests.
+// The BSC networks need the real values, see secrets_example.json
+const LOCAL_SECRETS = {
+  name: 'DemianO Marketplace',
+  symbol: 'DEMO',
+  contractURI: '',
+  approvedToken: '0x000000000000000000000000000000000000dEaD',
+  feeDestination: '0x000000000000000000000000000000000000bEEF',
+  platformFeeInCoin: '500',
+  platformFeeInToken: '500',
+  privateKeys: [],
+  BSCSCANAPIKEY: '',
+  token: '0x000000000000000000000000000000000000dEaD',
+};
+
+/**
+ * @notice Deployment settings and keys, read from the untracked secrets.json when it exists
+ */
+module.exports = fs.existsSync(SECRETS_FILE) ? require(SECRETS_FILE) : LOCAL_SECRETS;
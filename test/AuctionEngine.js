@@ -6,16 +6,29 @@ const {
   time,
 } = require('@openzeppelin/test-helpers');
 const { web3 } = require('@openzeppelin/test-helpers/src/setup');
+const { deployProxy } = require('@openzeppelin/truffle-upgrades');
+const { signPermit } = require('../sdk');
 var chai = require('chai');
 var BN = require('bn.js');
 var bnChai = require('bn-chai');
 chai.use(bnChai(BN));
 
 const { ZERO_ADDRESS } = constants;
+const NO_OPTIONS = { reservePrice: '0', minIncrement: '0', buyNowPrice: '0', extensionWindow: '0' };
 
 const NFT = artifacts.require('NFT');
 const ERC20 = artifacts.require("MockERC20");
-const AuctionEngineV4 = artifacts.require("AuctionEngineV4");
+const PermitERC20 = artifacts.require('MockPermitERC20');
+const ERC721 = artifacts.require('MockERC721');
+const ERC1155 = artifacts.require('MockERC1155');
+const AuctionEngine = artifacts.require("AuctionEngine");
+const AuctionEngineExtension = artifacts.require('AuctionEngineExtension');
+const MaliciousReceiver = artifacts.require('MaliciousReceiver');
+const FeeManager = artifacts.require('FeeManager');
+const DemianO = artifacts.require('DemianO');
+const MockAggregator = artifacts.require('MockAggregator');
+const MockFalseERC20 = artifacts.require('MockFalseERC20');
+const AuctionEngineLegacyMock = artifacts.require('AuctionEngineLegacyMock');
 
 
 contract('AuctionEngine', (accounts) => {
@@ -27,7 +40,7 @@ contract('AuctionEngine', (accounts) => {
     
     before(async () => {
         nft = await NFT.deployed();
-        auction = await AuctionEngineV4.deployed();
+        auction = await AuctionEngine.deployed();
         erc20 = await ERC20.new();
     });
 
@@ -35,7 +48,7 @@ contract('AuctionEngine', (accounts) => {
     it("Should create an auction", async function() {
         await nft.mint('metadata', '500', {from: owner});
         await nft.setApprovalForAll(auction.address, true, { from: owner });
-        await auction.createAuction(nft.address, 1, web3.utils.toWei('0.1', 'ether'), 0, 30, ZERO_ADDRESS, { from:owner });
+        await auction.createAuction(nft.address, 1, web3.utils.toWei('0.1', 'ether'), 0, 30, ZERO_ADDRESS, NO_OPTIONS, { from:owner });
         expect(await auction.getTotalAuctions()).to.be.eq.BN(1);
         expect(await nft.ownerOf(1)).to.be.equal(auction.address);
     });
@@ -46,7 +59,7 @@ contract('AuctionEngine', (accounts) => {
     });
 
     it('Should bid for coin currency', async function () {
-        await auction.createAuction(nft.address, 1, web3.utils.toWei('0.1', 'ether'), 0, 30, ZERO_ADDRESS, { from:owner });
+        await auction.createAuction(nft.address, 1, web3.utils.toWei('0.1', 'ether'), 0, 30, ZERO_ADDRESS, NO_OPTIONS, { from:owner });
         await auction.bid(1, web3.utils.toWei('0.2', 'ether'), {from:bidder, value: web3.utils.toWei('0.2', 'ether')});
         expect(await auction.getCurrentBidAmount(1)).to.be.eq.BN(web3.utils.toWei('0.2', 'ether'));
         expect(await auction.getCurrentBidOwner(1)).to.be.equal(bidder); 
@@ -74,7 +87,7 @@ contract('AuctionEngine', (accounts) => {
 
     it('Should bid and finalize for ERC20 currency', async function () {
         await nft.setApprovalForAll(auction.address, true, { from: bidder });
-        await auction.createAuction(nft.address, 1, web3.utils.toWei('1', 'ether'), 0, 30, erc20.address, { from:bidder });
+        await auction.createAuction(nft.address, 1, web3.utils.toWei('1', 'ether'), 0, 30, erc20.address, NO_OPTIONS, { from:bidder });
         await erc20.approve(auction.address, web3.utils.toWei('2', 'ether'), {from:owner});
         await auction.bid(2, web3.utils.toWei('2', 'ether'), {from:owner});
         expect(await auction.getCurrentBidAmount(2)).to.be.eq.BN(web3.utils.toWei('2', 'ether'));
@@ -96,11 +109,11 @@ contract('AuctionEngine', (accounts) => {
 
     it('Only owner of asset can create auction', async function () {
         await expectRevert(
-            auction.createAuction(nft.address, 1, web3.utils.toWei('1', 'ether'), 0, 30, erc20.address, { from:bidder }),
+            auction.createAuction(nft.address, 1, web3.utils.toWei('1', 'ether'), 0, 30, erc20.address, NO_OPTIONS, { from:bidder }),
             'Only token owner can do this',
         );
 
-        await auction.createAuction(nft.address, 1, web3.utils.toWei('1', 'ether'), 0, 30, erc20.address, { from:owner });
+        await auction.createAuction(nft.address, 1, web3.utils.toWei('1', 'ether'), 0, 30, erc20.address, NO_OPTIONS, { from:owner });
         expect(await auction.getTotalAuctions()).to.be.eq.BN(4);
         expect(await nft.ownerOf(1)).to.be.equal(auction.address);
     });
@@ -164,4 +177,915 @@ contract('AuctionEngine', (accounts) => {
             royalty: '0'
         })  
     });
-})
\ No newline at end of file
+})
+
+contract('AuctionEngine: options', (accounts) => {
+    const [owner, seller, bidder, otherBidder] = accounts;
+    const ether = (value) => web3.utils.toWei(value, 'ether');
+    const options = (fields) => ({ ...NO_OPTIONS, ...fields });
+
+    let nft = null;
+    let auction = null;
+
+    before(async () => {
+        nft = await NFT.deployed();
+        auction = await AuctionEngine.deployed();
+
+        await nft.mint('metadata', '0', { from: seller });
+        await nft.mint('metadata', '0', { from: seller });
+        await nft.mint('metadata', '0', { from: seller });
+        await nft.setApprovalForAll(auction.address, true, { from: seller });
+    });
+
+    it('reverts when options are invalid', async function () {
+        await expectRevert(
+            auction.createAuction(
+                nft.address, 1, ether('1'), 0, 3600, ZERO_ADDRESS, options({ minIncrement: '10001' }), { from: seller }
+            ),
+            'Increment can not exceed 100%'
+        );
+        await expectRevert(
+            auction.createAuction(
+                nft.address, 1, ether('1'), 0, 3600, ZERO_ADDRESS, options({ reservePrice: ether('2'), buyNowPrice: ether('1.5') }), { from: seller }
+            ),
+            'Buy now price too low'
+        );
+    });
+
+    it('should require the minimum increment and extend the auction on late bids', async function () {
+        const create = await auction.createAuction(
+            nft.address, 1, ether('1'), 0, 3600, ZERO_ADDRESS, options({ minIncrement: '1000', extensionWindow: '600' }), { from: seller }
+        );
+        expectEvent(create, 'NewAuction', { auctionIndex: '0' });
+        expect((await auction.auctionOptions(0)).minIncrement).to.be.eq.BN('1000');
+
+        await auction.bid(0, ether('1'), { from: bidder, value: ether('1') });
+        expect(await auction.getMinimumBid(0)).to.be.eq.BN(ether('1.1'));
+        await expectRevert(
+            auction.bid(0, ether('1.05'), { from: otherBidder, value: ether('1.05') }),
+            "You don't outbid"
+        );
+
+        const endTime = await auction.getEndTime(0);
+        await time.increaseTo(endTime.subn(60));
+        const bid = await auction.bid(0, ether('1.1'), { from: otherBidder, value: ether('1.1') });
+        const newEndTime = (await time.latest()).addn(600);
+
+        expect(await auction.getEndTime(0)).to.be.eq.BN(newEndTime);
+        expectEvent(bid, 'NewBid', { auctionIndex: '0', bidder: otherBidder, endTime: newEndTime });
+
+        await time.increase(300);
+        expect(await auction.isActive(0)).to.be.true;
+        await time.increase(300);
+        expect(await auction.getWinner(0)).to.be.equal(otherBidder);
+    });
+
+    it('should give the NFT back and refund the bid when the reserve is not met', async function () {
+        await auction.createAuction(
+            nft.address, 2, ether('1'), 0, 3600, ZERO_ADDRESS, options({ reservePrice: ether('5') }), { from: seller }
+        );
+        await auction.bid(1, ether('2'), { from: bidder, value: ether('2') });
+        expect(await auction.isReserveMet(1)).to.be.false;
+
+        await time.increase(3600);
+        expect(await auction.getWinner(1)).to.be.equal(ZERO_ADDRESS);
+
+        const pendingBefore = await auction.pendingPayments(bidder, ZERO_ADDRESS);
+        const finalize = await auction.finalize(1, { from: owner });
+
+        expect(await nft.ownerOf(2)).to.be.equal(seller);
+        expect((await auction.pendingPayments(bidder, ZERO_ADDRESS)).sub(pendingBefore)).to.be.eq.BN(ether('2'));
+        expectEvent(finalize, 'PaymentCredited', { payee: bidder, currency: ZERO_ADDRESS, amount: ether('2') });
+        expectEvent(finalize, 'ReserveNotMet', { auctionIndex: '1', bidder: bidder, amount: ether('2') });
+        expectEvent.notEmitted(finalize, 'AuctionFinalized');
+    });
+
+    it('should end the auction on a buy-now bid', async function () {
+        await auction.createAuction(
+            nft.address, 3, ether('1'), 0, 3600, ZERO_ADDRESS, options({ reservePrice: ether('2'), buyNowPrice: ether('3') }), { from: seller }
+        );
+        await auction.bid(2, ether('1'), { from: bidder, value: ether('1') });
+
+        const bid = await auction.bid(2, ether('3'), { from: otherBidder, value: ether('3') });
+
+        expectEvent(bid, 'NewBid', { endTime: await time.latest() });
+        expect(await auction.isFinished(2)).to.be.true;
+        await expectRevert(
+            auction.bid(2, ether('4'), { from: bidder, value: ether('4') }),
+            'Auction must be active'
+        );
+
+        const finalize = await auction.finalize(2, { from: otherBidder });
+        expect(await nft.ownerOf(3)).to.be.equal(otherBidder);
+        expectEvent(finalize, 'AuctionFinalized', { auctionIndex: '2', buyer: otherBidder, price: ether('3') });
+    });
+})
+
+
+contract('AuctionEngine: Dutch auctions', (accounts) => {
+    const [owner, seller, buyer, other] = accounts;
+    const ether = (value) => web3.utils.toWei(value, 'ether');
+    const curve = (fields) => ({ startPrice: ether('2'), floorPrice: ether('1'), stepDuration: '0', ...fields });
+
+    let nft = null;
+    let auction = null;
+    let erc20 = null;
+
+    before(async () => {
+        nft = await NFT.deployed();
+        auction = await AuctionEngine.deployed();
+        erc20 = await ERC20.new();
+
+        await erc20.transfer(buyer, ether('10'), { from: owner });
+        await nft.mint('metadata', '500', { from: seller });
+        await nft.mint('metadata', '0', { from: seller });
+        await nft.mint('metadata', '0', { from: seller });
+        await nft.setApprovalForAll(auction.address, true, { from: seller });
+    });
+
+    it('reverts when the price curve is invalid', async function () {
+        await expectRevert(
+            auction.createDutchAuction(nft.address, 1, 0, 1000, ZERO_ADDRESS, curve({ floorPrice: '0' }), { from: seller }),
+            'Price must be at least 1 wei'
+        );
+        await expectRevert(
+            auction.createDutchAuction(nft.address, 1, 0, 1000, ZERO_ADDRESS, curve({ startPrice: ether('0.5') }), { from: seller }),
+            'Start price below floor price'
+        );
+        await expectRevert(
+            auction.createDutchAuction(nft.address, 1, 0, 0, ZERO_ADDRESS, curve(), { from: seller }),
+            'Duration must be positive'
+        );
+    });
+
+    it('should lower the price linearly and sell to the first buyer', async function () {
+        const create = await auction.createDutchAuction(nft.address, 1, 0, 1000, ZERO_ADDRESS, curve(), { from: seller });
+        const startTime = (await auction.auctions(0)).startTime;
+
+        expectEvent(create, 'NewDutchAuction', { auctionIndex: '0', creator: seller, asset: nft.address, tokenId: '1' });
+        expect((await auction.auctions(0)).auctionType).to.be.eq.BN('1');
+        await expectRevert(
+            auction.bid(0, ether('2'), { from: buyer, value: ether('2') }),
+            'Not an English auction'
+        );
+
+        await time.increaseTo(startTime.addn(250));
+        // the view may run a second after the last block
+        const price = await auction.getCurrentPrice(0);
+        expect(price).to.be.lte.BN(ether('1.75'));
+        expect(price).to.be.gte.BN(ether('1.749'));
+
+        await time.increaseTo(startTime.addn(500));
+        const balanceBefore = web3.utils.toBN(await web3.eth.getBalance(buyer));
+        const buy = await auction.buy(0, { from: buyer, value: ether('2') });
+        const gas = web3.utils.toBN(buy.receipt.gasUsed).mul(web3.utils.toBN(buy.receipt.effectiveGasPrice));
+        // the price falls by 0.001 ether a second until the block `buy` is mined in
+        const { timestamp } = await web3.eth.getBlock(buy.receipt.blockNumber);
+        const paid = web3.utils.toBN(ether('2')).sub(web3.utils.toBN(ether('0.001')).muln(timestamp - startTime.toNumber()));
+
+        expect(await nft.ownerOf(1)).to.be.equal(buyer);
+        expect(await auction.isFinished(0)).to.be.true;
+        expect(balanceBefore.sub(web3.utils.toBN(await web3.eth.getBalance(buyer))).sub(gas)).to.be.eq.BN(ether('2'));
+        expect(await auction.pendingPayments(buyer, ZERO_ADDRESS)).to.be.eq.BN(web3.utils.toBN(ether('2')).sub(paid));
+        expectEvent(buy, 'AuctionFinalized', {
+            asset: nft.address,
+            tokenId: '1',
+            buyer: buyer,
+            auctionIndex: '0',
+            price: paid,
+            fee: paid.muln(500).divn(10000),
+            royalty: '0'
+        });
+
+        await expectRevert(
+            auction.buy(0, { from: other, value: ether('2') }),
+            'Auction must be active'
+        );
+    });
+
+    it('should lower the price in steps and settle ERC20', async function () {
+        await auction.createDutchAuction(nft.address, 2, 0, 1000, erc20.address, curve({ stepDuration: '300' }), { from: seller });
+        const startTime = (await auction.auctions(1)).startTime;
+
+        // the view may run a second after the last block, the first step is at 300
+        await time.increaseTo(startTime.addn(298));
+        expect(await auction.getCurrentPrice(1)).to.be.eq.BN(ether('2'));
+        await time.increaseTo(startTime.addn(650));
+        expect(await auction.getCurrentPrice(1)).to.be.eq.BN(ether('1.4'));
+
+        await erc20.approve(auction.address, ether('1.4'), { from: buyer });
+        const buy = await auction.buy(1, { from: buyer });
+
+        expect(await nft.ownerOf(2)).to.be.equal(buyer);
+        expect(await auction.pendingPayments(seller, erc20.address)).to.be.eq.BN(ether('1.33'));
+        await auction.withdrawPayments(erc20.address, { from: seller });
+        expect(await erc20.balanceOf(seller)).to.be.eq.BN(ether('1.33'));
+        expectEvent(buy, 'AuctionFinalized', { auctionIndex: '1', currency: erc20.address, price: ether('1.4') });
+    });
+
+    it('should stay at the floor price until the end and be cancelable', async function () {
+        await auction.createDutchAuction(nft.address, 3, 0, 1000, ZERO_ADDRESS, curve(), { from: seller });
+        const startTime = (await auction.auctions(2)).startTime;
+        await time.increaseTo(startTime.addn(998));
+        // the view may run a second after the last block
+        const price = await auction.getCurrentPrice(2);
+        expect(price).to.be.gt.BN(ether('1'));
+        expect(price).to.be.lte.BN(ether('1.002'));
+
+        await time.increaseTo(startTime.addn(1000));
+        expect(await auction.getCurrentPrice(2)).to.be.eq.BN(ether('1'));
+        await expectRevert(
+            auction.buy(2, { from: buyer, value: ether('1') }),
+            'Auction must be active'
+        );
+
+        await auction.cancelAuction(2, { from: seller });
+        expect(await nft.ownerOf(3)).to.be.equal(seller);
+    });
+})
+
+
+contract('AuctionEngine: pull payments', (accounts) => {
+    const [owner, seller, bidder, otherBidder] = accounts;
+    const ether = (value) => web3.utils.toWei(value, 'ether');
+
+    let nft = null;
+    let auction = null;
+    let receiver = null;
+
+    before(async () => {
+        nft = await NFT.deployed();
+        auction = await AuctionEngine.deployed();
+        receiver = await MaliciousReceiver.new();
+
+        // the receiver contract mints token 1 with a 10% royalty and hands it to the seller
+        await receiver.execute(nft.address, nft.contract.methods.mint('metadata', '1000').encodeABI());
+        await receiver.execute(nft.address, nft.contract.methods.transferFrom(receiver.address, seller, 1).encodeABI());
+        await nft.setApprovalForAll(auction.address, true, { from: seller });
+    });
+
+    it('should credit the outbid bidder instead of refunding it', async function () {
+        await auction.createAuction(nft.address, 1, ether('1'), 0, 3600, ZERO_ADDRESS, NO_OPTIONS, { from: seller });
+        await auction.bid(0, ether('1'), { from: bidder, value: ether('1') });
+
+        const bid = await auction.bid(0, ether('2'), { from: otherBidder, value: ether('2') });
+
+        expectEvent(bid, 'PaymentCredited', { payee: bidder, currency: ZERO_ADDRESS, amount: ether('1') });
+        expect(await auction.pendingPayments(bidder, ZERO_ADDRESS)).to.be.eq.BN(ether('1'));
+        expect(await web3.eth.getBalance(auction.address)).to.be.equal(ether('3'));
+    });
+
+    it('should finalize when the royalty receiver rejects payments', async function () {
+        await time.increase(3600);
+
+        const finalize = await auction.finalize(0, { from: otherBidder });
+
+        expect(await nft.ownerOf(1)).to.be.equal(otherBidder);
+        expectEvent(finalize, 'AuctionFinalized', { auctionIndex: '0', price: ether('2'), royalty: ether('0.2') });
+        expect(await auction.pendingPayments(receiver.address, ZERO_ADDRESS)).to.be.eq.BN(ether('0.2'));
+        expect(await auction.pendingPayments(seller, ZERO_ADDRESS)).to.be.eq.BN(ether('1.7'));
+        expect(await auction.totalPendingPayments(ZERO_ADDRESS)).to.be.eq.BN(ether('3'));
+    });
+
+    it('should let each payee withdraw its own payments', async function () {
+        const withdrawPayments = auction.contract.methods.withdrawPayments(ZERO_ADDRESS).encodeABI();
+        await expectRevert(
+            receiver.execute(auction.address, withdrawPayments),
+            'Transfer failed'
+        );
+
+        // accepting the payment costs more than the 2300 gas forwarded by `transfer`
+        await receiver.setAcceptPayments(true);
+        await receiver.execute(auction.address, withdrawPayments);
+        expect(await receiver.received()).to.be.eq.BN(ether('0.2'));
+
+        const withdraw = await auction.withdrawPayments(ZERO_ADDRESS, { from: bidder });
+        expectEvent(withdraw, 'PaymentWithdrawn', { payee: bidder, currency: ZERO_ADDRESS, amount: ether('1') });
+        await auction.withdrawPayments(ZERO_ADDRESS, { from: seller });
+
+        expect(await auction.totalPendingPayments(ZERO_ADDRESS)).to.be.eq.BN(ether('0.1'));
+        expect(await auction.pendingPayments(bidder, ZERO_ADDRESS)).to.be.eq.BN('0');
+        await expectRevert(
+            auction.withdrawPayments(ZERO_ADDRESS, { from: bidder }),
+            'No payments to withdraw'
+        );
+    });
+
+    it('should credit the Dutch auction overpayment of a contract buyer', async function () {
+        await receiver.setAcceptPayments(false);
+        await nft.mint('metadata', '0', { from: seller });
+        const curve = { startPrice: ether('1'), floorPrice: ether('1'), stepDuration: '0' };
+        await auction.createDutchAuction(nft.address, 2, 0, 3600, ZERO_ADDRESS, curve, { from: seller });
+
+        await receiver.execute(auction.address, auction.contract.methods.buy(1).encodeABI(), { value: ether('1.5') });
+
+        expect(await nft.ownerOf(2)).to.be.equal(receiver.address);
+        expect(await auction.pendingPayments(receiver.address, ZERO_ADDRESS)).to.be.eq.BN(ether('0.5'));
+    });
+
+    it('should keep the payments of a payee when the ERC20 transfer fails', async function () {
+        const token = await MockFalseERC20.new();
+        await token.transfer(bidder, ether('1'), { from: owner });
+        await token.approve(auction.address, ether('1'), { from: bidder });
+        await nft.mint('metadata', '0', { from: seller });
+        const curve = { startPrice: ether('1'), floorPrice: ether('1'), stepDuration: '0' };
+        await auction.createDutchAuction(nft.address, 3, 0, 3600, token.address, curve, { from: seller });
+        await auction.buy(2, { from: bidder });
+
+        await token.setFailTransfers(true);
+        await expectRevert(
+            auction.withdrawPayments(token.address, { from: seller }),
+            'Transfer failed'
+        );
+        expect(await auction.pendingPayments(seller, token.address)).to.be.eq.BN(ether('0.95'));
+
+        await token.setFailTransfers(false);
+        await auction.withdrawPayments(token.address, { from: seller });
+        expect(await token.balanceOf(seller)).to.be.eq.BN(ether('0.95'));
+    });
+
+    it('should not sell a Dutch auction when the ERC20 payment fails', async function () {
+        const token = await MockFalseERC20.new();
+        await token.transfer(bidder, ether('1'), { from: owner });
+        await token.approve(auction.address, ether('1'), { from: bidder });
+        await nft.mint('metadata', '0', { from: seller });
+        const curve = { startPrice: ether('1'), floorPrice: ether('1'), stepDuration: '0' };
+        await auction.createDutchAuction(nft.address, 4, 0, 3600, token.address, curve, { from: seller });
+
+        await token.setFailTransfers(true);
+        await expectRevert(
+            auction.buy(3, { from: bidder }),
+            'SafeERC20: ERC20 operation did not succeed'
+        );
+        expect(await nft.ownerOf(4)).to.be.equal(auction.address);
+    });
+
+    it('reverts when native coin is sent with an ERC20 bid or purchase', async function () {
+        const token = await ERC20.new();
+        await token.transfer(bidder, ether('2'), { from: owner });
+        await token.approve(auction.address, ether('2'), { from: bidder });
+        await nft.mint('metadata', '0', { from: seller });
+        await nft.mint('metadata', '0', { from: seller });
+        const english = await auction.getTotalAuctions();
+        await auction.createAuction(nft.address, 5, ether('1'), 0, 3600, token.address, NO_OPTIONS, { from: seller });
+        const curve = { startPrice: ether('1'), floorPrice: ether('1'), stepDuration: '0' };
+        await auction.createDutchAuction(nft.address, 6, 0, 3600, token.address, curve, { from: seller });
+
+        await expectRevert(
+            auction.bid(english, ether('1'), { from: bidder, value: ether('1') }),
+            'Native coin sent with an ERC20 price'
+        );
+        await expectRevert(
+            auction.buy(english.addn(1), { from: bidder, value: ether('1') }),
+            'Native coin sent with an ERC20 price'
+        );
+        expect(await token.balanceOf(bidder)).to.be.eq.BN(ether('2'));
+    });
+})
+
+
+contract('AuctionEngine: fee manager', (accounts) => {
+    const [owner, seller, bidder] = accounts;
+    const ether = (value) => web3.utils.toWei(value, 'ether');
+
+    let nft = null;
+    let auction = null;
+    let erc20 = null;
+    let feeManager = null;
+    let feeDestination = null;
+
+    before(async () => {
+        nft = await NFT.deployed();
+        auction = await AuctionEngine.deployed();
+        erc20 = await ERC20.new();
+        feeManager = await FeeManager.deployed();
+        feeDestination = await auction.feeDestination();
+        const demo = await DemianO.deployed();
+
+        // 3% in the ERC20, halved for the seller holding 1000 DEMO
+        await feeManager.setCurrencyFee(erc20.address, true, '300', { from: owner });
+        await feeManager.setTiers([{ minBalance: ether('1000'), discount: '5000' }], { from: owner });
+        await demo.transfer(seller, ether('1000'), { from: owner });
+
+        await erc20.transfer(bidder, ether('10'), { from: owner });
+        await nft.mint('metadata', '0', { from: seller });
+        await nft.mint('metadata', '0', { from: seller });
+        await nft.setApprovalForAll(auction.address, true, { from: seller });
+    });
+
+    it('should be connected to the fee manager', async function () {
+        expect(await auction.feeManager()).to.be.equal(feeManager.address);
+        await expectRevert(
+            auction.updateFeeManager(ZERO_ADDRESS, { from: seller }),
+            'Caller is missing role'
+        );
+    });
+
+    it('should charge the fee quoted by the fee manager', async function () {
+        await auction.createAuction(nft.address, 1, ether('1'), 0, 3600, erc20.address, NO_OPTIONS, { from: seller });
+        await erc20.approve(auction.address, ether('2'), { from: bidder });
+        await auction.bid(0, ether('2'), { from: bidder });
+        await time.increase(3600);
+
+        const finalize = await auction.finalize(0, { from: bidder });
+
+        expectEvent(finalize, 'AuctionFinalized', { auctionIndex: '0', currency: erc20.address, price: ether('2'), fee: ether('0.03') });
+        expect(await auction.pendingPayments(feeDestination, erc20.address)).to.be.eq.BN(ether('0.03'));
+        expect(await auction.pendingPayments(seller, erc20.address)).to.be.eq.BN(ether('1.97'));
+    });
+
+    it('should fall back to the marketplace fees without a fee manager', async function () {
+        await auction.updateFeeManager(ZERO_ADDRESS, { from: owner });
+        await auction.createAuction(nft.address, 2, ether('1'), 0, 3600, ZERO_ADDRESS, NO_OPTIONS, { from: seller });
+        await auction.bid(1, ether('1'), { from: bidder, value: ether('1') });
+        await time.increase(3600);
+
+        const finalize = await auction.finalize(1, { from: bidder });
+
+        expectEvent(finalize, 'AuctionFinalized', { auctionIndex: '1', price: ether('1'), fee: ether('0.05') });
+        expect(await auction.pendingPayments(seller, ZERO_ADDRESS)).to.be.eq.BN(ether('0.95'));
+    });
+})
+
+
+contract('AuctionEngine: royalty splits', (accounts) => {
+    const [owner, creator, collaborator, seller, bidder] = accounts;
+    const ether = (value) => web3.utils.toWei(value, 'ether');
+
+    let nft = null;
+    let auction = null;
+
+    before(async () => {
+        nft = await NFT.deployed();
+        auction = await AuctionEngine.deployed();
+
+        await nft.mintWithRoyalties('metadata', [
+            { recipient: creator, amount: '500' },
+            { recipient: collaborator, amount: '300' },
+        ], { from: creator });
+        await nft.transferFrom(creator, seller, 1, { from: creator });
+        await nft.setApprovalForAll(auction.address, true, { from: seller });
+    });
+
+    it('should credit every royalty recipient and notify the collection', async function () {
+        await auction.createAuction(nft.address, 1, ether('1'), 0, 3600, ZERO_ADDRESS, NO_OPTIONS, { from: seller });
+        await auction.bid(0, ether('2'), { from: bidder, value: ether('2') });
+        await time.increase(3600);
+
+        const finalize = await auction.finalize(0, { from: bidder });
+
+        expectEvent(finalize, 'AuctionFinalized', { auctionIndex: '0', price: ether('2'), fee: ether('0.1'), royalty: ether('0.16') });
+        expect(await auction.pendingPayments(creator, ZERO_ADDRESS)).to.be.eq.BN(ether('0.1'));
+        expect(await auction.pendingPayments(collaborator, ZERO_ADDRESS)).to.be.eq.BN(ether('0.06'));
+        expect(await auction.pendingPayments(seller, ZERO_ADDRESS)).to.be.eq.BN(ether('1.74'));
+        await expectEvent.inTransaction(finalize.tx, nft, 'RoyaltiesReceived', {
+            _royaltyRecipient: creator,
+            _buyer: bidder,
+            _tokenId: '1',
+            _amount: ether('0.1')
+        });
+    });
+})
+
+
+contract('AuctionEngine: ERC-1155 lots', (accounts) => {
+    const [owner, creator, seller, bidder, other] = accounts;
+    const ether = (value) => web3.utils.toWei(value, 'ether');
+
+    let auction = null;
+    let editions = null;
+
+    before(async () => {
+        auction = await AuctionEngine.deployed();
+        editions = await ERC1155.new();
+
+        await editions.mint(seller, 1, 10);
+        await editions.setTokenRoyalty(1, creator, 1000);
+        await editions.setApprovalForAll(auction.address, true, { from: seller });
+    });
+
+    it('should answer to ERC-165 as an ERC-1155 receiver', async function () {
+        expect(await auction.supportsInterface('0x4e2312e0')).to.equal(true);
+    });
+
+    it('should auction a lot and transfer all its units to the winner', async function () {
+        const create = await auction.createLotAuction(editions.address, 1, 5, ether('1'), 0, 3600, ZERO_ADDRESS, NO_OPTIONS, { from: seller });
+        expectEvent(create, 'NewAuction', { auctionIndex: '0', creator: seller, asset: editions.address, tokenId: '1' });
+        expectEvent(create, 'NewLot', { auctionIndex: '0', quantity: '5' });
+        expect(await auction.lotQuantities(0)).to.be.eq.BN('5');
+        expect(await editions.balanceOf(auction.address, 1)).to.be.eq.BN('5');
+
+        await auction.bid(0, ether('2'), { from: bidder, value: ether('2') });
+        await time.increase(3600);
+        const finalize = await auction.finalize(0, { from: bidder });
+
+        expectEvent(finalize, 'AuctionFinalized', { buyer: bidder, price: ether('2'), fee: ether('0.1'), royalty: ether('0.2') });
+        expect(await editions.balanceOf(bidder, 1)).to.be.eq.BN('5');
+        expect(await auction.pendingPayments(creator, ZERO_ADDRESS)).to.be.eq.BN(ether('0.2'));
+        expect(await auction.pendingPayments(seller, ZERO_ADDRESS)).to.be.eq.BN(ether('1.7'));
+    });
+
+    it('should give the units back when the lot is cancelled or the reserve is not met', async function () {
+        await auction.createLotAuction(editions.address, 1, 2, ether('1'), 0, 3600, ZERO_ADDRESS, NO_OPTIONS, { from: seller });
+        await auction.cancelAuction(1, { from: seller });
+        expect(await editions.balanceOf(seller, 1)).to.be.eq.BN('5');
+
+        await auction.createLotAuction(editions.address, 1, 3, ether('1'), 0, 3600, ZERO_ADDRESS, {
+            ...NO_OPTIONS, reservePrice: ether('5'),
+        }, { from: seller });
+        await auction.bid(2, ether('1'), { from: bidder, value: ether('1') });
+        await time.increase(3600);
+        await auction.finalize(2, { from: other });
+
+        expect(await editions.balanceOf(seller, 1)).to.be.eq.BN('5');
+        expect(await auction.pendingPayments(bidder, ZERO_ADDRESS)).to.be.eq.BN(ether('1'));
+    });
+
+    it('should not cancel a lot twice and release the units of other lots', async function () {
+        await editions.mint(other, 1, 3);
+        await editions.setApprovalForAll(auction.address, true, { from: other });
+        await auction.createLotAuction(editions.address, 1, 3, ether('1'), 0, 3600, ZERO_ADDRESS, NO_OPTIONS, { from: other });
+        await auction.createLotAuction(editions.address, 1, 2, ether('1'), 0, 3600, ZERO_ADDRESS, NO_OPTIONS, { from: seller });
+
+        await auction.cancelAuction(4, { from: seller });
+        await expectRevert(auction.cancelAuction(4, { from: seller }), 'Not allowed');
+
+        expect(await editions.balanceOf(seller, 1)).to.be.eq.BN('5');
+        expect(await editions.balanceOf(auction.address, 1)).to.be.eq.BN('3');
+    });
+
+    it('reverts when the collection is not ERC-1155 or the lot is empty', async function () {
+        const erc721 = await ERC721.new();
+        await expectRevert(
+            auction.createLotAuction(erc721.address, 1, 1, ether('1'), 0, 3600, ZERO_ADDRESS, NO_OPTIONS, { from: seller }),
+            'Collection must be ERC1155'
+        );
+        await expectRevert(
+            auction.createLotAuction(editions.address, 1, 0, ether('1'), 0, 3600, ZERO_ADDRESS, NO_OPTIONS, { from: seller }),
+            'Quantity must be positive'
+        );
+    });
+})
+
+
+contract('AuctionEngine: roles and pause', (accounts) => {
+    const [owner, pauser, recoverer, seller, bidder, other] = accounts;
+    const ether = (value) => web3.utils.toWei(value, 'ether');
+    const role = (name) => web3.utils.keccak256(name);
+
+    let nft = null;
+    let auction = null;
+    let extension = null;
+    let erc20 = null;
+
+    before(async () => {
+        nft = await NFT.deployed();
+        auction = await AuctionEngine.deployed();
+        // roles, pause and recovery are implemented by the extension
+        extension = await AuctionEngineExtension.at(auction.address);
+        erc20 = await ERC20.new();
+
+        for (let i = 0; i < 3; i++) {
+            await nft.mint('metadata', 0, { from: seller });
+        }
+        await nft.setApprovalForAll(auction.address, true, { from: seller });
+        await erc20.transfer(bidder, ether('10'), { from: owner });
+    });
+
+    it('should only let the upgrader role upgrade', async function () {
+        await expectRevert(auction.upgradeTo(other, { from: other }), 'Caller is missing role');
+        await expectRevert(auction.updateFeeManager(other, { from: other }), 'Caller is missing role');
+        expect(await auction.hasRole(role('UPGRADER_ROLE'), owner)).to.be.true;
+
+        const implementation = await AuctionEngine.new();
+        await expectRevert(
+            implementation.initialize(erc20.address, other, other, { from: other }),
+            'Initializable: contract is already initialized'
+        );
+    });
+
+    it('should pause auctions and still let owners cancel and auctions finalize', async function () {
+        await auction.createAuction(nft.address, 1, ether('1'), 0, 3600, ZERO_ADDRESS, NO_OPTIONS, { from: seller });
+        await auction.createAuction(nft.address, 2, ether('1'), 0, 3600, erc20.address, NO_OPTIONS, { from: seller });
+        await erc20.approve(auction.address, ether('1'), { from: bidder });
+        await auction.bid(1, ether('1'), { from: bidder });
+
+        await extension.grantRole(role('PAUSER_ROLE'), pauser, { from: owner });
+        const pause = await extension.pause({ from: pauser });
+        expectEvent(pause, 'Paused', { account: pauser });
+
+        await expectRevert(auction.bid(0, ether('1'), { from: bidder, value: ether('1') }), 'Contract is paused');
+        await expectRevert(
+            auction.createAuction(nft.address, 3, ether('1'), 0, 3600, ZERO_ADDRESS, NO_OPTIONS, { from: seller }),
+            'Contract is paused'
+        );
+
+        await auction.cancelAuction(0, { from: seller });
+        expect(await nft.ownerOf(1)).to.be.equal(seller);
+        await time.increase(3600);
+        await auction.finalize(1, { from: other });
+        expect(await nft.ownerOf(2)).to.be.equal(bidder);
+
+        await extension.unpause({ from: pauser });
+    });
+
+    it('should recover only the funds that are neither credited nor bid', async function () {
+        await auction.createAuction(nft.address, 3, ether('1'), 0, 3600, erc20.address, NO_OPTIONS, { from: seller });
+        await erc20.approve(auction.address, ether('2'), { from: bidder });
+        await auction.bid(2, ether('2'), { from: bidder });
+        await erc20.transfer(auction.address, ether('1'), { from: owner });
+
+        expect(await auction.totalEscrowedBids(erc20.address)).to.be.eq.BN(ether('2'));
+        expect(await extension.recoverableBalance(erc20.address)).to.be.eq.BN(ether('1'));
+
+        await extension.grantRole(role('ASSET_RECOVERY_ROLE'), recoverer, { from: owner });
+        await expectRevert(
+            extension.recoverTokens(erc20.address, ether('2'), { from: recoverer }),
+            'Amount exceeds recoverable balance'
+        );
+        const recover = await extension.recoverTokens(erc20.address, ether('1'), { from: recoverer });
+        expectEvent(recover, 'TokensRecovered', { token: erc20.address, to: recoverer, amount: ether('1') });
+        await expectRevert(extension.recoverAsset(2, { from: recoverer }), 'Auction has a bid');
+
+        await time.increase(3600);
+        await auction.finalize(2, { from: other });
+        expect(await auction.totalEscrowedBids(erc20.address)).to.be.eq.BN('0');
+        expect(await extension.recoverableBalance(erc20.address)).to.be.eq.BN('0');
+    });
+
+    it('should escrow the bids made before the upgrade before recovering funds', async function () {
+        const legacy = await deployProxy(AuctionEngineLegacyMock, [erc20.address, other, owner], { kind: 'uups' });
+        const legacyExtension = await AuctionEngineExtension.at(legacy.address);
+        await legacy.updateExtension((await AuctionEngineExtension.deployed()).address, { from: owner });
+        await nft.setApprovalForAll(legacy.address, true, { from: seller });
+        for (let i = 0; i < 2; i++) {
+            const { logs } = await nft.mint('metadata', 0, { from: seller });
+            const { tokenId } = logs.find(({ event }) => event === 'Transfer').args;
+            await legacy.createAuction(nft.address, tokenId, ether('1'), 0, 3600, ZERO_ADDRESS, NO_OPTIONS, { from: seller });
+        }
+        await legacy.bid(0, ether('1'), { from: bidder, value: ether('1') });
+        await legacy.bid(1, ether('2'), { from: bidder, value: ether('2') });
+        await legacy.setLegacyAuction(0);
+
+        // the bid of the legacy auction is not escrowed yet
+        expect(await legacy.totalEscrowedBids(ZERO_ADDRESS)).to.be.eq.BN(ether('2'));
+        await expectRevert(legacyExtension.withdraw(ether('1'), { from: owner }), 'Auctions are not indexed');
+
+        await legacyExtension.indexAuctions(1, { from: owner });
+        expect(await legacy.indexedAuctionCount()).to.be.eq.BN('1');
+        expect(await legacy.auctionsIndexed()).to.be.false;
+        await legacyExtension.indexAuctions(10, { from: owner });
+        await legacyExtension.indexAuctions(10, { from: owner });
+
+        expect(await legacy.auctionsIndexed()).to.be.true;
+        expect(await legacy.totalEscrowedBids(ZERO_ADDRESS)).to.be.eq.BN(ether('3'));
+        expect(await legacyExtension.getLeadingAuctionCount(bidder)).to.be.eq.BN('2');
+        expect(await legacyExtension.recoverableBalance(ZERO_ADDRESS)).to.be.eq.BN('0');
+        await expectRevert(legacyExtension.withdraw(ether('1'), { from: owner }), 'Amount exceeds recoverable balance');
+
+        await legacy.bid(0, ether('3'), { from: other, value: ether('3') });
+        expect(await legacy.totalEscrowedBids(ZERO_ADDRESS)).to.be.eq.BN(ether('5'));
+    });
+
+})
+
+contract('AuctionEngine: discovery views', (accounts) => {
+    const [owner, seller, bidder, other, keeper] = accounts;
+    const ether = (value) => web3.utils.toWei(value, 'ether');
+    const indexes = (page) => page.map((index) => index.toString());
+
+    let nft = null;
+    let auction = null;
+    let extension = null;
+
+    before(async () => {
+        nft = await NFT.deployed();
+        auction = await AuctionEngine.deployed();
+        // the discovery views are implemented by the extension
+        extension = await AuctionEngineExtension.at(auction.address);
+
+        for (let i = 0; i < 4; i++) {
+            await nft.mint('metadata', 0, { from: seller });
+        }
+        await nft.setApprovalForAll(auction.address, true, { from: seller });
+    });
+
+    it('should page through the open auctions by status and by creator', async function () {
+        const now = await time.latest();
+        await auction.createAuction(nft.address, 1, ether('1'), 0, 3600, ZERO_ADDRESS, NO_OPTIONS, { from: seller });
+        await auction.createAuction(nft.address, 2, ether('1'), now.addn(7200), 3600, ZERO_ADDRESS, NO_OPTIONS, { from: seller });
+        await auction.createAuction(nft.address, 3, ether('1'), 0, 60, ZERO_ADDRESS, NO_OPTIONS, { from: seller });
+        await time.increase(120);
+
+        expect(await extension.getOpenAuctionCount()).to.be.eq.BN('3');
+        expect(indexes(await extension.getAuctionsByStatus(0, 0, 10))).to.have.members(['1']);
+        expect(indexes(await extension.getAuctionsByStatus(1, 0, 10))).to.have.members(['0']);
+        expect(indexes(await extension.getAuctionsByStatus(2, 0, 10))).to.have.members(['2']);
+        expect(await extension.getAuctionsByStatus(2, 1, 10)).to.have.lengthOf(0);
+        // the finished auction has no bid, there is nothing to finalize
+        expect(await extension.getClaimableAuctions(0, 10)).to.have.lengthOf(0);
+
+        expect(await extension.getCreatorAuctionCount(seller)).to.be.eq.BN('3');
+        expect(indexes(await extension.getAuctionsByCreator(seller, 1, 1))).to.be.deep.equal(['1']);
+
+        await auction.cancelAuction(2, { from: seller });
+        expect(indexes(await extension.getAuctionsByStatus(2, 0, 10))).to.have.lengthOf(0);
+        expect(await extension.getOpenAuctionCount()).to.be.eq.BN('2');
+        expect(await extension.getCreatorAuctionCount(seller)).to.be.eq.BN('3');
+    });
+
+    it('should record every bid and follow the leading bidder', async function () {
+        await auction.bid(0, ether('1'), { from: bidder, value: ether('1') });
+        expect(indexes(await extension.getLeadingAuctions(bidder, 0, 10))).to.be.deep.equal(['0']);
+
+        await auction.bid(0, ether('2'), { from: other, value: ether('2') });
+        expect(await extension.getLeadingAuctionCount(bidder)).to.be.eq.BN('0');
+        expect(indexes(await extension.getLeadingAuctions(other, 0, 10))).to.be.deep.equal(['0']);
+
+        expect(await extension.getBidHistoryLength(0)).to.be.eq.BN('2');
+        const history = await extension.getBidHistory(0, 0, 10);
+        expect(history.map((record) => record.bidder)).to.be.deep.equal([bidder, other]);
+        expect(history.map((record) => record.amount)).to.be.deep.equal([ether('1'), ether('2')]);
+        expect(Number(history[1].timestamp)).to.be.equal((await time.latest()).toNumber());
+        expect(await extension.getBidHistory(0, 1, 10)).to.have.lengthOf(1);
+    });
+
+    it('should list the finished auctions that still need finalize', async function () {
+        await time.increase(3600);
+        expect(indexes(await extension.getClaimableAuctions(0, 10))).to.be.deep.equal(['0']);
+
+        await auction.finalize(0, { from: keeper });
+        expect(await extension.getClaimableAuctions(0, 10)).to.have.lengthOf(0);
+        expect(await extension.getLeadingAuctionCount(other)).to.be.eq.BN('0');
+        expect(indexes(await extension.getAuctionsByStatus(2, 0, 10))).to.have.lengthOf(0);
+    });
+
+    it('should record the purchase of a Dutch auction', async function () {
+        const curve = { startPrice: ether('2'), floorPrice: ether('1'), stepDuration: '0' };
+        await auction.createDutchAuction(nft.address, 4, 0, 3600, ZERO_ADDRESS, curve, { from: seller });
+        await auction.buy(3, { from: bidder, value: ether('2') });
+
+        const history = await extension.getBidHistory(3, 0, 10);
+        expect(history).to.have.lengthOf(1);
+        expect(history[0].bidder).to.be.equal(bidder);
+        expect(await extension.getOpenAuctionCount()).to.be.eq.BN('1');
+    });
+})
+
+
+contract('AuctionEngine: permits', (accounts) => {
+    const [owner, seller, bidder] = accounts;
+    const ether = (value) => web3.utils.toWei(value, 'ether');
+
+    let nft = null;
+    let auction = null;
+    let erc20 = null;
+    let domain = null;
+
+    const permit = async (value, deadline) => signPermit(web3, {
+        owner: bidder, spender: auction.address, value, nonce: await erc20.nonces(bidder), deadline,
+    }, domain);
+
+    before(async () => {
+        nft = await NFT.deployed();
+        auction = await AuctionEngine.deployed();
+        erc20 = await PermitERC20.new();
+        domain = { name: 'Mock Permit ERC20', version: '1', chainId: await web3.eth.getChainId(), verifyingContract: erc20.address };
+
+        await erc20.transfer(bidder, ether('10'), { from: owner });
+        await nft.mint('metadata', 0, { from: seller });
+        await nft.mint('metadata', 0, { from: seller });
+        await nft.setApprovalForAll(auction.address, true, { from: seller });
+        await auction.createAuction(nft.address, 1, ether('1'), 0, 3600, erc20.address, NO_OPTIONS, { from: seller });
+        await auction.createAuction(nft.address, 2, ether('1'), 0, 3600, ZERO_ADDRESS, NO_OPTIONS, { from: seller });
+    });
+
+    it('should bid in one transaction with a permit', async function () {
+        const deadline = (await time.latest()).addn(3600);
+        const { v, r, s } = await permit(ether('1.5'), deadline);
+
+        await expectRevert(
+            auction.bidWithPermit(1, ether('1.5'), deadline, v, r, s, { from: bidder }),
+            'Permit requires an ERC20'
+        );
+        const bid = await auction.bidWithPermit(0, ether('1.5'), deadline, v, r, s, { from: bidder });
+
+        expectEvent(bid, 'NewBid', { auctionIndex: '0', bidder, amount: ether('1.5') });
+        expect(await erc20.balanceOf(auction.address)).to.be.eq.BN(ether('1.5'));
+        expect(await erc20.nonces(bidder)).to.be.eq.BN('1');
+        // the permit is used, the same signature gives no allowance
+        await expectRevert(
+            auction.bidWithPermit(0, ether('1.5'), deadline, v, r, s, { from: bidder }),
+            "You don't outbid"
+        );
+        await expectRevert(
+            auction.bidWithPermit(0, ether('2'), deadline, v, r, s, { from: bidder }),
+            'ERC20: insufficient allowance'
+        );
+    });
+});
+
+contract('AuctionEngine: USD reserves', (accounts) => {
+    const [owner, seller, bidder, other] = accounts;
+    const ether = (value) => web3.utils.toWei(value, 'ether');
+    // USD prices use 8 decimals, like the USD price feeds
+    const usd = (value) => web3.utils.toBN(value).mul(web3.utils.toBN(1e8)).toString();
+
+    let nft = null;
+    let auction = null;
+    let extension = null;
+    let feed = null;
+
+    before(async () => {
+        nft = await NFT.deployed();
+        auction = await AuctionEngine.deployed();
+        extension = await AuctionEngineExtension.at(auction.address);
+        // 1 native coin = 300 USD
+        feed = await MockAggregator.new(8, usd('300'));
+
+        for (let i = 0; i < 3; i++) {
+            await nft.mint('metadata', '0', { from: seller });
+        }
+        await nft.setApprovalForAll(auction.address, true, { from: seller });
+    });
+
+    it('should let the auction owner set a USD reserve before the first bid', async function () {
+        await auction.createAuction(nft.address, 1, ether('1'), 0, 3600, ZERO_ADDRESS, NO_OPTIONS, { from: seller });
+        await auction.createDutchAuction(
+            nft.address, 2, 0, 3600, ZERO_ADDRESS, { startPrice: ether('2'), floorPrice: ether('1'), stepDuration: '0' }, { from: seller }
+        );
+
+        await expectRevert(extension.setUsdReserve(0, usd('500'), { from: seller }), 'Currency has no price feed');
+        await expectRevert(
+            extension.setPriceFeed(ZERO_ADDRESS, feed.address, 3600, { from: other }),
+            'Caller is missing role'
+        );
+        const setFeed = await extension.setPriceFeed(ZERO_ADDRESS, feed.address, 3600, { from: owner });
+        expectEvent(setFeed, 'PriceFeedChanged', { currency: ZERO_ADDRESS, aggregator: feed.address, maxAge: '3600' });
+        expect((await auction.priceFeeds(ZERO_ADDRESS)).aggregator).to.be.equal(feed.address);
+
+        await expectRevert(extension.setUsdReserve(0, usd('500'), { from: other }), 'Only auction owner');
+        await expectRevert(extension.setUsdReserve(1, usd('500'), { from: seller }), 'Not an English auction');
+        const setReserve = await extension.setUsdReserve(0, usd('500'), { from: seller });
+        expectEvent(setReserve, 'UsdReserveChanged', { auctionIndex: '0', usdReserve: usd('500') });
+        expect(await auction.usdReserves(0)).to.be.eq.BN(usd('500'));
+
+        await auction.bid(0, ether('2'), { from: bidder, value: ether('2') });
+        await expectRevert(extension.setUsdReserve(0, '0', { from: seller }), 'Auction has a bid');
+    });
+
+    it('should value each bid at the rate of the feed when it is placed', async function () {
+        // 2 coins are worth 600 USD when they are bid
+        expect(await auction.isReserveMet(0)).to.be.true;
+        // a lower rate once the auction ended does not void the sale
+        await time.increase(3601);
+        await feed.setAnswer(usd('200'));
+        expect(await auction.isReserveMet(0)).to.be.true;
+
+        const finalize = await auction.finalize(0, { from: other });
+        expectEvent(finalize, 'AuctionFinalized', { auctionIndex: '0', buyer: bidder, price: ether('2') });
+        expect(await nft.ownerOf(1)).to.be.equal(bidder);
+
+        // 2 coins are only worth 400 USD when they are bid, a higher rate at finalize does not meet the reserve
+        await auction.createAuction(nft.address, 3, ether('1'), 0, 3600, ZERO_ADDRESS, NO_OPTIONS, { from: seller });
+        await extension.setUsdReserve(2, usd('500'), { from: seller });
+        await auction.bid(2, ether('2'), { from: other, value: ether('2') });
+        await time.increase(3601);
+        await feed.setAnswer(usd('300'));
+        expect(await auction.isReserveMet(2)).to.be.false;
+
+        const refunded = await auction.finalize(2, { from: other });
+        expectEvent(refunded, 'ReserveNotMet', { auctionIndex: '2', bidder: other, amount: ether('2') });
+        expect(await nft.ownerOf(3)).to.be.equal(seller);
+        expect(await auction.pendingPayments(other, ZERO_ADDRESS)).to.be.eq.BN(ether('2'));
+    });
+
+    it('should not meet a USD reserve with a bid placed while the price feed is stale or removed', async function () {
+        await auction.createAuction(nft.address, 3, ether('1'), 0, 7200, ZERO_ADDRESS, NO_OPTIONS, { from: seller });
+        await extension.setUsdReserve(3, usd('500'), { from: seller });
+        // the answer gets older than the 3600 seconds of the feed, the bid is refunded instead of blocking the auction
+        await time.increase(3601);
+        await auction.bid(3, ether('2'), { from: bidder, value: ether('2') });
+        expect(await auction.isReserveMet(3)).to.be.false;
+        await feed.setAnswer(usd('300'));
+        expect(await auction.isReserveMet(3)).to.be.false;
+
+        await time.increase(3601);
+        const stale = await auction.finalize(3, { from: seller });
+        expectEvent(stale, 'ReserveNotMet', { auctionIndex: '3', bidder, amount: ether('2') });
+        expect(await nft.ownerOf(3)).to.be.equal(seller);
+
+        await feed.setAnswer(usd('300'));
+        await auction.createAuction(nft.address, 3, ether('1'), 0, 3600, ZERO_ADDRESS, NO_OPTIONS, { from: seller });
+        await extension.setUsdReserve(4, usd('500'), { from: seller });
+        await extension.setPriceFeed(ZERO_ADDRESS, ZERO_ADDRESS, 0, { from: owner });
+        await auction.bid(4, ether('2'), { from: bidder, value: ether('2') });
+        expect(await auction.isReserveMet(4)).to.be.false;
+
+        await time.increase(3601);
+        expect(await auction.getWinner(4)).to.be.equal(ZERO_ADDRESS);
+        const removed = await auction.finalize(4, { from: seller });
+        expectEvent(removed, 'ReserveNotMet', { auctionIndex: '4', bidder, amount: ether('2') });
+        expect(await nft.ownerOf(3)).to.be.equal(seller);
+    });
+});
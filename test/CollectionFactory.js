@@ -0,0 +1,201 @@
+const { expect } = require('chai');
+const {
+    constants,
+    expectEvent,
+    expectRevert,
+    time,
+} = require('@openzeppelin/test-helpers');
+const { web3 } = require('@openzeppelin/test-helpers/src/setup');
+const { buildVoucher, marketplaceDomain, signVoucher } = require('../sdk');
+
+const { ZERO_ADDRESS } = constants;
+const NO_OPTIONS = { reservePrice: '0', minIncrement: '0', buyNowPrice: '0', extensionWindow: '0' };
+
+const CollectionFactory = artifacts.require('CollectionFactory');
+const NFT = artifacts.require('NFT');
+const Marketplace = artifacts.require('Marketplace');
+const MarketplaceExtension = artifacts.require('MarketplaceExtension');
+const AuctionEngine = artifacts.require('AuctionEngine');
+const Forwarder = artifacts.require('Forwarder');
+
+
+contract('CollectionFactory', (accounts) => {
+    const [owner, creator, buyer, other] = accounts;
+    const ether = (value) => web3.utils.toWei(value, 'ether');
+    const split = (recipient, amount) => ({ recipient, amount });
+
+    let factory = null;
+    let marketplace = null;
+    let auction = null;
+
+    const createCollection = async (name, from, royalties = []) => {
+        const receipt = await factory.createCollection(name, 'CRT', `ipfs://${name}`, royalties, { from });
+        const { collection } = receipt.logs.find(({ event }) => event === 'CollectionCreated').args;
+        return { receipt, collection: await NFT.at(collection) };
+    };
+
+    before(async () => {
+        factory = await CollectionFactory.deployed();
+        marketplace = await Marketplace.deployed();
+        auction = await AuctionEngine.deployed();
+    });
+
+    it('should deploy a collection owned by its creator and approved on the marketplace', async function () {
+        const { receipt, collection } = await createCollection('First', creator, [split(creator, '500')]);
+
+        expectEvent(receipt, 'CollectionCreated', { collection: collection.address, creator, name: 'First', symbol: 'CRT' });
+        expect(await collection.name()).to.be.equal('First');
+        expect(await collection.symbol()).to.be.equal('CRT');
+        expect(await collection.contractURI()).to.be.equal('ipfs://First');
+        expect(await collection.owner()).to.be.equal(creator);
+        const royalties = await collection.getDefaultRoyalties();
+        expect(royalties.map(({ recipient, amount }) => [recipient, amount])).to.be.deep.equal([[creator, '500']]);
+        expect(await marketplace.approvedCollections(collection.address)).to.be.true;
+        expect(await collection.royaltyPayers(marketplace.address)).to.be.true;
+        expect(await collection.royaltyPayers(auction.address)).to.be.true;
+        expect(await factory.creatorOf(collection.address)).to.be.equal(creator);
+
+        await expectRevert(
+            collection.initializeCollection('Other', 'OTH', '', other, [], other, { from: other }),
+            'Initializable: contract is already initialized'
+        );
+        await expectRevert(
+            createCollection('Greedy', creator, [split(creator, '10001')]),
+            'ERC2981Royalties: Too high'
+        );
+    });
+
+    it('should list the collections by creator', async function () {
+        const { collection: second } = await createCollection('Second', creator);
+        const { collection: third } = await createCollection('Third', creator);
+        const { collection: foreign } = await createCollection('Foreign', other);
+        const first = await factory.getCollectionsByCreator(creator, 0, 1);
+
+        expect(await factory.getCreatorCollectionCount(creator)).to.be.bignumber.equal('3');
+        expect(await factory.getCollectionsByCreator(creator, 1, 10)).to.be.deep.equal([second.address, third.address]);
+        expect(await factory.getCollectionsByCreator(creator, 3, 10)).to.be.deep.equal([]);
+        expect(await factory.getCollectionsByCreator(other, 0, 10)).to.be.deep.equal([foreign.address]);
+        expect(await factory.getCollectionCount()).to.be.bignumber.equal('4');
+        expect(await factory.getCollections(0, 10)).to.be.deep.equal([...first, second.address, third.address, foreign.address]);
+        expect(await factory.creatorOf((await NFT.deployed()).address)).to.be.equal(ZERO_ADDRESS);
+    });
+
+    it('should let only the creator and its minters mint into a collection', async function () {
+        const { collection } = await createCollection('Closed', creator);
+
+        await expectRevert(collection.mint('stranger', '0', { from: other }), 'Caller can not mint');
+        await expectRevert(collection.mintBatch(['stranger'], ['0'], { from: other }), 'Caller can not mint');
+        await expectRevert(collection.mintWithRoyalties('stranger', [], { from: other }), 'Caller can not mint');
+
+        await collection.mint('creator', '0', { from: creator });
+        await collection.setMinter(other, true, { from: creator });
+        await collection.mint('minter', '0', { from: other });
+        expect(await collection.ownerOf(2)).to.be.equal(other);
+    });
+
+    it('should only redeem the vouchers of the creator and its minters for a collection', async function () {
+        const { collection } = await createCollection('Lazy', creator);
+        await collection.setMinter(marketplace.address, true, { from: creator });
+        const extension = await MarketplaceExtension.at(marketplace.address);
+        const domain = marketplaceDomain(await web3.eth.getChainId(), marketplace.address);
+        const expiry = (await time.latest()).addn(3600).toString();
+        const redeem = async (signer) => {
+            const voucher = buildVoucher({
+                creator: signer, nftContract: collection.address, uri: 'lazy', royalty: 500, price: ether('1'), nonce: 0, expiry,
+            });
+            return extension.redeemVoucher(voucher, await signVoucher(web3, voucher, domain), { from: buyer, value: ether('1') });
+        };
+
+        await expectRevert(redeem(other), 'Creator can not mint');
+
+        await redeem(creator);
+        expect(await collection.ownerOf(1)).to.be.equal(buyer);
+        expect(await collection.creators(1)).to.be.equal(creator);
+    });
+
+    it('should trade the tokens of a collection on the marketplace and the auction engine right away', async function () {
+        const { collection } = await createCollection('Traded', creator, [split(creator, '1000')]);
+        await collection.mint('sold', '0', { from: creator });
+        await collection.mint('auctioned', '0', { from: creator });
+        await collection.setApprovalForAll(marketplace.address, true, { from: creator });
+        await collection.setApprovalForAll(auction.address, true, { from: creator });
+
+        await marketplace.putTokenForSale(collection.address, 1, ether('1'), ZERO_ADDRESS, { from: creator });
+        await marketplace.buyToken(collection.address, 1, { from: buyer, value: ether('1') });
+        expect(await collection.ownerOf(1)).to.be.equal(buyer);
+
+        const { logs } = await auction.createAuction(collection.address, 2, ether('0.1'), 0, 30, ZERO_ADDRESS, NO_OPTIONS, { from: creator });
+        const auctionIndex = logs.find(({ event }) => event === 'NewAuction').args.auctionIndex;
+        await auction.bid(auctionIndex, ether('0.1'), { from: buyer, value: ether('0.1') });
+        await time.increase(31);
+        await auction.finalize(auctionIndex, { from: creator });
+        expect(await collection.ownerOf(2)).to.be.equal(buyer);
+    });
+
+    it('should let only the factory change the forwarder of its collections', async function () {
+        const { collection } = await createCollection('Relayed', creator);
+        expect(await factory.trustedForwarder()).to.be.equal(Forwarder.address);
+        expect(await collection.collectionFactory()).to.be.equal(factory.address);
+        expect(await collection.isTrustedForwarder(Forwarder.address)).to.be.true;
+
+        // the creator owning the collection can not trust a forwarder acting as any of its token holders
+        await expectRevert(collection.setTrustedForwarder(other, { from: creator }), 'Caller is not the collection factory');
+        await expectRevert(factory.setCollectionForwarder(collection.address, other, { from: other }), 'caller is not the owner');
+        await expectRevert(factory.setCollectionForwarder(NFT.address, other, { from: owner }), 'Unknown collection');
+
+        const update = await factory.setCollectionForwarder(collection.address, ZERO_ADDRESS, { from: owner });
+        await expectEvent.inTransaction(update.tx, collection, 'TrustedForwarderUpdated', { forwarder: ZERO_ADDRESS });
+        expect(await collection.isTrustedForwarder(Forwarder.address)).to.be.false;
+
+        await factory.setTrustedForwarder(ZERO_ADDRESS, { from: owner });
+        const { collection: direct } = await createCollection('Direct', creator);
+        expect(await direct.trustedForwarder()).to.be.equal(ZERO_ADDRESS);
+        await factory.setTrustedForwarder(Forwarder.address, { from: owner });
+    });
+
+    it('should let only the factory allow the royalty payers of its collections', async function () {
+        const { collection } = await createCollection('Paid', creator, [split(creator, '1000')]);
+
+        await expectRevert(collection.setRoyaltyPayer(other, true, { from: creator }), 'Caller is not the collection factory');
+        await expectRevert(
+            factory.setCollectionRoyaltyPayer(collection.address, other, true, { from: other }),
+            'caller is not the owner'
+        );
+        await factory.setCollectionRoyaltyPayer(collection.address, marketplace.address, false, { from: owner });
+        expect(await collection.royaltyPayers(marketplace.address)).to.be.false;
+
+        // the royalties are still paid when the collection rejects the notification
+        await collection.mint('paid', '0', { from: creator });
+        await collection.transferFrom(creator, other, 1, { from: creator });
+        await collection.setApprovalForAll(marketplace.address, true, { from: other });
+        await marketplace.putTokenForSale(collection.address, 1, ether('1'), ZERO_ADDRESS, { from: other });
+        const pending = await marketplace.pendingPayments(creator, ZERO_ADDRESS);
+        const buy = await marketplace.buyToken(collection.address, 1, { from: buyer, value: ether('1') });
+        expect(await collection.ownerOf(1)).to.be.equal(buyer);
+        expect(await marketplace.pendingPayments(creator, ZERO_ADDRESS)).to.be.bignumber.equal(pending.add(web3.utils.toBN(ether('0.1'))));
+        await expectEvent.notEmitted.inTransaction(buy.tx, collection, 'RoyaltiesReceived');
+
+        await factory.setCollectionRoyaltyPayer(collection.address, marketplace.address, true, { from: owner });
+    });
+
+    it('should let only the owner configure the factory and keep the clones out of upgrades', async function () {
+        const { collection } = await createCollection('Fixed', creator);
+        const implementation = await factory.implementation();
+
+        expect(await marketplace.hasRole(await marketplace.COLLECTION_CURATOR_ROLE(), factory.address)).to.be.true;
+        await expectRevert(factory.setImplementation(other, { from: other }), 'caller is not the owner');
+        await expectRevert(factory.setMarketplace(other, { from: other }), 'caller is not the owner');
+        await expectRevert(factory.setMarketplace(ZERO_ADDRESS, { from: owner }), 'Marketplace is the zero address');
+        await expectRevert(factory.setAuctionEngine(other, { from: other }), 'caller is not the owner');
+        await expectRevert(factory.setAuctionEngine(ZERO_ADDRESS, { from: owner }), 'AuctionEngine is the zero address');
+        await expectRevert(factory.setTrustedForwarder(other, { from: other }), 'caller is not the owner');
+        await expectRevert(
+            (await NFT.at(implementation)).initialize('Implementation', 'IMP', '', { from: other }),
+            'Initializable: contract is already initialized'
+        );
+        await expectRevert(collection.upgradeTo(implementation, { from: creator }), 'Function must be called through active proxy');
+
+        await marketplace.revokeRole(await marketplace.COLLECTION_CURATOR_ROLE(), factory.address, { from: owner });
+        await expectRevert(createCollection('Unapproved', creator), 'Caller is missing role');
+    });
+});
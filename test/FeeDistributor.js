@@ -0,0 +1,192 @@
+const { expect } = require('chai');
+const {
+    constants,
+    expectEvent,
+    expectRevert,
+    time,
+} = require('@openzeppelin/test-helpers');
+const { web3 } = require('@openzeppelin/test-helpers/src/setup');
+
+const { signPermit } = require('../sdk/orders');
+
+const { ZERO_ADDRESS } = constants;
+
+const FeeDistributor = artifacts.require('FeeDistributor');
+const Marketplace = artifacts.require('Marketplace');
+const AuctionEngine = artifacts.require('AuctionEngine');
+const DemianO = artifacts.require('DemianO');
+const NFT = artifacts.require('NFT');
+const ERC20 = artifacts.require('MockERC20');
+const NoReturnERC20 = artifacts.require('MockNoReturnERC20');
+
+
+contract('FeeDistributor', (accounts) => {
+    const [owner, staker, otherStaker, seller, buyer] = accounts;
+    const ether = (value) => web3.utils.toWei(value, 'ether');
+    const epochDuration = 3600;
+    const cooldown = 7200;
+
+    let distributor = null;
+    let marketplace = null;
+    let demo = null;
+    let erc20 = null;
+
+    before(async () => {
+        marketplace = await Marketplace.deployed();
+        demo = await DemianO.deployed();
+        erc20 = await ERC20.new();
+
+        // a distributor of its own, the deployed one also distributes the platform token of the secrets
+        distributor = await FeeDistributor.new();
+        await distributor.initialize(demo.address, epochDuration, cooldown);
+        await distributor.addSource(marketplace.address);
+        await distributor.addCurrency(ZERO_ADDRESS);
+        await distributor.addCurrency(erc20.address);
+        await distributor.addCurrency(demo.address);
+        await marketplace.updateFeeDestination(distributor.address);
+        await marketplace.addApprovedToken(erc20.address, { from: owner });
+
+        await demo.transfer(staker, ether('1000'), { from: owner });
+        await demo.transfer(otherStaker, ether('1000'), { from: owner });
+        await demo.approve(distributor.address, ether('1000'), { from: staker });
+        await demo.approve(distributor.address, ether('1000'), { from: otherStaker });
+    });
+
+    it('should be the fee destination of the marketplace and the auction engine', async function () {
+        const deployed = await FeeDistributor.deployed();
+        const auctionEngine = await AuctionEngine.deployed();
+        expect(await deployed.demo()).to.be.equal(demo.address);
+        expect(await deployed.isSource(Marketplace.address)).to.be.true;
+        expect(await deployed.isSource(auctionEngine.address)).to.be.true;
+        expect(await deployed.isCurrency(ZERO_ADDRESS)).to.be.true;
+        expect(await auctionEngine.feeDestination()).to.be.equal(deployed.address);
+
+        await expectRevert(distributor.addSource(erc20.address, { from: staker }), 'caller is not the owner');
+        await expectRevert(distributor.addCurrency(ZERO_ADDRESS, { from: owner }), 'Currency already added');
+    });
+
+    it('should keep the cooldown at least one epoch long', async function () {
+        await expectRevert(distributor.setCooldown(epochDuration - 1, { from: owner }), 'Cooldown shorter than an epoch');
+        await expectRevert(distributor.setEpochDuration(cooldown + 1, { from: owner }), 'Invalid epoch duration');
+
+        const other = await FeeDistributor.new();
+        await expectRevert(other.initialize(demo.address, cooldown, epochDuration), 'Invalid epoch duration');
+    });
+
+    it('should keep unstaked tokens until the cooldown is over', async function () {
+        const stake = await distributor.stake(ether('100'), { from: staker });
+        expectEvent(stake, 'Staked', { account: staker, amount: ether('100') });
+        expect(await distributor.stakeOf(staker)).to.be.bignumber.equal(ether('100'));
+
+        await expectRevert(distributor.requestUnstake(ether('101'), { from: staker }), 'Invalid amount');
+        const request = await distributor.requestUnstake(ether('40'), { from: staker });
+        expectEvent(request, 'UnstakeRequested', { account: staker, amount: ether('40') });
+        expect(await distributor.stakeOf(staker)).to.be.bignumber.equal(ether('60'));
+        expect(await distributor.totalStaked()).to.be.bignumber.equal(ether('60'));
+
+        await expectRevert(distributor.withdraw({ from: staker }), 'Cooldown not over');
+        await time.increase(cooldown);
+        const withdraw = await distributor.withdraw({ from: staker });
+        expectEvent(withdraw, 'Withdrawn', { account: staker, amount: ether('40') });
+        expect(await demo.balanceOf(staker)).to.be.bignumber.equal(ether('940'));
+        await expectRevert(distributor.withdraw({ from: staker }), 'Nothing to withdraw');
+    });
+
+    it('should share the fees of an epoch pro rata to the stakes at its start', async function () {
+        const nft = await NFT.deployed();
+        await nft.mint('metadata', '0', { from: seller });
+        await nft.mint('metadata', '0', { from: seller });
+        await nft.setApprovalForAll(marketplace.address, true, { from: seller });
+        await erc20.transfer(buyer, ether('10'), { from: owner });
+        await erc20.approve(marketplace.address, ether('10'), { from: buyer });
+
+        // 60 DEMO staked before, 180 more before the epoch closes
+        await distributor.stake(ether('180'), { from: otherStaker });
+        // the first epoch started without stake, its fees roll over
+        const closeFirst = await distributor.closeEpoch();
+        expectEvent(closeFirst, 'EpochClosed', { epoch: '0', totalStake: '0' });
+        await expectRevert(distributor.closeEpoch(), 'Epoch not over');
+
+        await marketplace.putTokenForSale(nft.address, 1, ether('1'), ZERO_ADDRESS, { from: seller });
+        await marketplace.buyToken(nft.address, 1, { from: buyer, value: ether('1') });
+        await marketplace.putTokenForSale(nft.address, 2, ether('2'), erc20.address, { from: seller });
+        await marketplace.buyToken(nft.address, 2, { from: buyer });
+        // staked after the start of the epoch, it earns nothing from it
+        await distributor.stake(ether('240'), { from: staker });
+
+        await time.increase(epochDuration);
+        const close = await distributor.closeEpoch({ from: buyer });
+        expectEvent(close, 'EpochClosed', { epoch: '1', totalStake: ether('240') });
+        expectEvent(close, 'EpochFees', { epoch: '1', currency: ZERO_ADDRESS, amount: ether('0.05') });
+        expectEvent(close, 'EpochFees', { epoch: '1', currency: erc20.address, amount: ether('0.1') });
+        expect(await marketplace.pendingPayments(distributor.address, ZERO_ADDRESS)).to.be.bignumber.equal('0');
+        // the staked tokens are not fees
+        expect(await distributor.epochFees(1, demo.address)).to.be.bignumber.equal('0');
+        expect(await distributor.totalStakeAt(1)).to.be.bignumber.equal(ether('240'));
+        expect(await distributor.stakeAt(staker, 1)).to.be.bignumber.equal(ether('60'));
+
+        expect(await distributor.claimable(staker, [0, 1, 2], erc20.address)).to.be.bignumber.equal(ether('0.025'));
+        const claim = await distributor.claim([0, 1], erc20.address, { from: staker });
+        expectEvent(claim, 'FeesClaimed', { account: staker, currency: erc20.address, amount: ether('0.025') });
+        await expectRevert(distributor.claim([1], erc20.address, { from: staker }), 'No fees to claim');
+        await expectRevert(distributor.claim([2], erc20.address, { from: staker }), 'Epoch not closed');
+
+        const balance = web3.utils.toBN(await web3.eth.getBalance(otherStaker));
+        const claimCoin = await distributor.claim([1], ZERO_ADDRESS, { from: otherStaker });
+        const gas = web3.utils.toBN(claimCoin.receipt.gasUsed).mul(web3.utils.toBN(claimCoin.receipt.effectiveGasPrice));
+        expectEvent(claimCoin, 'FeesClaimed', { account: otherStaker, currency: ZERO_ADDRESS, amount: ether('0.0375') });
+        expect(web3.utils.toBN(await web3.eth.getBalance(otherStaker)).sub(balance).add(gas)).to.be.bignumber.equal(ether('0.0375'));
+        expect(await distributor.reserved(ZERO_ADDRESS)).to.be.bignumber.equal(ether('0.0125'));
+    });
+
+    it('should stake with a permit signed by the holder', async function () {
+        // the deployment upgraded the token and set up its permits once
+        await expectRevert(demo.initializeV2({ from: owner }), 'Initializable: contract is already initialized');
+        const amount = ether('50');
+        const deadline = (await time.latest()).addn(3600);
+        const domain = { name: 'DemianO', version: '1', chainId: await web3.eth.getChainId(), verifyingContract: demo.address };
+        const nonce = await demo.nonces(otherStaker);
+        const { v, r, s } = await signPermit(web3, {
+            owner: otherStaker, spender: distributor.address, value: amount, nonce, deadline,
+        }, domain);
+
+        await demo.approve(distributor.address, '0', { from: otherStaker });
+        await distributor.stakeWithPermit(amount, deadline, v, r, s, { from: otherStaker });
+        expect(await distributor.stakeOf(otherStaker)).to.be.bignumber.equal(ether('230'));
+        expect(await demo.nonces(otherStaker)).to.be.bignumber.equal(nonce.addn(1));
+        // a used permit falls back to the allowance
+        await expectRevert(
+            distributor.stakeWithPermit(amount, deadline, v, r, s, { from: otherStaker }),
+            'ERC20: insufficient allowance'
+        );
+
+        // a permit submitted by someone else first still stakes
+        const frontRun = await signPermit(web3, {
+            owner: otherStaker, spender: distributor.address, value: amount, nonce: nonce.addn(1), deadline,
+        }, domain);
+        await demo.permit(otherStaker, distributor.address, amount, deadline, frontRun.v, frontRun.r, frontRun.s, { from: owner });
+        await distributor.stakeWithPermit(amount, deadline, frontRun.v, frontRun.r, frontRun.s, { from: otherStaker });
+        expect(await distributor.stakeOf(otherStaker)).to.be.bignumber.equal(ether('280'));
+    });
+
+    it('should distribute the fees of a currency whose transfers return nothing', async function () {
+        const nft = await NFT.deployed();
+        const token = await NoReturnERC20.new();
+        await marketplace.addApprovedToken(token.address, { from: owner });
+        await distributor.addCurrency(token.address);
+        await token.transfer(buyer, ether('10'), { from: owner });
+        await token.approve(marketplace.address, ether('1'), { from: buyer });
+
+        await nft.mint('metadata', '0', { from: seller });
+        await marketplace.putTokenForSale(nft.address, 3, ether('1'), token.address, { from: seller });
+        await marketplace.buyToken(nft.address, 3, { from: buyer });
+        await time.increase(epochDuration);
+        const close = await distributor.closeEpoch();
+        expectEvent(close, 'EpochFees', { epoch: '2', currency: token.address, amount: ether('0.05') });
+
+        const amount = await distributor.claimable(staker, [2], token.address);
+        expect(amount.isZero()).to.be.false;
+        await distributor.claim([2], token.address, { from: staker });
+        expect(await token.balanceOf(staker)).to.be.bignumber.equal(amount);
+    });
+});
@@ -0,0 +1,121 @@
+const { expect } = require('chai');
+const {
+  constants,
+  expectEvent,
+  expectRevert,
+} = require('@openzeppelin/test-helpers');
+const { web3 } = require('@openzeppelin/test-helpers/src/setup');
+
+const { ZERO_ADDRESS } = constants;
+
+const FeeManager = artifacts.require('FeeManager');
+const FeeDistributor = artifacts.require('FeeDistributor');
+const DemianO = artifacts.require('DemianO');
+const ERC20 = artifacts.require('MockERC20');
+const ERC721 = artifacts.require('MockERC721');
+
+
+contract('FeeManager', (accounts) => {
+    const [owner, seller, other] = accounts;
+    const ether = (value) => web3.utils.toWei(value, 'ether');
+
+    let feeManager = null;
+    let demo = null;
+    let erc20 = null;
+    let collection = null;
+
+    before(async () => {
+        feeManager = await FeeManager.deployed();
+        demo = await DemianO.deployed();
+        erc20 = await ERC20.new();
+        collection = await ERC721.new();
+
+        // the deployed fees come from the deployment settings, the tests use their own
+        await feeManager.setDefaultFee('500', { from: owner });
+        await feeManager.setCurrencyFee(await feeManager.token(), true, '500', { from: owner });
+    });
+
+    it('should charge the default fee and the platform token fee', async function () {
+        expect(await feeManager.demo()).to.be.equal(demo.address);
+        expect(await feeManager.maxFee()).to.be.bignumber.equal('1000');
+        expect(await feeManager.platformFeeInCoin()).to.be.bignumber.equal('500');
+        expect(await feeManager.platformFeeInToken()).to.be.bignumber.equal('500');
+        expect(await feeManager.baseFee(collection.address, erc20.address)).to.be.bignumber.equal('500');
+    });
+
+    it('reverts when not owner tries to change the fees', async function () {
+        await expectRevert(feeManager.setDefaultFee('100', { from: other }), 'caller is not the owner');
+        await expectRevert(feeManager.setMaxFee('100', { from: other }), 'caller is not the owner');
+        await expectRevert(feeManager.setCurrencyFee(erc20.address, true, '100', { from: other }), 'caller is not the owner');
+        await expectRevert(feeManager.setCollectionFee(collection.address, true, '100', { from: other }), 'caller is not the owner');
+        await expectRevert(feeManager.setTiers([], { from: other }), 'caller is not the owner');
+        await expectRevert(feeManager.setStaking(other, { from: other }), 'caller is not the owner');
+    });
+
+    it('should pick the collection fee, then the currency fee, then the default fee', async function () {
+        const currencyFee = await feeManager.setCurrencyFee(erc20.address, true, '300', { from: owner });
+        expectEvent(currencyFee, 'CurrencyFeeChanged', { currency: erc20.address, enabled: true, fee: '300' });
+        expect(await feeManager.baseFee(collection.address, erc20.address)).to.be.bignumber.equal('300');
+        expect(await feeManager.baseFee(collection.address, ZERO_ADDRESS)).to.be.bignumber.equal('500');
+
+        await feeManager.setCollectionFee(collection.address, true, '100', { from: owner });
+        expect(await feeManager.baseFee(collection.address, erc20.address)).to.be.bignumber.equal('100');
+        expect(await feeManager.baseFee(collection.address, ZERO_ADDRESS)).to.be.bignumber.equal('100');
+        expect(await feeManager.quoteFee(collection.address, ZERO_ADDRESS, seller, ether('2'))).to.be.bignumber.equal(ether('0.02'));
+
+        await feeManager.setCollectionFee(collection.address, false, '0', { from: owner });
+        expect(await feeManager.baseFee(collection.address, erc20.address)).to.be.bignumber.equal('300');
+    });
+
+    it('should keep every fee under the cap', async function () {
+        await expectRevert(feeManager.setMaxFee('10001', { from: owner }), 'Fee can not exceed 100%');
+        await expectRevert(feeManager.setDefaultFee('1001', { from: owner }), 'Fee exceeds the cap');
+        await expectRevert(feeManager.setCurrencyFee(erc20.address, true, '1001', { from: owner }), 'Fee exceeds the cap');
+        await expectRevert(feeManager.setCollectionFee(collection.address, true, '1001', { from: owner }), 'Fee exceeds the cap');
+
+        const setMaxFee = await feeManager.setMaxFee('400', { from: owner });
+        expectEvent(setMaxFee, 'MaxFeeChanged', { newFee: '400', oldFee: '1000' });
+        expect(await feeManager.baseFee(collection.address, ZERO_ADDRESS)).to.be.bignumber.equal('400');
+        expect(await feeManager.baseFee(collection.address, erc20.address)).to.be.bignumber.equal('300');
+
+        await feeManager.setMaxFee('1000', { from: owner });
+    });
+
+    it('should discount the fee of DemianO holders', async function () {
+        await expectRevert(
+            feeManager.setTiers([
+                { minBalance: ether('1000'), discount: '2500' },
+                { minBalance: ether('1000'), discount: '5000' },
+            ], { from: owner }),
+            'Tiers must be sorted'
+        );
+        await expectRevert(
+            feeManager.setTiers([{ minBalance: ether('1000'), discount: '10001' }], { from: owner }),
+            'Discount can not exceed 100%'
+        );
+
+        await feeManager.setTiers([
+            { minBalance: ether('1000'), discount: '2500' },
+            { minBalance: ether('10000'), discount: '5000' },
+        ], { from: owner });
+        expect(await feeManager.getTierCount()).to.be.bignumber.equal('2');
+
+        expect(await feeManager.feeRate(collection.address, ZERO_ADDRESS, seller)).to.be.bignumber.equal('500');
+        await demo.transfer(seller, ether('1000'), { from: owner });
+        expect(await feeManager.discountOf(seller)).to.be.bignumber.equal('2500');
+        expect(await feeManager.feeRate(collection.address, ZERO_ADDRESS, seller)).to.be.bignumber.equal('375');
+        await demo.transfer(seller, ether('9000'), { from: owner });
+        expect(await feeManager.quoteFee(collection.address, ZERO_ADDRESS, seller, ether('1'))).to.be.bignumber.equal(ether('0.025'));
+
+        // the DemianO staked in the fee distributor counts with the DemianO held
+        const distributor = await FeeDistributor.deployed();
+        expect(await feeManager.staking()).to.be.equal(distributor.address);
+        await demo.transfer(other, ether('1000'), { from: owner });
+        await demo.approve(distributor.address, ether('600'), { from: other });
+        await distributor.stake(ether('600'), { from: other });
+        expect(await feeManager.discountOf(other)).to.be.bignumber.equal('2500');
+
+        await feeManager.setTiers([], { from: owner });
+        expect(await feeManager.discountOf(seller)).to.be.bignumber.equal('0');
+    });
+})
@@ -0,0 +1,183 @@
+const { expect } = require('chai');
+const {
+    constants,
+    expectEvent,
+    expectRevert,
+    time,
+} = require('@openzeppelin/test-helpers');
+const { web3 } = require('@openzeppelin/test-helpers/src/setup');
+
+const { ForwarderClient } = require('../sdk');
+
+const { ZERO_ADDRESS } = constants;
+const NO_OPTIONS = { reservePrice: '0', minIncrement: '0', buyNowPrice: '0', extensionWindow: '0' };
+
+const Forwarder = artifacts.require('Forwarder');
+const NFT = artifacts.require('NFT');
+const Marketplace = artifacts.require('Marketplace');
+const AuctionEngine = artifacts.require('AuctionEngine');
+const AuctionEngineExtension = artifacts.require('AuctionEngineExtension');
+const MaliciousReceiver = artifacts.require('MaliciousReceiver');
+const ERC20 = artifacts.require('MockERC20');
+
+
+contract('Forwarder', (accounts) => {
+    const [owner, seller, buyer, relayer, creator, attacker] = accounts;
+    const ether = (value) => web3.utils.toWei(value, 'ether');
+
+    let forwarder = null;
+    let client = null;
+    let nft = null;
+    let marketplace = null;
+    let auction = null;
+    let erc20 = null;
+
+    const mint = async (from) => {
+        const { logs } = await nft.mint('metadata', '0', { from });
+        return logs.find(({ event }) => event === 'Transfer').args.tokenId;
+    };
+
+    before(async () => {
+        forwarder = await Forwarder.deployed();
+        client = new ForwarderClient(web3, forwarder.address, { abi: Forwarder.abi });
+        nft = await NFT.deployed();
+        marketplace = await Marketplace.deployed();
+        auction = await AuctionEngine.deployed();
+        erc20 = await ERC20.new();
+
+        await marketplace.addApprovedToken(erc20.address, { from: owner });
+        await erc20.transfer(buyer, ether('10'), { from: owner });
+        await nft.setApprovalForAll(marketplace.address, true, { from: seller });
+        await nft.setApprovalForAll(auction.address, true, { from: seller });
+    });
+
+    it('should be trusted by the marketplace, the auction engine and the NFT', async function () {
+        expect(await marketplace.isTrustedForwarder(forwarder.address)).to.be.true;
+        expect(await auction.isTrustedForwarder(forwarder.address)).to.be.true;
+        expect(await nft.isTrustedForwarder(forwarder.address)).to.be.true;
+
+        await expectRevert(
+            marketplace.updateTrustedForwarder(attacker, { from: attacker }),
+            'Caller is missing role'
+        );
+        await expectRevert(nft.setTrustedForwarder(attacker, { from: attacker }), 'caller is not the owner');
+    });
+
+    it('should relay a purchase paid by the signer', async function () {
+        const tokenId = await mint(seller);
+        await marketplace.putTokenForSale(nft.address, tokenId, ether('1'), erc20.address, { from: seller });
+        await erc20.approve(marketplace.address, ether('1'), { from: buyer });
+
+        const balance = await web3.eth.getBalance(buyer);
+        const { request, signature } = await client.signRequest({
+            to: marketplace.address,
+            data: marketplace.contract.methods.buyToken(nft.address, tokenId).encodeABI(),
+        }, { from: buyer });
+        expect(await forwarder.verify(request, signature)).to.be.true;
+
+        const receipt = await forwarder.execute(request, signature, { from: relayer });
+        expectEvent(receipt, 'RequestExecuted', { from: buyer, to: marketplace.address, nonce: '0', relayer });
+        expect(await nft.ownerOf(tokenId)).to.be.equal(buyer);
+        expect(await erc20.balanceOf(buyer)).to.be.bignumber.equal(ether('9'));
+        // the relayer paid the gas
+        expect(await web3.eth.getBalance(buyer)).to.be.equal(balance);
+        expect(await forwarder.getNonce(buyer)).to.be.bignumber.equal('1');
+    });
+
+    it('should mint to the signer of a relayed request', async function () {
+        const { request, signature } = await client.signRequest({
+            to: nft.address,
+            data: nft.contract.methods.mint('relayed', '500').encodeABI(),
+        }, { from: creator });
+
+        const { tx } = await forwarder.execute(request, signature, { from: relayer });
+        await expectEvent.inTransaction(tx, NFT, 'Transfer', { from: ZERO_ADDRESS, to: creator });
+        expect(await nft.balanceOf(relayer)).to.be.bignumber.equal('0');
+    });
+
+    it('should reject replayed, expired and tampered requests', async function () {
+        const data = nft.contract.methods.mint('relayed', '0').encodeABI();
+        const { request, signature } = await client.signRequest({ to: nft.address, data }, { from: creator });
+        await forwarder.execute(request, signature, { from: relayer });
+        await expectRevert(forwarder.execute(request, signature, { from: relayer }), 'Invalid request');
+
+        const signed = await client.signRequest({ to: nft.address, data }, { from: creator });
+        const tampered = { ...signed.request, from: attacker };
+        await expectRevert(forwarder.execute(tampered, signed.signature, { from: relayer }), 'Invalid request');
+        await expectRevert(
+            forwarder.execute(signed.request, signed.signature, { from: relayer, value: '1' }),
+            'Submit the request value'
+        );
+
+        const deadline = (await time.latest()).addn(60);
+        const expiring = await client.signRequest({ to: nft.address, data, deadline }, { from: creator });
+        await time.increase(120);
+        await expectRevert(forwarder.execute(expiring.request, expiring.signature, { from: relayer }), 'Invalid request');
+    });
+
+    it('should ignore a sender appended by another caller', async function () {
+        const data = nft.contract.methods.mint('spoofed', '0').encodeABI();
+        const balance = await nft.balanceOf(creator);
+        await web3.eth.sendTransaction({
+            from: attacker, to: nft.address, data: `${data}${creator.slice(2).toLowerCase()}`, gas: 500000,
+        });
+        expect(await nft.balanceOf(creator)).to.be.bignumber.equal(balance);
+        expect(await nft.balanceOf(attacker)).to.be.bignumber.equal('1');
+    });
+
+    it('should let contract wallets buy and bid', async function () {
+        const wallet = await MaliciousReceiver.new();
+        const tokenId = await mint(seller);
+        await marketplace.putTokenForSale(nft.address, tokenId, ether('1'), ZERO_ADDRESS, { from: seller });
+
+        await wallet.execute(
+            marketplace.address,
+            marketplace.contract.methods.buyToken(nft.address, tokenId).encodeABI(),
+            { from: buyer, value: ether('1') }
+        );
+        expect(await nft.ownerOf(tokenId)).to.be.equal(wallet.address);
+
+        const lotId = await mint(seller);
+        const { logs } = await auction.createAuction(nft.address, lotId, ether('0.1'), 0, 30, ZERO_ADDRESS, NO_OPTIONS, { from: seller });
+        const auctionIndex = logs.find(({ event }) => event === 'NewAuction').args.auctionIndex;
+        await wallet.execute(
+            auction.address,
+            auction.contract.methods.bid(auctionIndex, ether('0.1')).encodeABI(),
+            { from: buyer, value: ether('0.1') }
+        );
+        expect((await auction.auctions(auctionIndex)).currentBidOwner).to.be.equal(wallet.address);
+    });
+
+    it('should settle an auction won by a contract rejecting the lot', async function () {
+        const wallet = await MaliciousReceiver.new();
+        const extension = await AuctionEngineExtension.at(auction.address);
+        const tokenId = await mint(seller);
+        const { logs } = await auction.createAuction(nft.address, tokenId, ether('0.1'), 0, 30, ZERO_ADDRESS, NO_OPTIONS, { from: seller });
+        const auctionIndex = logs.find(({ event }) => event === 'NewAuction').args.auctionIndex;
+        await wallet.execute(
+            auction.address,
+            auction.contract.methods.bid(auctionIndex, ether('0.1')).encodeABI(),
+            { from: buyer, value: ether('0.1') }
+        );
+        await wallet.setRejectTokens(true);
+        await time.increase(31);
+
+        const finalize = await auction.finalize(auctionIndex, { from: seller });
+        expectEvent(finalize, 'LotUnclaimed', { auctionIndex, recipient: wallet.address });
+        expect(await nft.ownerOf(tokenId)).to.be.equal(auction.address);
+        expect(await auction.unclaimedLots(auctionIndex)).to.be.equal(wallet.address);
+        // the seller is paid even though the lot was not delivered
+        expect(await auction.pendingPayments(seller, ZERO_ADDRESS)).to.be.bignumber.not.equal('0');
+        // the paid seller can not take the lot back by cancelling the finalized auction
+        await expectRevert(auction.cancelAuction(auctionIndex, { from: seller }), 'Not allowed');
+
+        await expectRevert(extension.claimLot(auctionIndex, attacker, { from: attacker }), 'Nothing to claim');
+        await wallet.execute(
+            auction.address,
+            extension.contract.methods.claimLot(auctionIndex, buyer).encodeABI(),
+            { from: buyer }
+        );
+        expect(await nft.ownerOf(tokenId)).to.be.equal(buyer);
+        expect(await auction.unclaimedLots(auctionIndex)).to.be.equal(ZERO_ADDRESS);
+    });
+});
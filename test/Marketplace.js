@@ -3,14 +3,37 @@ const {
   constants,    // Common constants, like the zero address and largest integers
   expectEvent,  // Assertions for emitted events
   expectRevert, // Assertions for transactions that should fail
+  time,
 } = require('@openzeppelin/test-helpers');
 const { web3 } = require('@openzeppelin/test-helpers/src/setup');
+const { deployProxy } = require('@openzeppelin/truffle-upgrades');
+const {
+    buildOrder, buildVoucher, hashOrder, hashVoucher, marketplaceDomain, signOrder, signPermit, signTypedData, signVoucher,
+    typedData,
+} = require('../sdk');
+const { extensionSelectors } = require('../sdk/contracts');
 
 const { ZERO_ADDRESS } = constants;
 
 const NFT = artifacts.require('NFT');
 const Marketplace = artifacts.require('Marketplace');
+const AuctionEngine = artifacts.require('AuctionEngine');
 const ERC20 = artifacts.require("MockERC20");
+const PermitERC20 = artifacts.require('MockPermitERC20');
+const ERC721 = artifacts.require('MockERC721');
+const ERC1155 = artifacts.require('MockERC1155');
+const MarketplaceExtension = artifacts.require('MarketplaceExtension');
+const MarketplaceListingExtension = artifacts.require('MarketplaceListingExtension');
+const MarketplaceBundleExtension = artifacts.require('MarketplaceBundleExtension');
+const MarketplaceRentalExtension = artifacts.require('MarketplaceRentalExtension');
+const MarketplaceLegacyMock = artifacts.require('MarketplaceLegacyMock');
+const MaliciousReceiver = artifacts.require('MaliciousReceiver');
+const MockERC1271Wallet = artifacts.require('MockERC1271Wallet');
+const FeeManager = artifacts.require('FeeManager');
+const DemianO = artifacts.require('DemianO');
+const MockAggregator = artifacts.require('MockAggregator');
+const MockDecimalsERC20 = artifacts.require('MockDecimalsERC20');
+const MockFalseERC20 = artifacts.require('MockFalseERC20');
 
 
 contract('Marketplace', (accounts) => {
@@ -33,11 +56,11 @@ contract('Marketplace', (accounts) => {
         );
         await expectRevert(
             marketplace.updateFee(400, 600, { from: recipient }),
-            'caller is not the owner',
+            'Caller is missing role',
         );
         await expectRevert(
             marketplace.updateFeeDestination(newFeeDestination, {from: recipient}),
-            'caller is not the owner',
+            'Caller is missing role',
         );
     });
     
@@ -77,25 +100,25 @@ contract('Marketplace', (accounts) => {
         await nft.mint('metadata', '300');
         
         await expectRevert(
-            marketplace.putTokenForSale(1, 0, ZERO_ADDRESS, { from: owner}),
+            marketplace.putTokenForSale(nft.address, 1, 0, ZERO_ADDRESS, { from: owner}),
             'Price must be at least 1 wei',
         );
 
         await expectRevert(
-            marketplace.putTokenForSale(1, web3.utils.toWei('1','ether'), newApprovedToken, { from: owner}),
+            marketplace.putTokenForSale(nft.address, 1, web3.utils.toWei('1','ether'), newApprovedToken, { from: owner}),
             'Currency must be approved',
         );
 
         await expectRevert(
-            marketplace.putTokenForSale(1, web3.utils.toWei('1','ether'), ZERO_ADDRESS, { from: owner}),
-            'ERC721: caller is not owner nor approved.'
+            marketplace.putTokenForSale(nft.address, 1, web3.utils.toWei('1','ether'), ZERO_ADDRESS, { from: owner}),
+            'ERC721: caller is not token owner nor approved'
         );
         
         await nft.setApprovalForAll(marketplace.address, true, { from: owner});
 
-        const putTokenForSale = await marketplace.putTokenForSale(1, web3.utils.toWei('1','ether'), ZERO_ADDRESS, { from: owner})
-        const idToMarketItem = await marketplace.idToMarketItem(1);
-        const tokenOwner = await marketplace.tokenOwner(1);
+        const putTokenForSale = await marketplace.putTokenForSale(nft.address, 1, web3.utils.toWei('1','ether'), ZERO_ADDRESS, { from: owner})
+        const idToMarketItem = await marketplace.marketItems(nft.address, 1);
+        const tokenOwner = await marketplace.tokenOwners(nft.address, 1);
         
         expect(await idToMarketItem.price.toString()).to.be.equal(web3.utils.toWei('1', 'ether'));
         expect(await idToMarketItem.currency).to.be.equal(ZERO_ADDRESS);
@@ -103,6 +126,7 @@ contract('Marketplace', (accounts) => {
         expect(await tokenOwner).to.be.equal(owner);
         expectEvent(putTokenForSale, 'TokenOnSale', {
             owner: owner,
+            collection: nft.address,
             tokenId: '1',
             price: web3.utils.toWei('1', 'ether'),
             currency: ZERO_ADDRESS
@@ -111,12 +135,12 @@ contract('Marketplace', (accounts) => {
 
     it('should update token price', async function () {
         await expectRevert(
-            marketplace.updateTokenPrice(1, web3.utils.toWei('2', 'ether'), { from: recipient }),
+            marketplace.updateTokenPrice(nft.address, 1, web3.utils.toWei('2', 'ether'), { from: recipient }),
             'Only token owner can do this.',
         );
 
-        const updateTokenPrice = await marketplace.updateTokenPrice(1, web3.utils.toWei('2', 'ether'), { from: owner });
-        const idToMarketItem = await marketplace.idToMarketItem(1);
+        const updateTokenPrice = await marketplace.updateTokenPrice(nft.address, 1, web3.utils.toWei('2', 'ether'), { from: owner });
+        const idToMarketItem = await marketplace.marketItems(nft.address, 1);
 
         expect(await idToMarketItem.price.toString()).to.be.equal(web3.utils.toWei('2', 'ether'));
         expectEvent(updateTokenPrice, 'SalePriceChanged', {
@@ -127,12 +151,12 @@ contract('Marketplace', (accounts) => {
 
     it('should mark token as not for sale', async function () {
         await expectRevert(
-            marketplace.removeTokenFromSale(1, { from: recipient }),
+            marketplace.removeTokenFromSale(nft.address, 1, { from: recipient }),
             'Only token owner can do this.',
         );
 
-        const removeTokenFromSale = await marketplace.removeTokenFromSale(1, { from: owner });
-        const idToMarketItem = await marketplace.idToMarketItem(1);
+        const removeTokenFromSale = await marketplace.removeTokenFromSale(nft.address, 1, { from: owner });
+        const idToMarketItem = await marketplace.marketItems(nft.address, 1);
 
         expect(await idToMarketItem.forSale).to.be.false;
         expectEvent(removeTokenFromSale, 'TokenNotOnSale', {
@@ -142,60 +166,61 @@ contract('Marketplace', (accounts) => {
 
     it('should bought token for native currency', async function () {
         await expectRevert(
-            marketplace.buyToken(1),
+            marketplace.buyToken(nft.address, 1),
             'Token must be on Sale'
         );
 
-        await marketplace.putTokenForSale(1, web3.utils.toWei('1', 'ether'), ZERO_ADDRESS, { from: owner });
+        await marketplace.putTokenForSale(nft.address, 1, web3.utils.toWei('1', 'ether'), ZERO_ADDRESS, { from: owner });
         
         await expectRevert(
-            marketplace.buyToken(1, { from: recipient, value: web3.utils.toWei('0.1', 'ether') }),
+            marketplace.buyToken(nft.address, 1, { from: recipient, value: web3.utils.toWei('0.1', 'ether') }),
             'Submit the asking price'
         );
 
-        const buyToken = await marketplace.buyToken(1, { from: recipient, value: web3.utils.toWei('1', 'ether') });
+        const buyToken = await marketplace.buyToken(nft.address, 1, { from: recipient, value: web3.utils.toWei('1', 'ether') });
 
         expect(await nft.ownerOf(1)).to.be.equal(recipient);
         expectEvent(buyToken, 'TokenBought', {
+            collection: nft.address,
             tokenId: '1',
             buyer: recipient,
             currency: ZERO_ADDRESS,
             price: web3.utils.toWei('1', 'ether'),
-            fee: web3.utils.toWei('0.06', 'ether'),
+            fee: web3.utils.toWei('0.05', 'ether'),
             royalty: web3.utils.toWei('0', 'ether')
         })
     });
 
     it('should bought token for ERC20 currency', async function () {
         await expectRevert(
-            marketplace.buyToken(1),
+            marketplace.buyToken(nft.address, 1),
             'Token must be on Sale'
         );
 
         await expectRevert(
-            marketplace.putTokenForSale(1, web3.utils.toWei('1','ether'), erc20.address, { from: recipient}),
+            marketplace.putTokenForSale(nft.address, 1, web3.utils.toWei('1','ether'), erc20.address, { from: recipient}),
             'Currency must be approved',
         );
 
         await marketplace.addApprovedToken(erc20.address, { from: owner });
 
         await expectRevert(
-            marketplace.putTokenForSale(1, web3.utils.toWei('1','ether'), erc20.address, { from: recipient}),
-            'ERC721: caller is not owner nor approved.'
+            marketplace.putTokenForSale(nft.address, 1, web3.utils.toWei('1','ether'), erc20.address, { from: recipient}),
+            'ERC721: caller is not token owner nor approved'
         );
 
         await nft.setApprovalForAll(marketplace.address, true, { from: recipient});
 
-        await marketplace.putTokenForSale(1, web3.utils.toWei('1', 'ether'), erc20.address, { from: recipient });
+        await marketplace.putTokenForSale(nft.address, 1, web3.utils.toWei('1', 'ether'), erc20.address, { from: recipient });
         
         await expectRevert(
-            marketplace.buyToken(1, { from: owner}),
-            'ERC20: transfer amount exceeds allowance.'
+            marketplace.buyToken(nft.address, 1, { from: owner}),
+            'ERC20: insufficient allowance'
         );
         
         await erc20.approve(marketplace.address, web3.utils.toWei('1', 'ether'), { from: owner });
 
-        const buyToken = await marketplace.buyToken(1, { from: owner });
+        const buyToken = await marketplace.buyToken(nft.address, 1, { from: owner });
 
         expect(await nft.ownerOf(1)).to.be.equal(owner);
         expectEvent(buyToken, 'TokenBought', {
@@ -203,7 +228,7 @@ contract('Marketplace', (accounts) => {
             buyer: owner,
             currency: erc20.address,
             price: web3.utils.toWei('1', 'ether'),
-            fee: web3.utils.toWei('0', 'ether'),
+            fee: web3.utils.toWei('0.05', 'ether'),
             royalty: web3.utils.toWei('0.03', 'ether')
         })
     });
@@ -212,4 +237,1816 @@ contract('Marketplace', (accounts) => {
         await marketplace.updateAssetAddress(newNftContract);
         expect(await marketplace.nftContract()).to.be.equal(newNftContract)
     })
-})
\ No newline at end of file
+})
+
+contract('Marketplace: signed orders', (accounts) => {
+    const [owner, seller, buyer, other] = accounts;
+    const ether = (value) => web3.utils.toWei(value, 'ether');
+
+    let nft = null;
+    let core = null;
+    let marketplace = null;
+    let erc20 = null;
+    let domain = null;
+    let expiry = null;
+
+    const sellOrder = (fields) => buildOrder({
+        maker: seller,
+        nftContract: nft.address,
+        tokenId: 1,
+        price: ether('1'),
+        currency: ZERO_ADDRESS,
+        nonce: 0,
+        expiry,
+        ...fields,
+    });
+
+    before(async () => {
+        nft = await NFT.deployed();
+        // signed orders are filled by the extension, reached through the marketplace address
+        core = await Marketplace.deployed();
+        marketplace = await MarketplaceExtension.at(core.address);
+        erc20 = await ERC20.new();
+
+        await core.addApprovedToken(erc20.address, { from: owner });
+        await erc20.transfer(buyer, ether('100'), { from: owner });
+        await nft.mint('metadata', '300', { from: owner });
+        await nft.mint('metadata', '0', { from: seller });
+        await nft.safeTransferFrom(owner, seller, 1, { from: owner });
+        await nft.setApprovalForAll(marketplace.address, true, { from: seller });
+
+        domain = marketplaceDomain(await web3.eth.getChainId(), marketplace.address);
+        expiry = (await time.latest()).addn(3600).toString();
+    });
+
+    it('should hash orders the same way as the JS helpers', async function () {
+        const order = sellOrder();
+        const typeHash = await marketplace.SELL_ORDER_TYPEHASH();
+
+        expect(await marketplace.hashOrder(order, typeHash)).to.be.equal(hashOrder(web3, 'SellOrder', order, domain));
+    });
+
+    it('should fill a signed sell order for native currency', async function () {
+        const order = sellOrder();
+        const signature = await signOrder(web3, 'SellOrder', order, domain);
+
+        await expectRevert(
+            marketplace.fulfillSellOrder(order, signature, { from: buyer, value: ether('0.5') }),
+            'Submit the asking price'
+        );
+
+        const fulfill = await marketplace.fulfillSellOrder(order, signature, { from: buyer, value: ether('1') });
+
+        expect(await nft.ownerOf(1)).to.be.equal(buyer);
+        expect(await marketplace.isNonceUsed(seller, 0)).to.be.true;
+        expectEvent(fulfill, 'OrderFilled', {
+            orderHash: hashOrder(web3, 'SellOrder', order, domain),
+            seller: seller,
+            buyer: buyer,
+            tokenId: '1',
+            currency: ZERO_ADDRESS,
+            price: ether('1'),
+            fee: ether('0.05'),
+            royalty: ether('0.03')
+        });
+
+        await expectRevert(
+            marketplace.fulfillSellOrder(order, signature, { from: other, value: ether('1') }),
+            'Order cancelled or filled'
+        );
+    });
+
+    it('reverts when the order is expired, not signed by maker or for another collection', async function () {
+        const expired = sellOrder({ tokenId: 2, nonce: 1, expiry: (await time.latest()).subn(1).toString() });
+        await expectRevert(
+            marketplace.fulfillSellOrder(expired, await signOrder(web3, 'SellOrder', expired, domain), { from: buyer, value: ether('1') }),
+            'Order expired'
+        );
+
+        const order = sellOrder({ tokenId: 2, nonce: 1 });
+        const forged = await signOrder(web3, 'SellOrder', { ...order, maker: other }, domain);
+        await expectRevert(
+            marketplace.fulfillSellOrder(order, forged, { from: buyer, value: ether('1') }),
+            'Invalid signature'
+        );
+
+        const otherCollection = sellOrder({ tokenId: 2, nonce: 1, nftContract: other });
+        await expectRevert(
+            marketplace.fulfillSellOrder(otherCollection, await signOrder(web3, 'SellOrder', otherCollection, domain), { from: buyer, value: ether('1') }),
+            'Collection must be approved'
+        );
+    });
+
+    it('should cancel a single order', async function () {
+        const order = sellOrder({ tokenId: 2, nonce: 1 });
+        const signature = await signOrder(web3, 'SellOrder', order, domain);
+
+        const cancel = await marketplace.cancelOrder(1, { from: seller });
+
+        expectEvent(cancel, 'OrderCancelled', { maker: seller, nonce: '1' });
+        await expectRevert(
+            marketplace.fulfillSellOrder(order, signature, { from: buyer, value: ether('1') }),
+            'Order cancelled or filled'
+        );
+    });
+
+    it('should invalidate all orders below a nonce', async function () {
+        const order = sellOrder({ tokenId: 2, nonce: 5 });
+        const signature = await signOrder(web3, 'SellOrder', order, domain);
+
+        const invalidate = await marketplace.invalidateNonces(6, { from: seller });
+
+        expectEvent(invalidate, 'NoncesInvalidated', { maker: seller, minNonce: '6' });
+        expect(await marketplace.minNonce(seller)).to.be.bignumber.equal('6');
+        await expectRevert(
+            marketplace.fulfillSellOrder(order, signature, { from: buyer, value: ether('1') }),
+            'Order cancelled or filled'
+        );
+        await expectRevert(
+            marketplace.invalidateNonces(6, { from: seller }),
+            'Nonce too low'
+        );
+    });
+
+    it('should accept a signed ERC20 offer', async function () {
+        const offer = buildOrder({
+            maker: buyer,
+            nftContract: nft.address,
+            tokenId: 2,
+            price: ether('2'),
+            currency: erc20.address,
+            nonce: 0,
+            expiry,
+        });
+        const signature = await signOrder(web3, 'Offer', offer, domain);
+        await erc20.approve(marketplace.address, ether('2'), { from: buyer });
+
+        await expectRevert(
+            marketplace.fulfillOffer(offer, signature, { from: other }),
+            'ERC721: transfer from incorrect owner'
+        );
+
+        const fulfill = await marketplace.fulfillOffer(offer, signature, { from: seller });
+
+        expect(await nft.ownerOf(2)).to.be.equal(buyer);
+        expect(await marketplace.pendingPayments(seller, erc20.address)).to.be.bignumber.equal(ether('1.9'));
+        await core.withdrawPayments(erc20.address, { from: seller });
+        expect(await erc20.balanceOf(seller)).to.be.bignumber.equal(ether('1.9'));
+        expectEvent(fulfill, 'OrderFilled', {
+            seller: seller,
+            buyer: buyer,
+            tokenId: '2',
+            currency: erc20.address,
+            price: ether('2'),
+            fee: ether('0.1'),
+            royalty: '0'
+        });
+    });
+
+    it('reverts when an offer is made in native currency', async function () {
+        const offer = buildOrder({
+            maker: buyer,
+            nftContract: nft.address,
+            tokenId: 1,
+            price: ether('1'),
+            nonce: 1,
+            expiry,
+        });
+
+        await expectRevert(
+            marketplace.fulfillOffer(offer, await signOrder(web3, 'Offer', offer, domain), { from: buyer }),
+            'Offer currency must be ERC20'
+        );
+    });
+
+    it('should fill the orders of a smart wallet through ERC-1271', async function () {
+        const wallet = await MockERC1271Wallet.new(other);
+        await erc20.transfer(wallet.address, ether('1'), { from: owner });
+        await wallet.execute(erc20.address, erc20.contract.methods.approve(marketplace.address, ether('1')).encodeABI(), { from: other });
+        await wallet.execute(nft.address, nft.contract.methods.setApprovalForAll(marketplace.address, true).encodeABI(), { from: other });
+        await nft.setApprovalForAll(marketplace.address, true, { from: buyer });
+
+        const offer = buildOrder({
+            maker: wallet.address,
+            nftContract: nft.address,
+            tokenId: 1,
+            price: ether('1'),
+            currency: erc20.address,
+            nonce: 0,
+            expiry,
+        });
+        await expectRevert(
+            marketplace.fulfillOffer(offer, await signTypedData(web3, buyer, typedData('Offer', offer, domain)), { from: buyer }),
+            'Invalid signature'
+        );
+        await marketplace.fulfillOffer(offer, await signTypedData(web3, other, typedData('Offer', offer, domain)), { from: buyer });
+        expect(await nft.ownerOf(1)).to.be.equal(wallet.address);
+
+        const order = sellOrder({ maker: wallet.address, nonce: 1 });
+        await marketplace.fulfillSellOrder(order, await signTypedData(web3, other, typedData('SellOrder', order, domain)), {
+            from: seller, value: ether('1'),
+        });
+        expect(await nft.ownerOf(1)).to.be.equal(seller);
+        expect(await marketplace.pendingPayments(wallet.address, ZERO_ADDRESS)).to.be.bignumber.equal(ether('0.92'));
+    });
+})
+
+
+contract('Marketplace: offers', (accounts) => {
+    const [owner, seller, bidder, otherBidder] = accounts;
+    const ether = (value) => web3.utils.toWei(value, 'ether');
+
+    let nft = null;
+    let marketplace = null;
+    let erc20 = null;
+    let expiry = null;
+
+    before(async () => {
+        nft = await NFT.deployed();
+        marketplace = await Marketplace.deployed();
+        erc20 = await ERC20.new();
+
+        await marketplace.addApprovedToken(erc20.address, { from: owner });
+        await erc20.transfer(bidder, ether('100'), { from: owner });
+        await nft.mint('metadata', '300', { from: owner });
+        await nft.mint('metadata', '0', { from: seller });
+        await nft.safeTransferFrom(owner, seller, 1, { from: owner });
+        await nft.setApprovalForAll(marketplace.address, true, { from: seller });
+
+        expiry = (await time.latest()).addn(3600).toString();
+    });
+
+    it('should escrow an offer on a token that is not listed', async function () {
+        await expectRevert(
+            marketplace.makeOffer(nft.address, 1, ether('1'), ZERO_ADDRESS, expiry, { from: bidder, value: ether('0.5') }),
+            'Submit the asking price'
+        );
+        await expectRevert(
+            marketplace.makeOffer(nft.address, 1, ether('1'), otherBidder, expiry, { from: bidder }),
+            'Currency must be approved'
+        );
+        await expectRevert(
+            marketplace.makeOffer(nft.address, 1, ether('1'), ZERO_ADDRESS, (await time.latest()).toString(), { from: bidder, value: ether('1') }),
+            'Offer expired'
+        );
+
+        const makeOffer = await marketplace.makeOffer(nft.address, 1, ether('1'), ZERO_ADDRESS, expiry, { from: bidder, value: ether('1') });
+
+        const offer = await marketplace.offers(1);
+        expect(offer.bidder).to.be.equal(bidder);
+        expect(offer.active).to.be.true;
+        expect(await marketplace.highestOffer(nft.address, 1, ZERO_ADDRESS)).to.be.bignumber.equal('1');
+        expect(await web3.eth.getBalance(marketplace.address)).to.be.equal(ether('1'));
+        expectEvent(makeOffer, 'OfferMade', {
+            offerId: '1',
+            bidder: bidder,
+            collection: nft.address,
+            tokenId: '1',
+            amount: ether('1'),
+            currency: ZERO_ADDRESS,
+            expiry: expiry
+        });
+    });
+
+    it('should let outbid offers be withdrawn', async function () {
+        await expectRevert(
+            marketplace.withdrawOffer(1, { from: bidder }),
+            'Offer is still the highest'
+        );
+
+        const makeOffer = await marketplace.makeOffer(nft.address, 1, ether('2'), ZERO_ADDRESS, expiry, { from: otherBidder, value: ether('2') });
+        expectEvent(makeOffer, 'OfferOutbid', { offerId: '1', newOfferId: '2' });
+
+        await expectRevert(
+            marketplace.withdrawOffer(1, { from: otherBidder }),
+            'Only offer owner'
+        );
+
+        const withdrawOffer = await marketplace.withdrawOffer(1, { from: bidder });
+        expectEvent(withdrawOffer, 'OfferWithdrawn', { offerId: '1', bidder: bidder });
+        expect((await marketplace.offers(1)).active).to.be.false;
+        expect(await web3.eth.getBalance(marketplace.address)).to.be.equal(ether('2'));
+
+        await expectRevert(
+            marketplace.withdrawOffer(1, { from: bidder }),
+            'Offer is not active'
+        );
+    });
+
+    it('should accept an offer on a token held in the wallet', async function () {
+        await expectRevert(
+            marketplace.acceptOffer(2, { from: bidder }),
+            'ERC721: transfer from incorrect owner'
+        );
+
+        const acceptOffer = await marketplace.acceptOffer(2, { from: seller });
+
+        expect(await nft.ownerOf(1)).to.be.equal(otherBidder);
+        expect(await marketplace.pendingPayments(seller, ZERO_ADDRESS)).to.be.bignumber.equal(ether('1.84'));
+        expect(await marketplace.pendingPayments(owner, ZERO_ADDRESS)).to.be.bignumber.equal(ether('0.06'));
+        expect(await marketplace.totalPendingPayments(ZERO_ADDRESS)).to.be.bignumber.equal(ether('2'));
+        expect(await web3.eth.getBalance(marketplace.address)).to.be.equal(ether('2'));
+        expectEvent(acceptOffer, 'OfferAccepted', {
+            offerId: '2',
+            seller: seller,
+            bidder: otherBidder,
+            tokenId: '1',
+            currency: ZERO_ADDRESS,
+            amount: ether('2'),
+            fee: ether('0.1'),
+            royalty: ether('0.06')
+        });
+
+        await expectRevert(
+            marketplace.acceptOffer(2, { from: seller }),
+            'Offer is not active'
+        );
+    });
+
+    it('should accept an ERC20 offer on a listed token', async function () {
+        await marketplace.putTokenForSale(nft.address, 2, ether('5'), ZERO_ADDRESS, { from: seller });
+        await erc20.approve(marketplace.address, ether('3'), { from: bidder });
+        await expectRevert(
+            marketplace.makeOffer(nft.address, 2, ether('3'), erc20.address, expiry, { from: bidder, value: ether('3') }),
+            'Native coin sent with an ERC20 price'
+        );
+        await marketplace.makeOffer(nft.address, 2, ether('3'), erc20.address, expiry, { from: bidder });
+
+        const acceptOffer = await marketplace.acceptOffer(3, { from: seller });
+
+        expect(await nft.ownerOf(2)).to.be.equal(bidder);
+        expect(await marketplace.tokenOwners(nft.address, 2)).to.be.equal(ZERO_ADDRESS);
+        expect((await marketplace.marketItems(nft.address, 2)).forSale).to.be.false;
+        expect(await marketplace.pendingPayments(seller, erc20.address)).to.be.bignumber.equal(ether('2.85'));
+        expect(await erc20.balanceOf(seller)).to.be.bignumber.equal('0');
+        expectEvent(acceptOffer, 'TokenNotOnSale', { collection: nft.address, tokenId: '2' });
+        expectEvent(acceptOffer, 'OfferAccepted', { offerId: '3', amount: ether('3'), fee: ether('0.15') });
+    });
+
+    it('should let expired offers be withdrawn but not accepted', async function () {
+        await marketplace.makeOffer(nft.address, 2, ether('1'), ZERO_ADDRESS, expiry, { from: seller, value: ether('1') });
+        await time.increase(3601);
+
+        await expectRevert(
+            marketplace.acceptOffer(4, { from: bidder }),
+            'Offer expired'
+        );
+
+        // the proceeds of the offer accepted earlier are still pending
+        expect(await web3.eth.getBalance(marketplace.address)).to.be.equal(ether('3'));
+
+        const withdrawOffer = await marketplace.withdrawOffer(4, { from: seller });
+
+        expect(await web3.eth.getBalance(marketplace.address)).to.be.equal(ether('2'));
+        expectEvent(withdrawOffer, 'OfferWithdrawn', { offerId: '4', bidder: seller });
+    });
+
+    it('should not escrow an offer when the ERC20 transfer fails', async function () {
+        const token = await MockFalseERC20.new();
+        await marketplace.addApprovedToken(token.address, { from: owner });
+        await token.transfer(bidder, ether('1'), { from: owner });
+        await token.approve(marketplace.address, ether('1'), { from: bidder });
+        await token.setFailTransfers(true);
+        const offerExpiry = (await time.latest()).addn(3600).toString();
+
+        await expectRevert(
+            marketplace.makeOffer(nft.address, 1, ether('1'), token.address, offerExpiry, { from: bidder }),
+            'SafeERC20: ERC20 operation did not succeed'
+        );
+        expect(await marketplace.offerCount()).to.be.bignumber.equal('4');
+    });
+})
+
+
+contract('Marketplace: collections', (accounts) => {
+    const [owner, seller, buyer, other] = accounts;
+    const ether = (value) => web3.utils.toWei(value, 'ether');
+
+    let nft = null;
+    let collection = null;
+    let marketplace = null;
+
+    before(async () => {
+        nft = await NFT.deployed();
+        marketplace = await Marketplace.deployed();
+        collection = await ERC721.new();
+
+        await nft.mint('metadata', '300', { from: seller });
+        await collection.mint(seller, 1);
+        await nft.setApprovalForAll(marketplace.address, true, { from: seller });
+        await collection.setApprovalForAll(marketplace.address, true, { from: seller });
+    });
+
+    it('should manage the collection allowlist', async function () {
+        expect(await marketplace.approvedCollections(nft.address)).to.be.true;
+
+        await expectRevert(
+            marketplace.putTokenForSale(collection.address, 1, ether('1'), ZERO_ADDRESS, { from: seller }),
+            'Collection must be approved'
+        );
+        await expectRevert(
+            marketplace.addApprovedCollection(collection.address, { from: other }),
+            'Caller is missing role'
+        );
+
+        await marketplace.addApprovedCollection(collection.address, { from: owner });
+        expect(await marketplace.approvedCollections(collection.address)).to.be.true;
+    });
+
+    it('should list the same token ID of two collections', async function () {
+        await marketplace.putTokenForSale(nft.address, 1, ether('1'), ZERO_ADDRESS, { from: seller });
+        const putTokenForSale = await marketplace.putTokenForSale(collection.address, 1, ether('2'), ZERO_ADDRESS, { from: seller });
+
+        expect((await marketplace.marketItems(nft.address, 1)).price.toString()).to.be.equal(ether('1'));
+        expect((await marketplace.marketItems(collection.address, 1)).price.toString()).to.be.equal(ether('2'));
+        expect(await marketplace.tokenOwners(collection.address, 1)).to.be.equal(seller);
+        expectEvent(putTokenForSale, 'TokenOnSale', { owner: seller, collection: collection.address, tokenId: '1' });
+
+        const updateTokenPrice = await marketplace.updateTokenPrice(collection.address, 1, ether('3'), { from: seller });
+        expect((await marketplace.marketItems(nft.address, 1)).price.toString()).to.be.equal(ether('1'));
+        expectEvent(updateTokenPrice, 'SalePriceChanged', { collection: collection.address, tokenId: '1', price: ether('3') });
+    });
+
+    it('should pay royalties only for collections that support ERC-2981', async function () {
+        const withRoyalty = await marketplace.buyToken(nft.address, 1, { from: buyer, value: ether('1') });
+        expectEvent(withRoyalty, 'TokenBought', {
+            collection: nft.address,
+            tokenId: '1',
+            fee: ether('0.05'),
+            royalty: '0'
+        });
+
+        const withoutRoyalty = await marketplace.buyToken(collection.address, 1, { from: buyer, value: ether('3') });
+        expect(await collection.ownerOf(1)).to.be.equal(buyer);
+        expectEvent(withoutRoyalty, 'TokenBought', {
+            collection: collection.address,
+            tokenId: '1',
+            fee: ether('0.15'),
+            royalty: '0'
+        });
+    });
+
+    it('should keep listings of a collection removed from the allowlist', async function () {
+        await collection.setApprovalForAll(marketplace.address, true, { from: buyer });
+        await marketplace.putTokenForSale(collection.address, 1, ether('1'), ZERO_ADDRESS, { from: buyer });
+        await marketplace.deleteApprovedCollection(collection.address, { from: owner });
+
+        await expectRevert(
+            marketplace.makeOffer(collection.address, 1, ether('1'), ZERO_ADDRESS, (await time.latest()).addn(60), { from: other, value: ether('1') }),
+            'Collection must be approved'
+        );
+
+        const removeTokenFromSale = await marketplace.removeTokenFromSale(collection.address, 1, { from: buyer });
+        expect(await collection.ownerOf(1)).to.be.equal(buyer);
+        expectEvent(removeTokenFromSale, 'TokenNotOnSale', { collection: collection.address, tokenId: '1' });
+    });
+
+    it('should migrate listings made before multi-collection support', async function () {
+        const legacy = await deployProxy(MarketplaceLegacyMock, [nft.address, ZERO_ADDRESS, owner, 500, 500], { kind: 'uups' });
+        await legacy.updateSelectorExtension(
+            extensionSelectors(web3, MarketplaceListingExtension.abi, Marketplace.abi),
+            (await MarketplaceListingExtension.deployed()).address,
+            { from: owner }
+        );
+        const migration = await MarketplaceListingExtension.at(legacy.address);
+        await nft.mint('metadata', '0', { from: seller });
+        await nft.mint('metadata', '0', { from: seller });
+        await nft.safeTransferFrom(seller, legacy.address, 2, { from: seller });
+        await legacy.setLegacyListing(2, seller, ether('1'), ZERO_ADDRESS);
+        await legacy.setLegacyListing(3, seller, ether('1'), ZERO_ADDRESS);
+
+        await expectRevert(
+            legacy.buyToken(nft.address, 2, { from: buyer, value: ether('1') }),
+            'Token must be on Sale'
+        );
+        await expectRevert(
+            migration.migrateListings(nft.address, [2], { from: seller }),
+            'caller is not the owner'
+        );
+
+        const migrate = await migration.migrateListings(nft.address, [2, 3, 4], { from: owner });
+
+        expectEvent(migrate, 'ListingMigrated', { collection: nft.address, tokenId: '2', owner: seller });
+        expect(migrate.logs.length).to.be.equal(1);
+        expect(await legacy.tokenOwner(2)).to.be.equal(ZERO_ADDRESS);
+        expect(await legacy.tokenOwners(nft.address, 2)).to.be.equal(seller);
+
+        await legacy.buyToken(nft.address, 2, { from: buyer, value: ether('1') });
+        expect(await nft.ownerOf(2)).to.be.equal(buyer);
+    });
+})
+
+
+contract('Marketplace: pull payments', (accounts) => {
+    const [owner, seller, buyer] = accounts;
+    const ether = (value) => web3.utils.toWei(value, 'ether');
+
+    let nft = null;
+    let marketplace = null;
+    let receiver = null;
+
+    before(async () => {
+        nft = await NFT.deployed();
+        marketplace = await Marketplace.deployed();
+        receiver = await MaliciousReceiver.new();
+
+        await marketplace.updateFeeDestination(receiver.address, { from: owner });
+        await nft.mint('metadata', '0', { from: seller });
+        await nft.setApprovalForAll(marketplace.address, true, { from: seller });
+
+        // the receiver contract mints token 2 and lists it itself
+        await receiver.execute(nft.address, nft.contract.methods.mint('metadata', '0').encodeABI());
+        await receiver.execute(nft.address, nft.contract.methods.setApprovalForAll(marketplace.address, true).encodeABI());
+    });
+
+    it('should complete a sale when the fee destination rejects payments', async function () {
+        await marketplace.putTokenForSale(nft.address, 1, ether('1'), ZERO_ADDRESS, { from: seller });
+
+        const buyToken = await marketplace.buyToken(nft.address, 1, { from: buyer, value: ether('1') });
+
+        expect(await nft.ownerOf(1)).to.be.equal(buyer);
+        expectEvent(buyToken, 'PaymentCredited', { payee: receiver.address, currency: ZERO_ADDRESS, amount: ether('0.05') });
+        expectEvent(buyToken, 'PaymentCredited', { payee: seller, currency: ZERO_ADDRESS, amount: ether('0.95') });
+        expect(await marketplace.pendingPayments(receiver.address, ZERO_ADDRESS)).to.be.bignumber.equal(ether('0.05'));
+        expect(await marketplace.totalPendingPayments(ZERO_ADDRESS)).to.be.bignumber.equal(ether('1'));
+    });
+
+    it('should complete a sale when the seller is a contract that rejects payments', async function () {
+        await receiver.execute(
+            marketplace.address,
+            marketplace.contract.methods.putTokenForSale(nft.address, 2, ether('2'), ZERO_ADDRESS).encodeABI()
+        );
+
+        await marketplace.buyToken(nft.address, 2, { from: buyer, value: ether('2') });
+
+        expect(await nft.ownerOf(2)).to.be.equal(buyer);
+        // proceeds and fee of this sale on top of the fee of the previous one
+        expect(await marketplace.pendingPayments(receiver.address, ZERO_ADDRESS)).to.be.bignumber.equal(ether('2.05'));
+        expect(await marketplace.totalPendingPayments(ZERO_ADDRESS)).to.be.bignumber.equal(ether('3'));
+    });
+
+    it('should let each payee withdraw its own payments', async function () {
+        const withdrawPayments = marketplace.contract.methods.withdrawPayments(ZERO_ADDRESS).encodeABI();
+        await expectRevert(
+            receiver.execute(marketplace.address, withdrawPayments),
+            'Transfer failed'
+        );
+
+        // accepting the payment costs more than the 2300 gas forwarded by `transfer`
+        await receiver.setAcceptPayments(true);
+        const withdraw = await receiver.execute(marketplace.address, withdrawPayments);
+
+        expect(await receiver.received()).to.be.bignumber.equal(ether('2.05'));
+        expect(await marketplace.pendingPayments(receiver.address, ZERO_ADDRESS)).to.be.bignumber.equal('0');
+        await expectEvent.inTransaction(withdraw.tx, marketplace, 'PaymentWithdrawn', {
+            payee: receiver.address,
+            currency: ZERO_ADDRESS,
+            amount: ether('2.05')
+        });
+
+        const balanceBefore = web3.utils.toBN(await web3.eth.getBalance(seller));
+        const receipt = await marketplace.withdrawPayments(ZERO_ADDRESS, { from: seller });
+        const gas = web3.utils.toBN(receipt.receipt.gasUsed).mul(web3.utils.toBN(receipt.receipt.effectiveGasPrice));
+
+        expect(web3.utils.toBN(await web3.eth.getBalance(seller)).sub(balanceBefore).add(gas)).to.be.bignumber.equal(ether('0.95'));
+        expect(await marketplace.totalPendingPayments(ZERO_ADDRESS)).to.be.bignumber.equal('0');
+        expect(await web3.eth.getBalance(marketplace.address)).to.be.equal('0');
+        await expectRevert(
+            marketplace.withdrawPayments(ZERO_ADDRESS, { from: seller }),
+            'No payments to withdraw'
+        );
+    });
+
+    it('should keep the payments of a payee when the ERC20 transfer fails', async function () {
+        const token = await MockFalseERC20.new();
+        await marketplace.addApprovedToken(token.address, { from: owner });
+        await token.transfer(buyer, ether('1'), { from: owner });
+        await token.approve(marketplace.address, ether('1'), { from: buyer });
+        await nft.mint('metadata', '0', { from: seller });
+        await marketplace.putTokenForSale(nft.address, 3, ether('1'), token.address, { from: seller });
+        await marketplace.buyToken(nft.address, 3, { from: buyer });
+
+        await token.setFailTransfers(true);
+        await expectRevert(
+            marketplace.withdrawPayments(token.address, { from: seller }),
+            'SafeERC20: ERC20 operation did not succeed'
+        );
+        expect(await marketplace.pendingPayments(seller, token.address)).to.be.bignumber.equal(ether('0.95'));
+
+        await token.setFailTransfers(false);
+        await marketplace.withdrawPayments(token.address, { from: seller });
+        expect(await token.balanceOf(seller)).to.be.bignumber.equal(ether('0.95'));
+    });
+})
+
+
+contract('Marketplace: batches and cart', (accounts) => {
+    const [owner, seller, buyer, other] = accounts;
+    const ether = (value) => web3.utils.toWei(value, 'ether');
+
+    let nft = null;
+    let marketplace = null;
+    let erc20 = null;
+
+    before(async () => {
+        nft = await NFT.deployed();
+        marketplace = await Marketplace.deployed();
+        erc20 = await ERC20.new();
+
+        await marketplace.addApprovedToken(erc20.address, { from: owner });
+        await erc20.transfer(buyer, ether('100'), { from: owner });
+        await nft.mintBatch(['a', 'b', 'c', 'd', 'e'], ['0', '0', '0', '0', '0'], { from: seller });
+        await nft.setApprovalForAll(marketplace.address, true, { from: seller });
+    });
+
+    it('should list, reprice and remove tokens in batches', async function () {
+        await expectRevert(
+            marketplace.putTokensForSale(nft.address, [1, 2], [ether('1')], [ZERO_ADDRESS, ZERO_ADDRESS], { from: seller }),
+            'Array lengths mismatch'
+        );
+
+        const put = await marketplace.putTokensForSale(
+            nft.address,
+            [1, 2, 3, 4, 5],
+            [ether('1'), ether('2'), ether('1'), ether('3'), ether('1')],
+            [ZERO_ADDRESS, erc20.address, ZERO_ADDRESS, erc20.address, ZERO_ADDRESS],
+            { from: seller }
+        );
+
+        expect(put.logs.filter((log) => log.event === 'TokenOnSale').length).to.be.equal(5);
+        expect(await nft.balanceOf(marketplace.address)).to.be.bignumber.equal('5');
+        expect((await marketplace.marketItems(nft.address, 4)).currency).to.be.equal(erc20.address);
+
+        await expectRevert(
+            marketplace.updateTokenPrices(nft.address, [1, 2], [ether('2'), ether('3')], { from: other }),
+            'Only token owner can do this'
+        );
+        const update = await marketplace.updateTokenPrices(nft.address, [1, 2], [ether('2'), ether('3')], { from: seller });
+        expectEvent(update, 'SalePriceChanged', { tokenId: '1', price: ether('2') });
+        expectEvent(update, 'SalePriceChanged', { tokenId: '2', price: ether('3') });
+
+        await expectRevert(
+            marketplace.removeTokensFromSale(nft.address, [3, 5], { from: other }),
+            'Only token owner can do this'
+        );
+        await marketplace.removeTokensFromSale(nft.address, [3, 5], { from: seller });
+        expect(await nft.ownerOf(3)).to.be.equal(seller);
+        expect(await nft.ownerOf(5)).to.be.equal(seller);
+        expect((await marketplace.marketItems(nft.address, 5)).forSale).to.be.false;
+    });
+
+    it('should buy a cart in native currency and ERC20', async function () {
+        await erc20.approve(marketplace.address, ether('3'), { from: buyer });
+
+        await expectRevert(
+            marketplace.buyTokens([nft.address, nft.address], [1, 2], false, { from: buyer, value: ether('1') }),
+            'Submit the asking price'
+        );
+        await expectRevert(
+            marketplace.buyTokens([nft.address, nft.address], [1, 2], false, { from: buyer, value: ether('3') }),
+            'Submit the asking price'
+        );
+
+        const buy = await marketplace.buyTokens([nft.address, nft.address], [1, 2], false, { from: buyer, value: ether('2') });
+
+        expect(await nft.ownerOf(1)).to.be.equal(buyer);
+        expect(await nft.ownerOf(2)).to.be.equal(buyer);
+        expectEvent(buy, 'TokenBought', { tokenId: '1', currency: ZERO_ADDRESS, price: ether('2') });
+        expectEvent(buy, 'TokenBought', { tokenId: '2', currency: erc20.address, price: ether('3') });
+        expect(await marketplace.pendingPayments(seller, ZERO_ADDRESS)).to.be.bignumber.equal(ether('1.9'));
+        expect(await marketplace.pendingPayments(seller, erc20.address)).to.be.bignumber.equal(ether('2.85'));
+    });
+
+    it('should revert the whole cart on a sold token unless it is skipped', async function () {
+        await marketplace.putTokenForSale(nft.address, 5, ether('1'), ZERO_ADDRESS, { from: seller });
+        await erc20.approve(marketplace.address, ether('3'), { from: buyer });
+        const cart = [[nft.address, nft.address, nft.address], [1, 5, 4]];
+
+        await expectRevert(
+            marketplace.buyTokens(...cart, false, { from: buyer, value: ether('3') }),
+            'Token must be on Sale'
+        );
+        expect((await marketplace.marketItems(nft.address, 5)).forSale).to.be.true;
+
+        // the value still covers token 1 at its last price, the unused part is credited to the buyer
+        const buy = await marketplace.buyTokens(...cart, true, { from: buyer, value: ether('3') });
+
+        expect(await nft.ownerOf(5)).to.be.equal(buyer);
+        expect(await nft.ownerOf(4)).to.be.equal(buyer);
+        expect(buy.logs.filter((log) => log.event === 'TokenBought').length).to.be.equal(2);
+        expectEvent(buy, 'PaymentCredited', { payee: buyer, currency: ZERO_ADDRESS, amount: ether('2') });
+        expect(await marketplace.pendingPayments(buyer, ZERO_ADDRESS)).to.be.bignumber.equal(ether('2'));
+        expect(await web3.eth.getBalance(marketplace.address)).to.be.equal(ether('5'));
+    });
+})
+
+
+contract('Marketplace: fee manager', (accounts) => {
+    const [owner, seller, buyer] = accounts;
+    const ether = (value) => web3.utils.toWei(value, 'ether');
+
+    let nft = null;
+    let marketplace = null;
+    let feeManager = null;
+    let feeDestination = null;
+
+    before(async () => {
+        nft = await NFT.deployed();
+        marketplace = await Marketplace.deployed();
+        feeManager = await FeeManager.deployed();
+        feeDestination = await marketplace.feeDestination();
+        const demo = await DemianO.deployed();
+
+        // 2% on the collection, halved for the seller holding 1000 DEMO
+        await feeManager.setCollectionFee(nft.address, true, '200', { from: owner });
+        await feeManager.setTiers([{ minBalance: ether('1000'), discount: '5000' }], { from: owner });
+        await demo.transfer(seller, ether('1000'), { from: owner });
+
+        await nft.mint('metadata', '0', { from: seller });
+        await nft.mint('metadata', '0', { from: seller });
+        await nft.setApprovalForAll(marketplace.address, true, { from: seller });
+    });
+
+    it('should be connected to the fee manager', async function () {
+        expect(await marketplace.feeManager()).to.be.equal(feeManager.address);
+        await expectRevert(
+            marketplace.updateFeeManager(ZERO_ADDRESS, { from: seller }),
+            'Caller is missing role'
+        );
+    });
+
+    it('should charge the fee quoted by the fee manager', async function () {
+        await marketplace.putTokenForSale(nft.address, 1, ether('1'), ZERO_ADDRESS, { from: seller });
+        const quote = await feeManager.quoteFee(nft.address, ZERO_ADDRESS, seller, ether('1'));
+        expect(quote).to.be.bignumber.equal(ether('0.01'));
+
+        const buyToken = await marketplace.buyToken(nft.address, 1, { from: buyer, value: ether('1') });
+
+        expectEvent(buyToken, 'PaymentCredited', { payee: feeDestination, currency: ZERO_ADDRESS, amount: quote });
+        expectEvent(buyToken, 'PaymentCredited', { payee: seller, currency: ZERO_ADDRESS, amount: ether('0.99') });
+    });
+
+    it('should fall back to its own fees without a fee manager', async function () {
+        const updateFeeManager = await marketplace.updateFeeManager(ZERO_ADDRESS, { from: owner });
+        expectEvent(updateFeeManager, 'FeeManagerChanged', {
+            account: owner,
+            newFeeManager: ZERO_ADDRESS,
+            oldFeeManager: feeManager.address
+        });
+        await marketplace.putTokenForSale(nft.address, 2, ether('1'), ZERO_ADDRESS, { from: seller });
+
+        const buyToken = await marketplace.buyToken(nft.address, 2, { from: buyer, value: ether('1') });
+
+        expectEvent(buyToken, 'PaymentCredited', { payee: feeDestination, currency: ZERO_ADDRESS, amount: ether('0.05') });
+        expectEvent(buyToken, 'PaymentCredited', { payee: seller, currency: ZERO_ADDRESS, amount: ether('0.95') });
+    });
+})
+
+
+contract('Marketplace: royalty splits', (accounts) => {
+    const [owner, creator, collaborator, seller, buyer, other] = accounts;
+    const ether = (value) => web3.utils.toWei(value, 'ether');
+    const split = (recipient, amount) => ({ recipient, amount });
+
+    let nft = null;
+    let marketplace = null;
+
+    before(async () => {
+        nft = await NFT.deployed();
+        marketplace = await Marketplace.deployed();
+
+        await nft.mintWithRoyalties('metadata', [split(creator, '500'), split(collaborator, '300')], { from: creator });
+        await nft.mintWithRoyalties('metadata', [split(creator, '500'), split(collaborator, '300')], { from: creator });
+        await nft.mintWithRoyalties('metadata', [split(collaborator, '6000'), split(other, '4000')], { from: creator });
+        await nft.transferFrom(creator, seller, 1, { from: creator });
+        await nft.transferFrom(creator, seller, 3, { from: creator });
+        await nft.setApprovalForAll(marketplace.address, true, { from: seller });
+        await nft.setApprovalForAll(marketplace.address, true, { from: creator });
+    });
+
+    it('should credit every royalty recipient and notify the collection', async function () {
+        await marketplace.putTokenForSale(nft.address, 1, ether('1'), ZERO_ADDRESS, { from: seller });
+
+        const buyToken = await marketplace.buyToken(nft.address, 1, { from: buyer, value: ether('1') });
+
+        expectEvent(buyToken, 'TokenBought', { fee: ether('0.05'), royalty: ether('0.08') });
+        expect(await marketplace.pendingPayments(creator, ZERO_ADDRESS)).to.be.bignumber.equal(ether('0.05'));
+        expect(await marketplace.pendingPayments(collaborator, ZERO_ADDRESS)).to.be.bignumber.equal(ether('0.03'));
+        expect(await marketplace.pendingPayments(seller, ZERO_ADDRESS)).to.be.bignumber.equal(ether('0.87'));
+        await expectEvent.inTransaction(buyToken.tx, nft, 'RoyaltiesReceived', {
+            _royaltyRecipient: collaborator,
+            _buyer: buyer,
+            _tokenId: '1',
+            _tokenPaid: ZERO_ADDRESS,
+            _amount: ether('0.03')
+        });
+    });
+
+    it('should leave the share of the seller in its proceeds', async function () {
+        await marketplace.putTokenForSale(nft.address, 2, ether('1'), ZERO_ADDRESS, { from: creator });
+
+        const buyToken = await marketplace.buyToken(nft.address, 2, { from: buyer, value: ether('1') });
+
+        expectEvent(buyToken, 'TokenBought', { royalty: ether('0.03') });
+        expectEvent(buyToken, 'PaymentCredited', { payee: creator, currency: ZERO_ADDRESS, amount: ether('0.92') });
+    });
+
+    it('should cap the royalties to the price left after the fee', async function () {
+        await marketplace.putTokenForSale(nft.address, 3, ether('1'), ZERO_ADDRESS, { from: seller });
+        const sellerBefore = await marketplace.pendingPayments(seller, ZERO_ADDRESS);
+
+        const buyToken = await marketplace.buyToken(nft.address, 3, { from: buyer, value: ether('1') });
+
+        expectEvent(buyToken, 'TokenBought', { fee: ether('0.05'), royalty: ether('0.95') });
+        expectEvent(buyToken, 'PaymentCredited', { payee: other, currency: ZERO_ADDRESS, amount: ether('0.35') });
+        expect(await marketplace.pendingPayments(seller, ZERO_ADDRESS)).to.be.bignumber.equal(sellerBefore);
+    });
+})
+
+
+contract('Marketplace: lazy minting', (accounts) => {
+    const [owner, creator, buyer, other] = accounts;
+    const ether = (value) => web3.utils.toWei(value, 'ether');
+
+    let nft = null;
+    let core = null;
+    let marketplace = null;
+    let erc20 = null;
+    let domain = null;
+    let expiry = null;
+
+    const mintVoucher = (fields) => buildVoucher({
+        creator,
+        nftContract: nft.address,
+        uri: 'ipfs://metadata',
+        royalty: 500,
+        price: ether('1'),
+        currency: ZERO_ADDRESS,
+        nonce: 0,
+        expiry,
+        ...fields,
+    });
+
+    before(async () => {
+        nft = await NFT.deployed();
+        // vouchers are redeemed by the extension, reached through the marketplace address
+        core = await Marketplace.deployed();
+        marketplace = await MarketplaceExtension.at(core.address);
+        erc20 = await ERC20.new();
+
+        await core.addApprovedToken(erc20.address, { from: owner });
+        await erc20.transfer(buyer, ether('10'), { from: owner });
+
+        domain = marketplaceDomain(await web3.eth.getChainId(), marketplace.address);
+        expiry = (await time.latest()).addn(3600).toString();
+    });
+
+    it('should hash vouchers the same way as the JS helpers', async function () {
+        const voucher = mintVoucher();
+
+        expect(await marketplace.hashVoucher(voucher)).to.be.equal(hashVoucher(web3, voucher, domain));
+    });
+
+    it('should mint the token to the buyer and pay the creator', async function () {
+        const voucher = mintVoucher();
+        const signature = await signVoucher(web3, voucher, domain);
+
+        const redeem = await marketplace.redeemVoucher(voucher, signature, { from: buyer, value: ether('1') });
+
+        expectEvent(redeem, 'VoucherRedeemed', {
+            voucherHash: hashVoucher(web3, voucher, domain),
+            creator,
+            buyer,
+            nftContract: nft.address,
+            tokenId: '1',
+            price: ether('1'),
+            fee: ether('0.05')
+        });
+        expect(await nft.ownerOf(1)).to.be.equal(buyer);
+        expect(await nft.creators(1)).to.be.equal(creator);
+        expect(await nft.tokenURI(1)).to.be.equal('ipfs://metadata');
+        expect((await nft.royaltyInfo(1, 1000)).royaltyAmount).to.be.bignumber.equal('50');
+        expect(await marketplace.pendingPayments(creator, ZERO_ADDRESS)).to.be.bignumber.equal(ether('0.95'));
+
+        await expectRevert(
+            marketplace.redeemVoucher(voucher, signature, { from: other, value: ether('1') }),
+            'Order cancelled or filled'
+        );
+    });
+
+    it('should redeem a voucher priced in an ERC20', async function () {
+        const voucher = mintVoucher({ currency: erc20.address, nonce: 1 });
+        const signature = await signVoucher(web3, voucher, domain);
+        await erc20.approve(marketplace.address, ether('1'), { from: buyer });
+
+        await marketplace.redeemVoucher(voucher, signature, { from: buyer });
+
+        expect(await nft.ownerOf(2)).to.be.equal(buyer);
+        expect(await marketplace.pendingPayments(creator, erc20.address)).to.be.bignumber.equal(ether('0.95'));
+    });
+
+    it('reverts when the voucher is cancelled, expired or not signed by the creator', async function () {
+        const cancelled = mintVoucher({ nonce: 2 });
+        const cancelledSignature = await signVoucher(web3, cancelled, domain);
+        await marketplace.cancelOrder(2, { from: creator });
+        await expectRevert(
+            marketplace.redeemVoucher(cancelled, cancelledSignature, { from: buyer, value: ether('1') }),
+            'Order cancelled or filled'
+        );
+
+        const expired = mintVoucher({ nonce: 3, expiry: (await time.latest()).subn(1).toString() });
+        await expectRevert(
+            marketplace.redeemVoucher(expired, await signVoucher(web3, expired, domain), { from: buyer, value: ether('1') }),
+            'Order expired'
+        );
+
+        const forged = mintVoucher({ nonce: 4 });
+        await expectRevert(
+            marketplace.redeemVoucher(forged, await signOrder(web3, 'SellOrder', buildOrder({
+                maker: creator, nftContract: nft.address, tokenId: 1, price: ether('1'), nonce: 4, expiry,
+            }), domain), { from: buyer, value: ether('1') }),
+            'Invalid signature'
+        );
+        const tampered = mintVoucher({ nonce: 4 });
+        const tamperedSignature = await signVoucher(web3, tampered, domain);
+        await expectRevert(
+            marketplace.redeemVoucher({ ...tampered, royalty: '0' }, tamperedSignature, { from: buyer, value: ether('1') }),
+            'Invalid signature'
+        );
+    });
+
+    it('reverts when the collection does not let the marketplace mint', async function () {
+        await nft.setMinter(marketplace.address, false, { from: owner });
+        const voucher = mintVoucher({ nonce: 5 });
+
+        await expectRevert(
+            marketplace.redeemVoucher(voucher, await signVoucher(web3, voucher, domain), { from: buyer, value: ether('1') }),
+            'Caller is not a minter'
+        );
+    });
+})
+
+
+contract('Marketplace: ERC-1155 listings', (accounts) => {
+    const [owner, creator, seller, buyer, other] = accounts;
+    const ether = (value) => web3.utils.toWei(value, 'ether');
+
+    let core = null;
+    let marketplace = null;
+    let editions = null;
+    let erc1155 = null;
+    let erc20 = null;
+
+    before(async () => {
+        // the ERC-1155 functions are implemented by the extension and reached through the marketplace address
+        core = await Marketplace.deployed();
+        marketplace = await MarketplaceExtension.at(core.address);
+        editions = await ERC1155.new();
+        erc20 = await ERC20.new();
+
+        await core.addApprovedCollection(editions.address, { from: owner });
+        await core.addApprovedToken(erc20.address, { from: owner });
+        await editions.mint(seller, 1, 10);
+        await editions.setTokenRoyalty(1, creator, 1000);
+        await editions.setApprovalForAll(marketplace.address, true, { from: seller });
+        await erc20.transfer(buyer, ether('10'), { from: owner });
+    });
+
+    it('should answer to ERC-165 as an ERC-1155 receiver', async function () {
+        expect(await marketplace.supportsInterface('0x4e2312e0')).to.equal(true);
+        expect(await marketplace.supportsInterface('0x01ffc9a7')).to.equal(true);
+    });
+
+    it('should sell part of the units and pay fee and ERC-2981 royalty', async function () {
+        const list = await marketplace.putEditionForSale(editions.address, 1, 4, ether('1'), ZERO_ADDRESS, { from: seller });
+        expectEvent(list, 'EditionOnSale', {
+            listingId: '1',
+            seller,
+            collection: editions.address,
+            tokenId: '1',
+            quantity: '4',
+            pricePerUnit: ether('1'),
+        });
+        expect(await editions.balanceOf(marketplace.address, 1)).to.be.bignumber.equal('4');
+
+        const buy = await marketplace.buyEdition(1, 3, { from: buyer, value: ether('3') });
+
+        expectEvent(buy, 'EditionBought', {
+            listingId: '1',
+            buyer,
+            quantity: '3',
+            price: ether('3'),
+            fee: ether('0.15'),
+            royalty: ether('0.3')
+        });
+        expect(await editions.balanceOf(buyer, 1)).to.be.bignumber.equal('3');
+        expect((await marketplace.editionListings(1)).quantity).to.be.bignumber.equal('1');
+        expect(await marketplace.pendingPayments(creator, ZERO_ADDRESS)).to.be.bignumber.equal(ether('0.3'));
+        expect(await marketplace.pendingPayments(seller, ZERO_ADDRESS)).to.be.bignumber.equal(ether('2.55'));
+
+        await expectRevert(
+            marketplace.buyEdition(1, 2, { from: buyer, value: ether('2') }),
+            'Not enough units on sale'
+        );
+    });
+
+    it('should sell the units of a listing priced in an ERC20', async function () {
+        await marketplace.putEditionForSale(editions.address, 1, 2, ether('1'), erc20.address, { from: seller });
+        await erc20.approve(marketplace.address, ether('2'), { from: buyer });
+
+        await marketplace.buyEdition(2, 2, { from: buyer });
+
+        expect(await editions.balanceOf(buyer, 1)).to.be.bignumber.equal('5');
+        expect(await marketplace.pendingPayments(seller, erc20.address)).to.be.bignumber.equal(ether('1.7'));
+        await expectRevert(marketplace.buyEdition(2, 1, { from: buyer }), 'Not enough units on sale');
+    });
+
+    it('should let the seller update the price and take back the units left', async function () {
+        await expectRevert(
+            marketplace.updateEditionPrice(1, ether('2'), { from: other }),
+            'Only token owner can do this'
+        );
+        const update = await marketplace.updateEditionPrice(1, ether('2'), { from: seller });
+        expectEvent(update, 'EditionPriceChanged', { listingId: '1', pricePerUnit: ether('2') });
+
+        await expectRevert(marketplace.removeEditionFromSale(1, { from: other }), 'Only token owner can do this');
+        const remove = await marketplace.removeEditionFromSale(1, { from: seller });
+
+        expectEvent(remove, 'EditionNotOnSale', { listingId: '1', quantity: '1' });
+        expect(await editions.balanceOf(seller, 1)).to.be.bignumber.equal('5');
+        await expectRevert(marketplace.removeEditionFromSale(1, { from: seller }), 'Token must be on Sale');
+    });
+
+    it('should recover only the units that are not escrowed by a listing', async function () {
+        const listings = await MarketplaceListingExtension.at(core.address);
+        await marketplace.putEditionForSale(editions.address, 1, 3, ether('1'), ZERO_ADDRESS, { from: seller });
+        await editions.safeTransferFrom(seller, core.address, 1, 2, '0x', { from: seller });
+
+        const recover = await listings.recoverAsset(editions.address, 1, { from: owner });
+
+        expectEvent(recover, 'AssetRecovered', { collection: editions.address, tokenId: '1', to: owner });
+        expect(await editions.balanceOf(owner, 1)).to.be.bignumber.equal('2');
+        expect(await editions.balanceOf(core.address, 1)).to.be.bignumber.equal('3');
+        await expectRevert(listings.recoverAsset(editions.address, 1, { from: owner }), 'Token is escrowed');
+
+        await marketplace.buyEdition(3, 3, { from: buyer, value: ether('3') });
+        expect(await editions.balanceOf(core.address, 1)).to.be.bignumber.equal('0');
+    });
+
+    it('reverts when the collection is not an approved ERC-1155 collection', async function () {
+        const erc721 = await ERC721.new();
+        await core.addApprovedCollection(erc721.address, { from: owner });
+        await expectRevert(
+            marketplace.putEditionForSale(erc721.address, 1, 1, ether('1'), ZERO_ADDRESS, { from: seller }),
+            'Collection must be ERC1155'
+        );
+
+        const unapproved = await ERC1155.new();
+        await expectRevert(
+            marketplace.putEditionForSale(unapproved.address, 1, 1, ether('1'), ZERO_ADDRESS, { from: seller }),
+            'Collection must be approved'
+        );
+    });
+})
+
+
+contract('Marketplace: roles and pause', (accounts) => {
+    const [owner, curator, pauser, recoverer, seller, buyer, other] = accounts;
+    const ether = (value) => web3.utils.toWei(value, 'ether');
+    const role = (name) => web3.utils.keccak256(name);
+
+    let nft = null;
+    let core = null;
+    let marketplace = null;
+    let erc20 = null;
+
+    before(async () => {
+        nft = await NFT.deployed();
+        core = await Marketplace.deployed();
+        // recovery is implemented by the extension
+        marketplace = await MarketplaceExtension.at(core.address);
+        erc20 = await ERC20.new();
+
+        await erc20.transfer(buyer, ether('10'), { from: owner });
+        for (let i = 0; i < 3; i++) {
+            await nft.mint('metadata', 0, { from: seller });
+        }
+        await nft.setApprovalForAll(core.address, true, { from: seller });
+    });
+
+    it('should let the owner grant and revoke roles', async function () {
+        const CURATOR = role('CURRENCY_CURATOR_ROLE');
+        expect(await core.CURRENCY_CURATOR_ROLE()).to.be.equal(CURATOR);
+        expect(await core.hasRole(CURATOR, owner)).to.be.true;
+        await expectRevert(core.addApprovedToken(erc20.address, { from: curator }), 'Caller is missing role');
+        await expectRevert(core.grantRole(CURATOR, curator, { from: curator }), 'Ownable: caller is not the owner');
+
+        const grant = await core.grantRole(CURATOR, curator, { from: owner });
+        expectEvent(grant, 'RoleGranted', { role: CURATOR, account: curator, sender: owner });
+        await core.addApprovedToken(erc20.address, { from: curator });
+        expect(await core.approvedTokens(erc20.address)).to.be.true;
+        await expectRevert(core.updateFee(100, 100, { from: curator }), 'Caller is missing role');
+
+        const revoke = await core.revokeRole(CURATOR, curator, { from: owner });
+        expectEvent(revoke, 'RoleRevoked', { role: CURATOR, account: curator, sender: owner });
+        await expectRevert(core.deleteApprovedToken(erc20.address, { from: curator }), 'Caller is missing role');
+        await expectRevert(core.updateExtension(other, { from: other }), 'Caller is missing role');
+    });
+
+    it('should route the calls of a selector to its extension', async function () {
+        const bundles = await MarketplaceBundleExtension.deployed();
+        const selector = web3.eth.abi.encodeFunctionSignature('getBundleItems(uint256)');
+        expect(await core.selectorExtensions(selector)).to.be.equal(bundles.address);
+
+        await expectRevert(core.updateSelectorExtension([selector], ZERO_ADDRESS, { from: other }), 'Caller is missing role');
+        const unroute = await core.updateSelectorExtension([selector], ZERO_ADDRESS, { from: owner });
+        expectEvent(unroute, 'SelectorExtensionChanged', {
+            account: owner, selector: web3.utils.padRight(selector, 64), newExtension: ZERO_ADDRESS, oldExtension: bundles.address,
+        });
+        // the calls of a selector without extension are delegated to the extension, which does not implement it
+        await expectRevert.unspecified((await MarketplaceBundleExtension.at(core.address)).getBundleItems(1));
+
+        await core.updateSelectorExtension([selector], bundles.address, { from: owner });
+        expect(await (await MarketplaceBundleExtension.at(core.address)).getBundleItems(1)).to.be.deep.equal([]);
+    });
+
+    it('should not let anyone initialize the implementation behind the proxy', async function () {
+        const implementation = await Marketplace.new();
+        await expectRevert(
+            implementation.initialize(nft.address, erc20.address, other, 500, 500, { from: other }),
+            'Initializable: contract is already initialized'
+        );
+    });
+
+    it('should pause trading and let sellers and bidders take back their tokens and funds', async function () {
+        await core.putTokenForSale(nft.address, 1, ether('1'), ZERO_ADDRESS, { from: seller });
+        await core.makeOffer(nft.address, 2, ether('1'), ZERO_ADDRESS, (await time.latest()).addn(3600), { from: buyer, value: ether('1') });
+
+        await expectRevert(core.pause({ from: pauser }), 'Caller is missing role');
+        await core.grantRole(role('PAUSER_ROLE'), pauser, { from: owner });
+        const pause = await core.pause({ from: pauser });
+        expectEvent(pause, 'Paused', { account: pauser });
+        expect(await core.paused()).to.be.true;
+
+        await expectRevert(core.putTokenForSale(nft.address, 3, ether('1'), ZERO_ADDRESS, { from: seller }), 'Contract is paused');
+        await expectRevert(core.buyToken(nft.address, 1, { from: buyer, value: ether('1') }), 'Contract is paused');
+        await expectRevert(core.acceptOffer(1, { from: seller }), 'Contract is paused');
+
+        // the offer is still the highest, it can only be withdrawn because of the pause
+        await core.withdrawOffer(1, { from: buyer });
+        await core.removeTokenFromSale(nft.address, 1, { from: seller });
+        expect(await nft.ownerOf(1)).to.be.equal(seller);
+
+        const unpause = await core.unpause({ from: pauser });
+        expectEvent(unpause, 'Unpaused', { account: pauser });
+        await expectRevert(core.unpause({ from: pauser }), 'Contract is not paused');
+        await core.putTokenForSale(nft.address, 3, ether('1'), ZERO_ADDRESS, { from: seller });
+    });
+
+    it('should recover only the funds and NFTs that are not escrowed', async function () {
+        await core.addApprovedToken(erc20.address, { from: owner });
+        await erc20.approve(core.address, ether('2'), { from: buyer });
+        await core.makeOffer(nft.address, 2, ether('2'), erc20.address, (await time.latest()).addn(3600), { from: buyer });
+        await erc20.transfer(core.address, ether('1'), { from: owner });
+        expect(await marketplace.recoverableBalance(erc20.address)).to.be.bignumber.equal(ether('1'));
+
+        await core.grantRole(role('ASSET_RECOVERY_ROLE'), recoverer, { from: owner });
+        await expectRevert(
+            marketplace.recoverTokens(erc20.address, ether('1.5'), { from: recoverer }),
+            'Amount exceeds recoverable balance'
+        );
+        const recover = await marketplace.recoverTokens(erc20.address, ether('1'), { from: recoverer });
+        expectEvent(recover, 'TokensRecovered', { token: erc20.address, to: recoverer, amount: ether('1') });
+        expect(await erc20.balanceOf(core.address)).to.be.bignumber.equal(ether('2'));
+
+        const balance = await web3.eth.getBalance(core.address);
+        await marketplace.withdraw({ from: recoverer });
+        expect(await web3.eth.getBalance(core.address)).to.be.equal(balance);
+
+        // NFTs are recovered by the listing extension
+        const listings = await MarketplaceListingExtension.at(core.address);
+        await expectRevert(listings.recoverAsset(nft.address, 3, { from: recoverer }), 'Token is escrowed');
+        await nft.transferFrom(seller, core.address, 2, { from: seller });
+        const recoverAsset = await listings.recoverAsset(nft.address, 2, { from: recoverer });
+        expectEvent(recoverAsset, 'AssetRecovered', { collection: nft.address, tokenId: '2', to: recoverer });
+        expect(await nft.ownerOf(2)).to.be.equal(recoverer);
+    });
+})
+
+contract('Marketplace: timed listings', (accounts) => {
+    const [owner, seller, buyer, reclaimer, other] = accounts;
+    const ether = (value) => web3.utils.toWei(value, 'ether');
+
+    let core = null;
+    let marketplace = null;
+    let collection = null;
+    let erc20 = null;
+
+    before(async () => {
+        core = await Marketplace.deployed();
+        // timed listings and the listing views are implemented by the extension
+        marketplace = await MarketplaceExtension.at(core.address);
+        collection = await ERC721.new();
+        erc20 = await ERC20.new();
+
+        await core.addApprovedCollection(collection.address, { from: owner });
+        await core.addApprovedToken(erc20.address, { from: owner });
+        await marketplace.updateReclaimBounty(ether('0.01'), { from: owner });
+        for (let tokenId = 1; tokenId <= 5; tokenId++) {
+            await collection.mint(seller, tokenId);
+        }
+        await collection.setApprovalForAll(core.address, true, { from: seller });
+    });
+
+    it('should only sell a timed listing between its start time and its expiry', async function () {
+        const now = await time.latest();
+        const startTime = now.addn(600);
+        const expiry = now.addn(3600);
+
+        await expectRevert(
+            marketplace.putTokenForSaleTimed(collection.address, 1, ether('1'), ZERO_ADDRESS, startTime, startTime, { from: seller, value: ether('0.01') }),
+            'Invalid sale period'
+        );
+        await expectRevert(
+            marketplace.putTokenForSaleTimed(collection.address, 1, ether('1'), ZERO_ADDRESS, startTime, expiry, { from: seller }),
+            'Submit the reclaim bounty'
+        );
+
+        const put = await marketplace.putTokenForSaleTimed(
+            collection.address, 1, ether('1'), ZERO_ADDRESS, startTime, expiry, { from: seller, value: ether('0.01') }
+        );
+        expectEvent(put, 'TokenOnSale', { owner: seller, collection: collection.address, tokenId: '1' });
+        expectEvent(put, 'SaleScheduled', { tokenId: '1', startTime, expiry, bounty: ether('0.01') });
+        expect(await marketplace.totalReclaimBounties()).to.be.bignumber.equal(ether('0.01'));
+
+        await expectRevert(core.buyToken(collection.address, 1, { from: buyer, value: ether('1') }), 'Sale has not started');
+        await core.buyTokens([collection.address], [1], true, { from: buyer, value: ether('1') });
+        expect(await collection.ownerOf(1)).to.be.equal(core.address);
+
+        await time.increaseTo(startTime);
+        await core.buyToken(collection.address, 1, { from: buyer, value: ether('1') });
+        expect(await collection.ownerOf(1)).to.be.equal(buyer);
+        // the bounty goes back to the seller with the proceeds
+        expect(await core.pendingPayments(seller, ZERO_ADDRESS)).to.be.bignumber.equal(ether('0.96'));
+        expect(await marketplace.totalReclaimBounties()).to.be.bignumber.equal('0');
+    });
+
+    it('should let anyone reclaim an expired listing for the bounty', async function () {
+        const expiry = (await time.latest()).addn(3600);
+        await marketplace.putTokenForSaleTimed(collection.address, 2, ether('1'), ZERO_ADDRESS, 0, expiry, { from: seller, value: ether('0.01') });
+
+        await expectRevert(marketplace.reclaimExpired(collection.address, 2, { from: reclaimer }), 'Sale not expired');
+        await time.increaseTo(expiry.addn(1));
+        await expectRevert(core.buyToken(collection.address, 2, { from: buyer, value: ether('1') }), 'Sale expired');
+
+        const reclaim = await marketplace.reclaimExpired(collection.address, 2, { from: reclaimer });
+        expectEvent(reclaim, 'ListingReclaimed', {
+            collection: collection.address, tokenId: '2', reclaimer, seller, bounty: ether('0.01'),
+        });
+        expect(await collection.ownerOf(2)).to.be.equal(seller);
+        expect(await core.pendingPayments(reclaimer, ZERO_ADDRESS)).to.be.bignumber.equal(ether('0.01'));
+        expect((await core.marketItems(collection.address, 2)).forSale).to.be.false;
+        await expectRevert(marketplace.reclaimExpired(collection.address, 2, { from: reclaimer }), 'Token must be on Sale');
+    });
+
+    it('should page through the listings by seller and currency', async function () {
+        const active = await marketplace.activeListingCount();
+        await core.putTokenForSale(collection.address, 3, ether('1'), ZERO_ADDRESS, { from: seller });
+        await core.putTokensForSale(collection.address, [4, 5], [ether('2'), ether('3')], [erc20.address, erc20.address], { from: seller });
+
+        expect(await marketplace.activeListingCount()).to.be.bignumber.equal(active.addn(3));
+        expect(await marketplace.sellerListingCount(seller)).to.be.bignumber.equal('3');
+        expect(await marketplace.currencyListingCount(erc20.address)).to.be.bignumber.equal('2');
+
+        const bySeller = await marketplace.getListingsBySeller(seller, 1, 5);
+        expect(bySeller.map((listing) => listing.tokenId)).to.have.members(['4', '5']);
+        expect(await marketplace.getListingsBySeller(seller, 3, 5)).to.have.lengthOf(0);
+
+        const byCurrency = await marketplace.getListingsByCurrency(erc20.address, 0, 1);
+        expect(byCurrency).to.have.lengthOf(1);
+        expect(byCurrency[0].collection).to.be.equal(collection.address);
+        expect(byCurrency[0].seller).to.be.equal(seller);
+        expect(byCurrency[0].currency).to.be.equal(erc20.address);
+
+        const page = await marketplace.getActiveListings(active, 10);
+        expect(page.map((listing) => listing.tokenId)).to.have.members(['3', '4', '5']);
+    });
+
+    it('should keep the listing sets in sync when tokens are bought or removed', async function () {
+        await erc20.transfer(buyer, ether('2'), { from: owner });
+        await erc20.approve(core.address, ether('2'), { from: buyer });
+        await core.buyToken(collection.address, 4, { from: buyer });
+        await core.removeTokenFromSale(collection.address, 3, { from: seller });
+
+        const bySeller = await marketplace.getListingsBySeller(seller, 0, 10);
+        expect(bySeller.map((listing) => listing.tokenId)).to.have.members(['5']);
+        expect(await marketplace.currencyListingCount(ZERO_ADDRESS)).to.be.bignumber.equal('0');
+        expect(await marketplace.currencyListingCount(erc20.address)).to.be.bignumber.equal('1');
+    });
+})
+
+
+contract('Marketplace: permits', (accounts) => {
+    const [owner, seller, buyer] = accounts;
+    const ether = (value) => web3.utils.toWei(value, 'ether');
+
+    let marketplace = null;
+    let collection = null;
+    let erc20 = null;
+    let domain = null;
+
+    const permit = async (value, deadline) => signPermit(web3, {
+        owner: buyer, spender: marketplace.address, value, nonce: await erc20.nonces(buyer), deadline,
+    }, domain);
+
+    before(async () => {
+        marketplace = await Marketplace.deployed();
+        collection = await ERC721.new();
+        erc20 = await PermitERC20.new();
+        domain = { name: 'Mock Permit ERC20', version: '1', chainId: await web3.eth.getChainId(), verifyingContract: erc20.address };
+
+        await marketplace.addApprovedCollection(collection.address, { from: owner });
+        await marketplace.addApprovedToken(erc20.address, { from: owner });
+        await erc20.transfer(buyer, ether('10'), { from: owner });
+        for (let tokenId = 1; tokenId <= 2; tokenId++) {
+            await collection.mint(seller, tokenId);
+        }
+        await collection.setApprovalForAll(marketplace.address, true, { from: seller });
+        await marketplace.putTokenForSale(collection.address, 1, ether('2'), erc20.address, { from: seller });
+        await marketplace.putTokenForSale(collection.address, 2, ether('1'), ZERO_ADDRESS, { from: seller });
+    });
+
+    it('reverts without a valid permit for the listing price', async function () {
+        const deadline = (await time.latest()).addn(3600);
+        const { v, r, s } = await permit(ether('1'), deadline);
+        await expectRevert(
+            marketplace.buyTokenWithPermit(collection.address, 1, deadline, v, r, s, { from: buyer }),
+            'ERC20: insufficient allowance'
+        );
+        await expectRevert(
+            marketplace.buyTokenWithPermit(collection.address, 2, deadline, v, r, s, { from: buyer }),
+            'Permit requires an ERC20'
+        );
+    });
+
+    it('should buy a token in one transaction with a permit', async function () {
+        const deadline = (await time.latest()).addn(3600);
+        const { v, r, s } = await permit(ether('2'), deadline);
+
+        const buy = await marketplace.buyTokenWithPermit(collection.address, 1, deadline, v, r, s, { from: buyer });
+
+        expectEvent(buy, 'TokenBought', { collection: collection.address, tokenId: '1', buyer, price: ether('2') });
+        expect(await collection.ownerOf(1)).to.be.equal(buyer);
+        expect(await erc20.balanceOf(buyer)).to.be.bignumber.equal(ether('8'));
+        expect(await erc20.nonces(buyer)).to.be.bignumber.equal('1');
+    });
+});
+
+contract('Marketplace: bundles', (accounts) => {
+    const [owner, creator, otherCreator, seller, buyer, other] = accounts;
+    const ether = (value) => web3.utils.toWei(value, 'ether');
+
+    let nft = null;
+    let collection = null;
+    let marketplace = null;
+    let bundles = null;
+
+    before(async () => {
+        nft = await NFT.deployed();
+        marketplace = await Marketplace.deployed();
+        bundles = await MarketplaceBundleExtension.at(marketplace.address);
+        collection = await ERC721.new();
+
+        await nft.mint('metadata', '1000', { from: creator });
+        await nft.mint('metadata', '500', { from: otherCreator });
+        await nft.transferFrom(creator, seller, 1, { from: creator });
+        await nft.transferFrom(otherCreator, seller, 2, { from: otherCreator });
+        await collection.mint(seller, 1);
+        await collection.mint(seller, 2);
+        await nft.setApprovalForAll(marketplace.address, true, { from: seller });
+        await collection.setApprovalForAll(marketplace.address, true, { from: seller });
+    });
+
+    it('should escrow the tokens of a bundle', async function () {
+        await expectRevert(
+            bundles.putBundleForSale([nft.address, nft.address], [1, 2], ['5000', '4000'], ether('1'), ZERO_ADDRESS, { from: seller }),
+            'Shares must add up to 100%'
+        );
+        // a token with no share would be settled at price 0, without royalty
+        await expectRevert(
+            bundles.putBundleForSale([nft.address, nft.address], [1, 2], ['10000', '0'], ether('1'), ZERO_ADDRESS, { from: seller }),
+            'Share below the minimum'
+        );
+        await expectRevert(
+            bundles.putBundleForSale([nft.address, nft.address], [1, 2], ['9901', '99'], ether('1'), ZERO_ADDRESS, { from: seller }),
+            'Share below the minimum'
+        );
+        await expectRevert(
+            bundles.putBundleForSale([nft.address], [1], ['10000'], ether('1'), ZERO_ADDRESS, { from: seller }),
+            'Bundle needs several tokens'
+        );
+        await expectRevert(
+            bundles.putBundleForSale([nft.address, collection.address], [1, 1], ['5000', '5000'], ether('1'), ZERO_ADDRESS, { from: seller }),
+            'Collection must be approved'
+        );
+        await marketplace.addApprovedCollection(collection.address, { from: owner });
+
+        const put = await bundles.putBundleForSale(
+            [nft.address, nft.address, collection.address],
+            [1, 2, 1],
+            ['5000', '3000', '2000'],
+            ether('1'),
+            ZERO_ADDRESS,
+            { from: seller }
+        );
+
+        expectEvent(put, 'BundleOnSale', { bundleId: '1', seller, price: ether('1'), currency: ZERO_ADDRESS });
+        expect(await nft.ownerOf(1)).to.be.equal(marketplace.address);
+        expect(await collection.ownerOf(1)).to.be.equal(marketplace.address);
+        expect(await marketplace.tokenBundles(nft.address, 2)).to.be.bignumber.equal('1');
+        const items = await bundles.getBundleItems(1);
+        expect(items.map((item) => item.share)).to.be.deep.equal(['5000', '3000', '2000']);
+        await expectRevert(
+            (await MarketplaceListingExtension.at(marketplace.address)).recoverAsset(nft.address, 1, { from: owner }),
+            'Token is escrowed'
+        );
+    });
+
+    it('should split the royalty of a bundle by the share of each token', async function () {
+        await expectRevert(bundles.updateBundlePrice(1, ether('2'), { from: other }), 'Only token owner can do this');
+        await expectRevert(bundles.updateBundlePrice(1, '0', { from: seller }), 'Price must be at least 1 wei');
+        const update = await bundles.updateBundlePrice(1, ether('2'), { from: seller });
+        expectEvent(update, 'BundlePriceChanged', { bundleId: '1', price: ether('2') });
+        await expectRevert(bundles.buyBundle(1, { from: buyer, value: ether('1') }), 'Submit the asking price');
+
+        const buy = await bundles.buyBundle(1, { from: buyer, value: ether('2') });
+
+        // 10% of the 1 ether share of the first token and 5% of the 0.6 ether share of the second one
+        expectEvent(buy, 'BundleBought', { bundleId: '1', buyer, price: ether('2'), fee: ether('0.1'), royalty: ether('0.13') });
+        expect(await marketplace.pendingPayments(creator, ZERO_ADDRESS)).to.be.bignumber.equal(ether('0.1'));
+        expect(await marketplace.pendingPayments(otherCreator, ZERO_ADDRESS)).to.be.bignumber.equal(ether('0.03'));
+        expect(await marketplace.pendingPayments(seller, ZERO_ADDRESS)).to.be.bignumber.equal(ether('1.77'));
+        expect(await nft.ownerOf(1)).to.be.equal(buyer);
+        expect(await nft.ownerOf(2)).to.be.equal(buyer);
+        expect(await collection.ownerOf(1)).to.be.equal(buyer);
+        expect(await marketplace.tokenBundles(nft.address, 1)).to.be.bignumber.equal('0');
+        expect((await marketplace.bundles(1)).forSale).to.be.false;
+        await expectRevert(bundles.buyBundle(1, { from: other, value: ether('2') }), 'Token must be on Sale');
+    });
+
+    it('should give the tokens of a removed bundle back', async function () {
+        await nft.transferFrom(buyer, seller, 1, { from: buyer });
+        await bundles.putBundleForSale([nft.address, collection.address], [1, 2], ['9000', '1000'], ether('1'), ZERO_ADDRESS, { from: seller });
+
+        await expectRevert(bundles.removeBundleFromSale(2, { from: other }), 'Only token owner can do this');
+        const remove = await bundles.removeBundleFromSale(2, { from: seller });
+
+        expectEvent(remove, 'BundleNotOnSale', { bundleId: '2' });
+        expect(await nft.ownerOf(1)).to.be.equal(seller);
+        expect(await collection.ownerOf(2)).to.be.equal(seller);
+        await expectRevert(bundles.removeBundleFromSale(2, { from: seller }), 'Token must be on Sale');
+        await expectRevert(bundles.buyBundle(2, { from: buyer, value: ether('1') }), 'Token must be on Sale');
+    });
+});
+
+contract('Marketplace: rentals', (accounts) => {
+    const [owner, creator, lender, renter, other] = accounts;
+    const ether = (value) => web3.utils.toWei(value, 'ether');
+    const DAY = 86400;
+
+    let nft = null;
+    let marketplace = null;
+    let rentals = null;
+
+    before(async () => {
+        nft = await NFT.deployed();
+        marketplace = await Marketplace.deployed();
+        rentals = await MarketplaceRentalExtension.at(marketplace.address);
+
+        await nft.mint('metadata', '1000', { from: creator });
+        await nft.transferFrom(creator, lender, 1, { from: creator });
+        await nft.setApprovalForAll(marketplace.address, true, { from: lender });
+    });
+
+    it('should list a token for rent without moving it', async function () {
+        const collection = await ERC721.new();
+        await collection.mint(lender, 1);
+        await marketplace.addApprovedCollection(collection.address, { from: owner });
+        await expectRevert(
+            rentals.putTokenForRent(collection.address, 1, ether('0.1'), ZERO_ADDRESS, 1, 7, { from: lender }),
+            'Collection must be ERC4907'
+        );
+        await expectRevert(
+            rentals.putTokenForRent(nft.address, 1, ether('0.1'), ZERO_ADDRESS, 1, 7, { from: other }),
+            'Only token owner can do this'
+        );
+        await expectRevert(
+            rentals.putTokenForRent(nft.address, 1, ether('0.1'), ZERO_ADDRESS, 7, 1, { from: lender }),
+            'Invalid rental duration'
+        );
+
+        const put = await rentals.putTokenForRent(nft.address, 1, ether('0.1'), ZERO_ADDRESS, 1, 7, { from: lender });
+
+        expectEvent(put, 'TokenForRent', {
+            collection: nft.address, tokenId: '1', owner: lender, pricePerDay: ether('0.1'), minDays: '1', maxDays: '7',
+        });
+        expect(await nft.ownerOf(1)).to.be.equal(lender);
+        expect((await rentals.getRentalListing(nft.address, 1)).active).to.be.true;
+    });
+
+    it('should pay the owner, the fee and the royalty and set the renter as user', async function () {
+        await expectRevert(
+            rentals.rentToken(nft.address, 1, 8, { from: renter, value: ether('0.8') }),
+            'Invalid rental duration'
+        );
+        await expectRevert(
+            rentals.rentToken(nft.address, 1, 3, { from: renter, value: ether('0.1') }),
+            'Submit the asking price'
+        );
+
+        const rent = await rentals.rentToken(nft.address, 1, 3, { from: renter, value: ether('0.3') });
+
+        const expires = (await time.latest()).addn(3 * DAY);
+        expectEvent(rent, 'TokenRented', {
+            collection: nft.address,
+            tokenId: '1',
+            renter,
+            owner: lender,
+            expires,
+            price: ether('0.3'),
+            fee: ether('0.015'),
+            royalty: ether('0.03'),
+        });
+        expect(await marketplace.pendingPayments(lender, ZERO_ADDRESS)).to.be.bignumber.equal(ether('0.255'));
+        expect(await marketplace.pendingPayments(creator, ZERO_ADDRESS)).to.be.bignumber.equal(ether('0.03'));
+        expect(await nft.ownerOf(1)).to.be.equal(lender);
+        expect(await nft.userOf(1)).to.be.equal(renter);
+
+        await expectRevert(
+            rentals.rentToken(nft.address, 1, 1, { from: other, value: ether('0.1') }),
+            'Token is rented'
+        );
+        await time.increase(3 * DAY + 1);
+        await rentals.rentToken(nft.address, 1, 1, { from: other, value: ether('0.1') });
+        expect(await nft.userOf(1)).to.be.equal(other);
+    });
+
+    it('should not let the lender list, bundle or auction a token before its rental expires', async function () {
+        const auction = await AuctionEngine.deployed();
+        await nft.setApprovalForAll(auction.address, true, { from: lender });
+
+        await expectRevert(nft.setUser(1, lender, 0, { from: lender }), 'Token is rented');
+        await expectRevert(marketplace.putTokenForSale(nft.address, 1, ether('1'), ZERO_ADDRESS, { from: lender }), 'Token is rented');
+        await expectRevert(
+            (await MarketplaceBundleExtension.at(marketplace.address)).putBundleForSale(
+                [nft.address, nft.address], [1, 1], [5000, 5000], ether('1'), ZERO_ADDRESS, { from: lender }
+            ),
+            'Token is rented'
+        );
+        await expectRevert(
+            auction.createAuction(nft.address, 1, ether('1'), 0, 3600, ZERO_ADDRESS, {
+                reservePrice: '0', minIncrement: '0', buyNowPrice: '0', extensionWindow: '0',
+            }, { from: lender }),
+            'Token is rented'
+        );
+        expect(await nft.userOf(1)).to.be.equal(other);
+
+        // the renter can neither extend its rental nor hand it over for longer
+        const expires = await nft.userExpires(1);
+        await expectRevert(nft.setUser(1, renter, expires.addn(DAY), { from: other }), 'Token is rented');
+    });
+
+    it('should not let the lender sell a token through an offer or a signed order before its rental expires', async function () {
+        const extension = await MarketplaceExtension.at(marketplace.address);
+        const domain = marketplaceDomain(await web3.eth.getChainId(), marketplace.address);
+        const expiry = (await time.latest()).addn(3600).toString();
+        const erc20 = await ERC20.new();
+        await marketplace.addApprovedToken(erc20.address, { from: owner });
+        await erc20.transfer(renter, ether('1'), { from: owner });
+        await erc20.approve(marketplace.address, ether('1'), { from: renter });
+
+        const { logs } = await marketplace.makeOffer(nft.address, 1, ether('1'), ZERO_ADDRESS, expiry, {
+            from: renter, value: ether('1'),
+        });
+        const offerId = logs.find(({ event }) => event === 'OfferMade').args.offerId;
+        await expectRevert(marketplace.acceptOffer(offerId, { from: lender }), 'Token is rented');
+
+        const sellOrder = buildOrder({
+            maker: lender, nftContract: nft.address, tokenId: 1, price: ether('1'), currency: ZERO_ADDRESS, nonce: 0, expiry,
+        });
+        await expectRevert(
+            extension.fulfillSellOrder(sellOrder, await signOrder(web3, 'SellOrder', sellOrder, domain), {
+                from: renter, value: ether('1'),
+            }),
+            'Token is rented'
+        );
+
+        const offer = buildOrder({
+            maker: renter, nftContract: nft.address, tokenId: 1, price: ether('1'), currency: erc20.address, nonce: 0, expiry,
+        });
+        await expectRevert(
+            extension.fulfillOffer(offer, await signOrder(web3, 'Offer', offer, domain), { from: lender }),
+            'Token is rented'
+        );
+        expect(await nft.ownerOf(1)).to.be.equal(lender);
+        expect(await nft.userOf(1)).to.be.equal(other);
+    });
+
+    it('should stop renting a token taken off rent or transferred', async function () {
+        await time.increase(DAY + 1);
+        await expectRevert(rentals.removeTokenFromRent(nft.address, 1, { from: other }), 'Only token owner can do this');
+        const remove = await rentals.removeTokenFromRent(nft.address, 1, { from: lender });
+        expectEvent(remove, 'TokenNotForRent', { collection: nft.address, tokenId: '1' });
+        await expectRevert(
+            rentals.rentToken(nft.address, 1, 1, { from: renter, value: ether('0.1') }),
+            'Token must be for rent'
+        );
+
+        await rentals.putTokenForRent(nft.address, 1, ether('0.1'), ZERO_ADDRESS, 1, 7, { from: lender });
+        await nft.transferFrom(lender, other, 1, { from: lender });
+        await expectRevert(
+            rentals.rentToken(nft.address, 1, 1, { from: renter, value: ether('0.1') }),
+            'Token must be for rent'
+        );
+    });
+});
+
+contract('Marketplace: USD prices', (accounts) => {
+    const [owner, creator, seller, buyer, other] = accounts;
+    const ether = (value) => web3.utils.toWei(value, 'ether');
+    // USD prices use 8 decimals, like the USD price feeds
+    const usd = (value) => web3.utils.toBN(value).mul(web3.utils.toBN(1e8)).toString();
+    const USD = '0x0000000000000000000000000000000000000348';
+
+    let nft = null;
+    let marketplace = null;
+    let listings = null;
+    let erc20 = null;
+    let nativeFeed = null;
+    let tokenFeed = null;
+
+    before(async () => {
+        nft = await NFT.deployed();
+        marketplace = await Marketplace.deployed();
+        listings = await MarketplaceListingExtension.at(marketplace.address);
+        erc20 = await ERC20.new();
+        // 1 native coin = 300 USD, 1 ERC20 = 2 USD
+        nativeFeed = await MockAggregator.new(8, usd('300'));
+        tokenFeed = await MockAggregator.new(8, usd('2'));
+
+        await marketplace.addApprovedToken(erc20.address, { from: owner });
+        await marketplace.addApprovedToken(USD, { from: owner });
+        await erc20.transfer(buyer, ether('1000'), { from: owner });
+        for (let i = 0; i < 4; i++) {
+            await nft.mint('metadata', '1000', { from: creator });
+            await nft.transferFrom(creator, seller, i + 1, { from: creator });
+        }
+        await nft.setApprovalForAll(marketplace.address, true, { from: seller });
+    });
+
+    it('should not list an edition in USD', async function () {
+        const extension = await MarketplaceExtension.at(marketplace.address);
+        await expectRevert(
+            extension.putEditionForSale(nft.address, 1, 1, usd('600'), USD, { from: seller }),
+            'USD is not a payment currency'
+        );
+    });
+
+    it('should not redeem a voucher priced in USD', async function () {
+        const extension = await MarketplaceExtension.at(marketplace.address);
+        const domain = marketplaceDomain(await web3.eth.getChainId(), marketplace.address);
+        const voucher = buildVoucher({
+            creator,
+            nftContract: nft.address,
+            uri: 'ipfs://metadata',
+            royalty: 500,
+            price: usd('600'),
+            currency: USD,
+            nonce: 0,
+            expiry: (await time.latest()).addn(3600).toString(),
+        });
+        await expectRevert(
+            extension.redeemVoucher(voucher, await signVoucher(web3, voucher, domain), { from: buyer }),
+            'USD is not a payment currency'
+        );
+    });
+
+    it('should not list a bundle in USD', async function () {
+        await expectRevert(
+            (await MarketplaceBundleExtension.at(marketplace.address)).putBundleForSale(
+                [nft.address, nft.address], [1, 2], ['5000', '5000'], usd('600'), USD, { from: seller }
+            ),
+            'USD is not a payment currency'
+        );
+    });
+
+    it('should not rent a token out in USD', async function () {
+        await expectRevert(
+            (await MarketplaceRentalExtension.at(marketplace.address)).putTokenForRent(
+                nft.address, 1, usd('10'), USD, 1, 7, { from: seller }
+            ),
+            'USD is not a payment currency'
+        );
+    });
+
+    it('should sell a token listed in USD for native coin or an ERC20 at the rate of their feeds', async function () {
+        await expectRevert(
+            listings.setPriceFeed(ZERO_ADDRESS, nativeFeed.address, 3600, { from: other }),
+            'Caller is missing role'
+        );
+        const setFeed = await listings.setPriceFeed(ZERO_ADDRESS, nativeFeed.address, 3600, { from: owner });
+        expectEvent(setFeed, 'PriceFeedChanged', { currency: ZERO_ADDRESS, aggregator: nativeFeed.address, maxAge: '3600' });
+        await listings.setPriceFeed(erc20.address, tokenFeed.address, 3600, { from: owner });
+        expect((await listings.getPriceFeed(erc20.address)).aggregator).to.be.equal(tokenFeed.address);
+
+        await marketplace.putTokenForSale(nft.address, 1, usd('600'), USD, { from: seller });
+        await marketplace.putTokenForSale(nft.address, 2, usd('600'), USD, { from: seller });
+        expect(await listings.convertUsdPrice(ZERO_ADDRESS, usd('600'))).to.be.bignumber.equal(ether('2'));
+        expect(await listings.convertUsdPrice(erc20.address, usd('600'))).to.be.bignumber.equal(ether('300'));
+        await expectRevert(
+            marketplace.buyToken(nft.address, 1, { from: buyer, value: ether('2') }),
+            'USD is not a payment currency'
+        );
+        await expectRevert(
+            marketplace.buyTokens([nft.address], [1], false, { from: buyer, value: ether('2') }),
+            'USD is not a payment currency'
+        );
+        // a cart that skips unavailable tokens skips the USD listings too
+        const cart = await marketplace.buyTokens([nft.address], [1], true, { from: buyer, value: ether('2') });
+        expect(cart.logs.filter((log) => log.event === 'TokenBought').length).to.be.equal(0);
+        expectEvent(cart, 'PaymentCredited', { payee: buyer, currency: ZERO_ADDRESS, amount: ether('2') });
+
+        // the surplus over the price is credited to the buyer
+        const balance = web3.utils.toBN(await web3.eth.getBalance(marketplace.address));
+        const pending = await marketplace.pendingPayments(buyer, ZERO_ADDRESS);
+        const native = await listings.buyTokenInCurrency(nft.address, 1, ZERO_ADDRESS, ether('2.1'), { from: buyer, value: ether('2.1') });
+
+        expectEvent(native, 'TokenBought', {
+            collection: nft.address, tokenId: '1', buyer, currency: ZERO_ADDRESS, price: ether('2'), fee: ether('0.1'), royalty: ether('0.2'),
+        });
+        expect(await web3.eth.getBalance(marketplace.address)).to.be.equal(balance.add(web3.utils.toBN(ether('2.1'))).toString());
+        expect(await marketplace.pendingPayments(buyer, ZERO_ADDRESS)).to.be.bignumber.equal(pending.add(web3.utils.toBN(ether('0.1'))));
+        expect(await marketplace.pendingPayments(seller, ZERO_ADDRESS)).to.be.bignumber.equal(ether('1.7'));
+        expect(await nft.ownerOf(1)).to.be.equal(buyer);
+
+        await erc20.approve(marketplace.address, ether('310'), { from: buyer });
+        const token = await listings.buyTokenInCurrency(nft.address, 2, erc20.address, ether('310'), { from: buyer });
+
+        expectEvent(token, 'TokenBought', { tokenId: '2', currency: erc20.address, price: ether('300'), fee: ether('15') });
+        expect(await erc20.balanceOf(buyer)).to.be.bignumber.equal(ether('700'));
+        expect(await marketplace.pendingPayments(seller, erc20.address)).to.be.bignumber.equal(ether('255'));
+        expect(await nft.ownerOf(2)).to.be.equal(buyer);
+    });
+
+    it('should refuse to convert at a stale rate or beyond the maximum amount', async function () {
+        await marketplace.putTokenForSale(nft.address, 3, usd('600'), USD, { from: seller });
+        await marketplace.putTokenForSale(nft.address, 4, ether('1'), ZERO_ADDRESS, { from: seller });
+        const unpriced = await ERC20.new();
+        await marketplace.addApprovedToken(unpriced.address, { from: owner });
+
+        await expectRevert(
+            listings.buyTokenInCurrency(nft.address, 4, ZERO_ADDRESS, ether('1'), { from: buyer, value: ether('1') }),
+            'Price is not in USD'
+        );
+        await expectRevert(
+            listings.buyTokenInCurrency(nft.address, 3, unpriced.address, ether('1'), { from: buyer }),
+            'Currency has no price feed'
+        );
+        await expectRevert(
+            listings.buyTokenInCurrency(nft.address, 3, ZERO_ADDRESS, ether('2'), { from: buyer, value: ether('1') }),
+            'Submit the asking price'
+        );
+
+        // the native coin falls to 200 USD, the token now costs 3 coins
+        await nativeFeed.setAnswer(usd('200'));
+        await expectRevert(
+            listings.buyTokenInCurrency(nft.address, 3, ZERO_ADDRESS, ether('2.1'), { from: buyer, value: ether('2.1') }),
+            'Price exceeds the maximum amount'
+        );
+
+        await nativeFeed.setUpdatedAt((await time.latest()).subn(3601));
+        await expectRevert(listings.convertUsdPrice(ZERO_ADDRESS, usd('600')), 'Stale price');
+        await expectRevert(
+            listings.buyTokenInCurrency(nft.address, 3, ZERO_ADDRESS, ether('3'), { from: buyer, value: ether('3') }),
+            'Stale price'
+        );
+
+        // the seller lowers the USD price, it is converted at the fresh rate
+        await marketplace.updateTokenPrice(nft.address, 3, usd('400'), { from: seller });
+        await nativeFeed.setAnswer(usd('200'));
+        const buy = await listings.buyTokenInCurrency(nft.address, 3, ZERO_ADDRESS, ether('2'), { from: buyer, value: ether('2') });
+        expectEvent(buy, 'TokenBought', { tokenId: '3', currency: ZERO_ADDRESS, price: ether('2') });
+        expect(await nft.ownerOf(3)).to.be.equal(buyer);
+    });
+
+    it('should convert USD prices for a currency and a feed with fewer decimals than USD', async function () {
+        // 1 unit of a currency without decimals = 25.5 USD, quoted with 6 decimals
+        const units = await MockDecimalsERC20.new(0);
+        const feed = await MockAggregator.new(6, '25500000');
+        await listings.setPriceFeed(units.address, feed.address, 3600, { from: owner });
+
+        expect(await listings.convertUsdPrice(units.address, usd('51'))).to.be.bignumber.equal('2');
+        // rounded up so the seller gets at least the USD price
+        expect(await listings.convertUsdPrice(units.address, usd('52'))).to.be.bignumber.equal('3');
+    });
+});
@@ -1,5 +1,5 @@
 const { expect } = require('chai');
-const { expectRevert } = require('@openzeppelin/test-helpers');
+const { constants, expectEvent, expectRevert, time } = require('@openzeppelin/test-helpers');
 
 const NFT = artifacts.require('NFT');
 
@@ -69,7 +69,7 @@ contract('NFT', (accounts) => {
   it('should not transfer NFT if caller is not owner or approved', async function () {
     await expectRevert(
       nft.safeTransferFrom(owner, recipient, 1, { from: recipient }),
-        'ERC721: transfer caller is not owner nor approved.'
+        'ERC721: caller is not token owner nor approved'
     );
   });
 
@@ -113,4 +113,233 @@ contract('NFT', (accounts) => {
     
     expect(await tokenURI).to.be.equal('meta/1.json');
   });
+
+  it('should mint a batch of NFTs with their own royalties', async function () {
+    await expectRevert(
+      nft.mintBatch(['a', 'b'], ['100'], { from: recipient }),
+      'Array lengths mismatch'
+    );
+
+    const totalSupply = await nft.totalSupply();
+    await nft.mintBatch(['a', 'b'], ['100', '0'], { from: recipient });
+    const first = totalSupply.addn(1);
+    const second = totalSupply.addn(2);
+
+    expect((await nft.totalSupply()).toString()).to.be.equal(second.toString());
+    expect(await nft.ownerOf(first)).to.be.equal(recipient);
+    expect(await nft.ownerOf(second)).to.be.equal(recipient);
+    expect(await nft.creators(second)).to.be.equal(recipient);
+    expect((await nft.royaltyInfo(first, 100)).royaltyAmount.toString()).to.be.equal('1');
+    expect((await nft.royaltyInfo(second, 100)).royaltyAmount.toString()).to.be.equal('0');
+  });
+});
+
+
+contract('NFT: royalty splits', (accounts) => {
+  const [owner, creator, collaborator, buyer, other] = accounts;
+  const split = (recipient, amount) => ({ recipient, amount });
+
+  let nft = null;
+
+  before(async () => {
+    nft = await NFT.deployed();
+  });
+
+  it('supports the royalty splits interface', async function () {
+    const selector = (signature) => parseInt(web3.eth.abi.encodeFunctionSignature(signature), 16);
+    const interfaceId = (
+      selector('royaltySplits(uint256,uint256)') ^
+      selector('onRoyaltiesReceived(address,address,uint256,address,uint256,bytes32)')
+    ) >>> 0;
+
+    expect(await nft.supportsInterface('0x' + interfaceId.toString(16).padStart(8, '0'))).to.equal(true);
+    expect(await nft.supportsInterface('0x2a55205a')).to.equal(true);
+  });
+
+  it('should mint NFT with royalties shared between several recipients', async function () {
+    const mint = await nft.mintWithRoyalties('metadata', [split(creator, '300'), split(collaborator, '200')], { from: creator });
+    expectEvent(mint, 'TokenRoyaltiesUpdated', { tokenId: '1' });
+
+    const royaltyInfo = await nft.royaltyInfo(1, 1000);
+    expect(royaltyInfo.receiver).to.be.equal(creator);
+    expect(royaltyInfo.royaltyAmount.toString()).to.be.equal('50');
+
+    const splits = await nft.royaltySplits(1, 1000);
+    expect(splits.recipients).to.be.deep.equal([creator, collaborator]);
+    expect(splits.amounts.map(String)).to.be.deep.equal(['30', '20']);
+  });
+
+  it('reverts when the royalties are invalid', async function () {
+    await expectRevert(
+      nft.mintWithRoyalties('metadata', [split(creator, '6000'), split(collaborator, '4001')], { from: creator }),
+      'ERC2981Royalties: Too high'
+    );
+    await expectRevert(
+      nft.mintWithRoyalties('metadata', [split(constants.ZERO_ADDRESS, '100')], { from: creator }),
+      'Royalty recipient is the zero address'
+    );
+    await expectRevert(
+      nft.mintWithRoyalties('metadata', Array(11).fill(split(creator, '1')), { from: creator }),
+      'Too many royalty recipients'
+    );
+  });
+
+  it('should pay the default royalties for tokens without their own', async function () {
+    await expectRevert(
+      nft.setDefaultRoyalties([split(other, '100')], { from: creator }),
+      'caller is not the owner'
+    );
+    const setDefaultRoyalties = await nft.setDefaultRoyalties([split(owner, '250')], { from: owner });
+    expectEvent(setDefaultRoyalties, 'DefaultRoyaltiesUpdated');
+
+    await nft.mint('metadata', '0', { from: creator });
+    const royaltyInfo = await nft.royaltyInfo(2, 1000);
+    expect(royaltyInfo.receiver).to.be.equal(owner);
+    expect(royaltyInfo.royaltyAmount.toString()).to.be.equal('25');
+    expect((await nft.royaltyInfo(1, 1000)).royaltyAmount.toString()).to.be.equal('50');
+  });
+
+  it('should let the creator lower or reassign the royalties', async function () {
+    await nft.transferFrom(creator, buyer, 1, { from: creator });
+    await expectRevert(
+      nft.updateTokenRoyalties(1, [split(buyer, '100')], { from: buyer }),
+      'Only token creator can do this'
+    );
+    await expectRevert(
+      nft.updateTokenRoyalties(1, [split(creator, '300'), split(collaborator, '201')], { from: creator }),
+      'Royalties can only be lowered'
+    );
+
+    const update = await nft.updateTokenRoyalties(1, [split(collaborator, '500')], { from: creator });
+    expectEvent(update, 'TokenRoyaltiesUpdated', { tokenId: '1' });
+    const royalties = await nft.getTokenRoyalties(1);
+    expect(royalties.map(({ recipient, amount }) => [recipient, amount])).to.be.deep.equal([[collaborator, '500']]);
+
+    // removing the royalties of a token does not bring back the default ones
+    await nft.updateTokenRoyalties(1, [], { from: creator });
+    const royaltyInfo = await nft.royaltyInfo(1, 1000);
+    expect(royaltyInfo.receiver).to.be.equal(constants.ZERO_ADDRESS);
+    expect(royaltyInfo.royaltyAmount.toString()).to.be.equal('0');
+  });
+
+  it('should let only the owner override the default royalties of a token', async function () {
+    await expectRevert(
+      nft.updateTokenRoyalties(2, [], { from: creator }),
+      'Only owner can override default royalties'
+    );
+    await expectRevert(
+      nft.updateTokenRoyalties(99, [], { from: owner }),
+      'ERC721: invalid token ID'
+    );
+
+    await nft.updateTokenRoyalties(2, [split(creator, '100')], { from: owner });
+    const royaltyInfo = await nft.royaltyInfo(2, 1000);
+    expect(royaltyInfo.receiver).to.be.equal(creator);
+    expect(royaltyInfo.royaltyAmount.toString()).to.be.equal('10');
+    // the token has its own royalties from now on, its creator manages them
+    await nft.updateTokenRoyalties(2, [], { from: creator });
+  });
+
+  it('should only accept royalty notifications from the allowed payers', async function () {
+    const notify = (from) => nft.onRoyaltiesReceived(creator, buyer, 1, constants.ZERO_ADDRESS, '100', '0x00', { from });
+    await expectRevert(notify(other), 'Caller is not a royalty payer');
+    await expectRevert(nft.setRoyaltyPayer(other, true, { from: other }), 'caller is not the owner');
+
+    const setRoyaltyPayer = await nft.setRoyaltyPayer(other, true, { from: owner });
+    expectEvent(setRoyaltyPayer, 'RoyaltyPayerUpdated', { payer: other, allowed: true });
+    expectEvent(await notify(other), 'RoyaltiesReceived', { _royaltyRecipient: creator, _buyer: buyer, _tokenId: '1' });
+
+    await nft.setRoyaltyPayer(other, false, { from: owner });
+    await expectRevert(notify(other), 'Caller is not a royalty payer');
+  });
+});
+
+
+contract('NFT: minters', (accounts) => {
+  const [owner, creator, buyer, minter] = accounts;
+
+  let nft = null;
+
+  before(async () => {
+    nft = await NFT.deployed();
+  });
+
+  it('reverts when not owner tries to allow a minter', async function () {
+    await expectRevert(
+      nft.setMinter(minter, true, { from: creator }),
+      'caller is not the owner'
+    );
+  });
+
+  it('should only let allowed minters mint on behalf of creators', async function () {
+    await expectRevert(
+      nft.mintFor(creator, buyer, 'metadata', '500', { from: minter }),
+      'Caller is not a minter'
+    );
+
+    const setMinter = await nft.setMinter(minter, true, { from: owner });
+    expectEvent(setMinter, 'MinterUpdated', { minter, allowed: true });
+    await nft.mintFor(creator, buyer, 'metadata', '500', { from: minter });
+
+    expect(await nft.ownerOf(1)).to.be.equal(buyer);
+    expect(await nft.creators(1)).to.be.equal(creator);
+    expect((await nft.royaltyInfo(1, 1000)).receiver).to.be.equal(creator);
+
+    await nft.setMinter(minter, false, { from: owner });
+    await expectRevert(
+      nft.mintFor(creator, buyer, 'metadata', '500', { from: minter }),
+      'Caller is not a minter'
+    );
+  });
+});
+
+
+contract('NFT: rentals', (accounts) => {
+  const [owner, renter, operator, buyer] = accounts;
+
+  let nft = null;
+
+  before(async () => {
+    nft = await NFT.deployed();
+    await nft.mint('metadata', '0', { from: owner });
+  });
+
+  it('supports the ERC-4907 interface', async function () {
+    expect(await nft.supportsInterface('0xad092b5c')).to.equal(true);
+  });
+
+  it('should let the owner or an approved operator set a user until it expires', async function () {
+    const expires = (await time.latest()).addn(3600);
+    await expectRevert(
+      nft.setUser(1, renter, expires, { from: operator }),
+      'caller is not token owner nor approved'
+    );
+
+    const setUser = await nft.setUser(1, renter, expires, { from: owner });
+    expectEvent(setUser, 'UpdateUser', { tokenId: '1', user: renter, expires });
+    expect(await nft.userOf(1)).to.be.equal(renter);
+    expect(await nft.userExpires(1)).to.be.bignumber.equal(expires);
+
+    // only the user can end its rental early
+    await nft.setApprovalForAll(operator, true, { from: owner });
+    await expectRevert(nft.setUser(1, operator, expires, { from: operator }), 'Token is rented');
+    await expectRevert(nft.setUser(1, constants.ZERO_ADDRESS, 0, { from: owner }), 'Token is rented');
+    await nft.setUser(1, constants.ZERO_ADDRESS, 0, { from: renter });
+    await nft.setUser(1, operator, expires, { from: operator });
+    expect(await nft.userOf(1)).to.be.equal(operator);
+
+    await time.increase(3601);
+    expect(await nft.userOf(1)).to.be.equal(constants.ZERO_ADDRESS);
+    expect(await nft.ownerOf(1)).to.be.equal(owner);
+  });
+
+  it('should clear the user when the token is transferred', async function () {
+    await nft.setUser(1, renter, (await time.latest()).addn(3600), { from: owner });
+
+    const transfer = await nft.transferFrom(owner, buyer, 1, { from: owner });
+
+    expectEvent(transfer, 'UpdateUser', { tokenId: '1', user: constants.ZERO_ADDRESS, expires: '0' });
+    expect(await nft.userOf(1)).to.be.equal(constants.ZERO_ADDRESS);
+    expect(await nft.userExpires(1)).to.be.bignumber.equal('0');
+  });
 });
@@ -0,0 +1,381 @@
+const { expect } = require('chai');
+const {
+  constants,
+  time,
+} = require('@openzeppelin/test-helpers');
+const { web3 } = require('@openzeppelin/test-helpers/src/setup');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const { Indexer, Store, createServer } = require('../indexer');
+const {
+    USD, buildVoucher, marketplaceDomain, signVoucher,
+} = require('../sdk');
+
+const { ZERO_ADDRESS } = constants;
+
+const NFT = artifacts.require('NFT');
+const Marketplace = artifacts.require('Marketplace');
+const MarketplaceExtension = artifacts.require('MarketplaceExtension');
+const MarketplaceListingExtension = artifacts.require('MarketplaceListingExtension');
+const MarketplaceBundleExtension = artifacts.require('MarketplaceBundleExtension');
+const MarketplaceRentalExtension = artifacts.require('MarketplaceRentalExtension');
+const AuctionEngine = artifacts.require('AuctionEngine');
+const AuctionEngineExtension = artifacts.require('AuctionEngineExtension');
+const ERC20 = artifacts.require('MockERC20');
+const ERC1155 = artifacts.require('MockERC1155');
+const MockAggregator = artifacts.require('MockAggregator');
+
+function rpc(method, params = []) {
+    return new Promise((resolve, reject) => {
+        web3.currentProvider.send({ jsonrpc: '2.0', id: Date.now(), method, params }, (error, res) => (
+            error ? reject(error) : resolve(res.result)
+        ));
+    });
+}
+
+function get(server, url) {
+    return new Promise((resolve, reject) => {
+        http.get(`http://127.0.0.1:${server.address().port}${url}`, (res) => {
+            let body = '';
+            res.on('data', (chunk) => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+        }).on('error', reject);
+    });
+}
+
+
+contract('Indexer', (accounts) => {
+    const [owner, seller, buyer, bidder] = accounts;
+    const ether = (value) => web3.utils.toWei(value, 'ether');
+    const file = path.join(os.tmpdir(), `indexer-${Date.now()}.json`);
+
+    let nft = null;
+    let marketplace = null;
+    let auction = null;
+    let erc20 = null;
+    let store = null;
+    let indexer = null;
+    let server = null;
+
+    before(async () => {
+        nft = await NFT.deployed();
+        marketplace = await Marketplace.deployed();
+        auction = await AuctionEngine.deployed();
+        erc20 = await ERC20.new({ from: owner });
+
+        await marketplace.addApprovedToken(erc20.address, { from: owner });
+        await erc20.transfer(buyer, ether('100'), { from: owner });
+        await erc20.transfer(bidder, ether('100'), { from: owner });
+
+        store = new Store(file);
+        indexer = new Indexer(
+            web3,
+            { marketplace: marketplace.address, auctionEngine: auction.address },
+            {
+                store,
+                confirmations: 5,
+                abis: {
+                    Marketplace: Marketplace.abi,
+                    MarketplaceExtension: MarketplaceExtension.abi,
+                    MarketplaceListingExtension: MarketplaceListingExtension.abi,
+                    MarketplaceBundleExtension: MarketplaceBundleExtension.abi,
+                    MarketplaceRentalExtension: MarketplaceRentalExtension.abi,
+                    AuctionEngine: AuctionEngine.abi,
+                },
+            },
+        );
+        server = createServer(store);
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    after(async () => {
+        server.close();
+        fs.rmSync(file, { force: true });
+    });
+
+    it('should index listings, price changes and sales', async function () {
+        await nft.mint('metadata1', '500', { from: owner });
+        await nft.mint('metadata2', '0', { from: seller });
+        await nft.mint('metadata3', '0', { from: seller });
+        await nft.safeTransferFrom(owner, seller, 1, { from: owner });
+        await nft.setApprovalForAll(marketplace.address, true, { from: seller });
+
+        await marketplace.putTokenForSale(nft.address, 1, ether('1'), ZERO_ADDRESS, { from: seller });
+        await marketplace.putTokenForSale(nft.address, 2, ether('2'), erc20.address, { from: seller });
+        await marketplace.updateTokenPrice(nft.address, 2, ether('3'), { from: seller });
+        const bought = await marketplace.buyToken(nft.address, 1, { from: buyer, value: ether('1') });
+
+        const result = await indexer.sync();
+        expect(result.events).to.be.equal(4);
+
+        const listings = await get(server, '/listings');
+        expect(listings.status).to.be.equal(200);
+        expect(listings.body.length).to.be.equal(1);
+        expect(listings.body[0].tokenId).to.be.equal('2');
+        expect(listings.body[0].price).to.be.equal(ether('3'));
+        expect(listings.body[0].asset).to.be.equal(nft.address);
+
+        const sales = await get(server, '/tokens/1/sales');
+        expect(sales.body.length).to.be.equal(1);
+        expect(sales.body[0].seller).to.be.equal(seller);
+        expect(sales.body[0].buyer).to.be.equal(buyer);
+        expect(sales.body[0].fee).to.be.equal(bought.logs.find((log) => log.event === 'TokenBought').args.fee.toString());
+        expect(sales.body[0].royalty).to.be.equal(ether('0.05'));
+    });
+
+    it('should filter active listings by currency and price', async function () {
+        await marketplace.putTokenForSale(nft.address, 3, ether('0.5'), ZERO_ADDRESS, { from: seller });
+        await indexer.sync();
+
+        const native = await get(server, `/listings?currency=${ZERO_ADDRESS}`);
+        expect(native.body.map((listing) => listing.tokenId)).to.be.deep.equal(['3']);
+
+        const all = await get(server, '/listings');
+        expect(all.body.map((listing) => listing.tokenId)).to.be.deep.equal(['3', '2']);
+
+        const expensive = await get(server, `/listings?minPrice=${ether('1')}`);
+        expect(expensive.body.map((listing) => listing.tokenId)).to.be.deep.equal(['2']);
+
+        const otherCollection = await get(server, `/listings?asset=${erc20.address}`);
+        expect(otherCollection.body.length).to.be.equal(0);
+
+        const invalid = await get(server, '/listings?maxPrice=one');
+        expect(invalid.status).to.be.equal(400);
+    });
+
+    it('should list open auctions ending soon', async function () {
+        await nft.setApprovalForAll(auction.address, true, { from: buyer });
+        await auction.createAuction(nft.address, 1, ether('1'), 0, 3600, erc20.address, {
+            reservePrice: '0', minIncrement: '0', buyNowPrice: '0', extensionWindow: '600',
+        }, { from: buyer });
+        await erc20.approve(auction.address, ether('2'), { from: bidder });
+        await auction.bid(0, ether('2'), { from: bidder });
+        await indexer.sync();
+
+        const soon = await get(server, '/auctions/ending?within=7200');
+        expect(soon.body.length).to.be.equal(1);
+        expect(soon.body[0].currentBidOwner).to.be.equal(bidder);
+        expect(soon.body[0].currentBidAmount).to.be.equal(ether('2'));
+        expect(soon.body[0].bidCount).to.be.equal(1);
+        expect(soon.body[0].reservePrice).to.be.equal('0');
+
+        const tooSoon = await get(server, '/auctions/ending?within=60');
+        expect(tooSoon.body.length).to.be.equal(0);
+    });
+
+    it('should total fees and royalties per period', async function () {
+        await time.increase(3600);
+        await auction.finalize(0, { from: bidder });
+        await indexer.sync();
+
+        expect((await get(server, '/auctions/ending')).body.length).to.be.equal(0);
+
+        const stats = await get(server, '/stats/fees?period=week');
+        const byCurrency = Object.fromEntries(stats.body.map((total) => [total.currency, total]));
+        expect(byCurrency[ZERO_ADDRESS].sales).to.be.equal(1);
+        expect(byCurrency[ZERO_ADDRESS].volume).to.be.equal(ether('1'));
+        expect(byCurrency[ZERO_ADDRESS].royalties).to.be.equal(ether('0.05'));
+        expect(byCurrency[erc20.address].sales).to.be.equal(1);
+        expect(byCurrency[erc20.address].volume).to.be.equal(ether('2'));
+        expect(byCurrency[erc20.address].royalties).to.be.equal(ether('0.1'));
+
+        expect((await get(server, '/stats/fees?period=month')).status).to.be.equal(400);
+    });
+
+    it('should tell Dutch auctions apart', async function () {
+        await nft.mint('metadata4', '0', { from: seller });
+        await nft.setApprovalForAll(auction.address, true, { from: seller });
+        await auction.createDutchAuction(nft.address, 4, 0, 3600, ZERO_ADDRESS, {
+            startPrice: ether('2'), floorPrice: ether('1'), stepDuration: '0',
+        }, { from: seller });
+        await indexer.sync();
+
+        const open = await get(server, '/auctions/ending');
+        expect(open.body.length).to.be.equal(1);
+        expect(open.body[0].type).to.be.equal('dutch');
+        expect(open.body[0].floorPrice).to.be.equal(ether('1'));
+
+        await auction.buy(1, { from: buyer, value: ether('2') });
+        await indexer.sync();
+
+        expect((await get(server, '/auctions/ending')).body.length).to.be.equal(0);
+        const sales = await get(server, '/tokens/4/sales');
+        expect(sales.body[0].auctionType).to.be.equal('dutch');
+        expect(sales.body[0].seller).to.be.equal(seller);
+    });
+
+    it('should roll back events of reorged blocks', async function () {
+        const snapshot = await rpc('evm_snapshot');
+        await marketplace.removeTokenFromSale(nft.address, 2, { from: seller });
+        await indexer.sync();
+        expect((await get(server, '/listings')).body.map((listing) => listing.tokenId)).to.be.deep.equal(['3']);
+
+        await rpc('evm_revert', [snapshot]);
+        await rpc('evm_mine');
+        await rpc('evm_mine');
+        const result = await indexer.sync();
+
+        expect(result.rollback).to.not.be.undefined;
+        expect((await get(server, '/listings')).body.map((listing) => listing.tokenId)).to.be.deep.equal(['3', '2']);
+    });
+
+    it('should only list scheduled sales between their start time and expiry', async function () {
+        const extension = await MarketplaceExtension.at(marketplace.address);
+        const bounty = await extension.reclaimBounty();
+        const now = Number(await time.latest());
+        await nft.mint('metadata5', '0', { from: seller });
+        await extension.putTokenForSaleTimed(nft.address, 5, ether('1'), ZERO_ADDRESS, now + 3600, now + 5400, {
+            from: seller, value: bounty,
+        });
+        await indexer.sync();
+
+        expect(store.listings[`${nft.address.toLowerCase()}:5`].expiry).to.be.equal(now + 5400);
+        expect((await get(server, '/listings')).body.map((listing) => listing.tokenId)).to.be.deep.equal(['3', '2']);
+
+        await time.increase(3600);
+        await indexer.sync();
+        expect((await get(server, '/listings')).body.map((listing) => listing.tokenId)).to.be.deep.equal(['3', '5', '2']);
+
+        await time.increase(3600);
+        await indexer.sync();
+        expect((await get(server, '/listings')).body.map((listing) => listing.tokenId)).to.be.deep.equal(['3', '2']);
+    });
+
+    it('should index the sales of lazy minted tokens', async function () {
+        const extension = await MarketplaceExtension.at(marketplace.address);
+        const voucher = buildVoucher({
+            creator: seller,
+            nftContract: nft.address,
+            uri: 'metadata6',
+            royalty: 500,
+            price: ether('1'),
+            nonce: 0,
+            expiry: (await time.latest()).addn(3600),
+        });
+        const domain = marketplaceDomain(await web3.eth.getChainId(), marketplace.address);
+        const redeemed = await extension.redeemVoucher(voucher, await signVoucher(web3, voucher, domain), {
+            from: buyer, value: ether('1'),
+        });
+        await indexer.sync();
+
+        const sales = await get(server, '/tokens/6/sales');
+        expect(sales.body.length).to.be.equal(1);
+        expect(sales.body[0].source).to.be.equal('voucher');
+        expect(sales.body[0].asset).to.be.equal(nft.address);
+        expect(sales.body[0].seller).to.be.equal(seller);
+        expect(sales.body[0].buyer).to.be.equal(buyer);
+        expect(sales.body[0].fee).to.be.equal(redeemed.logs.find((log) => log.event === 'VoucherRedeemed').args.fee.toString());
+        expect(sales.body[0].royalty).to.be.equal('0');
+    });
+
+    it('should index the sales of ERC-1155 units', async function () {
+        const extension = await MarketplaceExtension.at(marketplace.address);
+        const editions = await ERC1155.new({ from: owner });
+        await marketplace.addApprovedCollection(editions.address, { from: owner });
+        await editions.mint(seller, 1, 5);
+        await editions.setApprovalForAll(marketplace.address, true, { from: seller });
+        await extension.putEditionForSale(editions.address, 1, 5, ether('1'), ZERO_ADDRESS, { from: seller });
+        const listingId = await extension.editionListingCount();
+        await extension.buyEdition(listingId, 2, { from: buyer, value: ether('2') });
+        await indexer.sync();
+
+        const sales = await get(server, `/tokens/1/sales?asset=${editions.address}`);
+        expect(sales.body.length).to.be.equal(1);
+        expect(sales.body[0].source).to.be.equal('edition');
+        expect(sales.body[0].quantity).to.be.equal('2');
+        expect(sales.body[0].seller).to.be.equal(seller);
+        expect(sales.body[0].buyer).to.be.equal(buyer);
+        expect(sales.body[0].price).to.be.equal(ether('2'));
+        expect((await get(server, `/tokens/1/sales?asset=${nft.address}`)).body.length).to.be.equal(2);
+    });
+
+    it('should index the sales of bundles for each of their tokens', async function () {
+        const bundles = await MarketplaceBundleExtension.at(marketplace.address);
+        await nft.mint('metadata7', '0', { from: seller });
+        await nft.mint('metadata8', '0', { from: seller });
+        await bundles.putBundleForSale([nft.address, nft.address], [7, 8], ['6000', '4000'], ether('2'), ZERO_ADDRESS, {
+            from: seller,
+        });
+        const bought = await bundles.buyBundle(await marketplace.bundleCount(), { from: buyer, value: ether('2') });
+        await indexer.sync();
+
+        const sales = await get(server, `/tokens/8/sales?asset=${nft.address}`);
+        expect(sales.body.length).to.be.equal(1);
+        expect(sales.body[0].source).to.be.equal('bundle');
+        expect(sales.body[0].seller).to.be.equal(seller);
+        expect(sales.body[0].buyer).to.be.equal(buyer);
+        expect(sales.body[0].price).to.be.equal(ether('2'));
+        expect(sales.body[0].fee).to.be.equal(bought.logs.find((log) => log.event === 'BundleBought').args.fee.toString());
+        expect(sales.body[0].items).to.be.deep.equal([
+            { asset: nft.address, tokenId: '7', share: '6000' },
+            { asset: nft.address, tokenId: '8', share: '4000' },
+        ]);
+        expect(Store.open(file).salesOf(7)).to.be.deep.equal(store.salesOf(7));
+    });
+
+    it('should index the rentals of ERC-4907 tokens', async function () {
+        const rentals = await MarketplaceRentalExtension.at(marketplace.address);
+        await nft.mint('metadata9', '0', { from: seller });
+        await rentals.putTokenForRent(nft.address, 9, ether('0.1'), ZERO_ADDRESS, 1, 7, { from: seller });
+        const rented = await rentals.rentToken(nft.address, 9, 3, { from: buyer, value: ether('0.3') });
+        await indexer.sync();
+
+        const sales = await get(server, `/tokens/9/sales?asset=${nft.address}`);
+        expect(sales.body.length).to.be.equal(1);
+        expect(sales.body[0].source).to.be.equal('rental');
+        expect(sales.body[0].seller).to.be.equal(seller);
+        expect(sales.body[0].buyer).to.be.equal(buyer);
+        expect(sales.body[0].price).to.be.equal(ether('0.3'));
+        expect(sales.body[0].expires).to.be.equal(
+            rented.logs.find((log) => log.event === 'TokenRented').args.expires.toString()
+        );
+    });
+
+    it('should index the sales of tokens listed in USD in the currency they were paid in', async function () {
+        const listings = await MarketplaceListingExtension.at(marketplace.address);
+        // 1 native coin = 300 USD, USD prices use 8 decimals
+        const feed = await MockAggregator.new(8, '30000000000');
+        await listings.setPriceFeed(ZERO_ADDRESS, feed.address, 3600, { from: owner });
+        await marketplace.addApprovedToken(USD, { from: owner });
+        await nft.mint('metadata10', '0', { from: seller });
+        await marketplace.putTokenForSale(nft.address, 10, '60000000000', USD, { from: seller });
+        await listings.buyTokenInCurrency(nft.address, 10, ZERO_ADDRESS, ether('2'), { from: buyer, value: ether('2') });
+        await indexer.sync();
+
+        const sales = await get(server, `/tokens/10/sales?asset=${nft.address}`);
+        expect(sales.body.length).to.be.equal(1);
+        expect(sales.body[0].source).to.be.equal('marketplace');
+        expect(sales.body[0].seller).to.be.equal(seller);
+        expect(sales.body[0].currency).to.be.equal(ZERO_ADDRESS);
+        expect(sales.body[0].price).to.be.equal(ether('2'));
+        expect(store.activeListings().some((listing) => listing.tokenId === '10')).to.be.false;
+    });
+
+    it('should close auctions whose asset was recovered', async function () {
+        await nft.mint('metadata11', '0', { from: seller });
+        const created = await auction.createAuction(nft.address, 11, ether('1'), 0, 3600, ZERO_ADDRESS, {
+            reservePrice: '0', minIncrement: '0', buyNowPrice: '0', extensionWindow: '0',
+        }, { from: seller });
+        const auctionIndex = created.logs.find((log) => log.event === 'NewAuction').args.auctionIndex.toString();
+        await indexer.sync();
+        expect((await get(server, '/auctions/ending')).body.length).to.be.equal(1);
+
+        const extension = await AuctionEngineExtension.at(auction.address);
+        await extension.recoverAsset(auctionIndex, { from: owner });
+        await indexer.sync();
+
+        expect((await get(server, '/auctions/ending')).body.length).to.be.equal(0);
+        expect(store.auctions[auctionIndex].status).to.be.equal('recovered');
+    });
+
+    it('should reload the indexed state from the database file', async function () {
+        const reopened = Store.open(file);
+
+        expect(reopened.lastBlock).to.be.equal(store.lastBlock);
+        expect(reopened.activeListings()).to.be.deep.equal(store.activeListings());
+        expect(reopened.salesOf(1)).to.be.deep.equal(store.salesOf(1));
+    });
+});
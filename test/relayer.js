@@ -0,0 +1,97 @@
+const { expect } = require('chai');
+const { web3 } = require('@openzeppelin/test-helpers/src/setup');
+const http = require('http');
+
+const { Relayer, createServer } = require('../relayer');
+const { ForwarderClient } = require('../sdk');
+
+const Forwarder = artifacts.require('Forwarder');
+const NFT = artifacts.require('NFT');
+const Marketplace = artifacts.require('Marketplace');
+
+function request(server, method, url, body) {
+    return new Promise((resolve, reject) => {
+        const req = http.request(`http://127.0.0.1:${server.address().port}${url}`, { method }, (res) => {
+            let data = '';
+            res.on('data', (chunk) => { data += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+        });
+        req.on('error', reject);
+        req.end(body === undefined ? undefined : JSON.stringify(body));
+    });
+}
+
+
+contract('Relayer', (accounts) => {
+    const [, relayerAccount, creator, attacker] = accounts;
+
+    let forwarder = null;
+    let client = null;
+    let nft = null;
+    let server = null;
+
+    before(async () => {
+        forwarder = await Forwarder.deployed();
+        nft = await NFT.deployed();
+        client = new ForwarderClient(web3, forwarder.address, { abi: Forwarder.abi });
+
+        const relayer = new Relayer(web3, forwarder.address, {
+            from: relayerAccount,
+            targets: [nft.address, Marketplace.address],
+            maxGas: 500000,
+            abi: Forwarder.abi,
+        });
+        server = createServer(relayer);
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    after(async () => {
+        server.close();
+    });
+
+    it('should relay a signed request and serve the nonces', async function () {
+        const status = await request(server, 'GET', '/status');
+        expect(status.status).to.be.equal(200);
+        expect(status.body.relayer).to.be.equal(relayerAccount);
+        expect(status.body.forwarder).to.be.equal(forwarder.address);
+
+        expect((await request(server, 'GET', `/nonce/${creator}`)).body).to.be.deep.equal({ nonce: '0' });
+        const signed = await client.signRequest({
+            to: nft.address,
+            data: nft.contract.methods.mint('relayed', '0').encodeABI(),
+        }, { from: creator });
+
+        const balance = await web3.eth.getBalance(creator);
+        const relayed = await request(server, 'POST', '/relay', signed);
+        expect(relayed.status).to.be.equal(200);
+        const receipt = await web3.eth.getTransactionReceipt(relayed.body.transactionHash);
+        expect(receipt.from).to.be.equal(relayerAccount.toLowerCase());
+        expect(await nft.balanceOf(creator)).to.be.bignumber.equal('1');
+        expect(await web3.eth.getBalance(creator)).to.be.equal(balance);
+        expect((await request(server, 'GET', `/nonce/${creator}`)).body).to.be.deep.equal({ nonce: '1' });
+
+        // the nonce is used
+        const replayed = await request(server, 'POST', '/relay', signed);
+        expect(replayed).to.be.deep.equal({ status: 400, body: { error: 'Invalid request' } });
+    });
+
+    it('should refuse requests it does not relay', async function () {
+        const data = nft.contract.methods.mint('relayed', '0').encodeABI();
+
+        const untrusted = await client.signRequest({ to: forwarder.address, data, gas: 100000 }, { from: creator });
+        const target = await request(server, 'POST', '/relay', untrusted);
+        expect(target.status).to.be.equal(400);
+        expect(target.body.error).to.match(/is not relayed/);
+
+        const costly = await client.signRequest({ to: nft.address, data, gas: 600000 }, { from: creator });
+        expect((await request(server, 'POST', '/relay', costly)).body).to.be.deep.equal({ error: 'Gas exceeds 500000' });
+
+        const signed = await client.signRequest({ to: nft.address, data }, { from: creator });
+        const forged = { request: { ...signed.request, from: attacker }, signature: signed.signature };
+        expect((await request(server, 'POST', '/relay', forged)).body).to.be.deep.equal({ error: 'Invalid request' });
+
+        expect((await request(server, 'POST', '/relay', { request: signed.request })).status).to.be.equal(400);
+        expect((await request(server, 'GET', '/relay')).status).to.be.equal(404);
+        expect(await nft.balanceOf(attacker)).to.be.bignumber.equal('0');
+    });
+});
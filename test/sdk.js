@@ -0,0 +1,774 @@
+const { expect } = require('chai');
+const {
+  constants,
+  expectEvent,
+  time,
+} = require('@openzeppelin/test-helpers');
+const { web3 } = require('@openzeppelin/test-helpers/src/setup');
+
+const sdk = require('../sdk');
+
+const { ZERO_ADDRESS } = constants;
+
+const NFT = artifacts.require('NFT');
+const Marketplace = artifacts.require('Marketplace');
+const MarketplaceExtension = artifacts.require('MarketplaceExtension');
+const MarketplaceListingExtension = artifacts.require('MarketplaceListingExtension');
+const MarketplaceBundleExtension = artifacts.require('MarketplaceBundleExtension');
+const MarketplaceRentalExtension = artifacts.require('MarketplaceRentalExtension');
+const AuctionEngine = artifacts.require('AuctionEngine');
+const AuctionEngineExtension = artifacts.require('AuctionEngineExtension');
+const ERC20 = artifacts.require('MockERC20');
+const PermitERC20 = artifacts.require('MockPermitERC20');
+const ERC1155 = artifacts.require('MockERC1155');
+const FeeManager = artifacts.require('FeeManager');
+const FeeDistributor = artifacts.require('FeeDistributor');
+const DemianO = artifacts.require('DemianO');
+const CollectionFactory = artifacts.require('CollectionFactory');
+const MockAggregator = artifacts.require('MockAggregator');
+const MockERC1271Wallet = artifacts.require('MockERC1271Wallet');
+
+
+contract('SDK', (accounts) => {
+    const [owner, creator, seller, buyer, bidder] = accounts;
+    const ether = (value) => web3.utils.toWei(value, 'ether');
+
+    let nft = null;
+    let marketplace = null;
+    let auction = null;
+    let erc20 = null;
+    let feeManager = null;
+    let clients = null;
+
+    before(async () => {
+        nft = await NFT.deployed();
+        marketplace = await Marketplace.deployed();
+        auction = await AuctionEngine.deployed();
+        erc20 = await ERC20.new({ from: owner });
+        feeManager = await FeeManager.deployed();
+
+        await marketplace.addApprovedToken(erc20.address, { from: owner });
+        await erc20.transfer(buyer, ether('100'), { from: owner });
+        await erc20.transfer(bidder, ether('100'), { from: owner });
+
+        clients = sdk.connect(
+            web3,
+            {
+                nft: nft.address,
+                marketplace: marketplace.address,
+                auctionEngine: auction.address,
+                feeManager: feeManager.address,
+                feeDistributor: FeeDistributor.address,
+                collectionFactory: CollectionFactory.address,
+            },
+            {
+                abis: {
+                    NFT: NFT.abi,
+                    Marketplace: Marketplace.abi,
+                    MarketplaceExtension: MarketplaceExtension.abi,
+                    MarketplaceListingExtension: MarketplaceListingExtension.abi,
+                    MarketplaceBundleExtension: MarketplaceBundleExtension.abi,
+                    MarketplaceRentalExtension: MarketplaceRentalExtension.abi,
+                    AuctionEngine: AuctionEngine.abi,
+                    AuctionEngineExtension: AuctionEngineExtension.abi,
+                    FeeManager: FeeManager.abi,
+                    FeeDistributor: FeeDistributor.abi,
+                    CollectionFactory: CollectionFactory.abi,
+                },
+            },
+        );
+    });
+
+    it('should mint and return the token id', async function () {
+        const tokenId = await clients.nft.mint('metadata', 500, { from: creator });
+
+        expect(tokenId).to.be.equal('1');
+        expect(await nft.ownerOf(tokenId)).to.be.equal(creator);
+        expect(await clients.nft.creatorOf(tokenId)).to.be.equal(creator);
+    });
+
+    it('should throw typed error when currency is not approved', async function () {
+        let error = null;
+        try {
+            await clients.marketplace.putTokenForSale(nft.address, 1, ether('1'), seller, { from: creator });
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error).to.be.instanceOf(sdk.CurrencyNotApprovedError);
+        expect(error).to.be.instanceOf(sdk.MarketplaceError);
+        expect(await nft.ownerOf(1)).to.be.equal(creator);
+    });
+
+    it('should throw typed error when collection is not approved', async function () {
+        let error = null;
+        try {
+            await clients.marketplace.putTokenForSale(seller, 1, ether('1'), ZERO_ADDRESS, { from: creator });
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error).to.be.instanceOf(sdk.CollectionNotApprovedError);
+    });
+
+    it('should approve the collection and put token on sale', async function () {
+        expect(await nft.isApprovedForAll(creator, marketplace.address)).to.be.false;
+
+        await clients.marketplace.putTokenForSale(nft.address, 1, ether('1'), ZERO_ADDRESS, { from: creator });
+
+        expect(await nft.isApprovedForAll(creator, marketplace.address)).to.be.true;
+        expect(await nft.ownerOf(1)).to.be.equal(marketplace.address);
+        const item = await clients.marketplace.getItem(nft.address, 1);
+        expect(item.price).to.be.equal(ether('1'));
+        expect(item.forSale).to.be.true;
+        expect(item.owner).to.be.equal(creator);
+    });
+
+    it('should quote and buy token for native currency', async function () {
+        const quote = await clients.marketplace.quoteBuy(nft.address, 1);
+
+        const receipt = await clients.marketplace.buyToken(nft.address, 1, { from: seller });
+
+        expect(await nft.ownerOf(1)).to.be.equal(seller);
+        expect(quote.royalty.toString()).to.be.equal('0');
+        expect(await clients.marketplace.pendingPayments(creator)).to.be.equal(quote.sellerProceeds.toString());
+        expect(receipt.events.TokenBought.returnValues.fee).to.be.equal(quote.fee.toString());
+        expect(receipt.events.TokenBought.returnValues.royalty).to.be.equal(quote.royalty.toString());
+    });
+
+    it('should approve ERC20, quote and buy token with royalty', async function () {
+        await clients.marketplace.putTokenForSale(nft.address, 1, ether('2'), erc20.address, { from: seller });
+        const quote = await clients.marketplace.quoteBuy(nft.address, 1);
+
+        const receipt = await clients.marketplace.buyToken(nft.address, 1, { from: buyer });
+
+        expect(await nft.ownerOf(1)).to.be.equal(buyer);
+        expect(quote.royaltyReceiver).to.be.equal(creator);
+        expect(quote.royalty.toString()).to.be.equal(ether('0.1'));
+        expect(await clients.marketplace.pendingPayments(creator, erc20.address)).to.be.equal(quote.royalty.toString());
+        expect(await clients.marketplace.pendingPayments(seller, erc20.address)).to.be.equal(quote.sellerProceeds.toString());
+        expect(receipt.events.TokenBought.returnValues.fee).to.be.equal(quote.fee.toString());
+    });
+
+    it('should withdraw payments and throw typed error when there is nothing left', async function () {
+        const sellerBefore = await erc20.balanceOf(seller);
+
+        const receipt = await clients.marketplace.withdrawPayments(erc20.address, { from: seller });
+
+        expect((await erc20.balanceOf(seller)).sub(sellerBefore).toString()).to.be.equal(ether('1.8'));
+        expect(await clients.marketplace.pendingPayments(seller, erc20.address)).to.be.equal('0');
+        expect(receipt.events.PaymentWithdrawn.returnValues.amount).to.be.equal(ether('1.8'));
+
+        let error = null;
+        try {
+            await clients.marketplace.withdrawPayments(erc20.address, { from: seller });
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error).to.be.instanceOf(sdk.NoPaymentsError);
+    });
+
+    it('should throw typed error when token is not on sale', async function () {
+        let error = null;
+        try {
+            await clients.marketplace.buyToken(nft.address, 1, { from: seller });
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error).to.be.instanceOf(sdk.NotForSaleError);
+    });
+
+    it('should create an auction and bid with ERC20 approval', async function () {
+        const auctionIndex = await clients.auctionEngine.createAuction({
+            nftContract: nft.address,
+            tokenId: 1,
+            startPrice: ether('1'),
+            duration: 30,
+            currency: erc20.address,
+        }, { from: buyer });
+
+        expect(auctionIndex).to.be.equal('0');
+        expect(await nft.ownerOf(1)).to.be.equal(auction.address);
+
+        await clients.auctionEngine.bid(auctionIndex, ether('2'), { from: bidder });
+
+        expect(await auction.getCurrentBidOwner(auctionIndex)).to.be.equal(bidder);
+        expect(await clients.auctionEngine.getStatus(auctionIndex)).to.be.equal(sdk.AuctionStatus.ACTIVE);
+    });
+
+    it("should throw typed error when bid don't outbid", async function () {
+        let error = null;
+        try {
+            await clients.auctionEngine.bid(0, ether('1.5'), { from: seller });
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error).to.be.instanceOf(sdk.OutbidError);
+        expect(error.reason).to.be.equal("You don't outbid");
+    });
+
+    it('should quote and finalize auction', async function () {
+        await time.increase(30);
+        const quote = await clients.auctionEngine.quoteFinalize(0);
+        expect(await clients.auctionEngine.getClaimableAuctions()).to.be.deep.equal(['0']);
+        const bids = await clients.auctionEngine.getBidHistory(0);
+        expect(bids[bids.length - 1].bidder).to.be.equal(bidder);
+
+        const receipt = await clients.auctionEngine.finalize(0, { from: bidder });
+        expect(await clients.auctionEngine.getClaimableAuctions()).to.have.lengthOf(0);
+
+        expect(await nft.ownerOf(1)).to.be.equal(bidder);
+        expect(quote.winner).to.be.equal(bidder);
+        expect(quote.royalty.toString()).to.be.equal(ether('0.1'));
+        expect(await clients.auctionEngine.pendingPayments(buyer, erc20.address)).to.be.equal(quote.sellerProceeds.toString());
+        expect(receipt.events.AuctionFinalized.returnValues.fee).to.be.equal(quote.fee.toString());
+        expect(receipt.events.AuctionFinalized.returnValues.royalty).to.be.equal(quote.royalty.toString());
+    });
+
+    it('should sign, verify and fill a sell order', async function () {
+        const expiry = (await time.latest()).addn(3600);
+        const { order, signature } = await clients.marketplace.createSellOrder(
+            { tokenId: 1, price: ether('1'), nonce: 0, expiry },
+            { from: bidder },
+        );
+        const domain = await clients.marketplace.domain();
+
+        expect(order.maker).to.be.equal(bidder);
+        expect(order.nftContract).to.be.equal(nft.address);
+        expect(sdk.verifyOrder(web3, 'SellOrder', order, signature, domain)).to.be.true;
+        expect(sdk.verifyOrder(web3, 'SellOrder', { ...order, price: ether('0.1') }, signature, domain)).to.be.false;
+
+        await clients.marketplace.fulfillSellOrder(order, signature, { from: buyer });
+
+        expect(await nft.ownerOf(1)).to.be.equal(buyer);
+    });
+
+    it('should sign and accept an offer', async function () {
+        const expiry = (await time.latest()).addn(3600);
+        const { order, signature } = await clients.marketplace.createOffer(
+            { tokenId: 1, price: ether('1'), currency: erc20.address, nonce: 0, expiry },
+            { from: seller },
+        );
+
+        await clients.marketplace.fulfillOffer(order, signature, { from: buyer });
+
+        expect(await nft.ownerOf(1)).to.be.equal(seller);
+
+        let error = null;
+        try {
+            await clients.marketplace.fulfillOffer(order, signature, { from: seller });
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.be.instanceOf(sdk.OrderUsedError);
+    });
+
+    it('should fill the orders of a smart wallet', async function () {
+        const wallet = await MockERC1271Wallet.new(creator);
+        await erc20.transfer(wallet.address, ether('1'), { from: owner });
+        await wallet.execute(erc20.address, erc20.contract.methods.approve(marketplace.address, ether('1')).encodeABI(), { from: creator });
+        await wallet.execute(nft.address, nft.contract.methods.setApprovalForAll(marketplace.address, true).encodeABI(), { from: creator });
+        const expiry = (await time.latest()).addn(3600);
+        const domain = await clients.marketplace.domain();
+
+        const offer = sdk.buildOrder({
+            maker: wallet.address, nftContract: nft.address, tokenId: 1, price: ether('1'), currency: erc20.address, nonce: 0, expiry,
+        });
+        const forged = await sdk.signTypedData(web3, seller, sdk.typedData('Offer', offer, domain));
+        let error = null;
+        try {
+            await clients.marketplace.fulfillOffer(offer, forged, { from: seller });
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.be.instanceOf(sdk.InvalidSignatureError);
+
+        const offerSignature = await sdk.signTypedData(web3, creator, sdk.typedData('Offer', offer, domain));
+        await clients.marketplace.fulfillOffer(offer, offerSignature, { from: seller });
+        expect(await nft.ownerOf(1)).to.be.equal(wallet.address);
+
+        const order = sdk.buildOrder({ maker: wallet.address, nftContract: nft.address, tokenId: 1, price: ether('1'), nonce: 1, expiry });
+        const orderSignature = await sdk.signTypedData(web3, creator, sdk.typedData('SellOrder', order, domain));
+        await clients.marketplace.fulfillSellOrder(order, orderSignature, { from: seller });
+        expect(await nft.ownerOf(1)).to.be.equal(seller);
+    });
+
+    it('should escrow, accept and withdraw offers', async function () {
+        const expiry = (await time.latest()).addn(3600);
+        const low = await clients.marketplace.makeOffer(
+            { collection: nft.address, tokenId: 1, amount: ether('1'), expiry },
+            { from: bidder },
+        );
+        const high = await clients.marketplace.makeOffer(
+            { collection: nft.address, tokenId: 1, amount: ether('2'), expiry },
+            { from: buyer },
+        );
+
+        await clients.marketplace.acceptOffer(high, { from: seller });
+        await clients.marketplace.withdrawOffer(low, { from: bidder });
+
+        expect(await nft.ownerOf(1)).to.be.equal(buyer);
+        expect((await clients.marketplace.getOffer(low)).active).to.be.false;
+
+        let error = null;
+        try {
+            await clients.marketplace.withdrawOffer(low, { from: bidder });
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.be.instanceOf(sdk.OfferNotActiveError);
+    });
+
+    it('should create an auction with options and buy it now', async function () {
+        const tokenId = await clients.nft.mint('metadata', 0, { from: seller });
+        const auctionIndex = await clients.auctionEngine.createAuction({
+            nftContract: nft.address,
+            tokenId,
+            startPrice: ether('1'),
+            duration: 3600,
+            reservePrice: ether('2'),
+            buyNowPrice: ether('3'),
+        }, { from: seller });
+        await clients.auctionEngine.bid(auctionIndex, ether('1'), { from: buyer });
+
+        let error = null;
+        try {
+            await clients.auctionEngine.quoteFinalize(auctionIndex);
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.be.instanceOf(sdk.ReserveNotMetError);
+
+        await clients.auctionEngine.buyNow(auctionIndex, { from: bidder });
+        await clients.auctionEngine.finalize(auctionIndex, { from: bidder });
+
+        expect(await clients.auctionEngine.getStatus(auctionIndex)).to.be.equal(sdk.AuctionStatus.FINISHED);
+        expect(await nft.ownerOf(tokenId)).to.be.equal(bidder);
+    });
+
+    it('should create and buy a Dutch auction', async function () {
+        const tokenId = await clients.nft.mint('metadata', 0, { from: seller });
+        const auctionIndex = await clients.auctionEngine.createDutchAuction({
+            nftContract: nft.address,
+            tokenId,
+            startPrice: ether('2'),
+            floorPrice: ether('1'),
+            duration: 3600,
+            currency: erc20.address,
+        }, { from: seller });
+
+        expect((await clients.auctionEngine.getAuction(auctionIndex)).auctionType).to.be.equal(sdk.AuctionType.DUTCH);
+
+        let error = null;
+        try {
+            await clients.auctionEngine.bid(auctionIndex, ether('2'), { from: buyer });
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.be.instanceOf(sdk.WrongAuctionTypeError);
+
+        const receipt = await clients.auctionEngine.buy(auctionIndex, { from: buyer, maxPrice: ether('2') });
+
+        expect(await nft.ownerOf(tokenId)).to.be.equal(buyer);
+        expect(receipt.events.AuctionFinalized.returnValues.buyer).to.be.equal(buyer);
+    });
+
+    it('should mint and list in batches and buy a mixed currency cart', async function () {
+        const tokenIds = await clients.nft.mintBatch(['a', 'b', 'c'], [0, 0, 0], { from: seller });
+        expect(tokenIds.length).to.be.equal(3);
+
+        await clients.marketplace.putTokensForSale(nft.address, [
+            { tokenId: tokenIds[0], price: ether('1') },
+            { tokenId: tokenIds[1], price: ether('2'), currency: erc20.address },
+            { tokenId: tokenIds[2], price: ether('1') },
+        ], { from: seller });
+        await clients.marketplace.removeTokensFromSale(nft.address, [tokenIds[2]], { from: seller });
+
+        const cart = tokenIds.map((tokenId) => ({ collection: nft.address, tokenId }));
+        let error = null;
+        try {
+            await clients.marketplace.buyTokens(cart, { from: buyer });
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.be.instanceOf(sdk.NotForSaleError);
+
+        const receipt = await clients.marketplace.buyTokens(cart, { from: buyer, skipUnavailable: true });
+
+        expect(receipt.events.TokenBought.length).to.be.equal(2);
+        expect(await nft.ownerOf(tokenIds[0])).to.be.equal(buyer);
+        expect(await nft.ownerOf(tokenIds[1])).to.be.equal(buyer);
+        expect(await nft.ownerOf(tokenIds[2])).to.be.equal(seller);
+    });
+
+    it('should quote the collection fee and the holder discount of the fee manager', async function () {
+        const demo = await DemianO.deployed();
+        await feeManager.setCollectionFee(nft.address, true, '200', { from: owner });
+        await feeManager.setTiers([{ minBalance: ether('1000'), discount: '5000' }], { from: owner });
+        await demo.transfer(seller, ether('1000'), { from: owner });
+
+        expect(await clients.feeManager.discountOf(seller)).to.be.equal('5000');
+        expect(await clients.feeManager.feeRate(nft.address, ZERO_ADDRESS, seller)).to.be.equal('100');
+        expect(await clients.feeManager.getTiers()).to.be.deep.equal([{ minBalance: ether('1000'), discount: '5000' }]);
+
+        const [tokenId] = await clients.nft.mintBatch(['d'], [0], { from: seller });
+        await clients.marketplace.putTokenForSale(nft.address, tokenId, ether('1'), ZERO_ADDRESS, { from: seller });
+        const quote = await clients.marketplace.quoteBuy(nft.address, tokenId);
+        expect(quote.fee.toString()).to.be.equal(await clients.feeManager.quoteFee(nft.address, ZERO_ADDRESS, seller, ether('1')));
+        expect(quote.fee.toString()).to.be.equal(ether('0.01'));
+
+        const receipt = await clients.marketplace.buyToken(nft.address, tokenId, { from: buyer });
+
+        expect(receipt.events.TokenBought.returnValues.fee).to.be.equal(quote.fee.toString());
+    });
+
+    it('should mint with royalty splits and quote every recipient', async function () {
+        const tokenId = await clients.nft.mintWithRoyalties('metadata', [
+            { recipient: creator, amount: 300 },
+            { recipient: bidder, amount: 200 },
+        ], { from: creator });
+        await clients.nft.updateTokenRoyalties(tokenId, [
+            { recipient: creator, amount: 200 },
+            { recipient: bidder, amount: 200 },
+        ], { from: creator });
+        expect(await clients.nft.getTokenRoyalties(tokenId)).to.be.deep.equal([
+            { recipient: creator, amount: '200' },
+            { recipient: bidder, amount: '200' },
+        ]);
+
+        await nft.transferFrom(creator, seller, tokenId, { from: creator });
+        await clients.marketplace.putTokenForSale(nft.address, tokenId, ether('1'), ZERO_ADDRESS, { from: seller });
+        const quote = await clients.marketplace.quoteBuy(nft.address, tokenId);
+        const creatorBefore = await clients.marketplace.pendingPayments(creator);
+        const bidderBefore = await clients.marketplace.pendingPayments(bidder);
+
+        const receipt = await clients.marketplace.buyToken(nft.address, tokenId, { from: buyer });
+
+        expect(quote.royalties.map(({ recipient, amount }) => [recipient, amount.toString()])).to.be.deep.equal([
+            [creator, ether('0.02')],
+            [bidder, ether('0.02')],
+        ]);
+        expect(receipt.events.TokenBought.returnValues.royalty).to.be.equal(quote.royalty.toString());
+        expect(web3.utils.toBN(await clients.marketplace.pendingPayments(creator)).sub(web3.utils.toBN(creatorBefore)).toString())
+            .to.be.equal(ether('0.02'));
+        expect(web3.utils.toBN(await clients.marketplace.pendingPayments(bidder)).sub(web3.utils.toBN(bidderBefore)).toString())
+            .to.be.equal(ether('0.02'));
+    });
+
+    it('should sign and redeem a lazy mint voucher', async function () {
+        const expiry = (await time.latest()).addn(3600);
+        const { voucher, signature } = await clients.marketplace.createVoucher(
+            { uri: 'ipfs://lazy', royalty: 250, price: ether('1'), currency: erc20.address, nonce: 100, expiry },
+            { from: creator },
+        );
+        expect(voucher.nftContract).to.be.equal(nft.address);
+        expect(sdk.verifyVoucher(web3, voucher, signature, await clients.marketplace.domain())).to.be.true;
+
+        let error = null;
+        try {
+            await clients.marketplace.redeemVoucher({ ...voucher, price: ether('0.1') }, signature, { from: buyer });
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.be.instanceOf(sdk.InvalidSignatureError);
+
+        const receipt = await clients.marketplace.redeemVoucher(voucher, signature, { from: buyer });
+
+        const { tokenId } = receipt.events.VoucherRedeemed.returnValues;
+        expect(await nft.ownerOf(tokenId)).to.be.equal(buyer);
+        expect(await clients.nft.creatorOf(tokenId)).to.be.equal(creator);
+    });
+
+    it('should list, quote and buy part of an ERC-1155 listing and auction a lot', async function () {
+        const editions = await ERC1155.new();
+        await marketplace.addApprovedCollection(editions.address, { from: owner });
+        await editions.mint(seller, 7, 10);
+        await editions.setTokenRoyalty(7, creator, 1000);
+
+        const listingId = await clients.marketplace.putEditionForSale(
+            { collection: editions.address, tokenId: 7, quantity: 4, pricePerUnit: ether('1'), currency: erc20.address },
+            { from: seller },
+        );
+        const quote = await clients.marketplace.quoteEditionBuy(listingId, 3);
+        expect(quote.price.toString()).to.be.equal(ether('3'));
+        expect(quote.royalty.toString()).to.be.equal(ether('0.3'));
+
+        const receipt = await clients.marketplace.buyEdition(listingId, 3, { from: buyer });
+
+        expect(receipt.events.EditionBought.returnValues.fee).to.be.equal(quote.fee.toString());
+        expect(receipt.events.EditionBought.returnValues.royalty).to.be.equal(quote.royalty.toString());
+        expect(await editions.balanceOf(buyer, 7)).to.be.bignumber.equal('3');
+        expect((await clients.marketplace.getEditionListing(listingId)).quantity).to.be.equal('1');
+
+        let error = null;
+        try {
+            await clients.marketplace.buyEdition(listingId, 2, { from: buyer });
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.be.instanceOf(sdk.InvalidQuantityError);
+
+        const auctionIndex = await clients.auctionEngine.createLotAuction(
+            { nftContract: editions.address, tokenId: 7, quantity: 5, startPrice: ether('1'), duration: 3600 },
+            { from: seller },
+        );
+        expect(await clients.auctionEngine.getLotQuantity(auctionIndex)).to.be.equal('5');
+        expect(await editions.balanceOf(auction.address, 7)).to.be.bignumber.equal('5');
+    });
+
+    it('should list and buy a bundle', async function () {
+        const first = await clients.nft.mint('bundle', 1000, { from: creator });
+        await nft.transferFrom(creator, seller, first, { from: creator });
+        const second = await clients.nft.mint('bundle', 0, { from: seller });
+        const items = [
+            { collection: nft.address, tokenId: first, share: 6000 },
+            { collection: nft.address, tokenId: second, share: 4000 },
+        ];
+
+        let error = null;
+        try {
+            await clients.marketplace.putBundleForSale(
+                { items: [items[0], { ...items[1], share: 1000 }], price: ether('1'), currency: erc20.address },
+                { from: seller },
+            );
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.be.instanceOf(sdk.InvalidBundleError);
+
+        const bundleId = await clients.marketplace.putBundleForSale(
+            { items, price: ether('1'), currency: erc20.address },
+            { from: seller },
+        );
+        const bundle = await clients.marketplace.getBundle(bundleId);
+        expect(bundle.seller).to.be.equal(seller);
+        expect(bundle.items.map((item) => item.tokenId)).to.be.deep.equal([first, second]);
+
+        const receipt = await clients.marketplace.buyBundle(bundleId, { from: buyer });
+
+        // 10% of the 0.6 share of the first token
+        expect(receipt.events.BundleBought.returnValues.royalty).to.be.equal(ether('0.06'));
+        expect(await nft.ownerOf(first)).to.be.equal(buyer);
+        expect(await nft.ownerOf(second)).to.be.equal(buyer);
+        expect((await clients.marketplace.getBundle(bundleId)).forSale).to.be.false;
+    });
+
+    it('should list a token for rent and rent it', async function () {
+        const tokenId = await clients.nft.mint('rental', 0, { from: seller });
+        await clients.marketplace.putTokenForRent(
+            { collection: nft.address, tokenId, pricePerDay: ether('0.5'), currency: erc20.address, minDays: 2, maxDays: 5 },
+            { from: seller },
+        );
+        expect((await clients.marketplace.getRentalListing(nft.address, tokenId)).maxDays).to.be.equal('5');
+
+        let error = null;
+        try {
+            await clients.marketplace.rentToken(nft.address, tokenId, 1, { from: buyer });
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.be.instanceOf(sdk.InvalidRentalDurationError);
+
+        const receipt = await clients.marketplace.rentToken(nft.address, tokenId, 2, { from: buyer });
+
+        expect(receipt.events.TokenRented.returnValues.price).to.be.equal(ether('1'));
+        const { user, expires } = await clients.nft.getUser(tokenId);
+        expect(user).to.be.equal(buyer);
+        expect(expires).to.be.equal(receipt.events.TokenRented.returnValues.expires);
+        expect(await clients.nft.ownerOf(tokenId)).to.be.equal(seller);
+    });
+
+    it('should create a collection and sell its tokens right away', async function () {
+        const address = await clients.collectionFactory.createCollection({
+            name: 'Creator', symbol: 'CRT', royalties: [{ recipient: creator, amount: 1000 }],
+        }, { from: creator });
+
+        expect(await clients.collectionFactory.getCollectionsByCreator(creator)).to.be.deep.equal([address]);
+        expect(await clients.collectionFactory.creatorOf(address)).to.be.equal(creator);
+
+        const collection = clients.collectionFactory.collection(address, { abi: NFT.abi });
+        const tokenId = await collection.mint('creator', 0, { from: creator });
+        expect(await collection.getTokenRoyalties(tokenId)).to.be.deep.equal([{ recipient: creator, amount: '1000' }]);
+
+        await clients.marketplace.putTokenForSale(address, tokenId, ether('1'), ZERO_ADDRESS, { from: creator });
+        await clients.marketplace.buyToken(address, tokenId, { from: buyer });
+        expect(await collection.ownerOf(tokenId)).to.be.equal(buyer);
+    });
+
+    it('should buy a token listed in USD with slippage bounds and set a USD auction reserve', async function () {
+        // 1 native coin = 300 USD, prices in USD use 8 decimals
+        const feed = await MockAggregator.new(8, '30000000000');
+        const listings = await MarketplaceListingExtension.at(marketplace.address);
+        await listings.setPriceFeed(ZERO_ADDRESS, feed.address, 3600, { from: owner });
+        await marketplace.addApprovedToken(sdk.USD, { from: owner });
+
+        const tokenId = await clients.nft.mint('usd', 0, { from: seller });
+        await clients.marketplace.putTokenForSale(nft.address, tokenId, '60000000000', sdk.USD, { from: seller });
+        expect(await clients.marketplace.convertUsdPrice(ZERO_ADDRESS, '60000000000')).to.be.equal(ether('2'));
+
+        let error = null;
+        try {
+            await clients.marketplace.buyToken(nft.address, tokenId, { from: buyer });
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.be.instanceOf(sdk.UsdPriceError);
+
+        await feed.setUpdatedAt((await time.latest()).subn(3601));
+        error = null;
+        try {
+            await clients.marketplace.buyTokenInCurrency(nft.address, tokenId, ZERO_ADDRESS, {}, { from: buyer });
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.be.instanceOf(sdk.PriceFeedError);
+
+        await feed.setAnswer('30000000000');
+        const receipt = await clients.marketplace.buyTokenInCurrency(nft.address, tokenId, ZERO_ADDRESS, { slippage: 50 }, { from: buyer });
+        expect(receipt.events.TokenBought.returnValues.price).to.be.equal(ether('2'));
+        expect(await nft.ownerOf(tokenId)).to.be.equal(buyer);
+
+        const extension = await AuctionEngineExtension.at(auction.address);
+        await extension.setPriceFeed(ZERO_ADDRESS, feed.address, 3600, { from: owner });
+        const lotId = await clients.nft.mint('usd', 0, { from: seller });
+        const auctionIndex = await clients.auctionEngine.createAuction({
+            nftContract: nft.address, tokenId: lotId, startPrice: ether('1'), duration: 3600,
+        }, { from: seller });
+        await clients.auctionEngine.setUsdReserve(auctionIndex, '50000000000', { from: seller });
+        expect(await clients.auctionEngine.getUsdReserve(auctionIndex)).to.be.equal('50000000000');
+    });
+
+    it('should throw typed error while the marketplace is paused', async function () {
+        const tokenId = await clients.nft.mint('metadata', 0, { from: seller });
+        await marketplace.pause({ from: owner });
+        expect(await clients.marketplace.isPaused()).to.be.true;
+
+        let error = null;
+        try {
+            await clients.marketplace.putTokenForSale(nft.address, tokenId, ether('1'), ZERO_ADDRESS, { from: seller });
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.be.instanceOf(sdk.ContractPausedError);
+
+        await marketplace.unpause({ from: owner });
+        expect(await clients.marketplace.isPaused()).to.be.false;
+    });
+
+    it('should list a timed token, page through the listings and reclaim it once expired', async function () {
+        const extension = await MarketplaceExtension.at(marketplace.address);
+        await extension.updateReclaimBounty(ether('0.01'), { from: owner });
+        const tokenId = await clients.nft.mint('metadata', 0, { from: seller });
+        const now = await time.latest();
+
+        await clients.marketplace.putTokenForSaleTimed({
+            collection: nft.address, tokenId, price: ether('1'), startTime: now.addn(600), expiry: now.addn(3600),
+        }, { from: seller });
+
+        const item = await clients.marketplace.getItem(nft.address, tokenId);
+        expect(item.expiry).to.be.equal(now.addn(3600).toString());
+        const listings = await clients.marketplace.getListings({ seller });
+        expect(listings.map((listing) => listing.tokenId)).to.include(tokenId);
+
+        let error = null;
+        try {
+            await clients.marketplace.buyToken(nft.address, tokenId, { from: buyer });
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.be.instanceOf(sdk.NotForSaleError);
+        expect(error.reason).to.be.equal('Sale has not started');
+
+        const pending = web3.utils.toBN(await clients.marketplace.pendingPayments(bidder));
+        await time.increase(3601);
+        await clients.marketplace.reclaimExpired(nft.address, tokenId, { from: bidder });
+        expect(await nft.ownerOf(tokenId)).to.be.equal(seller);
+        expect(await clients.marketplace.pendingPayments(bidder)).to.be.equal(pending.add(web3.utils.toBN(ether('0.01'))).toString());
+    });
+
+    it('should stake with a permit and throw typed error before the unstaking cooldown is over', async function () {
+        const demo = await DemianO.deployed();
+        await demo.transfer(bidder, ether('100'), { from: owner });
+        const deadline = (await time.latest()).addn(3600);
+
+        await clients.feeDistributor.stakeWithPermit(ether('100'), { deadline }, { from: bidder });
+        await clients.feeDistributor.requestUnstake(ether('40'), { from: bidder });
+        const stake = await clients.feeDistributor.getStake(bidder);
+        expect(stake.staked).to.be.equal(ether('60'));
+        expect(stake.unstaking).to.be.equal(ether('40'));
+
+        let error = null;
+        try {
+            await clients.feeDistributor.withdraw({ from: bidder });
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.be.instanceOf(sdk.CooldownNotOverError);
+        expect(await clients.feeDistributor.getClaimable(bidder, ZERO_ADDRESS)).to.be.deep.equal({ epochIds: [], amount: '0' });
+    });
+
+    it('should buy and bid with permits in one transaction each', async function () {
+        const permitToken = await PermitERC20.new({ from: owner });
+        await marketplace.addApprovedToken(permitToken.address, { from: owner });
+        await permitToken.transfer(buyer, ether('10'), { from: owner });
+        const [listed, auctioned] = await clients.nft.mintBatch(['p1', 'p2'], [0, 0], { from: seller });
+
+        await clients.marketplace.putTokenForSale(nft.address, listed, ether('1'), permitToken.address, { from: seller });
+        const receipt = await clients.marketplace.buyTokenWithPermit(nft.address, listed, {}, { from: buyer });
+        expect(receipt.events.TokenBought.returnValues.buyer).to.be.equal(buyer);
+        expect(await nft.ownerOf(listed)).to.be.equal(buyer);
+
+        const auctionIndex = await clients.auctionEngine.createAuction({
+            nftContract: nft.address, tokenId: auctioned, startPrice: ether('1'), duration: 3600, currency: permitToken.address,
+        }, { from: seller });
+        await clients.auctionEngine.bidWithPermit(auctionIndex, ether('2'), {}, { from: buyer });
+        expect((await clients.auctionEngine.getAuction(auctionIndex)).currentBidOwner).to.be.equal(buyer);
+        expect(await permitToken.allowance(buyer, auction.address)).to.be.bignumber.equal('0');
+    });
+
+    it('should split price with the same math as buyToken', async function () {
+        const full = sdk.quoteSplit({
+            price: ether('1'),
+            platformFee: 500,
+            seller,
+            royaltyReceiver: creator,
+            royaltyAmount: ether('1'),
+        });
+        expect(full.fee.toString()).to.be.equal(ether('0.05'));
+        expect(full.royalty.toString()).to.be.equal(ether('0.95'));
+        expect(full.sellerProceeds.toString()).to.be.equal('0');
+
+        const ownRoyalty = sdk.quoteSplit({
+            price: ether('1'),
+            platformFee: 500,
+            seller: creator,
+            royaltyReceiver: creator,
+            royaltyAmount: ether('0.1'),
+        });
+        expect(ownRoyalty.royalty.toString()).to.be.equal('0');
+        expect(ownRoyalty.sellerProceeds.toString()).to.be.equal(ether('0.95'));
+
+        const splits = sdk.quoteSplit({
+            price: ether('1'),
+            platformFee: 500,
+            seller,
+            royalties: [
+                { recipient: seller, amount: ether('0.1') },
+                { recipient: creator, amount: ether('0.6') },
+                { recipient: bidder, amount: ether('0.4') },
+            ],
+        });
+        expect(splits.royalty.toString()).to.be.equal(ether('0.95'));
+        expect(splits.royalties.map(({ amount }) => amount.toString())).to.be.deep.equal([ether('0.6'), ether('0.35')]);
+        expect(splits.sellerProceeds.toString()).to.be.equal('0');
+    });
+
+    it('should keep unknown errors untouched', async function () {
+        const error = new Error('something else');
+        expect(sdk.parseRevert(error)).to.be.equal(error);
+        expect(sdk.parseRevert(new Error('revert Auction must be active'))).to.be.instanceOf(sdk.AuctionNotActiveError);
+    });
+});
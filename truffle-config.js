@@ -1,5 +1,5 @@
 const HDWalletProvider = require('@truffle/hdwallet-provider');
-const { privateKeys, BSCSCANAPIKEY} = require('./secrets.json');
+const { privateKeys, BSCSCANAPIKEY} = require('./secrets');
 
 
 module.exports = {
@@ -48,9 +48,10 @@ module.exports = {
    compilers: {
     solc: {
       version: "0.8.7",
-      settings: {          
+      settings: {
+       // the contracts outgrow the 24576 byte EIP-170 limit when compiled without the optimizer
        optimizer: {
-         enabled: false,
+         enabled: true,
          runs: 200
         },
       }